@@ -21,9 +21,23 @@ import path from 'path';
 import os from 'os';
 import { createErrorHandler, ErrorTypes, EnhancedError } from '../organize/error_handler.js';
 import { FileEditor, EditOperations } from '../organize/file_editor.js';
+import { parseFrontmatter } from '../organize/frontmatter.js';
+import { RulesEngine } from '../organize/rules_engine.js';
+import { tokenize } from '../organize/search_index.js';
+import { ReviewInbox, loadReviewSettings } from '../organize/review_inbox.js';
+import { TagManager, loadTagStorage, countTags } from '../organize/tag_manager.js';
 
 // Dynamic imports will be handled by ModuleLoader
 
+// Tools that never write to the sync hub; any other tool makes the next search look for changes
+const READ_ONLY_TOOLS = new Set([
+  'search_documents', 'find_similar_documents', 'search_code_snippets', 'get_backlinks', 'get_outgoing_links',
+  'get_link_graph', 'run_saved_search', 'get_metadata', 'list_tags', 'get_document_content', 'get_organization_stats',
+  'list_categories', 'get_system_status', 'get_folder_move_policy', 'analyze_content', 'find_duplicates',
+  'summarize_document', 'check_links', 'suggest_categories', 'resolve_path', 'get_module_info', 'load_module',
+  'validate_paths'
+]);
+
 export class DocumentOrganizationServer {
   constructor() {
     this.server = new Server(
@@ -301,7 +315,7 @@ export class DocumentOrganizationServer {
 
         // Initialize DocumentSearchEngine if loaded
         if (this.modules.DocumentSearchEngine) {
-          this.documentSearchEngine = new this.modules.DocumentSearchEngine.DocumentSearchEngine(this.documentFolderManager);
+          this.documentSearchEngine = new this.modules.DocumentSearchEngine.DocumentSearchEngine(this.documentFolderManager, this.getSearchEngineOptions());
           await this.logInfo('DocumentSearchEngine initialized');
         }
 
@@ -604,34 +618,28 @@ export class DocumentOrganizationServer {
 
   /**
    * Find loose files that need to be organized into document folders
+   * Looks in the hub root and in category folders down to `category_depth` levels.
    */
   async findLooseFiles() {
     const looseFiles = [];
 
     try {
+      // Only folder classification is needed, so the manager is not initialized
+      const { CategoryManager } = await import('../organize/category_manager.js');
+      const manager = new CategoryManager({
+        projectRoot: this.projectRoot,
+        syncHub: this.syncHub,
+        configPath: path.join(this.projectRoot, 'config', 'organize_config.conf')
+      });
+      const rulesPath = this.createRulesEngine().rulesPath;
       const syncHubEntries = await fs.readdir(this.syncHub, { withFileTypes: true });
 
       for (const entry of syncHubEntries) {
-        if (entry.isFile() && !entry.name.startsWith('.')) {
+        if (entry.isFile() && !entry.name.startsWith('.') && path.join(this.syncHub, entry.name) !== rulesPath) {
           // This is a loose file in the root
           looseFiles.push(path.join(this.syncHub, entry.name));
         } else if (entry.isDirectory() && !entry.name.startsWith('.')) {
-          // Check category directories for loose files
-          const categoryPath = path.join(this.syncHub, entry.name);
-          const categoryEntries = await fs.readdir(categoryPath, { withFileTypes: true });
-
-          for (const categoryEntry of categoryEntries) {
-            if (categoryEntry.isFile() && !categoryEntry.name.startsWith('.')) {
-              // Check if this file is part of a document folder
-              const filePath = path.join(categoryPath, categoryEntry.name);
-              const parentDir = path.dirname(filePath);
-              const isInDocumentFolder = await this.documentFolderManager.isDocumentFolder(parentDir);
-
-              if (!isInDocumentFolder) {
-                looseFiles.push(filePath);
-              }
-            }
-          }
+          looseFiles.push(...await this.findLooseFilesInCategory(manager, path.join(this.syncHub, entry.name), 1));
         }
       }
     } catch (error) {
@@ -641,43 +649,168 @@ export class DocumentOrganizationServer {
     return looseFiles;
   }
 
+  /**
+   * Loose files in a category folder and its subcategories
+   */
+  async findLooseFilesInCategory(manager, categoryPath, depth) {
+    // Files of a document folder belong to it
+    if (!await manager.isCategoryFolder(categoryPath, depth)) {
+      return [];
+    }
+
+    const looseFiles = [];
+    for (const entry of await fs.readdir(categoryPath, { withFileTypes: true })) {
+      if (entry.name.startsWith('.') || entry.name.startsWith('_')) {
+        continue;
+      }
+      const entryPath = path.join(categoryPath, entry.name);
+      if (entry.isFile()) {
+        looseFiles.push(entryPath);
+      } else if (entry.isDirectory()) {
+        looseFiles.push(...await this.findLooseFilesInCategory(manager, entryPath, depth + 1));
+      }
+    }
+    return looseFiles;
+  }
+
   /**
    * Determine the appropriate category for a file based on content and name
    */
   async determineFileCategory(filePath, content) {
-    const fileName = path.basename(filePath).toLowerCase();
-    const fileContent = content.toLowerCase();
+    return (await this.classifyFile(filePath, content)).category;
+  }
 
-    // AI & ML category
-    if (fileName.includes('ai') || fileName.includes('ml') || fileName.includes('machine') ||
-      fileContent.includes('machine learning') || fileContent.includes('artificial intelligence') ||
-      fileContent.includes('neural network') || fileContent.includes('deep learning')) {
-      return 'AI & ML';
+  /**
+   * Category for a loose file with where the answer came from
+   * A frontmatter category is authoritative; otherwise the classifier trained on the
+   * filed documents decides, and keyword heuristics cover a hub with nothing filed yet.
+   * Returns { category, source: 'frontmatter'|'classifier'|'heuristic', confidence,
+   * probabilities: [{ category, confidence, reasons }] } with the top three categories.
+   */
+  async classifyFile(filePath, content) {
+    const { data: frontmatter } = parseFrontmatter(content);
+    if (frontmatter.category && !String(frontmatter.category).includes('..') && !path.isAbsolute(String(frontmatter.category))) {
+      const category = String(frontmatter.category);
+      return { category, source: 'frontmatter', confidence: 1, probabilities: [{ category, confidence: 1, reasons: ['Category set in frontmatter'] }] };
     }
 
-    // Research Papers category
-    if (fileName.includes('research') || fileName.includes('paper') || fileName.includes('study') ||
-      fileContent.includes('abstract') || fileContent.includes('methodology') ||
-      fileContent.includes('conclusion') || fileContent.includes('references')) {
-      return 'Research Papers';
+    try {
+      const classifier = await this.getCategoryClassifier();
+      const prediction = classifier.classify(content, path.parse(filePath).name);
+      if (prediction) {
+        return { ...prediction, probabilities: prediction.probabilities.slice(0, 3), source: 'classifier' };
+      }
+    } catch (error) {
+      await this.logWarn('Category classifier unavailable, using keyword heuristics', { error: error.message });
     }
 
-    // Development category
-    if (fileName.includes('code') || fileName.includes('dev') || fileName.includes('api') ||
-      fileContent.includes('function') || fileContent.includes('class') ||
-      fileContent.includes('import') || fileContent.includes('```')) {
-      return 'Development';
+    const { category, reasons } = this.heuristicFileCategory(filePath, content);
+    return { category, source: 'heuristic', confidence: null, probabilities: [{ category, confidence: null, reasons }] };
+  }
+
+  /**
+   * Whether a classification is too unsure to file without review
+   * Heuristics are unsure when no keyword matched and the file would only land in the default category.
+   */
+  needsReview(classification, threshold) {
+    if (classification.source === 'classifier') {
+      return classification.confidence < threshold;
     }
+    return classification.source === 'heuristic' && threshold > 0 && classification.probabilities[0].reasons.length === 0;
+  }
+
+  /**
+   * Keyword fallback for a hub with no filed documents to learn from
+   * Matches whole words, so "email" or "detail" do not count as "ai".
+   * Returns { category, reasons }; no reasons means nothing matched.
+   */
+  heuristicFileCategory(filePath, content) {
+    const nameWords = new Set(tokenize(path.parse(filePath).name.replace(/_/g, ' ')));
+    const contentWords = new Set(tokenize(content));
+    const fileContent = content.toLowerCase();
+    const rules = [
+      { category: 'AI & ML', name: ['ai', 'ml', 'machine'], phrases: ['machine learning', 'artificial intelligence', 'neural network', 'deep learning'] },
+      { category: 'Research Papers', name: ['research', 'paper', 'study'], words: ['abstract', 'methodology', 'conclusion', 'references'] },
+      { category: 'Development', name: ['code', 'dev', 'api'], words: ['function', 'class', 'import'], phrases: ['```'] },
+      { category: 'Web Content', name: ['web', 'html', 'css'], words: ['http', 'https', 'website', 'browser'], phrases: ['<html>'] }
+    ];
 
-    // Web Content category
-    if (fileName.includes('web') || fileName.includes('html') || fileName.includes('css') ||
-      fileContent.includes('<html>') || fileContent.includes('http') ||
-      fileContent.includes('website') || fileContent.includes('browser')) {
-      return 'Web Content';
+    for (const rule of rules) {
+      const inName = rule.name.filter(word => nameWords.has(word));
+      const inContent = [
+        ...(rule.words || []).filter(word => contentWords.has(word)),
+        ...(rule.phrases || []).filter(phrase => fileContent.includes(phrase))
+      ];
+      if (inName.length > 0 || inContent.length > 0) {
+        return {
+          category: rule.category,
+          reasons: [
+            ...(inName.length > 0 ? [`File name mentions ${inName.join(', ')}`] : []),
+            ...(inContent.length > 0 ? [`Content mentions ${inContent.join(', ')}`] : [])
+          ]
+        };
+      }
     }
 
     // Default to Notes & Drafts
-    return 'Notes & Drafts';
+    return { category: 'Notes & Drafts', reasons: [] };
+  }
+
+  /**
+   * Lazily load the category classifier (its model lives in the project data directory)
+   */
+  async getCategoryClassifier() {
+    if (!this.categoryClassifier) {
+      if (!this.documentFolderManager) {
+        throw new Error('Category classifier is not available');
+      }
+      const { CategoryClassifier } = await import('../organize/category_classifier.js');
+      const { CategoryManager } = await import('../organize/category_manager.js');
+      this.categoryClassifier = new CategoryClassifier(this.documentFolderManager, {
+        modelPath: path.join(this.projectRoot, 'data', 'category_classifier.json'),
+        excludedFolders: [this.getReviewSettings().folder],
+        // Only folder classification is needed, so the manager is not initialized
+        categoryManager: new CategoryManager({
+          projectRoot: this.projectRoot,
+          syncHub: this.syncHub,
+          configPath: path.join(this.projectRoot, 'config', 'organize_config.conf')
+        })
+      });
+      await this.categoryClassifier.load();
+    }
+
+    return this.categoryClassifier;
+  }
+
+  /**
+   * Review inbox settings (confidence threshold and inbox folder) from organize_config.conf
+   */
+  getReviewSettings() {
+    return loadReviewSettings(path.join(this.projectRoot, 'config', 'organize_config.conf'));
+  }
+
+  /**
+   * Review inbox whose decisions train the category classifier
+   */
+  async createReviewInbox() {
+    return new ReviewInbox(this.documentFolderManager, {
+      folder: this.getReviewSettings().folder,
+      classifier: await this.getCategoryClassifier(),
+      relocate: (folderPath, newFolderPath) => this.relocateDocumentFolder(folderPath, newFolderPath)
+    });
+  }
+
+  /**
+   * Bring the classifier up to date with the hub; organization goes on without it if training fails
+   */
+  async trainCategoryClassifier() {
+    try {
+      const classifier = await this.getCategoryClassifier();
+      return await classifier.train();
+    } catch (error) {
+      await this.logWarn('Category classifier training failed', { error: error.message });
+      return null;
+    }
   }
 
   /**
@@ -696,12 +829,14 @@ export class DocumentOrganizationServer {
 
   /**
    * Ensure category directories exist with proper structure
+   * Nested categories get every level of their path.
    */
   async ensureCategoryStructure(dryRun = false) {
-    const categories = ['AI & ML', 'Research Papers', 'Web Content', 'Notes & Drafts', 'Development'];
+    const manager = await this.createCategoryManager();
+    const categories = manager.getAllCategories().map(category => category.path || category.name);
 
     for (const category of categories) {
-      const categoryPath = path.join(this.syncHub, category);
+      const categoryPath = path.join(this.syncHub, ...category.split('/'));
 
       if (dryRun) {
         await this.logDebug(`DRY RUN: Would ensure category directory exists: ${categoryPath}`);
@@ -718,6 +853,54 @@ export class DocumentOrganizationServer {
     }
   }
 
+  /**
+   * Category manager loaded with the default, custom and on-disk categories
+   */
+  async createCategoryManager() {
+    const { CategoryManager } = await import('../organize/category_manager.js');
+    const manager = new CategoryManager({
+      projectRoot: this.projectRoot,
+      syncHub: this.syncHub,
+      configPath: path.join(this.projectRoot, 'config', 'organize_config.conf')
+    });
+    await manager.initialize();
+    return manager;
+  }
+
+  /**
+   * Tag manager using the tag_storage setting and category keywords for suggestions
+   */
+  async createTagManager() {
+    const configPath = path.join(this.projectRoot, 'config', 'organize_config.conf');
+    return new TagManager(this.documentFolderManager, {
+      storage: loadTagStorage(configPath),
+      categoryManager: await this.createCategoryManager()
+    });
+  }
+
+  /**
+   * Tag counts across the indexed documents, optionally within one category
+   */
+  async getTagCounts(category = null) {
+    const { searchIndex } = await this.getDocumentSearchEngine();
+    await searchIndex.refresh();
+
+    const scope = category ? path.normalize(category).replace(/[\\/]+$/, '') : null;
+    const entries = Object.values(searchIndex.documents)
+      .filter(entry => !scope || entry.folder === scope || entry.folder.startsWith(scope + path.sep));
+    return countTags(entries.map(entry => entry.tags));
+  }
+
+  /**
+   * Organization rules engine for custom_rules.json (call load() before evaluating)
+   */
+  createRulesEngine() {
+    return new RulesEngine({
+      syncHub: this.syncHub,
+      configPath: path.join(this.projectRoot, 'config', 'organize_config.conf')
+    });
+  }
+
   /**
    * Validate document folder integrity before and after sync operations
    */
@@ -862,17 +1045,134 @@ export class DocumentOrganizationServer {
       tools: [
         {
           name: 'search_documents',
-          description: 'Search through organized documents by content, category, or filename',
+          description: 'Search through organized documents by content, category, or filename. Supports "quoted phrases", AND/OR/NOT, parentheses and filters (category:, title:, heading:, tag:, lang:de, modified:>2025-01-01, has:images, type:technical). Words also match their other inflections in the document language',
           inputSchema: {
             type: 'object',
             properties: {
-              query: { type: 'string', description: 'Search query' },
+              query: { type: 'string', description: 'Search query in the structured query language' },
               category: { type: 'string', description: 'Specific category to search in' },
-              limit: { type: 'number', description: 'Maximum results to return', default: 10 }
+              tags: { type: 'array', items: { type: 'string' }, description: 'Only documents carrying all of these tags' },
+              limit: { type: 'number', description: 'Maximum results to return', default: 10, minimum: 1 },
+              offset: { type: 'number', description: 'Number of ranked results to skip', default: 0 },
+              cursor: { type: 'string', description: 'next_cursor from a previous page of the same query (takes precedence over offset)' },
+              fuzzy: { type: 'boolean', description: 'Tolerate small typos by matching close vocabulary terms', default: false },
+              semantic: { type: 'boolean', description: 'Blend latent-semantic similarity into the ranking', default: false },
+              stemming: { type: 'boolean', description: 'Also match other inflections of each word (language-aware stemming)', default: true },
+              field_boosts: {
+                type: 'object',
+                description: 'Override BM25 boosts for this query',
+                properties: {
+                  title: { type: 'number' },
+                  headings: { type: 'number' },
+                  folder: { type: 'number' },
+                  body: { type: 'number' }
+                }
+              }
             },
             required: ['query']
           }
         },
+        {
+          name: 'find_similar_documents',
+          description: 'Find document folders related to a given document using offline latent-semantic vectors',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              document_path: { type: 'string', description: 'Document folder or main file path (relative to the sync hub or absolute)' },
+              limit: { type: 'number', description: 'Maximum similar documents to return', default: 10 },
+              min_similarity: { type: 'number', description: 'Minimum cosine similarity (0-1)', default: 0.1 }
+            },
+            required: ['document_path']
+          }
+        },
+        {
+          name: 'search_code_snippets',
+          description: 'Search the fenced code blocks of all documents, optionally for one language (from the fence tag, or detected for untagged blocks); each result links back to the heading it sits under',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              query: { type: 'string', description: 'Words that must all appear in the code; leave empty to list snippets' },
+              language: { type: 'string', description: 'Only blocks in this language, e.g. python, js, bash (aliases are accepted; unknown for undetected blocks)' },
+              directory: { type: 'string', description: 'Directory to search (relative to the sync hub or absolute); defaults to the whole sync hub' },
+              limit: { type: 'number', description: 'Maximum snippets to return', default: 20 }
+            }
+          }
+        },
+        {
+          name: 'get_backlinks',
+          description: 'List the documents that link to a document, via [[wiki links]] or relative markdown links',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              document_path: { type: 'string', description: 'Document folder or main file path (relative to the sync hub or absolute)' }
+            },
+            required: ['document_path']
+          }
+        },
+        {
+          name: 'get_outgoing_links',
+          description: 'List the links from a document to other document folders, resolved where possible',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              document_path: { type: 'string', description: 'Document folder or main file path (relative to the sync hub or absolute)' },
+              include_unresolved: { type: 'boolean', description: 'Also list links that do not resolve to a document', default: true }
+            },
+            required: ['document_path']
+          }
+        },
+        {
+          name: 'get_link_graph',
+          description: 'Link graph between document folders: nodes with link counts, weighted edges and orphaned documents',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              directory: { type: 'string', description: 'Only include documents under this directory (relative to the sync hub)' },
+              include_unresolved: { type: 'boolean', description: 'Also list links that do not resolve to a document', default: false }
+            }
+          }
+        },
+        {
+          name: 'manage_search_index',
+          description: 'Inspect, verify, or rebuild the persistent full-text search index',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              action: { type: 'string', description: 'Index operation to perform', enum: ['status', 'verify', 'rebuild'], default: 'status' },
+              repair: { type: 'boolean', description: 'Repair the index if verification finds problems', default: false }
+            }
+          }
+        },
+        {
+          name: 'manage_saved_searches',
+          description: 'List, create, update, or delete named saved searches; a saved search can also appear as a read-only virtual category',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              action: { type: 'string', description: 'Operation to perform', enum: ['list', 'get', 'create', 'update', 'delete'], default: 'list' },
+              id: { type: 'string', description: 'Saved search id or name (get, update, delete)' },
+              name: { type: 'string', description: 'Display name, also used as the virtual category name' },
+              query: { type: 'string', description: 'Search query in the structured query language' },
+              description: { type: 'string', description: 'What the saved search is for' },
+              category: { type: 'string', description: 'Restrict the search to this category' },
+              virtual_category: { type: 'boolean', description: 'Show the saved search as a read-only virtual category with live counts' }
+            }
+          }
+        },
+        {
+          name: 'run_saved_search',
+          description: 'Run a saved search and return its current results',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              id: { type: 'string', description: 'Saved search id or name' },
+              limit: { type: 'number', description: 'Maximum results to return', default: 10, minimum: 1 },
+              offset: { type: 'number', description: 'Number of ranked results to skip', default: 0 },
+              cursor: { type: 'string', description: 'next_cursor from a previous page' }
+            },
+            required: ['id']
+          }
+        },
         {
           name: 'get_document_content',
           description: 'Get the full content of a specific document',
@@ -891,19 +1191,120 @@ export class DocumentOrganizationServer {
             type: 'object',
             properties: {
               title: { type: 'string', description: 'Document title' },
-              content: { type: 'string', description: 'Document content in markdown' },
-              category: { type: 'string', description: 'Category (optional, auto-detected if not provided)' }
+              content: { type: 'string', description: 'Document content in markdown (existing frontmatter is merged)' },
+              category: { type: 'string', description: 'Category (optional, taken from frontmatter or Notes & Drafts if not provided)' },
+              tags: { type: 'array', items: { type: 'string' }, description: 'Tags recorded in the frontmatter' },
+              aliases: { type: 'array', items: { type: 'string' }, description: 'Alternative titles recorded in the frontmatter' },
+              source: { type: 'string', description: 'Where the content came from (URL or reference)' }
             },
             required: ['title', 'content']
           }
         },
+        {
+          name: 'get_metadata',
+          description: 'Read the YAML frontmatter metadata of a document folder',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              document_path: { type: 'string', description: 'Document folder or main file path (relative to the sync hub or absolute)' }
+            },
+            required: ['document_path']
+          }
+        },
+        {
+          name: 'set_metadata',
+          description: 'Update YAML frontmatter keys of a document folder without touching the body (null removes a key)',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              document_path: { type: 'string', description: 'Document folder or main file path (relative to the sync hub or absolute)' },
+              metadata: {
+                type: 'object',
+                description: 'Frontmatter keys to set, e.g. tags, aliases, source, category, title',
+                additionalProperties: true
+              },
+              touch: { type: 'boolean', description: 'Stamp the updated date', default: true }
+            },
+            required: ['document_path', 'metadata']
+          }
+        },
+        {
+          name: 'add_tags',
+          description: 'Tag a document, in its frontmatter or in a .tags.json sidecar in its folder',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              document_path: { type: 'string', description: 'Document folder or main file path (relative to the sync hub or absolute)' },
+              tags: { type: 'array', items: { type: 'string' }, description: 'Tags to add (case and a leading # are ignored)' },
+              storage: { type: 'string', enum: ['frontmatter', 'sidecar'], description: 'Where to store new tags (defaults to the tag_storage setting)' }
+            },
+            required: ['document_path', 'tags']
+          }
+        },
+        {
+          name: 'remove_tags',
+          description: 'Remove tags from a document\'s frontmatter and sidecar (inline #hashtags in the text are kept and reported)',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              document_path: { type: 'string', description: 'Document folder or main file path (relative to the sync hub or absolute)' },
+              tags: { type: 'array', items: { type: 'string' }, description: 'Tags to remove' }
+            },
+            required: ['document_path', 'tags']
+          }
+        },
+        {
+          name: 'list_tags',
+          description: 'List every tag with its document count, or the tags of one document with suggested tags from its keyphrases and category keywords',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              document_path: { type: 'string', description: 'Document to list tags for (omit to list all tags in the hub)' },
+              category: { type: 'string', description: 'Only count tags of documents in this category' },
+              suggest: { type: 'boolean', description: 'Include suggested tags for the document', default: true },
+              limit: { type: 'number', description: 'Maximum tags (or suggestions) to return', default: 100 }
+            }
+          }
+        },
         {
           name: 'organize_documents',
           description: 'Run the document organization system',
           inputSchema: {
             type: 'object',
             properties: {
-              dry_run: { type: 'boolean', description: 'Preview changes without applying them', default: false }
+              dry_run: { type: 'boolean', description: 'Preview changes without applying them', default: false },
+              review_threshold: { type: 'number', description: 'Send files classified with less confidence than this (0-1) to the review inbox; defaults to review_confidence_threshold, 0 disables the inbox' },
+              explain: { type: 'boolean', description: 'Report, for each file, which rule fired and the conditions checked', default: false },
+              use_rules: { type: 'boolean', description: 'Apply the rules from custom_rules.json', default: true }
+            }
+          }
+        },
+        {
+          name: 'manage_organization_rules',
+          description: 'Read, validate, or replace the organization rules in custom_rules.json, or explain which rule a file would trigger',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              action: { type: 'string', description: 'Operation to perform', enum: ['get', 'update', 'validate', 'explain'], default: 'get' },
+              rules: {
+                type: 'array',
+                description: 'Rules with ordered conditions (filename, content, frontmatter, size, age, source) and actions (set_category, add_tag, rename, skip, archive)',
+                items: { type: 'object' }
+              },
+              file_path: { type: 'string', description: 'File to evaluate the rules against (explain)' }
+            }
+          }
+        },
+        {
+          name: 'manage_review_inbox',
+          description: 'List files waiting in the review inbox with their top suggested categories and reasons, accept the suggestions (one, several, or all at once), or file items under a different category',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              action: { type: 'string', description: 'Operation to perform', enum: ['list', 'accept', 'override'], default: 'list' },
+              ids: { type: 'array', items: { type: 'string' }, description: 'Inbox items to decide; accept applies to every item when omitted' },
+              category: { type: 'string', description: 'Category to file the items under (override)' },
+              min_confidence: { type: 'number', description: 'Only accept suggestions at least this confident (accept)', default: 0 }
             }
           }
         },
@@ -927,7 +1328,7 @@ export class DocumentOrganizationServer {
         },
         {
           name: 'list_categories',
-          description: 'List all available document categories with file counts',
+          description: 'List all document categories with file counts, flat and as a tree of nested categories (e.g. Development/Frontend/React); counts include subcategories',
           inputSchema: {
             type: 'object',
             properties: {}
@@ -964,16 +1365,85 @@ export class DocumentOrganizationServer {
         },
         {
           name: 'find_duplicates',
-          description: 'Find duplicate content across files',
+          description: 'Find exact and near-duplicate content across files (MinHash/LSH over word shingles), with the overlapping passages as evidence',
           inputSchema: {
             type: 'object',
             properties: {
               directory: { type: 'string', description: 'Directory to search for duplicates' },
-              similarity_threshold: { type: 'number', description: 'Similarity threshold (0-1)', default: 0.8 }
+              similarity_threshold: { type: 'number', description: 'Minimum Jaccard similarity of word shingles (0-1)', default: 0.8 }
             },
             required: ['directory']
           }
         },
+        {
+          name: 'find_duplicate_passages',
+          description: 'Find paragraphs and code blocks repeated across document folders, with every location; optionally replace the copies with a link to a canonical source',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              directory: { type: 'string', description: 'Directory to scan (relative to the sync hub or absolute); defaults to the whole sync hub' },
+              min_words: { type: 'number', description: 'Minimum words for a paragraph to count', default: 20 },
+              include_code: { type: 'boolean', description: 'Also fingerprint fenced code blocks (3+ lines)', default: true },
+              replace_with_links: { type: 'boolean', description: 'Replace each copy with a link to the canonical occurrence', default: false },
+              fingerprints: { type: 'array', items: { type: 'string' }, description: 'Only replace these passages (fingerprints from a previous run)' },
+              canonical: { type: 'string', description: 'Document to keep as the source when it holds the passage; defaults to the oldest document' },
+              dry_run: { type: 'boolean', description: 'Report the replacements without writing files', default: false }
+            }
+          }
+        },
+        {
+          name: 'check_links',
+          description: 'Check every document for broken internal links, missing images and links whose path only matches with different letter case, with suggested fixes from similarly named files',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              directory: { type: 'string', description: 'Directory to check (relative to the sync hub or absolute); defaults to the whole sync hub' },
+              types: { type: 'array', items: { type: 'string', enum: ['broken_link', 'missing_image', 'case_mismatch'] }, description: 'Only report these issue types' },
+              max_suggestions: { type: 'number', description: 'Suggested fixes per issue', default: 3 }
+            }
+          }
+        },
+        {
+          name: 'manage_orphaned_assets',
+          description: 'Find assets in document images folders that their document no longer references, move them to a quarantine area, list quarantined batches, or restore them',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              action: { type: 'string', description: 'Operation to perform', enum: ['find', 'quarantine', 'list_quarantine', 'restore'], default: 'find' },
+              directory: { type: 'string', description: 'Directory to scan (relative to the sync hub or absolute); defaults to the whole sync hub' },
+              paths: { type: 'array', items: { type: 'string' }, description: 'Only quarantine or restore these hub-relative asset paths' },
+              batch_id: { type: 'string', description: 'Quarantine batch to restore' },
+              dry_run: { type: 'boolean', description: 'Report what would be quarantined without moving files', default: false }
+            }
+          }
+        },
+        {
+          name: 'find_duplicate_images',
+          description: 'Find byte-identical images across document folders by content hash, with duplicate groups and reclaimable bytes; optionally keep one copy per document folder, pointing its notes at that copy and quarantining the others. Copies in different folders are never merged, so every folder can still be moved as a whole under the folder-move policy',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              directory: { type: 'string', description: 'Directory to scan (relative to the sync hub or absolute); defaults to the whole sync hub' },
+              consolidate_within_folders: { type: 'boolean', description: 'Keep one copy of each duplicate image per document folder and quarantine the rest', default: false },
+              dry_run: { type: 'boolean', description: 'Report the consolidation without changing files', default: false }
+            }
+          }
+        },
+        {
+          name: 'summarize_document',
+          description: 'Summarize a document offline by extracting its most central sentences (TextRank); optionally store the summary in frontmatter or a Summary section, where search previews use it',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              document_path: { type: 'string', description: 'Document folder or main file path (relative to the sync hub or absolute)' },
+              sentences: { type: 'number', description: 'Number of sentences in the summary (default 3 unless ratio or max_words is given)' },
+              ratio: { type: 'number', description: 'Fraction of the document\'s sentences to keep, between 0 and 1' },
+              max_words: { type: 'number', description: 'Word budget for the summary' },
+              write_to: { type: 'string', enum: ['none', 'frontmatter', 'section'], description: 'Where to store the summary in the document', default: 'none' }
+            },
+            required: ['document_path']
+          }
+        },
         {
           name: 'consolidate_content',
           description: 'Consolidate similar content into unified documents',
@@ -1007,6 +1477,7 @@ export class DocumentOrganizationServer {
             type: 'object',
             properties: {
               name: { type: 'string', description: 'Category name' },
+              parent: { type: 'string', description: 'Parent category id or path (e.g. Development/Frontend) to nest the category under' },
               icon: { type: 'string', description: 'Category icon/emoji' },
               description: { type: 'string', description: 'Category description' },
               keywords: { type: 'array', items: { type: 'string' }, description: 'Category keywords' },
@@ -1047,19 +1518,23 @@ export class DocumentOrganizationServer {
             type: 'object',
             properties: {
               old_file_path: { type: 'string', description: 'Current relative path to the document' },
-              new_file_name: { type: 'string', description: 'New filename for the document' }
+              new_file_name: { type: 'string', description: 'New filename for the document' },
+              update_links: { type: 'boolean', description: 'Rewrite wiki and relative markdown links that point to the document', default: true },
+              dry_run: { type: 'boolean', description: 'Preview the rename and every link that would change without writing', default: false }
             },
             required: ['old_file_path', 'new_file_name']
           }
         },
         {
           name: 'move_document',
-          description: 'Move a document to a different category',
+          description: 'Move a document to a different category; nested categories are given as a path (Development/Frontend/React) or, when unambiguous, by name',
           inputSchema: {
             type: 'object',
             properties: {
               file_path: { type: 'string', description: 'Current relative path to the document' },
-              new_category: { type: 'string', description: 'Target category name' }
+              new_category: { type: 'string', description: 'Target category name, id or path (e.g. Development/Frontend/React)' },
+              update_links: { type: 'boolean', description: 'Rewrite wiki and relative markdown links that point to the document', default: true },
+              dry_run: { type: 'boolean', description: 'Preview the move and every link that would change without writing', default: false }
             },
             required: ['file_path', 'new_category']
           }
@@ -1145,9 +1620,10 @@ export class DocumentOrganizationServer {
       return await this.errorHandler.wrapAsync(async () => {
         // Validate tool name
         const validTools = [
-          'search_documents', 'get_document_content', 'create_document', 'organize_documents',
+          'search_documents', 'find_similar_documents', 'search_code_snippets', 'get_backlinks', 'get_outgoing_links', 'get_link_graph', 'manage_search_index', 'manage_saved_searches',
+          'run_saved_search', 'get_metadata', 'set_metadata', 'add_tags', 'remove_tags', 'list_tags', 'get_document_content', 'create_document', 'organize_documents', 'manage_organization_rules', 'manage_review_inbox',
           'sync_documents', 'get_organization_stats', 'list_categories', 'get_system_status',
-          'analyze_content', 'find_duplicates', 'consolidate_content', 'suggest_categories',
+          'analyze_content', 'find_duplicates', 'find_duplicate_passages', 'check_links', 'manage_orphaned_assets', 'find_duplicate_images', 'summarize_document', 'consolidate_content', 'suggest_categories',
           'add_custom_category', 'enhance_content', 'delete_document', 'rename_document',
           'move_document', 'edit_file', 'replace_text', 'insert_lines', 'delete_lines',
           'append_to_file', 'prepend_to_file'
@@ -1172,6 +1648,45 @@ export class DocumentOrganizationServer {
             this.validateToolArguments('search_documents', args);
             result = await this.searchDocuments(args);
             break;
+          case 'find_similar_documents':
+            result = await this.findSimilarDocuments(args);
+            break;
+          case 'search_code_snippets':
+            result = await this.searchCodeSnippets(args);
+            break;
+          case 'get_backlinks':
+            result = await this.getBacklinks(args);
+            break;
+          case 'get_outgoing_links':
+            result = await this.getOutgoingLinks(args);
+            break;
+          case 'get_link_graph':
+            result = await this.getLinkGraph(args);
+            break;
+          case 'manage_search_index':
+            result = await this.manageSearchIndex(args);
+            break;
+          case 'manage_saved_searches':
+            result = await this.manageSavedSearches(args);
+            break;
+          case 'run_saved_search':
+            result = await this.runSavedSearch(args);
+            break;
+          case 'get_metadata':
+            result = await this.getMetadata(args);
+            break;
+          case 'set_metadata':
+            result = await this.setMetadata(args);
+            break;
+          case 'add_tags':
+            result = await this.addTags(args);
+            break;
+          case 'remove_tags':
+            result = await this.removeTags(args);
+            break;
+          case 'list_tags':
+            result = await this.listTags(args);
+            break;
           case 'get_document_content':
             this.validateToolArguments('get_document_content', args);
             result = await this.getDocumentContent(args);
@@ -1183,6 +1698,12 @@ export class DocumentOrganizationServer {
           case 'organize_documents':
             result = await this.organizeDocuments(args);
             break;
+          case 'manage_organization_rules':
+            result = await this.manageOrganizationRules(args);
+            break;
+          case 'manage_review_inbox':
+            result = await this.manageReviewInbox(args);
+            break;
           case 'sync_documents':
             result = await this.syncDocuments(args);
             break;
@@ -1204,6 +1725,21 @@ export class DocumentOrganizationServer {
           case 'find_duplicates':
             result = await this.findDuplicates(args);
             break;
+          case 'summarize_document':
+            result = await this.summarizeDocument(args);
+            break;
+          case 'find_duplicate_passages':
+            result = await this.findDuplicatePassages(args);
+            break;
+          case 'check_links':
+            result = await this.checkLinks(args);
+            break;
+          case 'manage_orphaned_assets':
+            result = await this.manageOrphanedAssets(args);
+            break;
+          case 'find_duplicate_images':
+            result = await this.findDuplicateImages(args);
+            break;
           case 'consolidate_content':
             result = await this.consolidateContent(args);
             break;
@@ -1241,6 +1777,10 @@ export class DocumentOrganizationServer {
             throw new Error(`Unknown tool: ${name}`);
         }
 
+        if (!READ_ONLY_TOOLS.has(name)) {
+          this.documentFolderManager?.markChanged();
+        }
+
         await this.logInfo(`Tool call completed successfully: ${name}`, {
           requestId,
           toolName: name,
@@ -1328,8 +1868,279 @@ export class DocumentOrganizationServer {
     });
   }
 
+  /**
+   * Search engine options: index directory (inside the project, never the sync hub)
+   * and the config file holding ranking settings
+   */
+  getSearchEngineOptions() {
+    return {
+      indexDirectory: path.join(this.projectRoot, 'data', 'search_index'),
+      configPath: path.join(this.projectRoot, 'config', 'organize_config.conf')
+    };
+  }
+
+  /**
+   * Lazily create the document search engine
+   */
+  async getDocumentSearchEngine() {
+    if (!this.documentSearchEngine) {
+      if (!this.documentFolderManager) {
+        throw new Error('Document search engine is not available');
+      }
+      const { DocumentSearchEngine } = await import('../organize/document_search_engine.js');
+      this.documentSearchEngine = new DocumentSearchEngine(this.documentFolderManager, this.getSearchEngineOptions());
+    }
+
+    return this.documentSearchEngine;
+  }
+
+  async manageSearchIndex(args = {}) {
+    const { action = 'status', repair = false } = args;
+
+    const { searchIndex, semanticIndex } = await this.getDocumentSearchEngine();
+    let result;
+
+    switch (action) {
+      case 'status':
+        result = await searchIndex.getStatus();
+        break;
+      case 'verify':
+        result = await searchIndex.verify({ repair });
+        break;
+      case 'rebuild':
+        result = await searchIndex.rebuild();
+        await semanticIndex.rebuild();
+        break;
+      default:
+        throw new Error(`Unknown search index action: ${action}`);
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            action,
+            result,
+            index: action === 'status' ? undefined : await searchIndex.getStatus(),
+            semantic_index: await semanticIndex.getStatus(),
+            timestamp: new Date().toISOString()
+          }, null, 2)
+        }
+      ]
+    };
+  }
+
+  /**
+   * Lazily create the saved search manager (searches live in organize_config.conf)
+   */
+  async getSavedSearchManager() {
+    if (!this.savedSearchManager) {
+      const { SavedSearchManager } = await import('../organize/saved_search_manager.js');
+      this.savedSearchManager = new SavedSearchManager({
+        configPath: this.getSearchEngineOptions().configPath,
+        searchEngine: this.documentFolderManager ? await this.getDocumentSearchEngine() : null
+      });
+    }
+
+    return this.savedSearchManager;
+  }
+
+  /**
+   * Reject writes into a virtual category backed by a saved search
+   */
+  async assertWritableCategory(category) {
+    const manager = await this.getSavedSearchManager();
+    if (category && await manager.findVirtualCategory(category)) {
+      throw new Error(`Category '${category}' is a saved search and is read-only`);
+    }
+  }
+
+  async manageSavedSearches(args = {}) {
+    const { action = 'list', id, name, query, description, category, virtual_category } = args;
+    const manager = await this.getSavedSearchManager();
+    let result;
+
+    switch (action) {
+      case 'list':
+        result = await manager.list();
+        break;
+      case 'get':
+        result = await manager.get(id);
+        break;
+      case 'create':
+        result = await manager.create({ name, query, description, category, virtualCategory: virtual_category });
+        break;
+      case 'update':
+        result = await manager.update(id, { name, query, description, category, virtualCategory: virtual_category });
+        break;
+      case 'delete':
+        result = await manager.delete(id);
+        break;
+      default:
+        throw new Error(`Unknown saved search action: ${action}`);
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            action,
+            result,
+            timestamp: new Date().toISOString()
+          }, null, 2)
+        }
+      ]
+    };
+  }
+
+  async runSavedSearch(args) {
+    const { id, limit = 10, offset = 0, cursor = null } = args;
+
+    if (!id) {
+      throw new Error('id is required');
+    }
+
+    const manager = await this.getSavedSearchManager();
+    const result = await manager.run(id, { limit, offset, cursor });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(result, null, 2)
+        }
+      ]
+    };
+  }
+
+  async findSimilarDocuments(args) {
+    const { document_path, limit = 10, min_similarity = 0.1 } = args;
+
+    if (!document_path) {
+      throw new Error('document_path is required');
+    }
+
+    const searchEngine = await this.getDocumentSearchEngine();
+    const result = await searchEngine.findSimilarDocuments(document_path, {
+      limit,
+      minSimilarity: min_similarity
+    });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(result, null, 2)
+        }
+      ]
+    };
+  }
+
+  async searchCodeSnippets(args = {}) {
+    const { query = '', language, directory, limit = 20 } = args;
+
+    if (!query && !language) {
+      throw new Error('query or language is required');
+    }
+
+    let scopePath = null;
+    if (directory) {
+      scopePath = path.isAbsolute(directory) ? directory : path.join(this.syncHub, directory);
+      this.documentFolderManager.validatePathWithinSyncHub(scopePath);
+    }
+
+    const searchEngine = await this.getDocumentSearchEngine();
+    const result = await searchEngine.searchCodeSnippets(query, { language, directory: scopePath, limit });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            query,
+            language: language || null,
+            total_results: result.total,
+            languages: result.languages,
+            results: result.results,
+            timestamp: new Date().toISOString()
+          }, null, 2)
+        }
+      ]
+    };
+  }
+
+  async getBacklinks(args) {
+    const { document_path } = args;
+
+    if (!document_path) {
+      throw new Error('document_path is required');
+    }
+
+    const searchEngine = await this.getDocumentSearchEngine();
+    const result = await searchEngine.getBacklinks(document_path);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(result, null, 2)
+        }
+      ]
+    };
+  }
+
+  async getOutgoingLinks(args) {
+    const { document_path, include_unresolved = true } = args;
+
+    if (!document_path) {
+      throw new Error('document_path is required');
+    }
+
+    const searchEngine = await this.getDocumentSearchEngine();
+    const result = await searchEngine.getOutgoingLinks(document_path, { includeUnresolved: include_unresolved });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(result, null, 2)
+        }
+      ]
+    };
+  }
+
+  async getLinkGraph(args = {}) {
+    const { directory, include_unresolved = false } = args;
+
+    const searchEngine = await this.getDocumentSearchEngine();
+    const result = await searchEngine.getLinkGraph({ directory, includeUnresolved: include_unresolved });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(result, null, 2)
+        }
+      ]
+    };
+  }
+
   async searchDocuments(args) {
-    const { query, category, limit = 10, use_regex = false } = args;
+    const {
+      query,
+      category,
+      tags = null,
+      limit = 10,
+      offset = 0,
+      cursor = null,
+      use_regex = false,
+      field_boosts = null,
+      fuzzy = false,
+      semantic = false,
+      stemming = true
+    } = args;
 
     if (!query || typeof query !== 'string' || query.trim().length === 0) {
       throw new Error('Search query is required and must be a non-empty string');
@@ -1339,16 +2150,23 @@ export class DocumentOrganizationServer {
       // Initialize DocumentSearchEngine if not already done
       if (!this.documentSearchEngine && this.documentFolderManager) {
         const { DocumentSearchEngine } = await import('../organize/document_search_engine.js');
-        this.documentSearchEngine = new DocumentSearchEngine(this.documentFolderManager);
+        this.documentSearchEngine = new DocumentSearchEngine(this.documentFolderManager, this.getSearchEngineOptions());
       }
 
       // If DocumentSearchEngine is available, use it
       if (this.documentSearchEngine) {
         const searchOptions = {
           category,
+          tags,
           limit,
+          offset,
+          cursor,
           useRegex: use_regex,
-          caseSensitive: false
+          caseSensitive: false,
+          fieldBoosts: field_boosts,
+          fuzzy,
+          semantic,
+          stemming
         };
 
         const searchResults = await this.documentSearchEngine.searchDocuments(query, searchOptions);
@@ -1417,6 +2235,44 @@ export class DocumentOrganizationServer {
       };
 
     } catch (error) {
+      if (error.name === 'SearchQueryError') {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify({
+                error: true,
+                error_type: 'query_syntax',
+                message: error.reason,
+                position: error.position,
+                pointer: error.pointer,
+                query,
+                total_results: 0,
+                results: []
+              }, null, 2)
+            }
+          ]
+        };
+      }
+
+      if (error.name === 'SearchCursorError') {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify({
+                error: true,
+                error_type: 'invalid_cursor',
+                message: error.reason,
+                query,
+                total_results: 0,
+                results: []
+              }, null, 2)
+            }
+          ]
+        };
+      }
+
       await this.logError('Search operation failed', {
         query,
         category,
@@ -1708,8 +2564,163 @@ export class DocumentOrganizationServer {
     }
   }
 
+  /**
+   * Resolve a document folder from a folder or main file path
+   */
+  async resolveDocumentFolder(documentPath) {
+    if (!documentPath) {
+      throw new Error('document_path is required');
+    }
+    if (!this.documentFolderManager) {
+      throw new Error('DocumentFolderManager not initialized');
+    }
+
+    let folderPath = path.isAbsolute(documentPath) ? documentPath : path.join(this.syncHub, documentPath);
+    if (existsSync(folderPath) && (await fs.stat(folderPath)).isFile()) {
+      folderPath = path.dirname(folderPath);
+    }
+    this.documentFolderManager.validatePathWithinSyncHub(folderPath);
+
+    if (!await this.documentFolderManager.isDocumentFolder(folderPath)) {
+      throw new Error(`Not a document folder: ${documentPath}`);
+    }
+
+    return folderPath;
+  }
+
+  async getMetadata(args) {
+    const folderPath = await this.resolveDocumentFolder(args.document_path);
+    const result = await this.documentFolderManager.getDocumentMetadata(folderPath);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            path: path.relative(this.syncHub, folderPath),
+            main_file: path.relative(this.syncHub, result.mainFile),
+            has_frontmatter: result.hasFrontmatter,
+            metadata: result.metadata
+          }, null, 2)
+        }
+      ]
+    };
+  }
+
+  async setMetadata(args) {
+    const { document_path, metadata, touch = true } = args;
+    const folderPath = await this.resolveDocumentFolder(document_path);
+    const result = await this.documentFolderManager.setDocumentMetadata(folderPath, metadata, { touch });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            path: path.relative(this.syncHub, folderPath),
+            metadata: result.metadata,
+            timestamp: new Date().toISOString()
+          }, null, 2)
+        }
+      ]
+    };
+  }
+
+  async addTags(args) {
+    const { document_path, tags, storage } = args;
+    const folderPath = await this.resolveDocumentFolder(document_path);
+    const tagManager = await this.createTagManager();
+    const result = await tagManager.addTags(folderPath, tags, storage ? { storage } : {});
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            path: path.relative(this.syncHub, folderPath),
+            ...result,
+            timestamp: new Date().toISOString()
+          }, null, 2)
+        }
+      ]
+    };
+  }
+
+  async removeTags(args) {
+    const { document_path, tags } = args;
+    const folderPath = await this.resolveDocumentFolder(document_path);
+    const tagManager = await this.createTagManager();
+    const result = await tagManager.removeTags(folderPath, tags);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            path: path.relative(this.syncHub, folderPath),
+            ...result,
+            timestamp: new Date().toISOString()
+          }, null, 2)
+        }
+      ]
+    };
+  }
+
+  async listTags(args = {}) {
+    const { document_path, category = null, suggest = true, limit = 100 } = args;
+    const tagCounts = await this.getTagCounts(category);
+
+    if (!document_path) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              ...(category && { category }),
+              total_tags: tagCounts.length,
+              tags: tagCounts.slice(0, limit)
+            }, null, 2)
+          }
+        ]
+      };
+    }
+
+    const folderPath = await this.resolveDocumentFolder(document_path);
+    const tagManager = await this.createTagManager();
+    const current = await tagManager.getTags(folderPath);
+    let suggestions;
+
+    if (suggest) {
+      // Keyphrases from the index are weighed against the whole hub
+      const { searchIndex } = await this.getDocumentSearchEngine();
+      const entry = searchIndex.documents[searchIndex.getDocumentKey(folderPath)];
+      suggestions = tagManager.suggestTags(await this.documentFolderManager.getDocumentContent(folderPath), {
+        keyphrases: entry ? entry.keyphrases : [],
+        knownTags: tagCounts.map(({ tag }) => tag),
+        exclude: current.tags,
+        limit: Math.min(limit, 8)
+      });
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            path: path.relative(this.syncHub, folderPath),
+            ...current,
+            ...(suggestions && { suggestions })
+          }, null, 2)
+        }
+      ]
+    };
+  }
+
   async createDocument(args) {
-    const { title, content, category } = args;
+    const { title, content, category, tags, aliases, source } = args;
 
     if (!title || typeof title !== 'string' || title.trim().length === 0) {
       throw new Error('title is required and must be a non-empty string');
@@ -1720,7 +2731,10 @@ export class DocumentOrganizationServer {
     }
 
     try {
-      let targetCategory = category;
+      // Frontmatter already in the content is kept; explicit arguments win over it
+      const { data: declared, body } = parseFrontmatter(content);
+
+      let targetCategory = category || declared.category;
       // If category is not provided, default to 'Notes & Drafts'
       if (!targetCategory) {
         targetCategory = 'Notes & Drafts';
@@ -1730,15 +2744,27 @@ export class DocumentOrganizationServer {
       if (targetCategory.includes('..') || path.isAbsolute(targetCategory)) {
         throw new Error('Invalid category name: relative paths only, no parent directory access');
       }
+      await this.assertWritableCategory(targetCategory);
 
       // Use DocumentFolderManager if available, otherwise fallback to old behavior
       if (this.documentFolderManager) {
-        const documentContent = `# ${title}\n\n${content}\n\n---\n*Created: ${new Date().toISOString()}*\n`;
+        const now = new Date().toISOString();
+        const documentContent = `# ${title}\n\n${body}\n`;
+        const metadata = {
+          ...declared,
+          created: declared.created || now,
+          updated: now,
+          tags: tags || declared.tags || [],
+          aliases: aliases || declared.aliases || [],
+          source: source || declared.source || null,
+          category: targetCategory
+        };
 
         const documentFolderPath = await this.documentFolderManager.createDocumentFolder(
           title,
           targetCategory,
-          documentContent
+          documentContent,
+          metadata
         );
 
         const relativePath = path.relative(this.syncHub, documentFolderPath);
@@ -1758,6 +2784,7 @@ export class DocumentOrganizationServer {
                 path: relativePath,
                 category: targetCategory,
                 folderName: path.basename(documentFolderPath),
+                metadata,
                 message: `Document folder created successfully in ${targetCategory}`,
                 structure: {
                   mainFile: 'main.md',
@@ -1818,10 +2845,10 @@ export class DocumentOrganizationServer {
   }
 
   async organizeDocuments(args) {
-    const { dry_run = false } = args;
+    const { dry_run = false, explain = false, use_rules = true, review_threshold } = args;
 
     return await this.errorHandler.wrapAsync(async () => {
-      await this.logInfo('Starting folder-based document organization', { dry_run });
+      await this.logInfo('Starting folder-based document organization', { dry_run, explain, use_rules });
 
       // Check if DocumentFolderManager is available
       if (!this.documentFolderManager) {
@@ -1839,26 +2866,96 @@ export class DocumentOrganizationServer {
         processed: 0,
         moved: 0,
         created: 0,
+        skipped: 0,
+        review: 0,
         errors: [],
-        categories: {}
+        categories: {},
+        rules_applied: {}
       };
+      const explanations = [];
 
       try {
+        // An invalid rules file stops the run rather than organizing without its rules
+        const rulesEngine = this.createRulesEngine();
+        if (use_rules) {
+          await rulesEngine.load();
+        }
+
+        // Learn from what is already filed before classifying anything new
+        const training = await this.trainCategoryClassifier();
+        const threshold = typeof review_threshold === 'number' ? review_threshold : this.getReviewSettings().threshold;
+        const inbox = await this.createReviewInbox();
+
         // Find all loose files in the sync hub that need organization
         const looseFiles = await this.findLooseFiles();
 
-        await this.logInfo(`Found ${looseFiles.length} loose files to organize`, { dry_run });
+        await this.logInfo(`Found ${looseFiles.length} loose files to organize`, { dry_run, rules: rulesEngine.rules.length });
 
         for (const filePath of looseFiles) {
           try {
             const fileName = path.basename(filePath);
             const fileContent = await fs.readFile(filePath, 'utf8');
 
-            // Determine category for the file
-            const category = await this.determineFileCategory(filePath, fileContent);
+            const file = await rulesEngine.describeFile(filePath, fileContent);
+            const evaluation = rulesEngine.evaluate(file);
+            const { actions } = evaluation;
+            for (const ruleId of evaluation.fired) {
+              organizationResults.rules_applied[ruleId] = (organizationResults.rules_applied[ruleId] || 0) + 1;
+            }
+
+            if (actions.skip) {
+              organizationResults.skipped++;
+              if (explain) {
+                explanations.push({ file: file.relativePath, rule: evaluation.rule, action: 'skip', trace: evaluation.trace });
+              }
+              continue;
+            }
+
+            // Determine category for the file; a rule's category takes precedence
+            const classification = actions.category ? null : await this.classifyFile(filePath, fileContent);
+            const category = actions.category || classification.category;
+
+            // Create document folder name from file name, or from the rule's rename pattern
+            const documentName = this.sanitizeDocumentName(actions.rename
+              ? `${rulesEngine.renderName(actions.rename, file, category)}.md`
+              : fileName);
+            const existingTags = file.frontmatter.tags ? [].concat(file.frontmatter.tags).map(String) : [];
+            const metadata = actions.tags.length > 0
+              ? { tags: [...existingTags, ...actions.tags.filter(tag => !existingTags.some(existing => existing.toLowerCase() === tag.toLowerCase()))] }
+              : null;
+
+            const review = classification !== null && this.needsReview(classification, threshold);
+
+            if (explain) {
+              explanations.push({
+                file: file.relativePath,
+                rule: evaluation.rule,
+                action: review ? 'review' : (actions.archive ? 'archive' : 'organize'),
+                category,
+                categorySource: actions.category ? 'rule' : classification.source,
+                confidence: classification ? classification.confidence : null,
+                alternatives: classification ? classification.probabilities : [],
+                document: `${review ? inbox.folder : category}/${documentName}`,
+                tags: actions.tags,
+                trace: evaluation.trace
+              });
+            }
 
-            // Create document folder name from file name
-            const documentName = this.sanitizeDocumentName(fileName);
+            // Unsure files wait in the review inbox with their top suggestions
+            if (review) {
+              if (!dry_run) {
+                await inbox.add(documentName, fileContent, {
+                  suggestions: classification.probabilities,
+                  source: classification.source,
+                  originalPath: file.relativePath,
+                  metadata
+                });
+                await fs.unlink(filePath);
+              }
+              organizationResults.processed++;
+              organizationResults.review++;
+              continue;
+            }
 
             if (dry_run) {
               await this.logInfo(`DRY RUN: Would create document folder: ${category}/${documentName}`, {
@@ -1871,7 +2968,8 @@ export class DocumentOrganizationServer {
               const documentFolderPath = await this.documentFolderManager.createDocumentFolder(
                 documentName,
                 category,
-                fileContent
+                fileContent,
+                metadata
               );
 
               // Remove original loose file
@@ -1893,12 +2991,20 @@ export class DocumentOrganizationServer {
           }
         }
 
+        // Newly filed documents become training examples
+        if (!dry_run && organizationResults.moved > 0) {
+          await this.trainCategoryClassifier();
+        }
+
         // Ensure category directories exist and have proper structure
         await this.ensureCategoryStructure(dry_run);
 
         const summary = dry_run
           ? `Document organization simulation completed. Would process ${organizationResults.processed} files across ${Object.keys(organizationResults.categories).length} categories.`
           : `Document organization completed. Processed ${organizationResults.processed} files, moved ${organizationResults.moved} files across ${Object.keys(organizationResults.categories).length} categories.`;
+        const reviewNote = organizationResults.review > 0
+          ? ` ${organizationResults.review} file(s) ${dry_run ? 'would wait' : 'wait'} for review in ${inbox.folder}.`
+          : '';
 
         await this.logInfo('Document organization completed', organizationResults);
 
@@ -1909,8 +3015,11 @@ export class DocumentOrganizationServer {
               text: JSON.stringify({
                 success: true,
                 dry_run,
-                summary,
+                summary: summary + reviewNote,
                 results: organizationResults,
+                ...(explain && { explanations }),
+                rules_file: rulesEngine.rulesPath,
+                classifier: training ? { documents: training.documents, categories: training.categories } : null,
                 timestamp: new Date().toISOString()
               }, null, 2)
             }
@@ -1935,6 +3044,99 @@ export class DocumentOrganizationServer {
     });
   }
 
+  async manageOrganizationRules(args = {}) {
+    const { action = 'get', rules, file_path } = args;
+    const engine = this.createRulesEngine();
+    let result;
+
+    switch (action) {
+      case 'get':
+        result = { rules: await engine.getRules() };
+        break;
+      case 'update':
+        result = { rules: await engine.save(rules) };
+        break;
+      case 'validate': {
+        const errors = engine.validateRules(rules);
+        result = { valid: errors.length === 0, errors };
+        break;
+      }
+      case 'explain': {
+        if (!file_path) {
+          throw new Error('file_path is required');
+        }
+        const filePath = path.isAbsolute(file_path) ? file_path : path.join(this.syncHub, file_path);
+        this.documentFolderManager.validatePathWithinSyncHub(filePath);
+        await engine.load();
+        const file = await engine.describeFile(filePath, await fs.readFile(filePath, 'utf8'));
+        const { rule, fired, actions, trace } = engine.evaluate(file);
+        result = { file: file.relativePath, rule, fired, actions, trace };
+        break;
+      }
+      default:
+        throw new Error(`Unknown rules action: ${action}`);
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            action,
+            rules_file: engine.rulesPath,
+            ...result,
+            timestamp: new Date().toISOString()
+          }, null, 2)
+        }
+      ]
+    };
+  }
+
+  async manageReviewInbox(args = {}) {
+    const { action = 'list', ids, category, min_confidence = 0 } = args;
+
+    if (!this.documentFolderManager) {
+      throw new Error('DocumentFolderManager not available');
+    }
+
+    const inbox = await this.createReviewInbox();
+    let result;
+
+    switch (action) {
+      case 'list': {
+        const items = await inbox.list();
+        result = { folder: inbox.folder, threshold: this.getReviewSettings().threshold, total: items.length, items, decisions: await inbox.getDecisionStats() };
+        break;
+      }
+      case 'accept':
+        result = await inbox.acceptSuggestions(Array.isArray(ids) && ids.length > 0 ? ids : null, min_confidence);
+        break;
+      case 'override': {
+        if (!Array.isArray(ids) || ids.length === 0 || !category) {
+          throw new Error('ids and category are required to override suggestions');
+        }
+        await this.assertWritableCategory(category);
+        result = await inbox.override(ids, await this.resolveTargetCategory(category));
+        break;
+      }
+      default:
+        throw new Error(`Unknown review inbox action: ${action}`);
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            action,
+            result,
+            timestamp: new Date().toISOString()
+          }, null, 2)
+        }
+      ]
+    };
+  }
+
   async syncDocuments(args) {
     const { service = 'all' } = args;
 
@@ -2152,6 +3354,9 @@ export class DocumentOrganizationServer {
           };
         }
 
+        // Tags cut across categories, so they are counted over every indexed document
+        const tagCounts = await this.getTagCounts();
+
         await this.logInfo('Organization statistics calculated', {
           totalCategories: Object.keys(stats.categories).length,
           totalDocumentFolders: stats.totalDocumentFolders,
@@ -2167,11 +3372,13 @@ export class DocumentOrganizationServer {
                 sync_hub: this.syncHub,
                 organization_type: 'folder-based',
                 categories: stats.categories,
+                tags: tagCounts,
                 summary: {
                   total_document_folders: stats.totalDocumentFolders,
                   total_loose_files: stats.totalLooseFiles,
                   total_images: stats.totalImages,
-                  total_categories: Object.keys(stats.categories).length
+                  total_categories: Object.keys(stats.categories).length,
+                  total_tags: tagCounts.length
                 },
                 last_updated: new Date().toISOString()
               }, null, 2)
@@ -2201,55 +3408,41 @@ export class DocumentOrganizationServer {
         throw new Error('DocumentFolderManager not initialized');
       }
 
-      const { CategoryManager } = await import('../organize/category_manager.js');
-      const manager = new CategoryManager({
-        projectRoot: this.projectRoot,
-        syncHub: this.syncHub,
-        configPath: path.join(this.projectRoot, 'config', 'organize_config.conf')
-      });
-      await manager.initialize();
-
-      const allCategories = manager.getAllCategories();
-      const categoryInfo = [];
-
-      // Get accurate document folder counts for each category
-      for (const category of allCategories) {
-        const categoryPath = path.join(this.syncHub, category.name);
-        let documentFolderCount = 0;
-        let totalSize = 0;
-
-        try {
-          if (existsSync(categoryPath)) {
-            const documentFolders = await this.documentFolderManager.listDocumentFolders(categoryPath);
-            documentFolderCount = documentFolders.length;
+      const manager = await this.createCategoryManager();
 
-            // Calculate total size of document folders
-            for (const folderPath of documentFolders) {
-              try {
-                const stats = await fs.stat(folderPath);
-                totalSize += await this.calculateFolderSize(folderPath);
-              } catch (error) {
-                // Skip folders that can't be accessed
-                continue;
-              }
-            }
-          }
-        } catch (error) {
-          await this.logWarn(`Error counting documents in category ${category.name}`, {
-            categoryPath,
-            error: error.message
-          });
-        }
+      // Counts include subcategories; the direct count is the category's own level
+      const describe = (categoryPath, stats) => ({
+        document_folder_count: stats ? stats.documentFolderCount : 0,
+        direct_document_folder_count: stats ? stats.directDocumentFolderCount : 0,
+        total_size: stats ? stats.totalSize : 0,
+        exists: existsSync(path.join(this.syncHub, ...categoryPath.split('/')))
+      });
 
-        categoryInfo.push({
+      const categoryInfo = manager.getAllCategories().map(category => {
+        const categoryPath = category.path || category.name;
+        return {
           name: category.name,
+          path: categoryPath,
+          parent: category.parent || null,
           description: category.description,
-          document_folder_count: documentFolderCount,
-          total_size: totalSize,
-          exists: existsSync(categoryPath),
-          category_path: categoryPath
-        });
-      }
+          ...describe(categoryPath, manager.categoryStats.get(categoryPath)),
+          category_path: path.join(this.syncHub, ...categoryPath.split('/'))
+        };
+      });
+
+      const toTreeNode = node => ({
+        id: node.id,
+        name: node.name,
+        path: node.path,
+        description: node.description,
+        ...describe(node.path, node.stats),
+        children: node.children.map(toTreeNode)
+      });
+      const tree = manager.getCategoryTree().map(toTreeNode);
+
+      // Saved searches shown as smart folders; their documents already live in a real category
+      const savedSearchManager = await this.getSavedSearchManager();
+      const virtualCategories = await savedSearchManager.getVirtualCategories();
 
       return {
         content: [
@@ -2257,8 +3450,11 @@ export class DocumentOrganizationServer {
             type: 'text',
             text: JSON.stringify({
               categories: categoryInfo,
+              tree,
+              virtual_categories: virtualCategories,
+              category_depth: manager.categoryDepth,
               total_categories: categoryInfo.length,
-              total_document_folders: categoryInfo.reduce((sum, cat) => sum + cat.document_folder_count, 0)
+              total_document_folders: tree.reduce((sum, node) => sum + node.document_folder_count, 0)
             }, null, 2)
           }
         ]
@@ -2350,7 +3546,10 @@ export class DocumentOrganizationServer {
 
       // Import the ContentAnalyzer dynamically
       const { ContentAnalyzer } = await import('../organize/content_analyzer.js');
-      const analyzer = new ContentAnalyzer({ similarityThreshold: similarity_threshold });
+      const analyzer = new ContentAnalyzer({
+        similarityThreshold: similarity_threshold,
+        searchIndex: (await this.getDocumentSearchEngine()).searchIndex
+      });
 
       const results = new Map();
       const processedDocuments = [];
@@ -2606,6 +3805,14 @@ export class DocumentOrganizationServer {
           key,
           type: group.type,
           similarity: group.similarity,
+          ...(group.type === 'similar' && {
+            estimated_similarity: group.estimatedSimilarity,
+            containment: group.containment,
+            evidence: {
+              shared_shingles: group.evidence.sharedShingles,
+              passages: group.evidence.passages
+            }
+          }),
           files: enhancedFiles,
           recommended_action: group.recommendedAction,
           involves_document_folders: enhancedFiles.some(f => f.documentType === 'document_folder'),
@@ -2638,6 +3845,266 @@ export class DocumentOrganizationServer {
     }
   }
 
+  async findDuplicatePassages(args = {}) {
+    const {
+      directory,
+      min_words = 20,
+      include_code = true,
+      replace_with_links = false,
+      fingerprints,
+      canonical,
+      dry_run = false
+    } = args;
+
+    if (!this.documentFolderManager) {
+      throw new Error('DocumentFolderManager not initialized');
+    }
+
+    const scanPath = directory
+      ? (path.isAbsolute(directory) ? directory : path.join(this.syncHub, directory))
+      : this.syncHub;
+    this.documentFolderManager.validatePathWithinSyncHub(scanPath);
+
+    const { PassageDeduplicator } = await import('../organize/passage_deduplicator.js');
+    const deduplicator = new PassageDeduplicator(this.documentFolderManager, {
+      minWords: min_words,
+      includeCode: include_code
+    });
+
+    const scan = await deduplicator.findDuplicatePassages(scanPath);
+    const toLocation = location => ({
+      document: path.relative(this.syncHub, location.folderPath),
+      file: path.relative(this.syncHub, location.mainFile),
+      line_start: location.lineStart,
+      line_end: location.lineEnd
+    });
+
+    let replacements = null;
+    if (replace_with_links) {
+      const canonicalFolder = canonical ? await this.resolveDocumentFolder(canonical) : null;
+      const selected = deduplicator.selectGroups(scan.groups, fingerprints);
+      replacements = (await deduplicator.replaceWithLinks(selected, { canonicalFolder, dryRun: dry_run }))
+        .map(replacement => ({
+          fingerprint: replacement.fingerprint,
+          document: path.relative(this.syncHub, replacement.folderPath),
+          line_start: replacement.lineStart,
+          canonical: path.relative(this.syncHub, replacement.canonicalFolder),
+          replaced: replacement.replaced,
+          ...(replacement.reason && { reason: replacement.reason })
+        }));
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            directory: path.relative(this.syncHub, scanPath) || '.',
+            documents_scanned: scan.documentsScanned,
+            passages_scanned: scan.passagesScanned,
+            duplicate_passage_count: scan.groups.length,
+            duplicate_passages: scan.groups.map(group => ({
+              fingerprint: group.fingerprint,
+              kind: group.kind,
+              words: group.words,
+              preview: group.preview,
+              document_count: group.documentCount,
+              locations: group.locations.map(toLocation)
+            })),
+            ...(replacements && { replacements, dry_run }),
+            timestamp: new Date().toISOString()
+          }, null, 2)
+        }
+      ]
+    };
+  }
+
+  async checkLinks(args = {}) {
+    const { directory, types, max_suggestions = 3 } = args;
+
+    if (!this.documentFolderManager) {
+      throw new Error('DocumentFolderManager not initialized');
+    }
+
+    const scanPath = directory
+      ? (path.isAbsolute(directory) ? directory : path.join(this.syncHub, directory))
+      : this.syncHub;
+    this.documentFolderManager.validatePathWithinSyncHub(scanPath);
+
+    const { LinkChecker } = await import('../organize/link_checker.js');
+    const checker = new LinkChecker(this.documentFolderManager, {
+      searchIndex: (await this.getDocumentSearchEngine()).searchIndex,
+      maxSuggestions: max_suggestions
+    });
+
+    const report = await checker.checkLinks(scanPath);
+    const issues = Array.isArray(types) && types.length > 0
+      ? report.issues.filter(issue => types.includes(issue.type))
+      : report.issues;
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            directory: path.relative(this.syncHub, scanPath) || '.',
+            documents_scanned: report.documentsScanned,
+            files_scanned: report.filesScanned,
+            references_checked: report.referencesChecked,
+            issue_count: issues.length,
+            counts: report.counts,
+            issues,
+            timestamp: new Date().toISOString()
+          }, null, 2)
+        }
+      ]
+    };
+  }
+
+  async manageOrphanedAssets(args = {}) {
+    const { action = 'find', directory, paths, batch_id, dry_run = false } = args;
+
+    if (!this.documentFolderManager) {
+      throw new Error('DocumentFolderManager not initialized');
+    }
+
+    const scanPath = directory
+      ? (path.isAbsolute(directory) ? directory : path.join(this.syncHub, directory))
+      : this.syncHub;
+    this.documentFolderManager.validatePathWithinSyncHub(scanPath);
+
+    const { OrphanedAssetManager } = await import('../organize/orphaned_asset_manager.js');
+    const manager = new OrphanedAssetManager(this.documentFolderManager);
+    let result;
+
+    switch (action) {
+      case 'find':
+        result = await manager.findOrphanedAssets(scanPath);
+        break;
+      case 'quarantine': {
+        // Only assets that are still orphaned can be quarantined
+        const { orphans } = await manager.findOrphanedAssets(scanPath);
+        const selected = Array.isArray(paths) && paths.length > 0
+          ? orphans.filter(orphan => paths.map(item => path.normalize(item)).includes(orphan.path))
+          : orphans;
+        result = await manager.quarantineAssets(selected.map(orphan => orphan.path), { dryRun: dry_run });
+        break;
+      }
+      case 'list_quarantine':
+        result = await manager.listQuarantine();
+        break;
+      case 'restore':
+        if (!batch_id) {
+          throw new Error('batch_id is required to restore assets');
+        }
+        result = await manager.restoreAssets(batch_id, { paths: Array.isArray(paths) && paths.length > 0 ? paths : null });
+        break;
+      default:
+        throw new Error(`Unknown orphaned asset action: ${action}`);
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            action,
+            result,
+            timestamp: new Date().toISOString()
+          }, null, 2)
+        }
+      ]
+    };
+  }
+
+  async findDuplicateImages(args = {}) {
+    const { directory, consolidate_within_folders = false, dry_run = false } = args;
+
+    if (!this.documentFolderManager) {
+      throw new Error('DocumentFolderManager not initialized');
+    }
+
+    const scanPath = directory
+      ? (path.isAbsolute(directory) ? directory : path.join(this.syncHub, directory))
+      : this.syncHub;
+    this.documentFolderManager.validatePathWithinSyncHub(scanPath);
+
+    const { ImageDeduplicator } = await import('../organize/image_deduplicator.js');
+    const deduplicator = new ImageDeduplicator(this.documentFolderManager);
+    const report = await deduplicator.findDuplicateImages(scanPath);
+
+    const consolidation = consolidate_within_folders
+      ? await deduplicator.consolidateWithinFolders(report.groups, { dryRun: dry_run })
+      : null;
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            directory: path.relative(this.syncHub, scanPath) || '.',
+            documents_scanned: report.documentsScanned,
+            images_scanned: report.imagesScanned,
+            duplicate_groups: report.groups.length,
+            reclaimable_bytes: report.reclaimableBytes,
+            reclaimable_within_folders: report.reclaimableWithinFolders,
+            groups: report.groups,
+            consolidation,
+            folder_move_policy: this.getFolderMovePolicyStatus(),
+            timestamp: new Date().toISOString()
+          }, null, 2)
+        }
+      ]
+    };
+  }
+
+  async summarizeDocument(args = {}) {
+    const { document_path, sentences, ratio, max_words, write_to = 'none' } = args;
+
+    if (!['none', 'frontmatter', 'section'].includes(write_to)) {
+      throw new Error(`Invalid write_to '${write_to}', expected none, frontmatter or section`);
+    }
+
+    const folderPath = await this.resolveDocumentFolder(document_path);
+    const content = await this.documentFolderManager.getDocumentContent(folderPath);
+
+    const { Summarizer, applySummary } = await import('../organize/summarizer.js');
+    const result = new Summarizer().summarize(content, { sentences, ratio, maxWords: max_words });
+
+    let written = false;
+    if (write_to === 'frontmatter' && result.summary) {
+      await this.documentFolderManager.setDocumentMetadata(folderPath, { summary: result.summary });
+      written = true;
+    } else if (write_to === 'section' && result.summary) {
+      const updated = applySummary(content, result.summary, 'section');
+      if (updated !== content) {
+        await this.documentFolderManager.updateDocumentContent(folderPath, updated);
+      }
+      written = true;
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            path: path.relative(this.syncHub, folderPath),
+            language: result.language,
+            summary: result.summary,
+            sentences: result.sentences.map(sentence => ({
+              text: sentence.text,
+              position: sentence.index + 1,
+              score: sentence.score
+            })),
+            total_sentences: result.totalSentences,
+            written_to: written ? write_to : null,
+            timestamp: new Date().toISOString()
+          }, null, 2)
+        }
+      ]
+    };
+  }
+
   async consolidateContent(args) {
     try {
       const { topic, file_paths, strategy = 'simple_merge', enhance_with_ai = false, dry_run = false } = args;
@@ -2886,7 +4353,11 @@ export class DocumentOrganizationServer {
 
       // Import ContentAnalyzer
       const { ContentAnalyzer } = await import('../organize/content_analyzer.js');
-      const analyzer = new ContentAnalyzer();
+      const analyzer = new ContentAnalyzer({ searchIndex: (await this.getDocumentSearchEngine()).searchIndex });
+
+      // The classifier, when trained, judges how well each document fits where it is filed
+      await this.trainCategoryClassifier();
+      const classifier = await this.getCategoryClassifier();
 
       // Find all document folders in the directory
       const documentFolders = await this.documentFolderManager.findDocumentFolders(fullDirectoryPath, true);
@@ -2904,12 +4375,19 @@ export class DocumentOrganizationServer {
           // Analyze the main document content
           const analysis = await analyzer.analyzeContent(mainFilePath);
           if (analysis) {
-            const match = manager.findBestCategoryMatch(analysis);
+            // Leave the document out of its own category so the prediction is not self-fulfilling
+            const relativePath = path.relative(this.syncHub, folderPath).split(path.sep).join('/');
+            const prediction = classifier.classify(await fs.readFile(mainFilePath, 'utf8'), path.basename(folderPath), { exclude: relativePath });
+            const match = prediction
+              ? { category: { name: prediction.category }, confidence: prediction.confidence }
+              : manager.findBestCategoryMatch(analysis);
             analyzedDocuments.push({
               folderPath,
               mainFilePath,
               analysis,
               match,
+              prediction,
+              filedIn: path.posix.dirname(relativePath),
               folderName: path.basename(folderPath)
             });
           }
@@ -2947,10 +4425,16 @@ export class DocumentOrganizationServer {
               document_folders_analyzed: analyzedDocuments.length,
               poorly_categorized: poorlyMatched.length,
               suggestion_available: suggestion !== null,
+              classifier_trained: classifier.isTrained(),
               analyzed_folders: analyzedDocuments.map(doc => ({
                 folder_name: doc.folderName,
                 confidence: doc.match ? doc.match.confidence : 0,
-                current_category: doc.match ? doc.match.category.name : 'Unknown'
+                current_category: doc.match ? doc.match.category.name : 'Unknown',
+                filed_in: doc.filedIn,
+                ...(doc.prediction && {
+                  probabilities: doc.prediction.probabilities.slice(0, 3),
+                  suggested_move: doc.prediction.category !== doc.filedIn && doc.prediction.confidence >= 0.5 ? doc.prediction.category : null
+                })
               })),
               timestamp: new Date().toISOString()
             }, null, 2)
@@ -2964,19 +4448,13 @@ export class DocumentOrganizationServer {
 
   async addCustomCategory(args) {
     try {
-      const { name, icon = '📁', description = '', keywords = [], file_patterns = [], priority = 5 } = args;
+      const { name, parent, icon = '📁', description = '', keywords = [], file_patterns = [], priority = 5 } = args;
 
-      // Import CategoryManager
-      const { CategoryManager } = await import('../organize/category_manager.js');
-      const manager = new CategoryManager({
-        configPath: path.join(this.projectRoot, 'config', 'organize_config.conf'),
-        projectRoot: this.projectRoot,
-        syncHub: this.syncHub
-      });
-      await manager.initialize();
+      const manager = await this.createCategoryManager();
 
       const categoryData = {
         name,
+        parent,
         icon,
         description,
         keywords,
@@ -3556,8 +5034,32 @@ export class DocumentOrganizationServer {
     }
   }
 
+  /**
+   * Move a document folder and rewrite the links that point into it
+   * With dryRun the folder stays put and the link changes are only previewed.
+   */
+  async relocateDocumentFolder(folderPath, newFolderPath, options = {}) {
+    const { dryRun = false, updateLinks = true } = options;
+    const searchEngine = updateLinks ? await this.getDocumentSearchEngine() : null;
+    const plan = searchEngine ? await searchEngine.planLinkUpdates(folderPath, newFolderPath) : null;
+
+    if (!dryRun) {
+      await this.documentFolderManager.moveDocumentFolder(folderPath, newFolderPath);
+
+      // A user's move is the strongest training signal there is
+      try {
+        const classifier = await this.getCategoryClassifier();
+        await classifier.relocateDocument(path.relative(this.syncHub, folderPath), path.relative(this.syncHub, newFolderPath));
+      } catch (error) {
+        await this.logWarn('Could not update the category classifier after a move', { error: error.message });
+      }
+    }
+
+    return plan ? await searchEngine.applyLinkUpdates(plan, { dryRun }) : null;
+  }
+
   async renameDocument(args) {
-    const { old_file_path, new_file_name } = args;
+    const { old_file_path, new_file_name, update_links = true, dry_run = false } = args;
 
     try {
       // Check if this is an Obsidian-related file that should not be renamed
@@ -3584,8 +5086,28 @@ export class DocumentOrganizationServer {
             throw new Error(`Target folder already exists: ${sanitizedNewName}`);
           }
 
-          // Move the folder to new name
-          await this.documentFolderManager.moveDocumentFolder(fullPath, newFolderPath);
+          // Move the folder to new name, rewriting links to it
+          const linkUpdates = await this.relocateDocumentFolder(fullPath, newFolderPath, { dryRun: dry_run, updateLinks: update_links });
+          const relativePath = path.relative(this.syncHub, newFolderPath);
+
+          if (dry_run) {
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify({
+                    success: true,
+                    dry_run: true,
+                    old_path: old_file_path,
+                    new_path: relativePath,
+                    new_name: sanitizedNewName,
+                    renamedType: 'folder',
+                    link_updates: linkUpdates
+                  }, null, 2)
+                }
+              ]
+            };
+          }
 
           // Update main document file content to reflect new name
           const mainFilePath = await this.documentFolderManager.getMainDocumentFile(newFolderPath);
@@ -3602,12 +5124,11 @@ export class DocumentOrganizationServer {
             }
           }
 
-          const relativePath = path.relative(this.syncHub, newFolderPath);
-
           await this.logInfo('Document folder renamed successfully', {
             oldPath: old_file_path,
             newPath: relativePath,
-            newName: sanitizedNewName
+            newName: sanitizedNewName,
+            linksUpdated: linkUpdates ? linkUpdates.linksUpdated : 0
           });
 
           return {
@@ -3620,7 +5141,8 @@ export class DocumentOrganizationServer {
                   new_path: relativePath,
                   new_name: sanitizedNewName,
                   message: `Document folder renamed from ${path.basename(fullPath)} to ${sanitizedNewName} successfully.`,
-                  renamedType: 'folder'
+                  renamedType: 'folder',
+                  link_updates: linkUpdates
                 }, null, 2)
               }
             ]
@@ -3647,13 +5169,32 @@ export class DocumentOrganizationServer {
               throw new Error(`Target folder already exists: ${sanitizedNewName}`);
             }
 
-            await this.documentFolderManager.moveDocumentFolder(parentPath, newFolderPath);
-
+            const linkUpdates = await this.relocateDocumentFolder(parentPath, newFolderPath, { dryRun: dry_run, updateLinks: update_links });
             const relativePath = path.relative(this.syncHub, newFolderPath);
 
+            if (dry_run) {
+              return {
+                content: [
+                  {
+                    type: 'text',
+                    text: JSON.stringify({
+                      success: true,
+                      dry_run: true,
+                      old_path: old_file_path,
+                      new_path: relativePath,
+                      new_name: sanitizedNewName,
+                      renamedType: 'folder',
+                      link_updates: linkUpdates
+                    }, null, 2)
+                  }
+                ]
+              };
+            }
+
             await this.logInfo('Document folder renamed successfully (found via parent path)', {
               originalPath: old_file_path,
-              renamedFolderPath: relativePath
+              renamedFolderPath: relativePath,
+              linksUpdated: linkUpdates ? linkUpdates.linksUpdated : 0
             });
 
             return {
@@ -3666,7 +5207,8 @@ export class DocumentOrganizationServer {
                     new_path: relativePath,
                     new_name: sanitizedNewName,
                     message: `Document folder containing ${old_file_path} renamed to ${sanitizedNewName} successfully.`,
-                    renamedType: 'folder'
+                    renamedType: 'folder',
+                    link_updates: linkUpdates
                   }, null, 2)
                 }
               ]
@@ -3812,9 +5354,37 @@ export class DocumentOrganizationServer {
 
 
 
+  /**
+   * Hub-relative folder for a move target category
+   * Accepts a category id, name or nested path, refuses paths deeper than category_depth
+   * and targets inside a document folder.
+   */
+  async resolveTargetCategory(category) {
+    const manager = await this.createCategoryManager();
+    const categoryPath = manager.resolveCategoryPath(category);
+    if (!categoryPath) {
+      throw new Error(`Invalid category path: ${category}`);
+    }
+
+    const parts = categoryPath.split('/');
+    if (parts.length > manager.categoryDepth) {
+      throw new Error(`Category '${categoryPath}' is deeper than category_depth=${manager.categoryDepth}`);
+    }
+    this.documentFolderManager?.validatePathWithinSyncHub(path.join(this.syncHub, ...parts));
+
+    for (let depth = 1; depth <= parts.length; depth++) {
+      const levelPath = path.join(this.syncHub, ...parts.slice(0, depth));
+      if (existsSync(levelPath) && !await manager.isCategoryFolder(levelPath, depth)) {
+        throw new Error(`Cannot move into '${parts.slice(0, depth).join('/')}': it is a document folder, not a category`);
+      }
+    }
+
+    return categoryPath;
+  }
+
   async moveDocument(args) {
     try {
-      const { file_path, file_paths, new_category, topic = 'General', strategy = 'move', enhance_with_ai = false, dry_run = false } = args;
+      const { file_path, file_paths, new_category, topic = 'General', strategy = 'move', enhance_with_ai = false, dry_run = false, update_links = true } = args;
 
       // Handle both single file_path and multiple file_paths parameters
       let filePaths = [];
@@ -3830,6 +5400,10 @@ export class DocumentOrganizationServer {
 
       // If new_category is provided, handle simple move operation
       if (new_category) {
+        await this.assertWritableCategory(new_category);
+        const categoryPath = await this.resolveTargetCategory(new_category);
+        const newCategoryPath = path.join(this.syncHub, ...categoryPath.split('/'));
+
         const results = [];
         for (const filePath of filePaths) {
           try {
@@ -3854,22 +5428,20 @@ export class DocumentOrganizationServer {
               if (isDocFolder) {
                 // Move entire document folder to new category
                 const folderName = path.basename(fullPath);
-                const newCategoryPath = path.join(this.syncHub, new_category);
                 const newFolderPath = path.join(newCategoryPath, folderName);
 
                 // Ensure new category directory exists
                 await fs.mkdir(newCategoryPath, { recursive: true });
 
-                if (!dry_run) {
-                  await this.documentFolderManager.moveDocumentFolder(fullPath, newFolderPath);
-                }
+                const linkUpdates = await this.relocateDocumentFolder(fullPath, newFolderPath, { dryRun: dry_run, updateLinks: update_links });
 
                 results.push({
                   old_path: filePath,
                   new_path: path.relative(this.syncHub, newFolderPath),
-                  category: new_category,
+                  category: categoryPath,
                   moved: !dry_run,
-                  movedType: 'folder'
+                  movedType: 'folder',
+                  link_updates: linkUpdates
                 });
                 continue;
               }
@@ -3888,22 +5460,20 @@ export class DocumentOrganizationServer {
                 if (isParentDocFolder) {
                   // Move the entire document folder
                   const folderName = path.basename(parentPath);
-                  const newCategoryPath = path.join(this.syncHub, new_category);
                   const newFolderPath = path.join(newCategoryPath, folderName);
 
                   await fs.mkdir(newCategoryPath, { recursive: true });
 
-                  if (!dry_run) {
-                    await this.documentFolderManager.moveDocumentFolder(parentPath, newFolderPath);
-                  }
+                  const linkUpdates = await this.relocateDocumentFolder(parentPath, newFolderPath, { dryRun: dry_run, updateLinks: update_links });
 
                   results.push({
                     old_path: filePath,
                     new_path: path.relative(this.syncHub, newFolderPath),
-                    category: new_category,
+                    category: categoryPath,
                     moved: !dry_run,
                     movedType: 'folder',
-                    note: `Moved entire document folder containing ${filePath}`
+                    note: `Moved entire document folder containing ${filePath}`,
+                    link_updates: linkUpdates
                   });
                   foundDocumentFolder = true;
                   break;
@@ -4018,8 +5588,6 @@ export class DocumentOrganizationServer {
               throw new Error(`Document not found: ${filePath}`);
             }
 
-            const newCategoryPath = path.join(this.syncHub, new_category);
-
             // Ensure new category directory exists
             await fs.mkdir(newCategoryPath, { recursive: true });
 
@@ -4036,7 +5604,7 @@ export class DocumentOrganizationServer {
             results.push({
               old_path: filePath,
               new_path: path.relative(this.syncHub, newFullPath),
-              category: new_category,
+              category: categoryPath,
               moved: !dry_run,
               movedType: 'file'
             });
@@ -4053,7 +5621,7 @@ export class DocumentOrganizationServer {
           totalFiles: filePaths.length,
           successfulMoves: results.filter(r => r.moved).length,
           failedMoves: results.filter(r => !r.moved).length,
-          newCategory: new_category,
+          newCategory: categoryPath,
           dryRun: dry_run
         });
 
@@ -4064,9 +5632,9 @@ export class DocumentOrganizationServer {
               text: JSON.stringify({
                 success: results.every(r => r.moved !== false),
                 results,
-                new_category,
+                new_category: categoryPath,
                 dry_run,
-                message: `${dry_run ? 'Simulated' : 'Completed'} move of ${results.length} document(s) to ${new_category}`,
+                message: `${dry_run ? 'Simulated' : 'Completed'} move of ${results.length} document(s) to ${categoryPath}`,
                 timestamp: new Date().toISOString()
               }, null, 2)
             }
@@ -4091,7 +5659,7 @@ export class DocumentOrganizationServer {
         throw new Error('Required modules for content move are not available');
       }
 
-      const analyzer = new ContentAnalyzer();
+      const analyzer = new ContentAnalyzer({ searchIndex: (await this.getDocumentSearchEngine()).searchIndex });
       const analyzedFiles = [];
 
       for (const filePath of file_paths) {
@@ -4183,7 +5751,7 @@ export class DocumentOrganizationServer {
         ]
       };
     } catch (error) {
-      await this.logError('Document move failed', { file_path, file_paths, new_category }, error);
+      await this.logError('Document move failed', { file_path: args.file_path, file_paths: args.file_paths, new_category: args.new_category }, error);
       throw new Error(`Move document failed: ${error.message}`);
     }
   }
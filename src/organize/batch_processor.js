@@ -20,6 +20,8 @@ class BatchProcessor {
         });
         this.initialized = false;
         this.modules = {};
+        this.syncHubPath = options.syncHubPath || null;
+        this.searchIndex = null;
 
         // Initialize error handler
         this.errorHandler = createErrorHandler('BatchProcessor', {
@@ -137,6 +139,23 @@ class BatchProcessor {
         });
     }
 
+    /**
+     * Search index over the sync hub, so topics are weighted against the whole hub
+     * Returns null when no sync hub is configured.
+     */
+    async getSearchIndex() {
+        if (!this.syncHubPath) {
+            return null;
+        }
+
+        if (!this.searchIndex) {
+            const { DocumentFolderManager } = await import('./document_folder_manager.js');
+            const { SearchIndex } = await import('./search_index.js');
+            this.searchIndex = new SearchIndex(new DocumentFolderManager(this.syncHubPath));
+        }
+        return this.searchIndex;
+    }
+
     /**
      * Process files for consolidation candidates
      */
@@ -150,7 +169,8 @@ class BatchProcessor {
         try {
             const analyzer = new this.modules.ContentAnalyzer.ContentAnalyzer({
                 similarityThreshold: options.similarityThreshold || 0.8,
-                minContentLength: options.minContentLength || 50
+                minContentLength: options.minContentLength || 50,
+                searchIndex: await this.getSearchIndex()
             });
 
             console.log(`[BatchProcessor] Analyzing ${fileList.length} files for consolidation...`);
@@ -185,7 +205,9 @@ class BatchProcessor {
                 configPath: options.configPath
             });
 
-            const analyzer = new this.modules.ContentAnalyzer.ContentAnalyzer();
+            const analyzer = new this.modules.ContentAnalyzer.ContentAnalyzer({
+                searchIndex: await this.getSearchIndex()
+            });
             const categoryManager = new this.modules.CategoryManager.CategoryManager({
                 configPath: options.configPath,
                 projectRoot: this.projectRoot
@@ -378,7 +400,8 @@ async function main() {
 
     try {
         const processor = new BatchProcessor({
-            projectRoot: process.env.PROJECT_ROOT
+            projectRoot: process.env.PROJECT_ROOT,
+            syncHubPath: process.env.SYNC_HUB
         });
 
         switch (command) {
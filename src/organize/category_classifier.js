@@ -0,0 +1,437 @@
+#!/usr/bin/env node
+
+/**
+ * Category Classifier
+ * Multinomial Naive Bayes over the documents already filed in each category
+ *
+ * Every document folder counts as one training example for the category it sits in
+ * (its parent path, so nested categories are classes of their own). Training is
+ * incremental: the model keeps each document's term counts, so a moved, edited or
+ * deleted document is unlearned and relearned without touching the rest. Raw Naive
+ * Bayes posteriors are far too sure of themselves; they are softened with a
+ * temperature fitted on leave-one-out predictions over the training documents, so a
+ * confidence of 0.8 is right about 80% of the time.
+ *
+ * The model lives in the project's data directory, never in the sync hub.
+ */
+
+import { promises as fs, existsSync } from 'fs';
+import path from 'path';
+import { createErrorHandler } from './error_handler.js';
+import { parseFrontmatter } from './frontmatter.js';
+import { tokenize, extractFields, dictionary } from './search_index.js';
+import { detectLanguage, isStopword, stemWord } from './language_detector.js';
+
+export const MODEL_VERSION = 1;
+
+/**
+ * Terms kept per document: its most frequent ones, which bounds the model's size
+ */
+export const MAX_TERMS_PER_DOCUMENT = 400;
+
+const SMOOTHING = 1;
+const CALIBRATION_SAMPLE = 300;
+// Never sharper than the raw posteriors: a temperature below 1 would only add confidence
+const TEMPERATURES = Array.from({ length: 33 }, (_, index) => 10 ** (index / 8));
+
+function termCount(terms, term) {
+    return Object.hasOwn(terms, term) ? terms[term] : 0;
+}
+
+/**
+ * Stemmed content terms of a document with their counts
+ * Title, headings and the folder name count alongside the body; stopwords, numbers
+ * and single characters are dropped. `surfaces`, when given, collects the first word
+ * seen for each stem so terms can be shown as written.
+ */
+export function documentTerms(content, name = '', surfaces = null) {
+    const { body } = parseFrontmatter(content || '');
+    const fields = extractFields(body, name);
+    const text = [fields.title, fields.headings, fields.folder.replace(/[-_]+/g, ' '), fields.body].join('\n');
+    const language = (detectLanguage(text) || { code: 'en' }).code;
+
+    const counts = new Map();
+    for (const token of tokenize(text)) {
+        if (token.length < 2 || /^[\d_]+$/.test(token) || isStopword(token, language)) {
+            continue;
+        }
+        const term = stemWord(token, language);
+        counts.set(term, (counts.get(term) || 0) + 1);
+        if (surfaces && !surfaces.has(term)) {
+            surfaces.set(term, token);
+        }
+    }
+
+    return dictionary(Object.fromEntries(Array.from(counts.entries())
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, MAX_TERMS_PER_DOCUMENT)));
+}
+
+function emptyModel() {
+    return { version: MODEL_VERSION, temperature: 1, trainedAt: null, categories: dictionary(), documents: dictionary() };
+}
+
+/**
+ * Category Classifier Class
+ * Trains on the filed documents and predicts categories with calibrated confidence
+ */
+export class CategoryClassifier {
+    constructor(documentFolderManager, options = {}) {
+        this.documentFolderManager = documentFolderManager;
+        this.syncHubPath = documentFolderManager.syncHubPath;
+        this.categoryManager = options.categoryManager;
+        this.excludedFolders = new Set(options.excludedFolders || []);
+        this.modelPath = options.modelPath;
+        this.model = emptyModel();
+        this.vocabulary = new Map();
+
+        // Initialize error handler
+        this.errorHandler = createErrorHandler('CategoryClassifier', {
+            enableConsoleLogging: process.env.NODE_ENV !== 'production'
+        });
+
+        // Bind logging methods
+        this.logInfo = this.errorHandler.logInfo.bind(this.errorHandler);
+    }
+
+    /**
+     * Read the saved model; a missing or outdated model starts empty
+     */
+    async load() {
+        this.model = emptyModel();
+        if (this.modelPath && existsSync(this.modelPath)) {
+            try {
+                const saved = JSON.parse(await fs.readFile(this.modelPath, 'utf8'));
+                if (saved.version === MODEL_VERSION) {
+                    this.model = { ...saved, categories: dictionary(), documents: dictionary() };
+                    for (const [category, stats] of Object.entries(saved.categories)) {
+                        this.model.categories[category] = { ...stats, terms: dictionary(stats.terms) };
+                    }
+                    for (const [relativePath, document] of Object.entries(saved.documents)) {
+                        this.model.documents[relativePath] = { ...document, terms: dictionary(document.terms) };
+                    }
+                }
+            } catch {
+                // A corrupt model is rebuilt by the next train()
+            }
+        }
+        this.rebuildVocabulary();
+        return this;
+    }
+
+    async save() {
+        if (!this.modelPath) {
+            return;
+        }
+        await fs.mkdir(path.dirname(this.modelPath), { recursive: true });
+        await fs.writeFile(this.modelPath, JSON.stringify(this.model), 'utf8');
+    }
+
+    /**
+     * Bring the model in line with the hub: learn new and changed documents, forget removed ones
+     * Returns { documents, categories, learned, forgotten }.
+     */
+    async train() {
+        return await this.errorHandler.wrapAsync(async () => {
+            const folders = await this.findFiledDocuments(this.syncHubPath, 0);
+            const seen = new Set();
+            let learned = 0;
+            let forgotten = 0;
+
+            for (const folderPath of folders) {
+                const relativePath = path.relative(this.syncHubPath, folderPath).split(path.sep).join('/');
+                const category = path.posix.dirname(relativePath);
+                const mainFile = await this.documentFolderManager.getMainDocumentFile(folderPath);
+                if (!mainFile) {
+                    continue;
+                }
+                seen.add(relativePath);
+
+                const modified = (await fs.stat(mainFile)).mtimeMs;
+                const known = this.model.documents[relativePath];
+                if (known && known.category === category && known.modified === modified) {
+                    continue;
+                }
+
+                const content = await fs.readFile(mainFile, 'utf8');
+                this.learnDocument(relativePath, category, documentTerms(content, path.basename(folderPath)), modified);
+                learned++;
+            }
+
+            for (const relativePath of Object.keys(this.model.documents)) {
+                if (!seen.has(relativePath)) {
+                    this.forgetDocument(relativePath);
+                    forgotten++;
+                }
+            }
+
+            if (learned > 0 || forgotten > 0 || !this.model.trainedAt) {
+                this.calibrate();
+                this.model.trainedAt = new Date().toISOString();
+                await this.save();
+                await this.logInfo('Category classifier trained', { learned, forgotten, documents: Object.keys(this.model.documents).length });
+            }
+
+            return {
+                documents: Object.keys(this.model.documents).length,
+                categories: Object.keys(this.model.categories).length,
+                learned,
+                forgotten
+            };
+        }, {
+            operation: 'trainCategoryClassifier',
+            syncHubPath: this.syncHubPath
+        });
+    }
+
+    /**
+     * Document folders filed under a category, walking subcategories
+     * Category folders are told apart from document folders the way loose-file detection
+     * does, so a category holding a stray note is never mistaken for a document.
+     * Top-level folders in `excludedFolders` (the review inbox) hold nothing filed yet.
+     */
+    async findFiledDocuments(folderPath, depth) {
+        const folders = [];
+        const entries = await fs.readdir(folderPath, { withFileTypes: true }).catch(() => []);
+
+        for (const entry of entries) {
+            if (!entry.isDirectory() || entry.name.startsWith('.') || entry.name.startsWith('_')) {
+                continue;
+            }
+            const entryPath = path.join(folderPath, entry.name);
+            if (depth === 0 && this.excludedFolders.has(entry.name)) {
+                continue;
+            }
+            if (await this.categoryManager.isCategoryFolder(entryPath, depth + 1)) {
+                folders.push(...await this.findFiledDocuments(entryPath, depth + 1));
+            } else if (depth > 0 && await this.documentFolderManager.isDocumentFolder(entryPath)) {
+                folders.push(entryPath);
+            }
+        }
+        return folders;
+    }
+
+    /**
+     * Add (or replace) one document's contribution to its category
+     */
+    learnDocument(relativePath, category, terms, modified = null) {
+        this.forgetDocument(relativePath);
+
+        const stats = this.model.categories[category] || (this.model.categories[category] = { documents: 0, tokens: 0, terms: dictionary() });
+        stats.documents++;
+        for (const [term, count] of Object.entries(terms)) {
+            stats.terms[term] = termCount(stats.terms, term) + count;
+            stats.tokens += count;
+            this.vocabulary.set(term, (this.vocabulary.get(term) || 0) + count);
+        }
+        this.model.documents[relativePath] = { category, modified, terms: dictionary(terms) };
+    }
+
+    /**
+     * Remove one document's contribution; categories left without documents are dropped
+     */
+    forgetDocument(relativePath) {
+        const document = this.model.documents[relativePath];
+        if (!document) {
+            return false;
+        }
+
+        const stats = this.model.categories[document.category];
+        stats.documents--;
+        for (const [term, count] of Object.entries(document.terms)) {
+            stats.terms[term] -= count;
+            stats.tokens -= count;
+            if (stats.terms[term] <= 0) {
+                delete stats.terms[term];
+            }
+            const remaining = (this.vocabulary.get(term) || 0) - count;
+            if (remaining > 0) {
+                this.vocabulary.set(term, remaining);
+            } else {
+                this.vocabulary.delete(term);
+            }
+        }
+        if (stats.documents <= 0) {
+            delete this.model.categories[document.category];
+        }
+        delete this.model.documents[relativePath];
+        return true;
+    }
+
+    /**
+     * Record a document folder move (hub-relative paths); its new parent becomes its category
+     */
+    async relocateDocument(oldRelativePath, newRelativePath) {
+        const oldKey = oldRelativePath.split(path.sep).join('/');
+        const newKey = newRelativePath.split(path.sep).join('/');
+        const document = this.model.documents[oldKey];
+        if (!document) {
+            return false;
+        }
+
+        this.forgetDocument(oldKey);
+        this.learnDocument(newKey, path.posix.dirname(newKey), document.terms, document.modified);
+        this.calibrate();
+        await this.save();
+        return true;
+    }
+
+    /**
+     * Whether there are at least two categories to choose between
+     */
+    isTrained() {
+        return Object.keys(this.model.categories).length >= 2;
+    }
+
+    /**
+     * Predict the category of a text
+     * `exclude` leaves a filed document out of its own category, for a fair prediction of
+     * where it belongs. Returns { category, confidence, probabilities: [{ category, confidence, reasons? }] },
+     * with reasons for the top three, or null while the model is not trained.
+     */
+    classify(content, name = '', options = {}) {
+        if (!this.isTrained()) {
+            return null;
+        }
+
+        const surfaces = new Map();
+        const terms = documentTerms(content, name, surfaces);
+        const excluded = options.exclude ? this.model.documents[options.exclude] : null;
+        const scores = this.scoreTerms(terms, excluded);
+        const probabilities = this.calibratedProbabilities(scores)
+            .sort((a, b) => b.confidence - a.confidence || a.category.localeCompare(b.category));
+        for (const entry of probabilities.slice(0, 3)) {
+            entry.reasons = this.explainCategory(terms, entry.category, surfaces);
+        }
+
+        return {
+            category: probabilities[0].category,
+            confidence: probabilities[0].confidence,
+            probabilities
+        };
+    }
+
+    /**
+     * Log-posterior (up to a constant) of each category for a set of term counts
+     * An excluded document's own counts are subtracted from its category first.
+     */
+    scoreTerms(terms, excluded = null) {
+        const categories = Object.entries(this.model.categories);
+        const totalDocuments = categories.reduce((sum, [, stats]) => sum + stats.documents, 0) - (excluded ? 1 : 0);
+        const vocabularySize = Math.max(this.vocabulary.size, 1);
+        const scores = [];
+
+        for (const [category, stats] of categories) {
+            const own = excluded && excluded.category === category ? excluded.terms : null;
+            const documents = stats.documents - (own ? 1 : 0);
+            if (documents <= 0) {
+                continue;
+            }
+            const tokens = stats.tokens - (own ? Object.values(own).reduce((sum, count) => sum + count, 0) : 0);
+            const denominator = Math.log(tokens + SMOOTHING * vocabularySize);
+
+            let score = Math.log(documents / totalDocuments);
+            for (const [term, count] of Object.entries(terms)) {
+                if (!this.vocabulary.has(term)) {
+                    continue;
+                }
+                const learned = termCount(stats.terms, term) - (own ? termCount(own, term) : 0);
+                score += count * (Math.log(learned + SMOOTHING) - denominator);
+            }
+            scores.push({ category, score });
+        }
+        return scores;
+    }
+
+    /**
+     * Why a text looks like a category: the words that favor it most over the other
+     * categories, and how many documents it was learned from
+     */
+    explainCategory(terms, category, surfaces = new Map(), limit = 5) {
+        const stats = this.model.categories[category];
+        const others = Object.entries(this.model.categories).filter(([name]) => name !== category);
+        const vocabularySize = Math.max(this.vocabulary.size, 1);
+        const likelihood = (categoryStats, term) =>
+            Math.log((termCount(categoryStats.terms, term) + SMOOTHING) / (categoryStats.tokens + SMOOTHING * vocabularySize));
+
+        const words = Object.entries(terms)
+            .filter(([term]) => termCount(stats.terms, term) > 0)
+            .map(([term, count]) => ({
+                word: surfaces.get(term) || term,
+                weight: count * (likelihood(stats, term) -
+                    others.reduce((sum, [, other]) => sum + likelihood(other, term), 0) / Math.max(others.length, 1))
+            }))
+            .filter(entry => entry.weight > 0)
+            .sort((a, b) => b.weight - a.weight || a.word.localeCompare(b.word))
+            .slice(0, limit)
+            .map(entry => entry.word);
+
+        const reasons = [];
+        if (words.length > 0) {
+            reasons.push(`Words typical of ${category}: ${words.join(', ')}`);
+        }
+        reasons.push(`Learned from ${stats.documents} document${stats.documents === 1 ? '' : 's'} filed in ${category}`);
+        return reasons;
+    }
+
+    calibratedProbabilities(scores, temperature = this.model.temperature) {
+        const max = Math.max(...scores.map(entry => entry.score));
+        const weights = scores.map(entry => Math.exp((entry.score - max) / temperature));
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+        return scores.map((entry, index) => ({ category: entry.category, confidence: Number((weights[index] / total).toFixed(4)) }));
+    }
+
+    /**
+     * Fit the softmax temperature that minimizes leave-one-out log loss on the training documents
+     */
+    calibrate() {
+        const examples = Object.entries(this.model.documents)
+            .filter(([, document]) => (this.model.categories[document.category] || {}).documents > 1)
+            .sort((a, b) => a[0].localeCompare(b[0]));
+        if (examples.length === 0 || !this.isTrained()) {
+            this.model.temperature = 1;
+            return this.model.temperature;
+        }
+
+        // An even spread over the documents keeps large hubs cheap to calibrate
+        const step = Math.max(1, Math.floor(examples.length / CALIBRATION_SAMPLE));
+        const scored = examples
+            .filter((_, index) => index % step === 0)
+            .map(([, document]) => ({ truth: document.category, scores: this.scoreTerms(document.terms, document) }));
+
+        let best = { temperature: 1, loss: Infinity };
+        for (const temperature of TEMPERATURES) {
+            let loss = 0;
+            for (const { truth, scores } of scored) {
+                const max = Math.max(...scores.map(entry => entry.score / temperature));
+                const logTotal = Math.log(scores.reduce((sum, entry) => sum + Math.exp(entry.score / temperature - max), 0)) + max;
+                const own = scores.find(entry => entry.category === truth);
+                loss += logTotal - own.score / temperature;
+            }
+            if (loss < best.loss) {
+                best = { temperature, loss };
+            }
+        }
+
+        this.model.temperature = best.temperature;
+        return best.temperature;
+    }
+
+    rebuildVocabulary() {
+        this.vocabulary = new Map();
+        for (const stats of Object.values(this.model.categories)) {
+            for (const [term, count] of Object.entries(stats.terms)) {
+                this.vocabulary.set(term, (this.vocabulary.get(term) || 0) + count);
+            }
+        }
+    }
+}
+
+/**
+ * Factory function to create CategoryClassifier instance
+ */
+export function createCategoryClassifier(documentFolderManager, options = {}) {
+    return new CategoryClassifier(documentFolderManager, options);
+}
+
+export default CategoryClassifier;
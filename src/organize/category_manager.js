@@ -3,10 +3,48 @@
 /**
  * Category Manager Module
  * Handles extensible category system with AI suggestions and user-defined categories
+ *
+ * Categories nest up to `category_depth` levels (e.g. `Development/Frontend/React`).
+ * Each category has a hub-relative `path` and a `parent` id; any folder under the sync
+ * hub that is not a document folder and sits within that depth is a category too.
  */
 
-import { promises as fs } from 'fs';
+import { promises as fs, existsSync, readFileSync } from 'fs';
 import path from 'path';
+import { stemWord } from './language_detector.js';
+
+export const DEFAULT_CATEGORY_DEPTH = 3;
+
+/**
+ * Read `category_depth` from organize_config.conf
+ */
+export function loadCategoryDepth(configPath) {
+    if (!configPath || !existsSync(configPath)) {
+        return DEFAULT_CATEGORY_DEPTH;
+    }
+
+    for (const line of readFileSync(configPath, 'utf8').split('\n')) {
+        const match = line.trim().match(/^category_depth\s*=\s*"?(\d+)"?$/);
+        if (match && parseInt(match[1], 10) > 0) {
+            return parseInt(match[1], 10);
+        }
+    }
+    return DEFAULT_CATEGORY_DEPTH;
+}
+
+/**
+ * Clean hub-relative category path with forward slashes, or null if it leaves the hub
+ */
+export function normalizeCategoryPath(categoryPath) {
+    const parts = String(categoryPath || '')
+        .split(/[\\/]+/)
+        .map(part => part.trim())
+        .filter(part => part && part !== '.');
+    if (parts.length === 0 || parts.some(part => part === '..')) {
+        return null;
+    }
+    return parts.join('/');
+}
 
 export class CategoryManager {
     constructor(options = {}) {
@@ -16,6 +54,8 @@ export class CategoryManager {
         this.categories = new Map();
         this.customCategories = new Map();
         this.categoryStats = new Map();
+        this.categoryDepth = options.categoryDepth || loadCategoryDepth(this.configPath);
+        this.imagesFolder = options.imagesFolder || 'images';
         this.initialized = false;
     }
 
@@ -106,7 +146,7 @@ export class CategoryManager {
         ];
 
         defaultCategories.forEach(category => {
-            this.categories.set(category.id, category);
+            this.categories.set(category.id, { ...category, path: category.name, parent: null });
         });
     }
 
@@ -126,6 +166,8 @@ export class CategoryManager {
 
             if (customSection) {
                 customSection.forEach(category => {
+                    category.path = category.path || category.name;
+                    category.parent = category.parent || null;
                     this.customCategories.set(category.id, category);
                     this.categories.set(category.id, category);
                 });
@@ -163,11 +205,29 @@ export class CategoryManager {
 
     /**
      * Add custom category
+     * `parent` (a category id or path) nests it, e.g. parent `Development/Frontend` and
+     * name `React` make `Development/Frontend/React`; the parent need not be declared.
      */
     async addCustomCategory(categoryData) {
+        const parent = categoryData.parent ? this.resolveCategory(categoryData.parent) : null;
+        const parentPath = categoryData.parent ? (parent ? parent.path : normalizeCategoryPath(categoryData.parent)) : null;
+        if (categoryData.parent && !parentPath) {
+            throw new Error(`Invalid parent category: ${categoryData.parent}`);
+        }
+
+        const categoryPath = normalizeCategoryPath(parentPath ? `${parentPath}/${categoryData.name}` : categoryData.name);
+        if (!categoryPath || (parentPath && categoryData.name.includes('/'))) {
+            throw new Error(`Invalid category name: ${categoryData.name}`);
+        }
+        if (categoryPath.split('/').length > this.categoryDepth) {
+            throw new Error(`Category '${categoryPath}' is deeper than category_depth=${this.categoryDepth}`);
+        }
+
         const category = {
-            id: this.generateCategoryId(categoryData.name),
-            name: categoryData.name,
+            id: this.generateCategoryId(categoryPath.split('/').join(' ')),
+            name: categoryPath.split('/').pop(),
+            path: categoryPath,
+            parent: parent ? parent.id : (parentPath ? this.generateCategoryId(parentPath.split('/').join(' ')) : null),
             icon: categoryData.icon || '',
             description: categoryData.description || '',
             keywords: categoryData.keywords || [],
@@ -194,6 +254,21 @@ export class CategoryManager {
      * Find best matching category for content
      */
     findBestCategoryMatch(contentAnalysis) {
+        // A category declared in frontmatter is authoritative
+        const declared = contentAnalysis.metadata && contentAnalysis.metadata.category;
+        if (declared) {
+            const known = Array.from(this.categories.entries())
+                .find(([, category]) => category.name.toLowerCase() === String(declared).toLowerCase());
+            return known
+                ? { categoryId: known[0], category: known[1], confidence: 1.0, source: 'frontmatter' }
+                : {
+                    categoryId: this.generateCategoryId(String(declared)),
+                    category: { name: String(declared), description: 'Declared in document frontmatter' },
+                    confidence: 1.0,
+                    source: 'frontmatter'
+                };
+        }
+
         let bestMatch = null;
         let bestScore = 0;
 
@@ -215,10 +290,13 @@ export class CategoryManager {
         let score = 0;
         const { topics, contentType, metadata, structure: _structure } = contentAnalysis;
 
-        // Keyword matching
+        // Keyword matching, also by stem in the document's language (so "invoices" matches "invoice")
         const allText = [...topics, contentType, metadata.suggestedTitle || ''].join(' ').toLowerCase();
+        const language = (contentAnalysis.language && contentAnalysis.language.code) || 'en';
+        const stems = new Set((allText.match(/[\p{L}\p{N}]+/gu) || []).map(word => stemWord(word, language)));
         const keywordMatches = category.keywords.filter(keyword =>
-            allText.includes(keyword.toLowerCase())
+            allText.includes(keyword.toLowerCase()) ||
+            (!/\s/.test(keyword.trim()) && stems.has(stemWord(keyword.trim(), language)))
         ).length;
         score += (keywordMatches / category.keywords.length) * 0.4;
 
@@ -271,7 +349,7 @@ export class CategoryManager {
             icon: suggestedIcon,
             description: `Auto-suggested category for ${topTopics.join(', ')} content`,
             keywords: topTopics,
-            filePatterns: [`*${topTopics[0]}*`],
+            filePatterns: [`*${topTopics[0].replace(/\s+/g, '-')}*`],
             contentPatterns: topTopics.map(topic => new RegExp(topic, 'i')),
             priority: 6,
             confidence: topicFrequency.get(topTopics[0]) / unmatchedContent.length,
@@ -284,8 +362,7 @@ export class CategoryManager {
      */
     generateCategoryName(topics) {
         const mainTopic = topics[0];
-        const formattedTopic = mainTopic.charAt(0).toUpperCase() + mainTopic.slice(1);
-        return formattedTopic;
+        return mainTopic.split(' ').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
     }
 
     /**
@@ -331,9 +408,10 @@ export class CategoryManager {
 
         if (!this.projectRoot) return;
 
-        // Remove emoji from category name for folder creation
-        const folderName = category.name.replace(/[\p{Emoji_Presentation}\p{Extended_Pictographic}]/gu, '').replace(/\s+/g, ' ').trim();
-        const categoryPath = path.join(this.syncHub, folderName);
+        // Remove emoji from each level of the category path for folder creation
+        const folderPath = (category.path || category.name).split('/')
+            .map(part => part.replace(/[\p{Emoji_Presentation}\p{Extended_Pictographic}]/gu, '').replace(/\s+/g, ' ').trim());
+        const categoryPath = path.join(this.syncHub, ...folderPath);
 
         try {
             await fs.mkdir(categoryPath, { recursive: true });
@@ -358,6 +436,8 @@ ${category.description}
 
 ## Category Details
 - **ID**: ${category.id}
+- **Path**: ${category.path || category.name}
+- **Parent**: ${category.parent || 'none'}
 - **Icon**: ${category.icon}
 - **Priority**: ${category.priority}
 - **Auto-detect**: ${category.autoDetect}
@@ -377,38 +457,111 @@ ${category.filePatterns.map(p => `- ${p}`).join('\n')}
 
     /**
      * Update category statistics
+     * Every category folder down to `categoryDepth` gets an entry keyed by its hub-relative
+     * path. Counts include its subcategories; the `direct*` counts cover only its own level.
      */
     async updateCategoryStats() {
 
         if (!this.projectRoot) return;
 
         try {
-            const entries = await fs.readdir(this.syncHub, { withFileTypes: true });
+            const folders = await this.scanCategoryFolders();
+            const byPath = new Map();
+            this.categoryStats.clear();
+
+            for (const folder of folders) {
+                const subcategories = folders.filter(other => other.parent === folder.path);
+                const direct = await this.countDocumentFoldersInCategory(folder.fullPath, new Set(subcategories.map(child => child.fullPath)));
+                byPath.set(folder.path, {
+                    name: path.basename(folder.fullPath),
+                    path: folder.path,
+                    parent: folder.parent,
+                    depth: folder.depth,
+                    subcategories: subcategories.map(child => child.path),
+                    documentFolderCount: direct.documentFolderCount,
+                    fileCount: direct.fileCount, // Keep for backward compatibility
+                    folderCount: direct.folderCount,
+                    totalSize: direct.totalSize,
+                    directDocumentFolderCount: direct.documentFolderCount,
+                    directFileCount: direct.fileCount,
+                    lastUpdated: new Date().toISOString()
+                });
+            }
 
-            for (const entry of entries) {
-                if (entry.isDirectory()) {
-                    const categoryPath = path.join(this.syncHub, entry.name);
-                    const stats = await this.countDocumentFoldersInCategory(categoryPath);
-
-                    this.categoryStats.set(entry.name, {
-                        name: entry.name,
-                        documentFolderCount: stats.documentFolderCount,
-                        fileCount: stats.fileCount, // Keep for backward compatibility
-                        folderCount: stats.folderCount,
-                        totalSize: stats.totalSize,
-                        lastUpdated: new Date().toISOString()
-                    });
+            // Roll each level up into its ancestors, deepest first
+            for (const folder of [...folders].sort((a, b) => b.depth - a.depth)) {
+                const stats = byPath.get(folder.path);
+                const parent = folder.parent ? byPath.get(folder.parent) : null;
+                if (parent) {
+                    parent.documentFolderCount += stats.documentFolderCount;
+                    parent.fileCount += stats.fileCount;
+                    parent.folderCount += stats.folderCount + 1;
+                    parent.totalSize += stats.totalSize;
                 }
             }
+
+            for (const folder of folders) {
+                this.categoryStats.set(folder.path, byPath.get(folder.path));
+            }
         } catch (error) {
             console.warn(`Failed to update category stats: ${error.message}`);
         }
     }
 
+    /**
+     * Category folders under the sync hub, parents before children
+     * See isCategoryFolder; nothing deeper than `categoryDepth` levels is a category.
+     * Returns [{ path, parent, depth, fullPath }] with hub-relative, slash-separated paths.
+     */
+    async scanCategoryFolders(directory = this.syncHub, parent = null, depth = 1) {
+        const folders = [];
+        if (depth > this.categoryDepth) {
+            return folders;
+        }
+
+        const entries = await fs.readdir(directory, { withFileTypes: true }).catch(() => []);
+        for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+            if (!entry.isDirectory() || entry.name.startsWith('.') || entry.name.startsWith('_')) {
+                continue;
+            }
+            const fullPath = path.join(directory, entry.name);
+            if (!await this.isCategoryFolder(fullPath, depth)) {
+                continue;
+            }
+            const categoryPath = parent ? `${parent}/${entry.name}` : entry.name;
+            folders.push({ path: categoryPath, parent, depth, fullPath });
+            folders.push(...await this.scanCategoryFolders(fullPath, categoryPath, depth + 1));
+        }
+        return folders;
+    }
+
+    /**
+     * Whether a folder `depth` levels below the sync hub is a category
+     * Every top-level folder is one, as before nesting. Deeper, a folder is a category
+     * unless it is a document folder; a folder with document files that also holds
+     * subfolders other than its images folder is a category with loose files.
+     */
+    async isCategoryFolder(folderPath, depth) {
+        if (depth <= 1) {
+            return true;
+        }
+        if (depth > this.categoryDepth) {
+            return false;
+        }
+        if (!await this.isDocumentFolder(folderPath)) {
+            return true;
+        }
+
+        const entries = await fs.readdir(folderPath, { withFileTypes: true }).catch(() => []);
+        return entries.some(entry => entry.isDirectory() &&
+            !entry.name.startsWith('.') && !entry.name.startsWith('_') && entry.name !== this.imagesFolder);
+    }
+
     /**
      * Count document folders in category (folder-based architecture)
+     * Folders in `excluded` (subcategories counted separately) are skipped.
      */
-    async countDocumentFoldersInCategory(categoryPath) {
+    async countDocumentFoldersInCategory(categoryPath, excluded = new Set()) {
         let documentFolderCount = 0;
         let fileCount = 0;
         let folderCount = 0;
@@ -420,6 +573,9 @@ ${category.filePatterns.map(p => `- ${p}`).join('\n')}
             for (const entry of entries) {
                 if (entry.isDirectory() && !entry.name.startsWith('.') && !entry.name.startsWith('_')) {
                     const entryPath = path.join(categoryPath, entry.name);
+                    if (excluded.has(entryPath)) {
+                        continue;
+                    }
 
                     // Check if this is a document folder
                     if (await this.isDocumentFolder(entryPath)) {
@@ -500,8 +656,11 @@ ${category.filePatterns.map(p => `- ${p}`).join('\n')}
                 }
             }
 
-            // Check for any markdown/text file
+            // Check for any markdown/text file; `_category_info.md` marks a category, not a document
             const hasDocumentFile = entries.some(file => {
+                if (file.startsWith('_') || file.startsWith('.')) {
+                    return false;
+                }
                 const ext = path.extname(file).toLowerCase();
                 return validExtensions.includes(ext);
             });
@@ -548,6 +707,10 @@ ${category.filePatterns.map(p => `- ${p}`).join('\n')}
                 for (const [id, category] of this.customCategories) {
                     configContent += `\n[category.${id}]\n`;
                     configContent += `name = "${category.name}"\n`;
+                    configContent += `path = "${category.path || category.name}"\n`;
+                    if (category.parent) {
+                        configContent += `parent = "${category.parent}"\n`;
+                    }
                     configContent += `icon = "${category.icon}"\n`;
                     configContent += `description = "${category.description}"\n`;
                     configContent += `keywords = ${JSON.stringify(category.keywords)}\n`;
@@ -600,6 +763,12 @@ ${category.filePatterns.map(p => `- ${p}`).join('\n')}
                     case 'name':
                         category.name = value;
                         break;
+                    case 'path':
+                        category.path = normalizeCategoryPath(value);
+                        break;
+                    case 'parent':
+                        category.parent = value || null;
+                        break;
                     case 'icon':
                         category.icon = value;
                         break;
@@ -659,6 +828,105 @@ ${category.filePatterns.map(p => `- ${p}`).join('\n')}
         return this.categories.get(id);
     }
 
+    /**
+     * Declared category for an id, a path or an unambiguous name (case-insensitive)
+     */
+    resolveCategory(reference) {
+        if (this.categories.has(reference)) {
+            return this.categories.get(reference);
+        }
+        const wanted = normalizeCategoryPath(reference);
+        if (!wanted) {
+            return null;
+        }
+        const all = this.getAllCategories();
+        const byPath = all.find(category => (category.path || category.name).toLowerCase() === wanted.toLowerCase());
+        if (byPath) {
+            return byPath;
+        }
+        const byName = all.filter(category => category.name.toLowerCase() === wanted.toLowerCase());
+        return byName.length === 1 ? byName[0] : null;
+    }
+
+    /**
+     * Hub-relative folder path for a category reference
+     * Declared categories and existing category folders are matched by path, then by
+     * unambiguous leaf name (so `React` finds `Development/Frontend/React`); anything
+     * else is taken as a new path. Returns null for paths that leave the hub.
+     */
+    resolveCategoryPath(reference) {
+        const declared = this.resolveCategory(reference);
+        if (declared) {
+            return declared.path || declared.name;
+        }
+        const wanted = normalizeCategoryPath(reference);
+        if (!wanted) {
+            return null;
+        }
+        const existing = Array.from(this.categoryStats.keys());
+        const byPath = existing.find(categoryPath => categoryPath.toLowerCase() === wanted.toLowerCase());
+        if (byPath) {
+            return byPath;
+        }
+        const byName = wanted.includes('/') ? [] : existing.filter(categoryPath => categoryPath.split('/').pop().toLowerCase() === wanted.toLowerCase());
+        return byName.length === 1 ? byName[0] : wanted;
+    }
+
+    /**
+     * Declared subcategories of a category
+     */
+    getChildren(id) {
+        return this.getAllCategories().filter(category => category.parent === id);
+    }
+
+    /**
+     * Categories as a tree of { id, name, path, parent, depth, description, exists, stats, children }
+     * Declared categories and category folders on disk are merged by path; levels that
+     * only exist as part of a deeper path still get a node.
+     */
+    getCategoryTree() {
+        const nodes = new Map();
+        const nodeFor = categoryPath => {
+            if (!nodes.has(categoryPath)) {
+                const parts = categoryPath.split('/');
+                nodes.set(categoryPath, {
+                    id: null,
+                    name: parts[parts.length - 1],
+                    path: categoryPath,
+                    parent: parts.length > 1 ? parts.slice(0, -1).join('/') : null,
+                    depth: parts.length,
+                    description: '',
+                    exists: false,
+                    stats: null,
+                    children: []
+                });
+                if (parts.length > 1) {
+                    nodeFor(parts.slice(0, -1).join('/'));
+                }
+            }
+            return nodes.get(categoryPath);
+        };
+
+        for (const category of this.getAllCategories()) {
+            const node = nodeFor(category.path || category.name);
+            Object.assign(node, { id: category.id, name: category.name, description: category.description || '' });
+        }
+        for (const [categoryPath, stats] of this.categoryStats) {
+            Object.assign(nodeFor(categoryPath), { exists: true, stats });
+        }
+
+        const roots = [];
+        for (const node of nodes.values()) {
+            (node.parent ? nodes.get(node.parent).children : roots).push(node);
+        }
+        const sortLevel = level => {
+            level.sort((a, b) => a.name.localeCompare(b.name));
+            level.forEach(node => sortLevel(node.children));
+            return level;
+        };
+        return sortLevel(roots);
+    }
+
     getCategoryStats() {
         return Array.from(this.categoryStats.values());
     }
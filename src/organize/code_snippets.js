@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+
+/**
+ * Code Snippets
+ * Fenced code blocks of a document with their language and the heading they sit under
+ *
+ * The language comes from the fence info string when there is one (`js` and
+ * `javascript` both become `javascript`); untagged blocks are classified by a few
+ * characteristic patterns per language and left without a language when nothing
+ * stands out. Each block remembers its nearest preceding heading and that heading's
+ * GitHub-style anchor, so search results can link straight back to the section.
+ */
+
+/**
+ * Fence tags mapped to one canonical language name
+ */
+export const LANGUAGE_ALIASES = {
+    js: 'javascript', jsx: 'javascript', mjs: 'javascript', cjs: 'javascript', node: 'javascript',
+    ts: 'typescript', tsx: 'typescript',
+    py: 'python', python3: 'python', py3: 'python',
+    sh: 'bash', shell: 'bash', zsh: 'bash', console: 'bash', shellscript: 'bash',
+    yml: 'yaml',
+    golang: 'go',
+    rs: 'rust',
+    rb: 'ruby',
+    kt: 'kotlin',
+    cs: 'csharp', 'c#': 'csharp',
+    'c++': 'cpp', cc: 'cpp', hpp: 'cpp',
+    h: 'c',
+    ps1: 'powershell', pwsh: 'powershell',
+    htm: 'html', xhtml: 'html',
+    md: 'markdown',
+    dockerfile: 'docker',
+    psql: 'sql', mysql: 'sql', postgresql: 'sql',
+    jsonc: 'json', json5: 'json',
+    plaintext: 'text', txt: 'text', plain: 'text'
+};
+
+/**
+ * Patterns that suggest a language in an untagged block, each adding its weight
+ */
+const LANGUAGE_PATTERNS = {
+    python: [[/^\s*def \w+\(.*\)\s*(->.*)?:\s*$/m, 3], [/^\s*(from [\w.]+ )?import \w+/m, 1], [/^\s*(if|elif|for|while|with|class)\b.*:\s*$/m, 2], [/\bself\.\w+/, 2], [/\bprint\(/, 1], [/^\s*#(?!!)/m, 0.5]],
+    javascript: [[/\b(const|let|var)\s+\w+\s*=/, 2], [/\bfunction\s*\w*\s*\(/, 2], [/=>\s*[{(\w]/, 2], [/\bconsole\.\w+\(/, 3], [/\brequire\(['"]/, 3], [/^\s*(import .* from ['"]|export (default|const|function|class)\b)/m, 3], [/;\s*$/m, 0.5]],
+    typescript: [[/\binterface \w+\s*{/, 3], [/:\s*(string|number|boolean|void|any|unknown)\b/, 3], [/\btype \w+\s*=/, 2], [/<\w+>\(/, 1]],
+    bash: [[/^#!\/.*\b(ba|z)?sh\b/m, 5], [/^\s*\$ \w+/m, 3], [/^\s*(sudo|apt(-get)?|brew|npm|yarn|pip3?|git|cd|ls|mkdir|rm|cp|mv|chmod|curl|wget|docker|kubectl|echo|export)\s/m, 3], [/\bfi\b|\bdone\b|\besac\b/, 2], [/\$\{?\w+\}?/, 0.5], [/\s\|\s*(grep|awk|sed|xargs|sort|head|tail)\b/, 2]],
+    json: [[/^\s*[{[][\s\S]*[}\]]\s*$/, 1], [/^\s*"[^"]+"\s*:\s*/m, 3]],
+    yaml: [[/^[\w-]+:\s*(\S.*)?$/m, 2], [/^\s+- [\w"']/m, 1], [/^---\s*$/m, 1]],
+    sql: [[/\b(SELECT|INSERT INTO|UPDATE|DELETE FROM|CREATE TABLE|ALTER TABLE)\b/i, 3], [/\b(FROM|WHERE|JOIN|GROUP BY|ORDER BY)\b/, 2]],
+    html: [[/<(!DOCTYPE|html|head|body|div|span|p|a|ul|li|script|style)\b[^>]*>/i, 3], [/<\/\w+>/, 1]],
+    css: [[/^\s*[.#]?[\w-]+(\s*[>+~]?\s*[.#]?[\w-]+)*\s*{\s*$/m, 2], [/^\s*[\w-]+\s*:\s*[^;]+;\s*$/m, 2], [/@media\b/, 3]],
+    go: [[/^package \w+/m, 4], [/\bfunc (\(\w+ \*?\w+\) )?\w+\(/, 3], [/:=/, 1.5], [/\bfmt\.\w+\(/, 3]],
+    rust: [[/\bfn \w+\s*(<.*>)?\(/, 3], [/\blet mut\b/, 3], [/\bimpl\b.*{/, 2], [/\w+!\(/, 1.5], [/^\s*use \w+(::\w+)+/m, 3]],
+    java: [[/\bpublic (static )?(class|void|interface)\b/, 3], [/\bSystem\.out\.print/, 4], [/\bprivate \w+(<.*>)? \w+;/, 2]],
+    c: [[/^#include\s*<\w+\.h>/m, 4], [/\bint main\s*\(/, 2], [/\bprintf\(/, 2]],
+    cpp: [[/^#include\s*<\w+>/m, 3], [/\bstd::\w+/, 4], [/\bcout\s*<</, 3]],
+    docker: [[/^FROM\s+[\w./-]+(:[\w.-]+)?(\s+AS\s+\w+)?\s*$/m, 4], [/^(RUN|COPY|ADD|WORKDIR|ENTRYPOINT|CMD|EXPOSE|ENV)\s/m, 2]]
+};
+
+const MIN_DETECTION_SCORE = 3;
+
+/**
+ * Canonical language for a fence tag, or null for an empty tag
+ */
+export function normalizeCodeLanguage(tag) {
+    const language = String(tag || '').trim().toLowerCase().replace(/^\{?\.?/, '').replace(/}$/, '');
+    if (!language) {
+        return null;
+    }
+    return LANGUAGE_ALIASES[language] || language;
+}
+
+/**
+ * Best-guess language of an untagged code block, or null when no language scores high enough
+ */
+export function detectCodeLanguage(code) {
+    if (!code || !code.trim()) {
+        return null;
+    }
+
+    let best = null;
+    for (const [language, patterns] of Object.entries(LANGUAGE_PATTERNS)) {
+        const score = patterns.reduce((sum, [pattern, weight]) => sum + (pattern.test(code) ? weight : 0), 0);
+        if (score >= MIN_DETECTION_SCORE && (!best || score > best.score)) {
+            best = { language, score };
+        }
+    }
+
+    // JSON is the one format that can be confirmed outright
+    if (best && (best.language === 'json' || best.language === 'javascript' || best.language === 'yaml')) {
+        try {
+            const parsed = JSON.parse(code);
+            if (parsed && typeof parsed === 'object') {
+                return 'json';
+            }
+        } catch {
+            // Not JSON
+        }
+    }
+
+    // TypeScript is JavaScript with types; only call it TypeScript when both match
+    if (best && best.language === 'javascript') {
+        const typed = LANGUAGE_PATTERNS.typescript.reduce((sum, [pattern, weight]) => sum + (pattern.test(code) ? weight : 0), 0);
+        if (typed >= MIN_DETECTION_SCORE) {
+            return 'typescript';
+        }
+    }
+
+    return best ? best.language : null;
+}
+
+/**
+ * GitHub-style anchor for a heading: lowercase, punctuation dropped, spaces as hyphens
+ */
+export function headingAnchor(text) {
+    return String(text || '')
+        .trim()
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+        .replace(/\s/g, '-');
+}
+
+/**
+ * Fenced code blocks of a markdown document
+ * Lines are 1-based and count from the top of the file, frontmatter included.
+ * Returns [{ language, languageSource: 'fence'|'detected'|null, fenceTag, code, line, lineCount, heading, anchor }].
+ */
+export function extractCodeBlocks(content) {
+    const lines = (content || '').split('\n');
+    const blocks = [];
+    const anchorCounts = new Map();
+    let heading = null;
+    let anchor = null;
+    let fence = null;
+    let start = 0;
+
+    // Frontmatter is neither headings nor code
+    if (lines[0] && lines[0].trim() === '---') {
+        const end = lines.findIndex((line, index) => index > 0 && line.trim() === '---');
+        start = end > 0 ? end + 1 : 0;
+    }
+
+    for (let index = start; index < lines.length; index++) {
+        const line = lines[index];
+
+        if (fence) {
+            const closing = line.match(/^\s{0,3}(`{3,}|~{3,})\s*$/);
+            if (closing && closing[1][0] === fence.marker[0] && closing[1].length >= fence.marker.length) {
+                blocks.push(finishBlock(fence, lines.slice(fence.line, index)));
+                fence = null;
+            }
+            continue;
+        }
+
+        const opening = line.match(/^\s{0,3}(`{3,}|~{3,})\s*([^`\s]*)[^`]*$/);
+        if (opening) {
+            fence = { marker: opening[1], tag: opening[2], line: index + 1, heading, anchor };
+            continue;
+        }
+
+        const headingMatch = line.match(/^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/);
+        if (headingMatch) {
+            heading = headingMatch[1];
+            const base = headingAnchor(heading);
+            const seen = anchorCounts.get(base) || 0;
+            anchorCounts.set(base, seen + 1);
+            anchor = seen > 0 ? `${base}-${seen}` : base;
+        }
+    }
+
+    // An unclosed fence runs to the end of the document
+    if (fence) {
+        blocks.push(finishBlock(fence, lines.slice(fence.line)));
+    }
+
+    return blocks;
+}
+
+/**
+ * Block record for a closed (or unterminated) fence
+ */
+function finishBlock(fence, codeLines) {
+    const code = codeLines.join('\n');
+    const tagged = normalizeCodeLanguage(fence.tag);
+    const detected = tagged ? null : detectCodeLanguage(code);
+
+    return {
+        language: tagged || detected,
+        languageSource: tagged ? 'fence' : (detected ? 'detected' : null),
+        fenceTag: fence.tag || null,
+        code,
+        line: fence.line,
+        lineCount: codeLines.length,
+        heading: fence.heading,
+        anchor: fence.anchor
+    };
+}
@@ -8,6 +8,17 @@
 import { promises as fs } from 'fs';
 import path from 'path';
 import crypto from 'crypto';
+import { parseFrontmatter } from './frontmatter.js';
+import { NearDuplicateDetector } from './near_duplicate_detector.js';
+import { SimplePathResolver } from './simple_path_resolver.js';
+import {
+    LANGUAGES,
+    detectLanguage,
+    normalizeLanguage,
+    loadLanguageSettings
+} from './language_detector.js';
+import { extractKeyphrases } from './keyphrase_extractor.js';
+import { extractCodeBlocks } from './code_snippets.js';
 
 export class ContentAnalyzer {
     constructor(options = {}) {
@@ -15,6 +26,16 @@ export class ContentAnalyzer {
         this.minContentLength = options.minContentLength || 100;
         this.contentCache = new Map();
         this.analysisResults = new Map();
+
+        // detect_language / default_language from organize_config.conf unless overridden
+        const languageSettings = loadLanguageSettings(options.configPath ||
+            path.join(new SimplePathResolver().projectRoot, 'config', 'organize_config.conf'));
+        this.detectLanguage = options.detectLanguage ?? languageSettings.detectLanguage;
+        this.defaultLanguage = normalizeLanguage(options.defaultLanguage) || languageSettings.defaultLanguage;
+
+        // Optional SearchIndex supplying hub-wide document frequencies and persisted keyphrases
+        this.searchIndex = options.searchIndex || null;
+        this.indexRefresh = null;
     }
 
     /**
@@ -27,12 +48,16 @@ export class ContentAnalyzer {
             return null;
         }
 
+        const language = this.identifyLanguage(content);
+        const keyphrases = await this.getKeyphrases(content, filePath, language.code);
         const analysis = {
             filePath,
             contentHash: this.generateContentHash(content),
             wordCount: this.getWordCount(content),
             contentType: this.detectContentType(content),
-            topics: this.extractTopics(content),
+            language,
+            keyphrases,
+            topics: keyphrases.map(keyphrase => keyphrase.phrase),
             structure: this.analyzeStructure(content),
             metadata: this.extractMetadata(content, filePath)
         };
@@ -171,7 +196,8 @@ export class ContentAnalyzer {
 
     /**
      * Find duplicate content across files
-     * Enhanced to handle document folders
+     * Exact duplicates share a content hash; near-duplicates share enough word
+     * shingles (MinHash/LSH, see NearDuplicateDetector) and carry the overlapping passages.
      */
     async findDuplicates(fileList) {
         const duplicates = new Map();
@@ -224,40 +250,65 @@ export class ContentAnalyzer {
             }
         }
 
-        // Find similar content
-        const analyzedArray = Array.from(analyzed.values());
-        for (let i = 0; i < analyzedArray.length; i++) {
-            for (let j = i + 1; j < analyzedArray.length; j++) {
-                const similarity = this.calculateSimilarity(analyzedArray[i], analyzedArray[j]);
-                if (similarity >= this.similarityThreshold) {
-                    const key = `similar_${i}_${j}`;
-
-                    // Determine recommended action based on document folder status
-                    let recommendedAction = similarity > 0.95 ? 'merge' : 'consolidate';
-                    const hasDocumentFolders = analyzedArray[i].isMainDocumentFile || analyzedArray[j].isMainDocumentFile;
-                    const hasImages = (analyzedArray[i].imageCount || 0) > 0 || (analyzedArray[j].imageCount || 0) > 0;
-
-                    if (hasDocumentFolders && similarity > 0.95) {
-                        recommendedAction = hasImages ? 'merge_document_folders_preserve_images' : 'merge_document_folders';
-                    } else if (hasDocumentFolders) {
-                        recommendedAction = 'consolidate_document_folders';
-                    }
-
-                    duplicates.set(key, {
-                        type: 'similar',
-                        similarity,
-                        files: [
-                            { filePath: analyzedArray[i].filePath, analysis: analyzedArray[i] },
-                            { filePath: analyzedArray[j].filePath, analysis: analyzedArray[j] }
-                        ],
-                        recommendedAction,
-                        involvesDocumentFolders: hasDocumentFolders,
-                        involvesImages: hasImages
-                    });
+        // Find near-duplicates: only LSH candidates are compared, never every pair
+        const detector = new NearDuplicateDetector({ threshold: this.similarityThreshold });
+        for (const filePath of analyzed.keys()) {
+            const content = await this.readFile(filePath);
+            if (content) {
+                detector.addDocument(filePath, content);
+            }
+        }
+
+        const exactPairs = new Set();
+        for (const group of duplicates.values()) {
+            for (const a of group.files) {
+                for (const b of group.files) {
+                    exactPairs.add(`${a.filePath}\u0000${b.filePath}`);
                 }
             }
         }
 
+        for (const match of detector.findNearDuplicates()) {
+            const [pathA, pathB] = match.ids;
+            if (exactPairs.has(`${pathA}\u0000${pathB}`)) {
+                continue;
+            }
+
+            const analysisA = analyzed.get(pathA);
+            const analysisB = analyzed.get(pathB);
+            const similarity = match.similarity;
+
+            // Determine recommended action based on document folder status
+            let recommendedAction = similarity > 0.95 ? 'merge' : 'consolidate';
+            const hasDocumentFolders = analysisA.isMainDocumentFile || analysisB.isMainDocumentFile;
+            const hasImages = (analysisA.imageCount || 0) > 0 || (analysisB.imageCount || 0) > 0;
+
+            if (hasDocumentFolders && similarity > 0.95) {
+                recommendedAction = hasImages ? 'merge_document_folders_preserve_images' : 'merge_document_folders';
+            } else if (hasDocumentFolders) {
+                recommendedAction = 'consolidate_document_folders';
+            }
+
+            const key = `similar_${crypto.createHash('sha256').update(`${pathA}\u0000${pathB}`).digest('hex').slice(0, 16)}`;
+            duplicates.set(key, {
+                type: 'similar',
+                similarity,
+                estimatedSimilarity: match.estimatedSimilarity,
+                containment: match.containment,
+                files: [
+                    { filePath: pathA, analysis: analysisA },
+                    { filePath: pathB, analysis: analysisB }
+                ],
+                evidence: {
+                    sharedShingles: match.sharedShingles,
+                    passages: match.passages
+                },
+                recommendedAction,
+                involvesDocumentFolders: hasDocumentFolders,
+                involvesImages: hasImages
+            });
+        }
+
         return duplicates;
     }
 
@@ -375,35 +426,62 @@ export class ContentAnalyzer {
     }
 
     /**
-     * Extract topics from content
+     * Language of a document
+     * A frontmatter `lang`/`language` wins; otherwise it is detected (when
+     * detect_language is on) and falls back to the configured default language.
      */
-    extractTopics(content) {
-        const topics = new Set();
+    identifyLanguage(content) {
+        const { data: frontmatter, body } = parseFrontmatter(content || '');
+        const declared = normalizeLanguage(frontmatter.lang || frontmatter.language);
+        if (declared) {
+            return { code: declared, name: LANGUAGES[declared].name, confidence: 1, source: 'frontmatter' };
+        }
 
-        // Extract from headings
-        const headingMatches = content.match(/^#+\s+(.+)$/gm) || [];
-        headingMatches.forEach(heading => {
-            const clean = heading.replace(/^#+\s+/, '').toLowerCase();
-            const words = clean.split(/\s+/).filter(w => w.length > 3);
-            words.forEach(word => topics.add(word));
-        });
+        const detected = this.detectLanguage ? detectLanguage(body) : null;
+        if (detected) {
+            return { ...detected, source: 'detected' };
+        }
 
-        // Extract key terms (simple approach)
-        const words = content.toLowerCase().match(/\b\w{4,}\b/g) || [];
-        const wordFreq = new Map();
-        words.forEach(word => {
-            wordFreq.set(word, (wordFreq.get(word) || 0) + 1);
-        });
+        return { code: this.defaultLanguage, name: LANGUAGES[this.defaultLanguage].name, confidence: 0, source: 'default' };
+    }
+
+    /**
+     * Keyphrases of a document, weighted against the hub's document frequencies
+     * A main file that is indexed and unchanged reuses its persisted keyphrases;
+     * other files are scored against the index vocabulary, or on their own without an index.
+     */
+    async getKeyphrases(content, filePath, language) {
+        const index = this.searchIndex;
+        if (!index) {
+            return extractKeyphrases(content, language);
+        }
 
-        // Get top frequent words as topics
-        const sortedWords = Array.from(wordFreq.entries())
-            .sort((a, b) => b[1] - a[1])
-            .slice(0, 10)
-            .map(([word]) => word);
+        // One refresh per analyzer; a failed refresh still leaves the last saved index usable
+        if (!this.indexRefresh) {
+            this.indexRefresh = index.refresh().catch(error => {
+                console.warn(`Could not refresh search index: ${error.message}`);
+            });
+        }
+        await this.indexRefresh;
+
+        const entry = filePath ? index.findEntryByMainFile(filePath) : null;
+        if (entry && entry.hash === index.hashContent(content)) {
+            return entry.keyphrases;
+        }
 
-        sortedWords.forEach(word => topics.add(word));
+        return extractKeyphrases(content, language, {
+            documentFrequency: term => index.getDocumentFrequency(term),
+            documentCount: Object.keys(index.documents).length
+        });
+    }
 
-        return Array.from(topics);
+    /**
+     * Extract topics from content
+     * Keyphrases of the document on its own, without corpus weighting
+     */
+    extractTopics(content, language = null) {
+        const code = language || this.identifyLanguage(content).code;
+        return extractKeyphrases(content, code).map(keyphrase => keyphrase.phrase);
     }
 
     /**
@@ -423,6 +501,7 @@ export class ContentAnalyzer {
             headingLevels: headings.map(h => h.level),
             format: this.detectFormat(content),
             hasCodeBlocks: /```/.test(content),
+            codeLanguages: Array.from(new Set(extractCodeBlocks(content).map(block => block.language).filter(Boolean))),
             hasLinks: /\[.+\]\(.+\)/.test(content),
             hasImages: /!\[.*\]\(.+\)/.test(content),
             hasTables: /\|.*\|/.test(content)
@@ -433,7 +512,7 @@ export class ContentAnalyzer {
      * Detect content type
      */
     detectContentType(content) {
-        if (/```/.test(content)) return 'technical';
+        if (extractCodeBlocks(content).length > 0) return 'technical';
         if (/^#+\s+/.test(content)) return 'article';
         if (/^\s*[-*+]\s+/m.test(content)) return 'notes';
         if (/\|.*\|/.test(content)) return 'data';
@@ -457,31 +536,53 @@ export class ContentAnalyzer {
         const title = this.extractTitle(content) || this.generateTitleFromFilename(filename);
         const dateCreated = this.extractDate(content);
         const author = this.extractAuthor(content);
+        const { data: frontmatter } = parseFrontmatter(content);
 
         return {
             originalFilename: filename,
             suggestedTitle: title,
             dateCreated,
             author,
+            tags: this.toList(frontmatter.tags),
+            aliases: this.toList(frontmatter.aliases),
+            source: frontmatter.source || null,
+            category: frontmatter.category || null,
+            frontmatter,
             fileExtension: path.extname(filePath),
             fileSize: 0 // Will be filled by calling code
         };
     }
 
+    /**
+     * Normalize a frontmatter list that may also be written as a comma-separated string
+     */
+    toList(value) {
+        if (value === null || value === undefined) {
+            return [];
+        }
+        const items = Array.isArray(value) ? value : String(value).split(',');
+        return items.map(item => String(item).trim()).filter(item => item.length > 0);
+    }
+
     /**
      * Extract title from content
+     * A frontmatter title is authoritative; otherwise the body is searched.
      */
     extractTitle(content) {
+        const { data: frontmatter, body } = parseFrontmatter(content);
+        if (frontmatter.title) {
+            return String(frontmatter.title).trim();
+        }
+
         // Try to find title in various formats
         const patterns = [
             /^#\s+(.+)$/m,           // # Title
-            /^title:\s*(.+)$/mi,     // title: Title (YAML frontmatter)
             /^(.+)\n=+$/m,           // Title\n====
             /^(.+)\n-+$/m            // Title\n----
         ];
 
         for (const pattern of patterns) {
-            const match = content.match(pattern);
+            const match = body.match(pattern);
             if (match) {
                 return match[1].trim();
             }
@@ -504,6 +605,12 @@ export class ContentAnalyzer {
      * Extract date from content
      */
     extractDate(content) {
+        const { data: frontmatter } = parseFrontmatter(content);
+        const declared = frontmatter.created || frontmatter.date;
+        if (declared) {
+            return String(declared);
+        }
+
         const datePattern = /(\d{4}-\d{2}-\d{2}|\d{2}\/\d{2}\/\d{4}|\d{2}-\d{2}-\d{4})/;
         const match = content.match(datePattern);
         return match ? match[1] : null;
@@ -513,6 +620,11 @@ export class ContentAnalyzer {
      * Extract author from content
      */
     extractAuthor(content) {
+        const { data: frontmatter } = parseFrontmatter(content);
+        if (frontmatter.author) {
+            return String(frontmatter.author).trim();
+        }
+
         const authorPatterns = [
             /author:\s*(.+)$/mi,
             /by\s+(.+)$/mi,
@@ -12,6 +12,7 @@ import { promises as fs } from 'fs';
 import { existsSync } from 'fs';
 import path from 'path';
 import { createErrorHandler, ErrorTypes, EnhancedError } from './error_handler.js';
+import { parseFrontmatter, updateFrontmatter, parseMetadataDate } from './frontmatter.js';
 
 /**
  * Document Folder Manager Class
@@ -27,6 +28,9 @@ export class DocumentFolderManager {
             ...options
         };
 
+        // Bumped by every write made through this manager, so caches know to look again
+        this.revision = 0;
+
         // Initialize error handler
         this.errorHandler = createErrorHandler('DocumentFolderManager', {
             enableConsoleLogging: process.env.NODE_ENV !== 'production'
@@ -54,8 +58,8 @@ export class DocumentFolderManager {
                 return false;
             }
 
-            // Check for main document file
-            const mainFile = await this.getMainDocumentFile(folderPath);
+            // Check for main document file (without renaming anything)
+            const mainFile = await this.findMainDocumentFile(folderPath);
             return mainFile !== null;
         }, {
             operation: 'isDocumentFolder',
@@ -65,42 +69,62 @@ export class DocumentFolderManager {
 
     /**
      * Find the main document file within a document folder
-     * Returns the full path to the main document file or null if not found
+     * Returns the full path to the main document file or null if not found.
+     * A main file named differently from its folder is renamed to match; use
+     * findMainDocumentFile to look without touching the folder.
      */
     async getMainDocumentFile(folderPath) {
+        return await this.errorHandler.wrapAsync(async () => {
+            const mainFilePath = await this.findMainDocumentFile(folderPath);
+            if (!mainFilePath || path.basename(mainFilePath) === `${path.basename(folderPath)}.md`) {
+                return mainFilePath;
+            }
+
+            // Rename to match folder name if it doesn't already
+            const renamedPath = await this.ensureDocumentNameMatchesFolder(folderPath, mainFilePath);
+            if (renamedPath !== mainFilePath) {
+                this.markChanged();
+            }
+            return renamedPath;
+        }, {
+            operation: 'getMainDocumentFile',
+            folderPath
+        });
+    }
+
+    /**
+     * Locate the main document file of a folder without renaming it
+     * Preference: `<folder>.md`, then the standard main file names, then any
+     * document file (folder name match first, then alphabetically).
+     */
+    async findMainDocumentFile(folderPath) {
         return await this.errorHandler.wrapAsync(async () => {
             if (!existsSync(folderPath)) {
                 return null;
             }
 
-            const files = await fs.readdir(folderPath);
+            const entries = await fs.readdir(folderPath, { withFileTypes: true });
+            const files = entries.filter(entry => entry.isFile()).map(entry => entry.name);
             const folderName = path.basename(folderPath);
 
             // First, look for a file that matches the folder name
             const expectedFileName = `${folderName}.md`;
             if (files.includes(expectedFileName)) {
-                const mainFilePath = path.join(folderPath, expectedFileName);
-                const stats = await fs.stat(mainFilePath);
-                if (stats.isFile()) {
-                    return mainFilePath;
-                }
+                return path.join(folderPath, expectedFileName);
             }
 
             // Second, look for standard main file names
-            for (const mainFileName of this.options.mainFileNames) {
-                if (files.includes(mainFileName)) {
-                    const mainFilePath = path.join(folderPath, mainFileName);
-                    const stats = await fs.stat(mainFilePath);
-                    if (stats.isFile()) {
-                        // Rename to match folder name if it's a standard main file
-                        await this.ensureDocumentNameMatchesFolder(folderPath, mainFilePath);
-                        return path.join(folderPath, expectedFileName);
-                    }
-                }
+            const standardFile = this.options.mainFileNames.find(mainFileName => files.includes(mainFileName));
+            if (standardFile) {
+                return path.join(folderPath, standardFile);
             }
 
             // If no standard main file found, look for any markdown file
+            // (`_category_info.md` and other underscore files describe a category folder)
             const potentialMainFiles = files.filter(file => {
+                if (file.startsWith('_')) {
+                    return false;
+                }
                 const ext = path.extname(file).toLowerCase();
                 return this.options.validDocumentExtensions.includes(ext);
             });
@@ -115,23 +139,20 @@ export class DocumentFolderManager {
                 return a.localeCompare(b);
             });
 
-            if (potentialMainFiles.length > 0) {
-                const selectedFile = path.join(folderPath, potentialMainFiles[0]);
-                // Rename to match folder name if it doesn't already
-                if (potentialMainFiles[0] !== expectedFileName) {
-                    await this.ensureDocumentNameMatchesFolder(folderPath, selectedFile);
-                    return path.join(folderPath, expectedFileName);
-                }
-                return selectedFile;
-            }
-
-            return null;
+            return potentialMainFiles.length > 0 ? path.join(folderPath, potentialMainFiles[0]) : null;
         }, {
-            operation: 'getMainDocumentFile',
+            operation: 'findMainDocumentFile',
             folderPath
         });
     }
 
+    /**
+     * Record a change to the hub made outside this manager's write methods
+     */
+    markChanged() {
+        this.revision++;
+    }
+
     /**
      * Ensure document name matches folder name
      */
@@ -196,9 +217,10 @@ export class DocumentFolderManager {
 
     /**
      * Create a new document folder with proper structure
+     * Optional metadata is written as YAML frontmatter ahead of the content.
      * Returns the path to the created document folder
      */
-    async createDocumentFolder(name, category, initialContent = '') {
+    async createDocumentFolder(name, category, initialContent = '', metadata = null) {
         return await this.errorHandler.wrapAsync(async () => {
             // Sanitize folder name
             const sanitizedName = this.sanitizeFolderName(name);
@@ -230,8 +252,10 @@ export class DocumentFolderManager {
             // Create main document file with name matching folder
             const mainFileName = `${name}.md`;
             const mainFilePath = path.join(documentFolderPath, mainFileName);
-            const documentContent = initialContent || `# ${name}\n\n`;
+            const body = initialContent || `# ${name}\n\n`;
+            const documentContent = metadata ? updateFrontmatter(body, metadata) : body;
             await fs.writeFile(mainFilePath, documentContent, 'utf8');
+            this.markChanged();
 
             // Create images subfolder
             await this.getImagesFolder(documentFolderPath, true);
@@ -301,6 +325,7 @@ export class DocumentFolderManager {
 
             // Perform atomic move
             await fs.rename(sourcePath, targetPath);
+            this.markChanged();
 
             await this.logInfo('Moved document folder', {
                 sourcePath,
@@ -347,6 +372,7 @@ export class DocumentFolderManager {
 
             // Perform atomic deletion
             await fs.rm(folderPath, { recursive: true, force: true });
+            this.markChanged();
 
             await this.logInfo('Deleted document folder', {
                 folderPath
@@ -404,6 +430,7 @@ export class DocumentFolderManager {
             }
 
             await fs.writeFile(mainFilePath, content, 'utf8');
+            this.markChanged();
 
             await this.logDebug('Updated document content', {
                 folderPath,
@@ -418,6 +445,62 @@ export class DocumentFolderManager {
         });
     }
 
+    /**
+     * Read the frontmatter metadata of a document folder's main file
+     */
+    async getDocumentMetadata(folderPath) {
+        return await this.errorHandler.wrapAsync(async () => {
+            const content = await this.getDocumentContent(folderPath);
+            const { data, exists } = parseFrontmatter(content);
+
+            return {
+                folderPath,
+                mainFile: await this.getMainDocumentFile(folderPath),
+                hasFrontmatter: exists,
+                metadata: data
+            };
+        }, {
+            operation: 'getDocumentMetadata',
+            folderPath
+        });
+    }
+
+    /**
+     * Merge metadata into a document's frontmatter (null removes a key)
+     * The body is left byte-for-byte intact; `updated` is stamped unless given.
+     */
+    async setDocumentMetadata(folderPath, changes, options = {}) {
+        return await this.errorHandler.wrapAsync(async () => {
+            const { touch = true } = options;
+
+            if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+                throw new EnhancedError(
+                    'Metadata changes must be an object of frontmatter keys',
+                    ErrorTypes.VALIDATION_ERROR,
+                    {
+                        operation: 'setDocumentMetadata',
+                        folderPath
+                    }
+                );
+            }
+
+            const content = await this.getDocumentContent(folderPath);
+            const stamped = touch && changes.updated === undefined
+                ? { ...changes, updated: new Date().toISOString() }
+                : changes;
+
+            const updatedContent = updateFrontmatter(content, stamped);
+            if (updatedContent !== content) {
+                await this.updateDocumentContent(folderPath, updatedContent);
+            }
+
+            return await this.getDocumentMetadata(folderPath);
+        }, {
+            operation: 'setDocumentMetadata',
+            folderPath
+        });
+    }
+
     /**
      * List all document folders in a category path
      */
@@ -513,7 +596,7 @@ export class DocumentFolderManager {
             }
 
             const stats = await fs.stat(folderPath);
-            const mainFilePath = await this.getMainDocumentFile(folderPath);
+            const mainFilePath = await this.findMainDocumentFile(folderPath);
             const imagesPath = path.join(folderPath, this.options.imagesSubfolderName);
 
             let imageCount = 0;
@@ -525,15 +608,21 @@ export class DocumentFolderManager {
                 }).length;
             }
 
+            // Frontmatter dates are authoritative over filesystem timestamps
+            const frontmatter = mainFilePath
+                ? parseFrontmatter(await fs.readFile(mainFilePath, 'utf8')).data
+                : {};
+
             return {
                 folderPath,
                 name: path.basename(folderPath),
                 category: path.basename(path.dirname(folderPath)),
                 mainFile: mainFilePath,
                 imagesFolder: imagesPath,
+                frontmatter,
                 metadata: {
-                    created: stats.birthtime,
-                    modified: stats.mtime,
+                    created: parseMetadataDate(frontmatter.created) || stats.birthtime,
+                    modified: parseMetadataDate(frontmatter.updated) || stats.mtime,
                     size: stats.size,
                     imageCount
                 }
@@ -8,10 +8,48 @@
  * that understands the folder-based document structure.
  */
 
-import { promises as fs } from 'fs';
+import { promises as fs, existsSync, readFileSync } from 'fs';
 import path from 'path';
+import crypto from 'crypto';
 import { createErrorHandler, ErrorTypes, EnhancedError } from './error_handler.js';
 import { SimplePathResolver, PathUtils } from './simple_path_resolver.js';
+import { SearchIndex, INDEX_FIELDS, DEFAULT_REFRESH_INTERVAL, tokenize } from './search_index.js';
+import { parseSearchQuery, collectPositiveTexts } from './search_query_parser.js';
+import { defaultMaxDistance } from './fuzzy_matcher.js';
+import { SemanticIndex } from './semantic_index.js';
+import { isStopword, normalizeLanguage } from './language_detector.js';
+import { extractSummary } from './summarizer.js';
+import { parseFrontmatter } from './frontmatter.js';
+import { LinkGraph, applyLinkEdits } from './link_graph.js';
+import { normalizeCodeLanguage } from './code_snippets.js';
+import { normalizeTag } from './tag_manager.js';
+
+/**
+ * Error raised for pagination cursors that are malformed, belong to another
+ * query, or were issued against an older index generation
+ */
+export class SearchCursorError extends EnhancedError {
+    constructor(reason, cursor) {
+        super(`Invalid search cursor: ${reason}`, ErrorTypes.VALIDATION_ERROR, {
+            component: 'DocumentSearchEngine',
+            operation: 'searchDocuments',
+            cursor
+        });
+        this.name = 'SearchCursorError';
+        this.reason = reason;
+        this.cursor = cursor;
+    }
+}
+
+/**
+ * Word-count facet buckets, each with the filter that selects it
+ */
+const WORD_COUNT_BUCKETS = [
+    { label: '0-249', below: 250, filter: 'words:<250' },
+    { label: '250-999', below: 1000, filter: '(words:>=250 words:<1000)' },
+    { label: '1000-4999', below: 5000, filter: '(words:>=1000 words:<5000)' },
+    { label: '5000+', below: Infinity, filter: 'words:>=5000' }
+];
 
 /**
  * Document Search Engine Class
@@ -25,9 +63,42 @@ export class DocumentSearchEngine {
             maxPreviewLength: 200,
             contextLines: 2,
             highlightMarker: '**',
+            indexDirectory: null,
+            configPath: null,
+            facetLimit: 20,
             ...options
         };
 
+        // BM25 parameters and per-field boosts, overridable from organize_config.conf
+        this.ranking = {
+            k1: 1.2,
+            b: 0.75,
+            fieldBoosts: { title: 3.0, headings: 2.0, folder: 1.5, body: 1.0 },
+            semanticWeight: 0.5
+        };
+        this.refreshInterval = DEFAULT_REFRESH_INTERVAL;
+        if (this.options.configPath) {
+            this.loadRankingConfig(this.options.configPath);
+        }
+        if (this.options.bm25) {
+            Object.assign(this.ranking, this.options.bm25);
+        }
+        if (this.options.fieldBoosts) {
+            Object.assign(this.ranking.fieldBoosts, this.options.fieldBoosts);
+        }
+        if (this.options.refreshInterval !== undefined) {
+            this.refreshInterval = this.options.refreshInterval;
+        }
+
+        // Persistent index used to narrow the folders that need a full content scan
+        this.searchIndex = this.options.searchIndex || new SearchIndex(documentFolderManager, {
+            indexDirectory: this.options.indexDirectory,
+            configPath: this.options.configPath,
+            refreshInterval: this.refreshInterval
+        });
+        this.semanticIndex = this.options.semanticIndex || new SemanticIndex(this.searchIndex);
+        this.linkGraph = this.options.linkGraph || new LinkGraph(this.searchIndex);
+
         // Initialize error handler
         this.errorHandler = createErrorHandler('DocumentSearchEngine', {
             enableConsoleLogging: process.env.NODE_ENV !== 'production'
@@ -62,17 +133,56 @@ export class DocumentSearchEngine {
                 category = null,
                 limit = 10,
                 useRegex = false,
-                caseSensitive = false
+                caseSensitive = false,
+                fieldBoosts = null,
+                fuzzy = false,
+                semantic = false,
+                stemming = true,
+                cursor = null
             } = options;
 
+            // A page must hold at least one result, or its cursor would never advance
+            if (!Number.isInteger(limit) || limit < 1) {
+                throw new EnhancedError(
+                    `Invalid search limit: ${limit} (expected a positive integer)`,
+                    ErrorTypes.VALIDATION_ERROR,
+                    {
+                        operation: 'searchDocuments',
+                        limit
+                    }
+                );
+            }
+
+            // Required tags: a document must carry every one of them
+            const tags = [].concat(options.tags || []).map(normalizeTag);
+            if (tags.includes(null)) {
+                throw new EnhancedError(
+                    `Invalid tag filter: ${[].concat(options.tags).join(', ')}`,
+                    ErrorTypes.VALIDATION_ERROR,
+                    {
+                        operation: 'searchDocuments',
+                        tags: options.tags
+                    }
+                );
+            }
+
+            // A cursor pins the page to this exact query; it takes precedence over offset
+            const fingerprint = this.getQueryFingerprint(query, { category, useRegex, caseSensitive, fieldBoosts, fuzzy, semantic, stemming, tags });
+            const decodedCursor = cursor ? this.decodeCursor(cursor, fingerprint) : null;
+            const offset = decodedCursor ? decodedCursor.offset : Math.max(0, parseInt(options.offset, 10) || 0);
+
             await this.logInfo('Starting document search', {
                 query,
                 category,
                 limit,
+                offset,
                 useRegex,
                 caseSensitive
             });
 
+            // Parse the structured query up front so syntax errors surface before any I/O
+            let queryAst = useRegex ? null : this.parseSearchQuery(query);
+
             // Determine search path
             let searchPath = this.documentFolderManager.syncHubPath;
             if (category) {
@@ -91,41 +201,108 @@ export class DocumentSearchEngine {
                         category,
                         total_results: 0,
                         results: [],
+                        offset,
+                        limit,
+                        has_more: false,
+                        next_cursor: null,
                         warning: `Category '${category}' does not exist`
                     };
                 }
             }
 
-            // Find all document folders in search path
-            const documentFolders = await this.documentFolderManager.findDocumentFolders(searchPath, true);
+            // Bring the index up to date, then only scan folders that can match
+            const indexRefresh = await this.searchIndex.refresh();
+
+            if (decodedCursor && decodedCursor.generation !== this.searchIndex.generation) {
+                throw new SearchCursorError('the search index has changed since this cursor was issued, restart from the first page', cursor);
+            }
+
+            // Fuzzy mode widens each plain term to its close vocabulary neighbours
+            const fuzzyExpansions = {};
+            if (queryAst && fuzzy) {
+                queryAst = this.expandFuzzyTerms(queryAst, fuzzyExpansions);
+            }
+
+            // Stemming adds other inflections of each word ("studies" also finds "studied")
+            const stemExpansions = {};
+            if (queryAst && stemming) {
+                queryAst = this.expandStemmedTerms(queryAst, stemExpansions);
+            }
 
-            await this.logDebug('Found document folders', {
+            const candidates = (queryAst
+                ? this.selectCandidates(queryAst, searchPath)
+                : this.searchIndex.findCandidates(query, { useRegex, scopePath: searchPath }))
+                .filter(entry => tags.every(tag => entry.tags.includes(tag)));
+
+            await this.logDebug('Found candidate document folders', {
                 searchPath,
-                folderCount: documentFolders.length
+                folderCount: candidates.length
             });
 
-            // Search within each document folder
-            const searchResults = [];
-            const processingErrors = [];
+            // Filter and score from the index; only regex, case-sensitive and phrase queries,
+            // which the lowercase term index cannot settle, read the candidates' text
+            const rankingQuery = queryAst ? collectPositiveTexts(queryAst).join(' ') : query;
+            const needsText = !queryAst || caseSensitive || this.containsPhrase(queryAst);
+            const matchedDocuments = [];
+            const processingErrors = [...indexRefresh.errors];
+
+            for (const entry of candidates) {
+                try {
+                    const matched = needsText
+                        ? await this.matchDocumentText(entry, query, { useRegex, caseSensitive, queryAst })
+                        : this.evaluateIndexQuery(queryAst, entry);
+
+                    // Keep every match: facet counts describe the whole result set
+                    if (matched) {
+                        const scoreBreakdown = this.calculateRelevanceScore(entry.folder, rankingQuery, { fieldBoosts });
+                        matchedDocuments.push({
+                            entry,
+                            scoreBreakdown,
+                            relevanceScore: scoreBreakdown.total,
+                            indexMatches: this.countIndexMatches(entry, rankingQuery)
+                        });
+                    }
+                } catch (error) {
+                    const folderPath = this.searchIndex.resolveFolderPath(entry);
+                    await this.logError(`Error searching in folder ${folderPath}`, { folderPath }, error);
+                    processingErrors.push({
+                        folder: folderPath,
+                        error: error.message
+                    });
+                }
+            }
+
+            // Blend in latent similarity when requested
+            if (semantic && matchedDocuments.length > 0) {
+                await this.applySemanticSignal(matchedDocuments, rankingQuery);
+            }
+
+            // Rank by relevance, then read only the requested page for previews and snippets
+            const rankedDocuments = this.rankSearchResults(matchedDocuments);
+
+            // Offer corrections when nothing matched
+            const corrections = rankedDocuments.length === 0 && !useRegex
+                ? this.suggestCorrections(query)
+                : null;
 
-            for (const folderPath of documentFolders) {
+            const nextOffset = offset + limit;
+            const hasMore = nextOffset < rankedDocuments.length;
+
+            const results = [];
+            for (const { entry, scoreBreakdown } of rankedDocuments.slice(offset, nextOffset)) {
+                const folderPath = this.searchIndex.resolveFolderPath(entry);
                 try {
                     const result = await this.searchInDocumentFolder(folderPath, query, {
                         useRegex,
-                        caseSensitive
+                        caseSensitive,
+                        queryAst,
+                        scoreBreakdown
                     });
-
                     if (result) {
-                        searchResults.push(result);
-
-                        // Stop if we've reached the limit
-                        if (searchResults.length >= limit) {
-                            break;
-                        }
+                        results.push(result);
                     }
                 } catch (error) {
-                    const errorMsg = `Error searching in folder ${folderPath}`;
-                    await this.logError(errorMsg, { folderPath }, error);
+                    await this.logError(`Error reading search result ${folderPath}`, { folderPath }, error);
                     processingErrors.push({
                         folder: folderPath,
                         error: error.message
@@ -133,27 +310,45 @@ export class DocumentSearchEngine {
                 }
             }
 
-            // Rank results by relevance
-            const rankedResults = this.rankSearchResults(searchResults, query);
-
             const response = {
                 query,
-                total_results: rankedResults.length,
-                results: rankedResults.slice(0, limit),
+                total_results: rankedDocuments.length,
+                results,
+                offset,
+                limit,
+                has_more: hasMore,
+                next_cursor: hasMore ? this.encodeCursor(nextOffset, fingerprint) : null,
+                facets: this.computeFacets(rankedDocuments.map(({ entry }) => entry)),
                 search_metadata: {
-                    folders_searched: documentFolders.length,
+                    folders_searched: candidates.length,
+                    folders_indexed: this.searchIndex.countDocuments(searchPath),
+                    index_generation: this.searchIndex.generation,
                     search_path: searchPath,
                     use_regex: useRegex,
-                    case_sensitive: caseSensitive
+                    case_sensitive: caseSensitive,
+                    ...(queryAst && { parsed_query: queryAst }),
+                    fuzzy,
+                    ...(fuzzy && { fuzzy_expansions: fuzzyExpansions }),
+                    stemming,
+                    ...(stemming && { stem_expansions: stemExpansions }),
+                    ranking: {
+                        algorithm: 'bm25',
+                        k1: this.ranking.k1,
+                        b: this.ranking.b,
+                        field_boosts: { ...this.ranking.fieldBoosts, ...fieldBoosts },
+                        ...(semantic && { semantic_weight: this.ranking.semanticWeight })
+                    }
                 },
                 ...(category && { category }),
+                ...(tags.length > 0 && { tags }),
+                ...(corrections && corrections),
                 ...(processingErrors.length > 0 && { processing_errors: processingErrors })
             };
 
             await this.logInfo('Search completed', {
                 query,
-                totalResults: rankedResults.length,
-                foldersSearched: documentFolders.length
+                totalResults: rankedDocuments.length,
+                foldersSearched: candidates.length
             });
 
             return response;
@@ -165,40 +360,61 @@ export class DocumentSearchEngine {
     }
 
     /**
-     * Search within a specific document folder
+     * Build the search result of a matched document folder: metadata, snippets and preview
+     * `scoreBreakdown` comes from ranking; without one the document is scored here.
      */
     async searchInDocumentFolder(folderPath, query, options = {}) {
         return await this.errorHandler.wrapAsync(async () => {
-            const { useRegex = false, caseSensitive = false } = options;
+            const { useRegex = false, caseSensitive = false, fieldBoosts = null, queryAst = null } = options;
 
             // Get main document file
-            const mainFilePath = await this.documentFolderManager.getMainDocumentFile(folderPath);
+            const mainFilePath = await this.documentFolderManager.findMainDocumentFile(folderPath);
             if (!mainFilePath) {
                 return null;
             }
 
-            // Read document content
+            // Read document content; matches and previews come from the body, not the frontmatter
             const content = await fs.readFile(mainFilePath, 'utf8');
+            const { body } = parseFrontmatter(content);
+            const frontmatterLines = content.slice(0, content.length - body.length).split('\n').length - 1;
+
+            // Get relative path from sync hub
+            const relativePath = path.relative(this.documentFolderManager.syncHubPath, folderPath);
+
+            // Snippets locate every positive term of a structured query
+            let matchQuery = query;
+            let matchRegex = useRegex;
+            let rankingQuery = query;
+            if (queryAst) {
+                const positiveTexts = collectPositiveTexts(queryAst);
+                matchQuery = positiveTexts.map(text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+                matchRegex = true;
+                rankingQuery = positiveTexts.join(' ');
+            }
 
             // Search for matches
-            const matches = this.findMatches(content, query, { useRegex, caseSensitive });
+            const matches = matchQuery
+                ? this.findMatches(body, matchQuery, { useRegex: matchRegex, caseSensitive })
+                    .map(match => ({ ...match, lineNumber: match.lineNumber + frontmatterLines }))
+                : [];
 
-            if (matches.length === 0) {
+            if (matches.length === 0 && !queryAst) {
                 return null;
             }
 
             // Get document metadata
             const metadata = await this.documentFolderManager.getDocumentFolderMetadata(folderPath);
 
-            // Calculate relevance score
-            const relevanceScore = this.calculateRelevanceScore(content, query, matches);
+            // BM25 relevance from the index statistics
+            const scoreBreakdown = options.scoreBreakdown ||
+                this.calculateRelevanceScore(relativePath, rankingQuery, { fieldBoosts });
 
-            // Create preview with highlighted matches
-            const preview = this.createPreview(content, matches[0]);
-            const highlightedPreview = this.highlightMatches(preview, query, { useRegex, caseSensitive });
-
-            // Get relative path from sync hub
-            const relativePath = path.relative(this.documentFolderManager.syncHubPath, folderPath);
+            // Create preview with highlighted matches; a stored summary describes the document better
+            const summary = extractSummary(content);
+            const preview = summary || this.createPreview(body, matches[0]);
+            const highlightedPreview = matchQuery
+                ? this.highlightMatches(preview, matchQuery, { useRegex: matchRegex, caseSensitive })
+                : preview;
 
             return {
                 documentFolder: {
@@ -208,16 +424,20 @@ export class DocumentSearchEngine {
                     mainFile: path.relative(this.documentFolderManager.syncHubPath, mainFilePath),
                     imageCount: metadata.metadata.imageCount,
                     size: metadata.metadata.size,
-                    modified: metadata.metadata.modified.toISOString()
+                    modified: metadata.metadata.modified.toISOString(),
+                    frontmatter: metadata.frontmatter,
+                    tags: this.searchIndex.documents[relativePath]?.tags || []
                 },
-                relevanceScore,
+                relevanceScore: scoreBreakdown.total,
+                scoreBreakdown,
                 matchedContent: matches.map(match => ({
-                    section: this.extractSection(content, match.index),
+                    section: this.extractSection(body, match.index),
                     excerpt: match.excerpt,
                     lineNumber: match.lineNumber
                 })),
                 preview,
                 highlightedPreview,
+                previewSource: summary ? 'summary' : 'match',
                 totalMatches: matches.length
             };
         }, {
@@ -293,44 +513,460 @@ export class DocumentSearchEngine {
     }
 
     /**
-     * Calculate relevance score for search results
+     * Calculate BM25 relevance for an indexed document
+     * Each field is scored as its own BM25 component and weighted by its boost,
+     * so the breakdown shows exactly where the score came from.
      */
-    calculateRelevanceScore(content, query, matches) {
-        let score = 0;
+    calculateRelevanceScore(documentKey, query, options = {}) {
+        const { k1, b } = this.ranking;
+        const boosts = { ...this.ranking.fieldBoosts, ...options.fieldBoosts };
+        const { documentCount, averageFieldLengths } = this.searchIndex.getCorpusStats();
+        const entry = this.searchIndex.documents[documentKey];
+
+        const breakdown = {
+            total: 0,
+            fields: Object.fromEntries(INDEX_FIELDS.map(field => [field, 0])),
+            terms: {}
+        };
 
-        // Base score from number of matches
-        score += matches.length * 10;
+        if (!entry) {
+            return breakdown;
+        }
 
-        // Bonus for matches in title/headers (lines starting with #)
-        const lines = content.split('\n');
-        for (const match of matches) {
-            const lineIndex = match.lineNumber - 1;
-            if (lineIndex < lines.length) {
-                const line = lines[lineIndex].trim();
-                if (line.startsWith('#')) {
-                    score += 50; // Header match bonus
-                }
-                if (lineIndex < 5) {
-                    score += 20; // Early in document bonus
+        // Stopwords of the document's language carry no relevance unless the query has nothing else
+        const tokens = Array.from(new Set(tokenize(query)));
+        const informative = tokens.filter(token => !isStopword(token, entry.language));
+
+        for (const token of informative.length > 0 ? informative : tokens) {
+            const postings = this.searchIndex.getTermPostings(token);
+            const frequencies = postings[documentKey];
+            if (!frequencies) {
+                breakdown.terms[token] = 0;
+                continue;
+            }
+
+            const documentFrequency = Object.keys(postings).length;
+            const idf = Math.log(1 + (documentCount - documentFrequency + 0.5) / (documentFrequency + 0.5));
+            let termScore = 0;
+
+            for (const field of INDEX_FIELDS) {
+                const tf = frequencies[field] || 0;
+                if (tf === 0 || !boosts[field]) {
+                    continue;
                 }
+
+                const lengthRatio = averageFieldLengths[field] > 0
+                    ? entry.fieldLengths[field] / averageFieldLengths[field]
+                    : 1;
+                const fieldScore = boosts[field] * idf * (tf * (k1 + 1)) / (tf + k1 * (1 - b + b * lengthRatio));
+
+                breakdown.fields[field] += fieldScore;
+                termScore += fieldScore;
             }
+
+            breakdown.terms[token] = termScore;
+            breakdown.total += termScore;
+        }
+
+        const round = value => Math.round(value * 10000) / 10000;
+        breakdown.total = round(breakdown.total);
+        for (const field of INDEX_FIELDS) {
+            breakdown.fields[field] = round(breakdown.fields[field]);
+        }
+        for (const token of Object.keys(breakdown.terms)) {
+            breakdown.terms[token] = round(breakdown.terms[token]);
         }
 
-        // Bonus for exact word matches
-        const queryWords = query.toLowerCase().split(/\s+/);
-        const contentWords = content.toLowerCase().split(/\s+/);
-        for (const queryWord of queryWords) {
-            if (contentWords.includes(queryWord)) {
-                score += 15;
+        return breakdown;
+    }
+
+    /**
+     * Facet counts over a result set
+     * Each value carries the query filter that drills down to it.
+     */
+    computeFacets(entries) {
+        const quote = value => /^[\p{L}\p{N}_./-]+$/u.test(value) ? value : `"${value}"`;
+        const facets = {};
+
+        const count = (facet, value, filter) => {
+            const values = facets[facet] || (facets[facet] = new Map());
+            const bucket = values.get(value) || { value, count: 0, filter };
+            bucket.count++;
+            values.set(value, bucket);
+        };
+
+        for (const entry of entries.filter(Boolean)) {
+            const modified = new Date(this.getModifiedMs(entry));
+            const year = String(modified.getFullYear());
+            const month = `${year}-${String(modified.getMonth() + 1).padStart(2, '0')}`;
+            const bucket = WORD_COUNT_BUCKETS.find(candidate => entry.wordCount < candidate.below);
+
+            count('category', entry.category, `category:${quote(entry.category)}`);
+            count('content_type', entry.contentType, `type:${entry.contentType}`);
+            count('language', entry.language, `lang:${entry.language}`);
+            count('modified_year', year, `modified:${year}`);
+            count('modified_month', month, `modified:${month}`);
+            count('has_images', entry.imageCount > 0, entry.imageCount > 0 ? 'has:images' : '-has:images');
+            count('word_count', bucket.label, bucket.filter);
+            for (const tag of entry.tags) {
+                count('tags', tag, `tag:${quote(tag)}`);
             }
         }
 
-        // Penalty for very long documents (diluted relevance)
-        if (content.length > 10000) {
-            score *= 0.8;
+        const byCount = (a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value));
+        const byValueDescending = (a, b) => String(b.value).localeCompare(String(a.value));
+        const bucketOrder = label => WORD_COUNT_BUCKETS.findIndex(bucket => bucket.label === label);
+        const sorters = {
+            modified_year: byValueDescending,
+            modified_month: byValueDescending,
+            word_count: (a, b) => bucketOrder(a.value) - bucketOrder(b.value)
+        };
+
+        const result = {};
+        for (const facet of ['category', 'content_type', 'language', 'modified_year', 'modified_month', 'has_images', 'word_count', 'tags']) {
+            result[facet] = Array.from((facets[facet] || new Map()).values())
+                .sort(sorters[facet] || byCount)
+                .slice(0, this.options.facetLimit);
         }
 
-        return Math.round(score);
+        return result;
+    }
+
+    /**
+     * Add a semantic component to each result's score
+     * Similarity is scaled by the best BM25 score so the weight means the same
+     * thing regardless of corpus size.
+     */
+    async applySemanticSignal(results, rankingText) {
+        await this.semanticIndex.ensureFresh();
+
+        const queryVector = this.semanticIndex.embedText(tokenize(rankingText));
+        const bestScore = Math.max(...results.map(result => result.scoreBreakdown.total)) || 1;
+        const round = value => Math.round(value * 10000) / 10000;
+
+        for (const result of results) {
+            const similarity = this.semanticIndex.similarityToText(queryVector, result.entry.folder);
+            const semanticScore = this.ranking.semanticWeight * Math.max(0, similarity) * bestScore;
+
+            result.scoreBreakdown.similarity = round(similarity);
+            result.scoreBreakdown.semantic = round(semanticScore);
+            result.scoreBreakdown.total = round(result.scoreBreakdown.total + semanticScore);
+            result.relevanceScore = result.scoreBreakdown.total;
+        }
+    }
+
+    /**
+     * Find document folders similar to a given one
+     */
+    async findSimilarDocuments(documentPath, options = {}) {
+        return await this.errorHandler.wrapAsync(async () => {
+            const { limit = 10, minSimilarity = 0.1 } = options;
+
+            await this.searchIndex.refresh();
+            const key = this.resolveDocumentKey(documentPath);
+            if (!key) {
+                throw new EnhancedError(
+                    `Document is not in the search index: ${documentPath}`,
+                    ErrorTypes.FILE_NOT_FOUND,
+                    { operation: 'findSimilarDocuments', documentPath }
+                );
+            }
+
+            await this.semanticIndex.ensureFresh();
+
+            const describe = entry => ({
+                path: entry.folder,
+                name: entry.name,
+                category: entry.category,
+                title: entry.title,
+                mainFile: entry.mainFile
+            });
+
+            return {
+                document: describe(this.searchIndex.documents[key]),
+                similar: this.semanticIndex.findSimilar(key, { limit, minSimilarity }).map(match => ({
+                    documentFolder: describe(this.searchIndex.documents[match.key]),
+                    similarity: Math.round(match.similarity * 10000) / 10000
+                })),
+                semantic_index: await this.semanticIndex.getStatus()
+            };
+        }, {
+            operation: 'findSimilarDocuments',
+            documentPath
+        });
+    }
+
+    /**
+     * Links from a document to other document folders (wiki and relative markdown links)
+     */
+    async getOutgoingLinks(documentPath, options = {}) {
+        return await this.errorHandler.wrapAsync(async () => {
+            await this.searchIndex.refresh();
+            return this.linkGraph.getOutgoingLinks(this.requireDocumentKey(documentPath, 'getOutgoingLinks'), options);
+        }, {
+            operation: 'getOutgoingLinks',
+            documentPath
+        });
+    }
+
+    /**
+     * Documents that link to a document
+     */
+    async getBacklinks(documentPath) {
+        return await this.errorHandler.wrapAsync(async () => {
+            await this.searchIndex.refresh();
+            return this.linkGraph.getBacklinks(this.requireDocumentKey(documentPath, 'getBacklinks'));
+        }, {
+            operation: 'getBacklinks',
+            documentPath
+        });
+    }
+
+    /**
+     * Link graph of the hub, or of the documents under `directory`
+     */
+    async getLinkGraph(options = {}) {
+        return await this.errorHandler.wrapAsync(async () => {
+            const { directory = null, includeUnresolved = false } = options;
+            await this.searchIndex.refresh();
+
+            let scope = null;
+            if (directory) {
+                const syncHubPath = this.searchIndex.syncHubPath;
+                scope = path.relative(syncHubPath, path.resolve(syncHubPath, directory));
+                if (scope.startsWith('..') || path.isAbsolute(scope)) {
+                    throw new EnhancedError(`Directory is outside the sync hub: ${directory}`, ErrorTypes.VALIDATION_ERROR, {
+                        operation: 'getLinkGraph',
+                        directory
+                    });
+                }
+            }
+
+            return this.linkGraph.getGraph({ scope: scope || null, includeUnresolved });
+        }, {
+            operation: 'getLinkGraph',
+            options
+        });
+    }
+
+    /**
+     * Search the fenced code blocks of indexed documents
+     * Every query word must appear in a block's code; an empty query lists blocks, which
+     * with `language` set is a per-language snippet listing. Each result links back to the
+     * heading the block sits under.
+     * Returns { total, results, languages }, where `languages` counts matches per language.
+     */
+    async searchCodeSnippets(query = '', options = {}) {
+        return await this.errorHandler.wrapAsync(async () => {
+            const { language = null, directory = null, limit = 20, contextLines = 8 } = options;
+            await this.searchIndex.refresh();
+
+            const wantedLanguage = language ? normalizeCodeLanguage(language) : null;
+            const terms = Array.from(new Set(tokenize(query)));
+            const matches = [];
+
+            for (const entry of this.searchIndex.findCandidates('', { scopePath: directory })) {
+                for (const block of entry.codeBlocks || []) {
+                    const blockLanguage = block.language || 'unknown';
+                    if (wantedLanguage && blockLanguage !== wantedLanguage) {
+                        continue;
+                    }
+
+                    const code = block.code.toLowerCase();
+                    if (!terms.every(term => code.includes(term))) {
+                        continue;
+                    }
+
+                    // Occurrences rank the block; the heading naming a term counts extra
+                    const heading = (block.heading || '').toLowerCase();
+                    const score = terms.reduce((sum, term) =>
+                        sum + code.split(term).length - 1 + (heading.includes(term) ? 2 : 0), 0);
+                    matches.push({ entry, block, language: blockLanguage, score });
+                }
+            }
+
+            matches.sort((a, b) =>
+                b.score - a.score ||
+                a.entry.mainFile.localeCompare(b.entry.mainFile) ||
+                a.block.line - b.block.line);
+
+            const languages = {};
+            for (const match of matches) {
+                languages[match.language] = (languages[match.language] || 0) + 1;
+            }
+
+            const results = matches.slice(0, limit).map(({ entry, block, language: blockLanguage, score }) => {
+                const lines = block.code.split('\n');
+                const firstMatch = terms.length > 0
+                    ? Math.max(0, lines.findIndex(line => terms.some(term => line.toLowerCase().includes(term))))
+                    : 0;
+                const from = Math.max(0, Math.min(firstMatch - 2, lines.length - contextLines));
+                const mainFile = entry.mainFile.split(path.sep).join('/');
+                const noteName = path.posix.basename(mainFile, path.posix.extname(mainFile));
+
+                return {
+                    document: entry.folder,
+                    title: entry.title,
+                    mainFile: entry.mainFile,
+                    language: blockLanguage,
+                    languageSource: block.languageSource,
+                    heading: block.heading,
+                    anchor: block.anchor,
+                    link: block.anchor ? `${mainFile}#${block.anchor}` : mainFile,
+                    wikiLink: block.heading ? `[[${noteName}#${block.heading}]]` : `[[${noteName}]]`,
+                    line: block.line,
+                    matchLine: block.line + 1 + firstMatch,
+                    lineCount: block.lineCount,
+                    snippet: lines.slice(from, from + contextLines).join('\n'),
+                    score
+                };
+            });
+
+            return { total: matches.length, results, languages };
+        }, {
+            operation: 'searchCodeSnippets',
+            query,
+            options
+        });
+    }
+
+    /**
+     * Plan the link edits a folder rename or move needs; call before moving the folder
+     */
+    async planLinkUpdates(documentPath, newFolderPath) {
+        return await this.errorHandler.wrapAsync(async () => {
+            // A stale index would miss links written moments ago
+            await this.searchIndex.refresh({ force: true });
+            const key = this.requireDocumentKey(documentPath, 'planLinkUpdates');
+            const syncHubPath = this.searchIndex.syncHubPath;
+            const newKey = path.relative(syncHubPath, path.resolve(syncHubPath, newFolderPath));
+
+            if (newKey.startsWith('..') || path.isAbsolute(newKey)) {
+                throw new EnhancedError(`Target folder is outside the sync hub: ${newFolderPath}`, ErrorTypes.VALIDATION_ERROR, {
+                    operation: 'planLinkUpdates',
+                    documentPath,
+                    newFolderPath
+                });
+            }
+
+            return { document: key, newPath: newKey, files: this.linkGraph.planRelocation(key, newKey) };
+        }, {
+            operation: 'planLinkUpdates',
+            documentPath,
+            newFolderPath
+        });
+    }
+
+    /**
+     * Rewrite the links in a plan from planLinkUpdates, once the folder has moved
+     * With dryRun nothing is written and the notes are read from where they are now.
+     * Returns { changes: [{ file, line, before, after }], filesChanged, linksUpdated }.
+     */
+    async applyLinkUpdates(plan, options = {}) {
+        return await this.errorHandler.wrapAsync(async () => {
+            const { dryRun = false } = options;
+            const syncHubPath = this.searchIndex.syncHubPath;
+            const changes = [];
+            let filesChanged = 0;
+            let linksUpdated = 0;
+
+            for (const { file, currentFile, moved, edits } of plan.files) {
+                let filePath = path.join(syncHubPath, dryRun ? currentFile : file);
+                if (moved && !dryRun) {
+                    // Settles the main file name of the moved folder
+                    filePath = await this.documentFolderManager.getMainDocumentFile(path.join(syncHubPath, plan.newPath)) || filePath;
+                }
+                const content = await fs.readFile(filePath, 'utf8');
+                const result = applyLinkEdits(content, edits);
+                if (result.changes.length === 0) {
+                    continue;
+                }
+
+                if (!dryRun) {
+                    await fs.writeFile(filePath, result.content, 'utf8');
+                }
+                filesChanged++;
+                linksUpdated += result.applied;
+                const reported = dryRun ? file : path.relative(syncHubPath, filePath);
+                changes.push(...result.changes.map(change => ({ file: reported, ...change })));
+            }
+
+            if (!dryRun) {
+                await this.searchIndex.refresh({ force: true });
+            }
+
+            return { changes, filesChanged, linksUpdated };
+        }, {
+            operation: 'applyLinkUpdates',
+            document: plan.document,
+            dryRun: options.dryRun
+        });
+    }
+
+    /**
+     * Index key for a document path, or a FILE_NOT_FOUND error
+     */
+    requireDocumentKey(documentPath, operation) {
+        const key = this.resolveDocumentKey(documentPath);
+        if (!key) {
+            throw new EnhancedError(
+                `Document is not in the search index: ${documentPath}`,
+                ErrorTypes.FILE_NOT_FOUND,
+                { operation, documentPath }
+            );
+        }
+        return key;
+    }
+
+    /**
+     * Map a folder path or main-file path (relative or absolute) to an index key
+     */
+    resolveDocumentKey(documentPath) {
+        const syncHubPath = this.searchIndex.syncHubPath;
+        const absolute = path.isAbsolute(documentPath) ? documentPath : path.join(syncHubPath, documentPath);
+        let key = path.relative(syncHubPath, absolute);
+
+        if (!this.searchIndex.documents[key] && /\.(md|markdown|txt)$/i.test(key)) {
+            key = path.dirname(key);
+        }
+
+        return this.searchIndex.documents[key] ? key : null;
+    }
+
+    /**
+     * Read search_* ranking and refresh settings from organize_config.conf
+     */
+    loadRankingConfig(configPath) {
+        if (!existsSync(configPath)) {
+            return;
+        }
+
+        const settings = {};
+        for (const line of readFileSync(configPath, 'utf8').split('\n')) {
+            const match = line.trim().match(/^(search_[a-z0-9_]+)\s*=\s*"?([^"]*)"?$/);
+            if (match) {
+                settings[match[1]] = parseFloat(match[2]);
+            }
+        }
+
+        if (Number.isFinite(settings.search_bm25_k1)) {
+            this.ranking.k1 = settings.search_bm25_k1;
+        }
+        if (Number.isFinite(settings.search_bm25_b)) {
+            this.ranking.b = settings.search_bm25_b;
+        }
+        if (Number.isFinite(settings.search_semantic_weight)) {
+            this.ranking.semanticWeight = settings.search_semantic_weight;
+        }
+        if (Number.isFinite(settings.search_refresh_interval)) {
+            this.refreshInterval = settings.search_refresh_interval * 1000;
+        }
+        for (const field of INDEX_FIELDS) {
+            const boost = settings[`search_boost_${field}`];
+            if (Number.isFinite(boost)) {
+                this.ranking.fieldBoosts[field] = boost;
+            }
+        }
     }
 
     /**
@@ -420,25 +1056,84 @@ export class DocumentSearchEngine {
     }
 
     /**
-     * Rank search results by relevance score
+     * Rank matched documents ({ entry, relevanceScore, indexMatches }) by relevance score
      */
-    rankSearchResults(results, query) {
-        return results.sort((a, b) => {
+    rankSearchResults(matches) {
+        return matches.sort((a, b) => {
             // Primary sort by relevance score
             if (b.relevanceScore !== a.relevanceScore) {
                 return b.relevanceScore - a.relevanceScore;
             }
 
             // Secondary sort by number of matches
-            if (b.totalMatches !== a.totalMatches) {
-                return b.totalMatches - a.totalMatches;
+            if (b.indexMatches !== a.indexMatches) {
+                return b.indexMatches - a.indexMatches;
             }
 
             // Tertiary sort by modification date (newer first)
-            return new Date(b.documentFolder.modified) - new Date(a.documentFolder.modified);
+            const modifiedDifference = this.getModifiedMs(b.entry) - this.getModifiedMs(a.entry);
+            if (modifiedDifference !== 0) {
+                return modifiedDifference;
+            }
+
+            // Finally by path, so pages never overlap or skip between requests
+            return a.entry.folder.localeCompare(b.entry.folder);
         });
     }
 
+    /**
+     * Occurrences of the query's words in a document's title, headings and body, from the index
+     */
+    countIndexMatches(entry, query) {
+        return Array.from(new Set(tokenize(query))).reduce((total, token) => {
+            const frequencies = this.searchIndex.getTermPostings(token)[entry.folder] || {};
+            return total + (frequencies.title || 0) + (frequencies.headings || 0) + (frequencies.body || 0);
+        }, 0);
+    }
+
+    /**
+     * Stable hash of everything that affects which results a query returns and their order
+     */
+    getQueryFingerprint(query, options) {
+        return crypto.createHash('sha256')
+            .update(JSON.stringify([query, options.category, options.useRegex, options.caseSensitive,
+                options.fieldBoosts, options.fuzzy, options.semantic, options.stemming, options.tags]))
+            .digest('hex')
+            .substring(0, 16);
+    }
+
+    /**
+     * Opaque cursor for the page starting at offset, valid until the index changes
+     */
+    encodeCursor(offset, fingerprint) {
+        return Buffer.from(JSON.stringify({
+            o: offset,
+            g: this.searchIndex.generation,
+            f: fingerprint
+        })).toString('base64url');
+    }
+
+    /**
+     * Decode a cursor and check that it was issued for the same query
+     */
+    decodeCursor(cursor, fingerprint) {
+        let payload;
+        try {
+            payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        } catch {
+            throw new SearchCursorError('the cursor is malformed', cursor);
+        }
+
+        if (!payload || !Number.isInteger(payload.o) || payload.o < 0 || !Number.isInteger(payload.g)) {
+            throw new SearchCursorError('the cursor is malformed', cursor);
+        }
+        if (payload.f !== fingerprint) {
+            throw new SearchCursorError('the cursor was issued for a different query', cursor);
+        }
+
+        return { offset: payload.o, generation: payload.g };
+    }
+
     /**
      * Search in a specific category
      */
@@ -477,23 +1172,302 @@ export class DocumentSearchEngine {
     }
 
     /**
-     * Parse search query for advanced features
+     * Parse a structured search query into an AST
+     * Throws SearchQueryError with the offending position for malformed queries.
      */
     parseSearchQuery(query) {
-        // Simple query parsing - can be extended for advanced features
-        const parsed = {
-            originalQuery: query,
-            terms: query.toLowerCase().split(/\s+/).filter(term => term.length > 0),
-            isRegex: false,
-            caseSensitive: false
+        return parseSearchQuery(query);
+    }
+
+    /**
+     * Narrow the index to documents that can satisfy a query AST
+     * Terms and phrases use the inverted index, filters use indexed metadata;
+     * negations cannot narrow, so they keep every document for verification.
+     */
+    selectCandidates(queryAst, scopePath) {
+        const allKeys = () => new Set(Object.keys(this.searchIndex.documents));
+
+        const select = node => {
+            switch (node.type) {
+                case 'term':
+                case 'phrase':
+                    return new Set(this.searchIndex.findCandidates(node.value).map(entry => entry.folder));
+                case 'filter':
+                    return new Set(Object.values(this.searchIndex.documents)
+                        .filter(entry => this.matchesFilter(node, entry))
+                        .map(entry => entry.folder));
+                case 'and':
+                    return node.children
+                        .map(select)
+                        .reduce((result, keys) => new Set([...result].filter(key => keys.has(key))));
+                case 'or':
+                    return node.children
+                        .map(select)
+                        .reduce((result, keys) => new Set([...result, ...keys]));
+                default:
+                    return allKeys();
+            }
         };
 
-        // Check for regex indicators
-        if (query.includes('*') || query.includes('?') || query.includes('[') || query.includes('^')) {
-            parsed.isRegex = true;
+        const selected = select(queryAst);
+        return this.searchIndex.findCandidates('', { useRegex: true, scopePath })
+            .filter(entry => selected.has(entry.folder));
+    }
+
+    /**
+     * Replace each single-word term with an OR over its fuzzy vocabulary matches
+     */
+    expandFuzzyTerms(node, expansions = {}) {
+        switch (node.type) {
+            case 'term': {
+                const tokens = tokenize(node.value);
+                if (tokens.length !== 1) {
+                    return node;
+                }
+
+                const variants = this.searchIndex.getFuzzyMatcher()
+                    .findSimilarTerms(tokens[0])
+                    .map(match => match.term)
+                    .filter(term => term !== tokens[0]);
+
+                if (variants.length === 0) {
+                    return node;
+                }
+
+                expansions[node.value] = variants;
+                return {
+                    type: 'or',
+                    fuzzy: node.value,
+                    children: [node, ...variants.map(term => ({ type: 'term', value: term }))]
+                };
+            }
+            case 'and':
+            case 'or':
+                return { ...node, children: node.children.map(child => this.expandFuzzyTerms(child, expansions)) };
+            case 'not':
+                return { ...node, child: this.expandFuzzyTerms(node.child, expansions) };
+            default:
+                return node;
         }
+    }
+
+    /**
+     * Replace each single-word term with an OR over the vocabulary terms sharing its stem
+     * Variants that already contain the word are left out, since terms match as substrings.
+     */
+    expandStemmedTerms(node, expansions = {}) {
+        switch (node.type) {
+            case 'term': {
+                const tokens = tokenize(node.value);
+                if (tokens.length !== 1) {
+                    return node;
+                }
+
+                const variants = this.searchIndex.getStemVariants(tokens[0])
+                    .filter(term => !term.includes(tokens[0]))
+                    .sort();
+
+                if (variants.length === 0) {
+                    return node;
+                }
 
-        return parsed;
+                expansions[node.value] = variants;
+                return {
+                    type: 'or',
+                    stemmed: node.value,
+                    children: [node, ...variants.map(term => ({ type: 'term', value: term }))]
+                };
+            }
+            case 'or':
+                // Fuzzy alternatives are already a deliberate widening of the word
+                return node.fuzzy
+                    ? node
+                    : { ...node, children: node.children.map(child => this.expandStemmedTerms(child, expansions)) };
+            case 'and':
+                return { ...node, children: node.children.map(child => this.expandStemmedTerms(child, expansions)) };
+            case 'not':
+                return { ...node, child: this.expandStemmedTerms(node.child, expansions) };
+            default:
+                return node;
+        }
+    }
+
+    /**
+     * "Did you mean" suggestions for unknown words in a query
+     */
+    suggestCorrections(query) {
+        const matcher = this.searchIndex.getFuzzyMatcher();
+        const suggestions = {};
+        let corrected = query;
+
+        // Field names and operators are never corrected, only the words being searched for
+        // (tokens are plain letters/digits, so they are safe to embed in a pattern)
+        const words = query
+            .replace(/\b[a-z]+:("[^"]*"|\S+)/gi, ' ')
+            .replace(/\b(AND|OR|NOT)\b/g, ' ');
+
+        for (const token of new Set(tokenize(words))) {
+            const alternatives = matcher.findSimilarTerms(token, {
+                maxDistance: Math.max(1, defaultMaxDistance(token)),
+                includeExact: false
+            });
+
+            if (matcher.frequencies.has(token) || alternatives.length === 0) {
+                continue;
+            }
+
+            suggestions[token] = alternatives.map(match => match.term);
+            corrected = corrected.replace(
+                new RegExp(`(?<![\\p{L}\\p{N}_])${token}(?![\\p{L}\\p{N}_])`, 'giu'),
+                alternatives[0].term
+            );
+        }
+
+        if (Object.keys(suggestions).length === 0) {
+            return null;
+        }
+
+        return { did_you_mean: corrected, suggestions };
+    }
+
+    /**
+     * Whether a query AST contains a quoted phrase, which needs the text to check word order
+     */
+    containsPhrase(node) {
+        switch (node.type) {
+            case 'phrase':
+                return true;
+            case 'and':
+            case 'or':
+                return node.children.some(child => this.containsPhrase(child));
+            case 'not':
+                return this.containsPhrase(node.child);
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Evaluate a query AST against an index entry alone
+     * A term matches when each of its words is part of a word in the title, headings or
+     * body, the same substring rule the candidate lookup uses; filters use indexed metadata.
+     */
+    evaluateIndexQuery(node, entry) {
+        switch (node.type) {
+            case 'term':
+            case 'phrase': {
+                const tokens = tokenize(node.value);
+                return tokens.length > 0 && tokens.every(token => {
+                    const frequencies = this.searchIndex.getTermPostings(token)[entry.folder] || {};
+                    return Boolean(frequencies.title || frequencies.headings || frequencies.body);
+                });
+            }
+            case 'filter':
+                return this.matchesFilter(node, entry);
+            case 'and':
+                return node.children.every(child => this.evaluateIndexQuery(child, entry));
+            case 'or':
+                return node.children.some(child => this.evaluateIndexQuery(child, entry));
+            case 'not':
+                return !this.evaluateIndexQuery(node.child, entry);
+            case 'all':
+                return true;
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Check a candidate against its text: regex, case-sensitive and phrase searches
+     */
+    async matchDocumentText(entry, query, options = {}) {
+        const { useRegex = false, caseSensitive = false, queryAst = null } = options;
+        const content = await fs.readFile(path.join(this.searchIndex.syncHubPath, entry.mainFile), 'utf8');
+        const { body } = parseFrontmatter(content);
+
+        return queryAst
+            ? this.evaluateQuery(queryAst, body, entry, { caseSensitive })
+            : this.findMatches(body, query, { useRegex, caseSensitive }).length > 0;
+    }
+
+    /**
+     * Evaluate a query AST against a document's body and indexed metadata
+     * Terms also match the frontmatter title and aliases, which are not part of the body.
+     */
+    evaluateQuery(node, content, entry, options = {}) {
+        switch (node.type) {
+            case 'term':
+            case 'phrase':
+                return [content, ...(entry ? [entry.title, ...(entry.aliases || [])] : [])]
+                    .some(text => this.findMatches(text, node.value, { caseSensitive: options.caseSensitive }).length > 0);
+            case 'filter':
+                return entry ? this.matchesFilter(node, entry) : false;
+            case 'and':
+                return node.children.every(child => this.evaluateQuery(child, content, entry, options));
+            case 'or':
+                return node.children.some(child => this.evaluateQuery(child, content, entry, options));
+            case 'not':
+                return !this.evaluateQuery(node.child, content, entry, options);
+            case 'all':
+                return true;
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Check a field filter (category:, title:, tag:, lang:, modified:, ...) against an index entry
+     */
+    matchesFilter(filter, entry) {
+        const value = filter.value.toLowerCase();
+
+        switch (filter.field) {
+            case 'category': {
+                const category = value.replace(/[\\/]+/g, path.sep).replace(/[\\/]+$/, '');
+                const folder = entry.folder.toLowerCase();
+                return entry.category.toLowerCase() === category || folder.startsWith(category + path.sep);
+            }
+            case 'title':
+                return [entry.title, ...(entry.aliases || [])].some(title => title.toLowerCase().includes(value));
+            case 'heading':
+                return [entry.title, ...entry.headings].some(heading => heading.toLowerCase().includes(value));
+            case 'tag':
+                return entry.tags.includes(value.replace(/^#/, ''));
+            case 'type':
+                return entry.contentType === value;
+            case 'lang':
+                return entry.language === normalizeLanguage(value);
+            case 'has':
+                return value === 'images' && entry.imageCount > 0;
+            case 'words':
+                switch (filter.operator) {
+                    case '>': return entry.wordCount > filter.number;
+                    case '>=': return entry.wordCount >= filter.number;
+                    case '<': return entry.wordCount < filter.number;
+                    case '<=': return entry.wordCount <= filter.number;
+                    default: return entry.wordCount === filter.number;
+                }
+            case 'modified': {
+                const { start, end } = filter.range;
+                const modified = this.getModifiedMs(entry);
+                switch (filter.operator) {
+                    case '>': return modified >= end;
+                    case '>=': return modified >= start;
+                    case '<': return modified < start;
+                    case '<=': return modified < end;
+                    default: return modified >= start && modified < end;
+                }
+            }
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Modification time of an indexed document; a frontmatter `updated` date wins over the file mtime
+     */
+    getModifiedMs(entry) {
+        return entry.updatedMs ?? entry.mtimeMs;
     }
 
     /**
@@ -0,0 +1,295 @@
+#!/usr/bin/env node
+
+/**
+ * Frontmatter
+ * Parses and updates the YAML frontmatter block at the top of markdown documents
+ *
+ * Supports the subset of YAML used for note metadata: scalars, quoted strings,
+ * flow lists ([a, b]), block lists, block scalars (| and >) and one level of
+ * nested mappings. Entries keep their original source text, so updating one
+ * key leaves every other line of the frontmatter, and the whole body, untouched.
+ */
+
+/**
+ * Frontmatter keys with a defined meaning for the organizer
+ */
+export const METADATA_FIELDS = ['title', 'created', 'updated', 'tags', 'aliases', 'source', 'category', 'author', 'summary'];
+
+/**
+ * Separate the frontmatter block from the body
+ * Returns the raw YAML (without delimiters), the body and the line ending in use.
+ */
+export function splitFrontmatter(content) {
+    const text = content || '';
+    const opening = text.match(/^---[ \t]*(\r?\n)/);
+    if (!opening) {
+        return { exists: false, yaml: '', body: text, eol: text.includes('\r\n') ? '\r\n' : '\n' };
+    }
+
+    const rest = text.slice(opening[0].length);
+    const closing = rest.match(/^(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/m);
+    if (!closing) {
+        return { exists: false, yaml: '', body: text, eol: opening[1] };
+    }
+
+    return {
+        exists: true,
+        yaml: rest.slice(0, closing.index),
+        body: rest.slice(closing.index + closing[0].length),
+        eol: opening[1]
+    };
+}
+
+/**
+ * Split a flow sequence body on commas that are not inside quotes
+ */
+function splitFlowItems(text) {
+    const items = [];
+    let current = '';
+    let quote = null;
+
+    for (const char of text) {
+        if (quote) {
+            current += char;
+            if (char === quote) {
+                quote = null;
+            }
+        } else if (char === '"' || char === '\'') {
+            quote = char;
+            current += char;
+        } else if (char === ',') {
+            items.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    items.push(current);
+
+    return items.map(item => item.trim()).filter(item => item.length > 0);
+}
+
+/**
+ * Parse a single YAML scalar (or flow list) into a JavaScript value
+ */
+export function parseScalar(raw) {
+    let text = raw.trim();
+
+    if (text.startsWith('"')) {
+        const end = text.lastIndexOf('"');
+        try {
+            return JSON.parse(text.slice(0, end + 1));
+        } catch {
+            return text.slice(1, end > 0 ? end : undefined);
+        }
+    }
+    if (text.startsWith('\'')) {
+        const end = text.lastIndexOf('\'');
+        return text.slice(1, end > 0 ? end : undefined).replace(/''/g, '\'');
+    }
+    if (text.startsWith('[')) {
+        const end = text.lastIndexOf(']');
+        return splitFlowItems(text.slice(1, end > 0 ? end : undefined)).map(parseScalar);
+    }
+
+    // Trailing comments only count after whitespace
+    text = text.replace(/\s+#.*$/, '');
+
+    if (text === '' || text === '~' || text === 'null') {
+        return null;
+    }
+    if (text === 'true' || text === 'false') {
+        return text === 'true';
+    }
+    if (/^-?\d+(\.\d+)?$/.test(text)) {
+        return Number(text);
+    }
+
+    return text;
+}
+
+/**
+ * Parse frontmatter YAML into ordered entries that remember their source lines
+ */
+function parseEntries(yaml) {
+    const lines = yaml.split(/\r?\n/);
+    if (lines[lines.length - 1] === '') {
+        lines.pop();
+    }
+
+    const entries = [];
+    let current = null;
+
+    for (const line of lines) {
+        const keyMatch = line.match(/^([^\s#][^:]*?):(?:[ \t]+(.*)|[ \t]*)$/);
+
+        // Block list items may sit at column 0 under their key
+        if (current && /^-(\s|$)/.test(line)) {
+            current.lines.push(line);
+        } else if (keyMatch) {
+            current = { key: keyMatch[1].trim(), inline: keyMatch[2] || '', lines: [line] };
+            entries.push(current);
+        } else if (current && (line.trim() === '' || /^\s/.test(line))) {
+            current.lines.push(line);
+        } else {
+            // Comments and anything unrecognized are kept verbatim
+            current = null;
+            entries.push({ key: null, lines: [line] });
+        }
+    }
+
+    for (const entry of entries) {
+        if (entry.key !== null) {
+            entry.value = parseEntryValue(entry);
+        }
+    }
+
+    return entries;
+}
+
+/**
+ * Value of a key, including block lists, block scalars and nested mappings
+ */
+function parseEntryValue(entry) {
+    const continuation = entry.lines.slice(1);
+    const inline = entry.inline.trim();
+
+    if (/^[|>][+-]?$/.test(inline)) {
+        const content = continuation.filter((line, i) => line.trim() !== '' || i < continuation.length - 1);
+        const indent = Math.min(...content.filter(line => line.trim()).map(line => line.match(/^\s*/)[0].length));
+        const stripped = content.map(line => line.slice(Number.isFinite(indent) ? indent : 0));
+        return inline.startsWith('|') ? stripped.join('\n') : stripped.join(' ').replace(/\s+/g, ' ').trim();
+    }
+
+    if (inline !== '' || continuation.every(line => line.trim() === '')) {
+        return parseScalar(inline);
+    }
+
+    const items = continuation.filter(line => line.trim() !== '');
+    if (items.every(line => /^\s*-(\s|$)/.test(line))) {
+        return items.map(line => parseScalar(line.replace(/^\s*-\s?/, '')));
+    }
+
+    const mapping = {};
+    for (const line of items) {
+        const match = line.match(/^\s+([^:]+):(?:\s+(.*))?$/);
+        if (match) {
+            mapping[match[1].trim()] = parseScalar(match[2] || '');
+        }
+    }
+    return mapping;
+}
+
+/**
+ * Parse a document's frontmatter
+ * Returns { data, body, exists } where body is the exact text after the closing delimiter.
+ */
+export function parseFrontmatter(content) {
+    const { exists, yaml, body } = splitFrontmatter(content);
+    const data = {};
+
+    if (exists) {
+        for (const entry of parseEntries(yaml)) {
+            if (entry.key !== null) {
+                data[entry.key] = entry.value;
+            }
+        }
+    }
+
+    return { data, body, exists };
+}
+
+/**
+ * Serialize a scalar, quoting only when plain YAML would be ambiguous
+ */
+export function serializeScalar(value) {
+    if (value === null || value === undefined) {
+        return 'null';
+    }
+    if (typeof value === 'boolean' || typeof value === 'number') {
+        return String(value);
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+
+    const text = String(value);
+    const plain = /^[\p{L}\p{N}_./(][^\n#]*$/u.test(text) &&
+        !/:(\s|$)/.test(text) &&
+        !/\s$/.test(text) &&
+        !/^(true|false|null|~|-?\d+(\.\d+)?)$/.test(text);
+
+    return plain ? text : JSON.stringify(text);
+}
+
+/**
+ * Source lines for one key
+ */
+function serializeEntry(key, value) {
+    if (Array.isArray(value)) {
+        return value.length === 0
+            ? [`${key}: []`]
+            : [`${key}:`, ...value.map(item => `  - ${serializeScalar(item)}`)];
+    }
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+        return [`${key}:`, ...Object.entries(value).map(([subKey, subValue]) => `  ${subKey}: ${serializeScalar(subValue)}`)];
+    }
+    return [`${key}: ${serializeScalar(value)}`];
+}
+
+/**
+ * Serialize metadata as a complete frontmatter block (with delimiters)
+ */
+export function serializeFrontmatter(data, eol = '\n') {
+    const lines = Object.entries(data)
+        .filter(([, value]) => value !== undefined)
+        .flatMap(([key, value]) => serializeEntry(key, value));
+    return ['---', ...lines, '---', ''].join(eol);
+}
+
+/**
+ * Apply metadata changes to a document
+ * Keys set to null are removed, other keys are replaced in place or appended.
+ * Untouched keys keep their original formatting and the body is never modified.
+ */
+export function updateFrontmatter(content, changes) {
+    const { exists, yaml, body, eol } = splitFrontmatter(content);
+    const entries = exists ? parseEntries(yaml) : [];
+
+    for (const [key, value] of Object.entries(changes)) {
+        if (value === undefined) {
+            continue;
+        }
+
+        const index = entries.findIndex(entry => entry.key === key);
+        if (value === null) {
+            if (index !== -1) {
+                entries.splice(index, 1);
+            }
+        } else if (index !== -1) {
+            entries[index] = { key, value, lines: serializeEntry(key, value) };
+        } else {
+            entries.push({ key, value, lines: serializeEntry(key, value) });
+        }
+    }
+
+    if (entries.length === 0) {
+        return body;
+    }
+
+    const lines = entries.flatMap(entry => entry.lines);
+    return ['---', ...lines, '---', ''].join(eol) + body;
+}
+
+/**
+ * Date from a frontmatter value, or null when it is missing or not a date
+ */
+export function parseMetadataDate(value) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    const date = value instanceof Date ? value : new Date(typeof value === 'number' ? value : String(value));
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+export default parseFrontmatter;
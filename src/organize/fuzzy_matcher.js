@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+
+/**
+ * Fuzzy Matcher
+ * Typo-tolerant lookup over the search index vocabulary
+ *
+ * Candidate terms are gathered from a trigram index and then confirmed with a
+ * bounded edit distance (optimal string alignment, so "tensorflwo" is one
+ * transposition away from "tensorflow").
+ */
+
+/**
+ * Edit distance allowing insertions, deletions, substitutions and adjacent
+ * transpositions. Returns maxDistance + 1 as soon as the bound is exceeded.
+ */
+export function editDistance(a, b, maxDistance = Infinity) {
+    if (Math.abs(a.length - b.length) > maxDistance) {
+        return maxDistance + 1;
+    }
+
+    let previousPrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    let previousMinimum = 0;
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMinimum = i;
+
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + cost
+            );
+
+            if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, previousPrevious[j - 2] + 1);
+            }
+
+            current.push(value);
+            rowMinimum = Math.min(rowMinimum, value);
+        }
+
+        // Later rows build on this row, or on the previous one via a transposition
+        if (rowMinimum > maxDistance && previousMinimum + 1 > maxDistance) {
+            return maxDistance + 1;
+        }
+
+        previousMinimum = rowMinimum;
+        previousPrevious = previous;
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+/**
+ * Default edit budget for a token: exact for very short words, then 1, then 2
+ */
+export function defaultMaxDistance(token) {
+    if (token.length <= 3) {
+        return 0;
+    }
+    return token.length <= 6 ? 1 : 2;
+}
+
+/**
+ * Padded character trigrams of a term
+ */
+function trigrams(term) {
+    const padded = `  ${term} `;
+    const grams = new Set();
+    for (let i = 0; i < padded.length - 2; i++) {
+        grams.add(padded.substring(i, i + 3));
+    }
+    return grams;
+}
+
+/**
+ * Fuzzy Matcher Class
+ * Built once per index generation from the vocabulary and document frequencies
+ */
+export class FuzzyMatcher {
+    constructor(vocabulary) {
+        // vocabulary: Map or object of term -> document frequency
+        this.frequencies = vocabulary instanceof Map ? vocabulary : new Map(Object.entries(vocabulary));
+        this.trigramIndex = new Map();
+
+        for (const term of this.frequencies.keys()) {
+            for (const gram of trigrams(term)) {
+                if (!this.trigramIndex.has(gram)) {
+                    this.trigramIndex.set(gram, []);
+                }
+                this.trigramIndex.get(gram).push(term);
+            }
+        }
+    }
+
+    /**
+     * Vocabulary terms within the edit budget of a token, closest and most common first
+     */
+    findSimilarTerms(token, options = {}) {
+        const {
+            maxDistance = defaultMaxDistance(token),
+            limit = 5,
+            includeExact = true
+        } = options;
+
+        if (maxDistance === 0) {
+            return includeExact && this.frequencies.has(token)
+                ? [{ term: token, distance: 0, frequency: this.frequencies.get(token) }]
+                : [];
+        }
+
+        // Each edit (or transposition) disturbs at most four trigrams
+        const tokenGrams = trigrams(token);
+        const minimumShared = Math.max(1, tokenGrams.size - 4 * maxDistance);
+        const shared = new Map();
+
+        for (const gram of tokenGrams) {
+            for (const term of this.trigramIndex.get(gram) || []) {
+                shared.set(term, (shared.get(term) || 0) + 1);
+            }
+        }
+
+        const matches = [];
+        for (const [term, count] of shared) {
+            if (count < minimumShared || (!includeExact && term === token)) {
+                continue;
+            }
+
+            const distance = editDistance(token, term, maxDistance);
+            if (distance <= maxDistance) {
+                matches.push({ term, distance, frequency: this.frequencies.get(term) });
+            }
+        }
+
+        return matches
+            .sort((a, b) => a.distance - b.distance || b.frequency - a.frequency || a.term.localeCompare(b.term))
+            .slice(0, limit);
+    }
+
+    /**
+     * Best correction for a token, or null when the token is known or nothing is close
+     */
+    suggest(token, options = {}) {
+        if (this.frequencies.has(token)) {
+            return null;
+        }
+
+        const [best] = this.findSimilarTerms(token, {
+            maxDistance: Math.max(1, defaultMaxDistance(token)),
+            limit: 1,
+            includeExact: false,
+            ...options
+        });
+
+        return best ? best.term : null;
+    }
+}
+
+export default FuzzyMatcher;
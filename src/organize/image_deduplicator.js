@@ -0,0 +1,254 @@
+#!/usr/bin/env node
+
+/**
+ * Image Deduplicator
+ * Finds byte-identical images across document folders by content hash
+ *
+ * Only files whose sizes collide are hashed, so a hub of mostly distinct images costs
+ * little more than a directory listing. Duplicates across folders are reported but
+ * never merged: a document folder must keep its own copy of every image it shows so
+ * it can still be moved as a whole (the folder-move policy). Within one folder,
+ * identical copies can be consolidated: the folder's notes are pointed at a single
+ * copy and the others go to the orphaned-asset quarantine, where they can be restored.
+ */
+
+import { promises as fs, createReadStream } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { createErrorHandler } from './error_handler.js';
+import { parseLinks, retargetLink, applyLinkEdits } from './link_graph.js';
+import { IMAGE_EXTENSIONS } from './link_checker.js';
+import { OrphanedAssetManager } from './orphaned_asset_manager.js';
+
+const NOTE_EXTENSIONS = ['.md', '.markdown'];
+
+/**
+ * SHA-256 of a file, streamed so large images are not held in memory
+ */
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('error', reject)
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+/**
+ * Image Deduplicator Class
+ * Reports duplicate image groups and consolidates copies inside a document folder
+ */
+export class ImageDeduplicator {
+    constructor(documentFolderManager, options = {}) {
+        this.documentFolderManager = documentFolderManager;
+        this.syncHubPath = documentFolderManager.syncHubPath;
+        this.assetManager = options.assetManager || new OrphanedAssetManager(documentFolderManager, options);
+
+        // Initialize error handler
+        this.errorHandler = createErrorHandler('ImageDeduplicator', {
+            enableConsoleLogging: process.env.NODE_ENV !== 'production'
+        });
+
+        // Bind logging methods
+        this.logInfo = this.errorHandler.logInfo.bind(this.errorHandler);
+    }
+
+    /**
+     * Groups of identical images under a directory (the whole sync hub by default)
+     * `reclaimableBytes` counts every extra copy; `reclaimableWithinFolders` only the
+     * copies that share a folder with an identical image, which is what consolidation frees.
+     * Returns { documentsScanned, imagesScanned, groups, reclaimableBytes, reclaimableWithinFolders }.
+     */
+    async findDuplicateImages(directory = this.syncHubPath) {
+        return await this.errorHandler.wrapAsync(async () => {
+            const folders = await this.documentFolderManager.findDocumentFolders(directory, true);
+            const bySize = new Map();
+            let imagesScanned = 0;
+
+            for (const folderPath of folders) {
+                for (const asset of await this.assetManager.listAssets(folderPath)) {
+                    if (!IMAGE_EXTENSIONS.includes(path.posix.extname(asset).toLowerCase())) {
+                        continue;
+                    }
+                    const filePath = path.join(folderPath, ...asset.split('/'));
+                    const { size } = await fs.stat(filePath);
+                    imagesScanned++;
+                    if (size === 0) {
+                        continue;
+                    }
+                    if (!bySize.has(size)) {
+                        bySize.set(size, []);
+                    }
+                    bySize.get(size).push({ folderPath, asset, filePath });
+                }
+            }
+
+            const byHash = new Map();
+            for (const [size, images] of bySize) {
+                if (images.length < 2) {
+                    continue;
+                }
+                for (const image of images) {
+                    const hash = await hashFile(image.filePath);
+                    if (!byHash.has(hash)) {
+                        byHash.set(hash, { hash, size, copies: [] });
+                    }
+                    byHash.get(hash).copies.push({
+                        document: path.relative(this.syncHubPath, image.folderPath),
+                        path: path.relative(this.syncHubPath, image.filePath)
+                    });
+                }
+            }
+
+            const groups = Array.from(byHash.values())
+                .filter(group => group.copies.length > 1)
+                .map(group => {
+                    const documentCount = new Set(group.copies.map(copy => copy.document)).size;
+                    return {
+                        ...group,
+                        copies: group.copies.sort((a, b) => a.path.localeCompare(b.path)),
+                        documentCount,
+                        reclaimableBytes: group.size * (group.copies.length - 1),
+                        reclaimableWithinFolders: group.size * (group.copies.length - documentCount)
+                    };
+                })
+                .sort((a, b) => b.reclaimableBytes - a.reclaimableBytes || a.hash.localeCompare(b.hash));
+
+            return {
+                documentsScanned: folders.length,
+                imagesScanned,
+                groups,
+                reclaimableBytes: groups.reduce((sum, group) => sum + group.reclaimableBytes, 0),
+                reclaimableWithinFolders: groups.reduce((sum, group) => sum + group.reclaimableWithinFolders, 0)
+            };
+        }, {
+            operation: 'findDuplicateImages',
+            directory
+        });
+    }
+
+    /**
+     * Keep one copy of each duplicate image per document folder
+     * The kept copy is one the folder's notes already reference (else the shortest path);
+     * references to the other copies are rewritten to it and the copies are quarantined.
+     * A copy whose file name the notes still mention after the rewrite (in a form no link
+     * parser understood) is kept and reported as skipped.
+     * Nothing crosses a folder boundary, so every folder stays movable on its own.
+     * Returns { removed: [{ path, kept }], skipped: [{ path, reason }], bytesReclaimed,
+     * changes: [{ file, line, before, after }], batchId, dryRun }.
+     */
+    async consolidateWithinFolders(groups, options = {}) {
+        const { dryRun = false } = options;
+
+        return await this.errorHandler.wrapAsync(async () => {
+            // Duplicate sets per folder, as folder-relative asset paths
+            const byFolder = new Map();
+            for (const group of groups) {
+                const perFolder = new Map();
+                for (const copy of group.copies) {
+                    if (!perFolder.has(copy.document)) {
+                        perFolder.set(copy.document, []);
+                    }
+                    perFolder.get(copy.document).push(path.relative(copy.document, copy.path).split(path.sep).join('/'));
+                }
+                for (const [document, assets] of perFolder) {
+                    if (assets.length > 1) {
+                        if (!byFolder.has(document)) {
+                            byFolder.set(document, []);
+                        }
+                        byFolder.get(document).push({ assets, size: group.size });
+                    }
+                }
+            }
+
+            const removed = [];
+            const skipped = [];
+            const changes = [];
+            let bytesReclaimed = 0;
+
+            for (const [document, sets] of byFolder) {
+                const folderPath = path.join(this.syncHubPath, document);
+                const allAssets = await this.assetManager.listAssets(folderPath);
+                const referenced = await this.assetManager.getReferencedAssets(folderPath, allAssets);
+                const replacements = new Map();
+
+                for (const { assets, size } of sets) {
+                    const [kept] = [...assets].sort((a, b) =>
+                        referenced.has(b) - referenced.has(a) || a.length - b.length || a.localeCompare(b));
+                    for (const asset of assets.filter(asset => asset !== kept)) {
+                        replacements.set(asset, { kept, size });
+                    }
+                }
+
+                // Note text left once every link to an asset is taken out
+                const leftovers = [];
+                const notes = (await fs.readdir(folderPath)).filter(name => NOTE_EXTENSIONS.includes(path.extname(name).toLowerCase())).sort();
+                for (const name of notes) {
+                    const notePath = path.join(folderPath, name);
+                    const content = await fs.readFile(notePath, 'utf8');
+                    const edits = [];
+
+                    for (const link of parseLinks(content, { attachments: true })) {
+                        const asset = this.assetManager.resolveAssetReference(link, folderPath, allAssets);
+                        if (!asset || !replacements.has(asset)) {
+                            continue;
+                        }
+                        // Keep the link's style: bare wiki names, hub-absolute or folder-relative paths
+                        const { kept } = replacements.get(asset);
+                        let target = kept;
+                        if (link.type === 'wiki' && !link.target.includes('/')) {
+                            target = path.posix.basename(kept);
+                        } else if (link.type !== 'wiki' && link.target.startsWith('/')) {
+                            target = `/${document.split(path.sep).join('/')}/${kept}`;
+                        }
+                        edits.push({ line: link.line, from: link.raw, to: retargetLink(link, target) });
+                    }
+
+                    const result = applyLinkEdits(content, edits);
+                    if (result.changes.length > 0 && !dryRun) {
+                        await fs.writeFile(notePath, result.content, 'utf8');
+                    }
+                    changes.push(...result.changes.map(change => ({ file: path.join(document, name), ...change })));
+
+                    let leftover = result.content;
+                    for (const link of parseLinks(result.content, { attachments: true })) {
+                        if (this.assetManager.resolveAssetReference(link, folderPath, allAssets)) {
+                            leftover = leftover.split(link.raw).join(' ');
+                        }
+                    }
+                    leftovers.push(leftover);
+                }
+
+                for (const [asset, { kept, size }] of replacements) {
+                    const name = path.posix.basename(asset);
+                    const assetPath = path.join(document, ...asset.split('/'));
+                    if (leftovers.some(text => text.includes(name) || text.includes(encodeURIComponent(name)))) {
+                        skipped.push({ path: assetPath, reason: 'still mentioned by a note in a form that was not rewritten' });
+                        continue;
+                    }
+                    removed.push({ path: assetPath, kept: path.join(document, ...kept.split('/')) });
+                    bytesReclaimed += size;
+                }
+            }
+
+            const quarantine = await this.assetManager.quarantineAssets(removed.map(item => item.path), { dryRun });
+            await this.logInfo('Consolidated duplicate images within folders', { removed: removed.length, skipped: skipped.length, bytesReclaimed, dryRun });
+
+            return { removed, skipped, bytesReclaimed, changes, batchId: quarantine.batchId, dryRun };
+        }, {
+            operation: 'consolidateWithinFolders',
+            groupCount: groups.length,
+            dryRun
+        });
+    }
+}
+
+/**
+ * Factory function to create ImageDeduplicator instance
+ */
+export function createImageDeduplicator(documentFolderManager, options = {}) {
+    return new ImageDeduplicator(documentFolderManager, options);
+}
+
+export default ImageDeduplicator;
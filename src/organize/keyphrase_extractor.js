@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+
+/**
+ * Keyphrase Extractor
+ * Multi-word keyphrases for a document, weighted by how rare their words are across the hub
+ *
+ * Candidates are found RAKE-style: stopwords, punctuation and line breaks split the
+ * text into runs of content words, and every run of up to three words (plus the
+ * repeated bigrams and trigrams inside longer runs) becomes a candidate, with
+ * inflected forms counted together by stem. Candidates are then scored TF-IDF
+ * style against corpus document frequencies, so words every note uses sink and
+ * the phrases that set a document apart rise.
+ */
+
+import { parseFrontmatter } from './frontmatter.js';
+import { LANGUAGES, isStopword, stemWord } from './language_detector.js';
+
+const MAX_PHRASE_WORDS = 3;
+
+/**
+ * Prose split into fragments that a phrase may not cross, with headings marked
+ */
+function fragmentsOf(body) {
+    const fragments = [];
+    const text = (body || '')
+        .replace(/```[\s\S]*?```|~~~[\s\S]*?~~~/g, '\n')
+        .replace(/`[^`\n]*`/g, ' , ')
+        .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/https?:\/\/\S+/g, ' , ');
+
+    for (const line of text.split('\n')) {
+        const heading = /^\s{0,3}#{1,6}\s/.test(line);
+        for (const fragment of line.split(/[.,;:!?()[\]{}"“”„«»…|/\\=+*<>—–]+|\s-\s/)) {
+            if (fragment.trim()) {
+                fragments.push({ text: fragment, heading });
+            }
+        }
+    }
+    return fragments;
+}
+
+/**
+ * Local keyphrase candidates of a document
+ * Returns [{ phrase, terms, count }], where `terms` are the lowercased words of
+ * the most frequent spelling and `count` weighs heading occurrences double.
+ */
+export function extractPhraseCandidates(content, language = 'en', options = {}) {
+    const { maxCandidates = 80 } = options;
+    const { body } = parseFrontmatter(content || '');
+    const minLength = LANGUAGES[language] && LANGUAGES[language].script ? 2 : 3;
+    const isContentWord = word => word.length >= minLength && !/^\p{N}+$/u.test(word) && !isStopword(word, language);
+    const candidates = new Map();
+
+    const add = (words, weight, isRun) => {
+        const key = words.map(word => stemWord(word, language)).join(' ');
+        const surface = words.join(' ');
+        const candidate = candidates.get(key) || { size: words.length, count: 0, occurrences: 0, runs: 0, forms: new Map() };
+        candidate.count += weight;
+        candidate.occurrences++;
+        candidate.runs += isRun ? 1 : 0;
+        candidate.forms.set(surface, (candidate.forms.get(surface) || 0) + 1);
+        candidates.set(key, candidate);
+    };
+
+    for (const fragment of fragmentsOf(body)) {
+        const weight = fragment.heading ? 2 : 1;
+        const runs = [[]];
+        for (const word of fragment.text.toLowerCase().replace(/^\s*#+/, '').match(/[\p{L}\p{N}]+/gu) || []) {
+            if (isContentWord(word)) {
+                runs[runs.length - 1].push(word);
+            } else if (runs[runs.length - 1].length > 0) {
+                runs.push([]);
+            }
+        }
+
+        for (const run of runs) {
+            for (let size = 1; size <= Math.min(MAX_PHRASE_WORDS, run.length); size++) {
+                for (let i = 0; i + size <= run.length; i++) {
+                    add(run.slice(i, i + size), weight, size === run.length);
+                }
+            }
+        }
+    }
+
+    // A phrase must stand alone somewhere or recur; one-off slices of long runs are noise
+    return Array.from(candidates.values())
+        .filter(candidate => candidate.size === 1 || candidate.runs > 0 || candidate.occurrences >= 2)
+        .map(candidate => {
+            const [phrase] = Array.from(candidate.forms.entries()).sort((a, b) => b[1] - a[1])[0];
+            return { phrase, terms: phrase.split(' '), count: candidate.count };
+        })
+        .sort((a, b) => b.count * b.terms.length - a.count * a.terms.length || a.phrase.localeCompare(b.phrase))
+        .slice(0, maxCandidates);
+}
+
+/**
+ * Inverse document frequency that stays positive for words every document uses
+ */
+export function inverseDocumentFrequency(documentFrequency, documentCount) {
+    if (!documentCount) {
+        return 1;
+    }
+    return Math.log(1 + (documentCount - documentFrequency + 0.5) / (documentFrequency + 0.5));
+}
+
+/**
+ * Rank candidates as count × summed IDF of their words
+ * A phrase that contains or is contained in a better-ranked one is dropped, so
+ * "learning" does not repeat "machine learning". Returns [{ phrase, score }].
+ */
+export function scoreKeyphrases(candidates, idf = () => 1, options = {}) {
+    const { limit = 10 } = options;
+    const ranked = (candidates || [])
+        .map(candidate => ({
+            phrase: candidate.phrase,
+            terms: candidate.terms,
+            score: candidate.count * candidate.terms.reduce((sum, term) => sum + idf(term), 0)
+        }))
+        .sort((a, b) => b.score - a.score || a.phrase.localeCompare(b.phrase));
+
+    const selected = [];
+    for (const candidate of ranked) {
+        if (selected.length >= limit) {
+            break;
+        }
+        const overlaps = selected.some(chosen =>
+            candidate.terms.every(term => chosen.terms.includes(term)) ||
+            chosen.terms.every(term => candidate.terms.includes(term)));
+        if (!overlaps) {
+            selected.push(candidate);
+        }
+    }
+
+    return selected.map(({ phrase, score }) => ({ phrase, score: Math.round(score * 1000) / 1000 }));
+}
+
+/**
+ * Keyphrases of a single text; pass `documentFrequency`/`documentCount` to weigh against a corpus
+ */
+export function extractKeyphrases(content, language = 'en', options = {}) {
+    const { documentFrequency = () => 0, documentCount = 0, limit = 10 } = options;
+    const idf = term => inverseDocumentFrequency(documentFrequency(term), documentCount);
+    return scoreKeyphrases(extractPhraseCandidates(content, language), idf, { limit });
+}
+
+export default extractKeyphrases;
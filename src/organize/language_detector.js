@@ -0,0 +1,372 @@
+#!/usr/bin/env node
+
+/**
+ * Language Detector
+ * Offline language identification plus per-language stopwords and light stemming
+ *
+ * Scripts with a single supported language (Arabic, Cyrillic, Greek, ...) are
+ * identified from their Unicode script. Latin-script text is compared against
+ * character trigram profiles built from a short sample of each language, the
+ * approach of Cavnar & Trenkle. Stemmers are deliberately light (inflectional
+ * suffixes only) so that search expansion stays predictable.
+ */
+
+import { readFileSync, existsSync } from 'fs';
+
+/**
+ * Strip the longest matching suffix while keeping at least `minStem` characters
+ */
+function stripSuffix(word, suffixes, minStem = 3) {
+    for (const suffix of suffixes) {
+        if (word.endsWith(suffix) && word.length - suffix.length >= minStem) {
+            return word.slice(0, -suffix.length);
+        }
+    }
+    return word;
+}
+
+function stemEnglish(word) {
+    let w = word.replace(/['’]s$/, '');
+    if (w.length <= 3) {
+        return w;
+    }
+
+    if (w.endsWith('sses')) {
+        w = w.slice(0, -2);
+    } else if (w.endsWith('ies') && w.length > 4) {
+        w = `${w.slice(0, -3)}y`;
+    } else if (w.endsWith('s') && !/(ss|us|is)$/.test(w)) {
+        w = w.slice(0, -1);
+    }
+
+    if (w.endsWith('ied') && w.length > 4) {
+        w = `${w.slice(0, -3)}y`;
+    } else {
+        const inflected = w.match(/^(.*[aeiouy].*?)(ing|ed)$/);
+        if (inflected && inflected[1].length >= 3) {
+            w = inflected[1];
+            // running -> run, stopped -> stop
+            if (/([^aeioulsz])\1$/.test(w)) {
+                w = w.slice(0, -1);
+            }
+        }
+    }
+
+    w = stripSuffix(w, ['ly', 'ness'], 4);
+    return w.length > 3 && w.endsWith('e') ? w.slice(0, -1) : w;
+}
+
+function stemGerman(word) {
+    let w = word.replace(/ß/g, 'ss').replace(/ä/g, 'a').replace(/ö/g, 'o').replace(/ü/g, 'u');
+
+    // CISTEM-style: peel inflectional endings until none apply
+    while (w.length > 3) {
+        if (w.length > 5 && /(em|er|nd)$/.test(w)) {
+            w = w.slice(0, -2);
+        } else if (/[esn]$/.test(w)) {
+            w = w.slice(0, -1);
+        } else {
+            break;
+        }
+    }
+    return w;
+}
+
+function stemFrench(word) {
+    let w = word;
+    if (w.length > 5 && w.endsWith('aux')) {
+        w = `${w.slice(0, -3)}al`;
+    } else if (w.length > 3 && /[sx]$/.test(w)) {
+        w = w.slice(0, -1);
+    }
+    w = stripSuffix(w, ['ement', 'ment', 'euse', 'eur', 'ée', 'é', 'er', 'e'], 3);
+    return w;
+}
+
+function stemSpanish(word) {
+    let w = word.replace(/[áéíóú]/g, char => 'aeiou'['áéíóú'.indexOf(char)]);
+    w = stripSuffix(w, ['mente', 'ciones', 'cion', 'es', 's'], 3);
+    return stripSuffix(w, ['a', 'o', 'e'], 3);
+}
+
+function stemItalian(word) {
+    let w = word.replace(/[àèéìòù]/g, char => 'aeeiou'['àèéìòù'.indexOf(char)]);
+    w = stripSuffix(w, ['mente', 'zioni', 'zione'], 3);
+    return stripSuffix(w, ['i', 'e', 'a', 'o'], 3);
+}
+
+function stemPortuguese(word) {
+    let w = word.replace(/[áâãàéêíóôõú]/g, char => 'aaaaeeiooou'['áâãàéêíóôõú'.indexOf(char)]);
+    w = stripSuffix(w, ['mente', 'coes', 'cao', 'oes', 'aes', 'ns', 'es', 's'], 3);
+    return stripSuffix(w, ['a', 'o', 'e'], 3);
+}
+
+function stemDutch(word) {
+    let w = stripSuffix(word, ['heden', 'heid', 'en', 'e', 's'], 3);
+    if (/([^aeiou])\1$/.test(w)) {
+        w = w.slice(0, -1);
+    }
+    return w;
+}
+
+function stemRussian(word) {
+    return stripSuffix(word.replace(/ё/g, 'е'), [
+        'ами', 'ями', 'ого', 'его', 'ому', 'ему', 'ыми', 'ими', 'иях', 'ией',
+        'ой', 'ей', 'ий', 'ый', 'ая', 'яя', 'ое', 'ее', 'ом', 'ем', 'ах', 'ях', 'ов', 'ев', 'ам', 'ям', 'ую', 'юю',
+        'а', 'я', 'о', 'е', 'ы', 'и', 'у', 'ю', 'ь'
+    ], 3);
+}
+
+function stemArabic(word) {
+    // Light10: drop diacritics, the conjunction/article prefixes and common suffixes
+    let w = word.replace(/[\u064B-\u0652\u0640]/g, '').replace(/[أإآ]/g, 'ا');
+    if (w.length > 3 && w.startsWith('و')) {
+        w = w.slice(1);
+    }
+    const prefix = ['وال', 'بال', 'كال', 'فال', 'لل', 'ال'].find(candidate => w.startsWith(candidate) && w.length - candidate.length >= 2);
+    if (prefix) {
+        w = w.slice(prefix.length);
+    }
+    return stripSuffix(w, ['ها', 'ان', 'ات', 'ون', 'ين', 'يه', 'ية', 'ه', 'ة', 'ي'], 2);
+}
+
+/**
+ * Supported languages
+ * `script` languages are identified from their writing system alone; the others
+ * carry a sample used to build their trigram profile.
+ */
+export const LANGUAGES = {
+    en: {
+        name: 'English',
+        stem: stemEnglish,
+        stopwords: 'a about above after again against all also am an and any are as at be because been before being below between both but by can could did do does doing down during each few for from further had has have having he her here hers him his how i if in into is it its itself just me more most my no nor not now of off on once only or other our ours out over own same she should so some such than that the their them then there these they this those through to too under until up very was we were what when where which while who whom why will with would you your yours',
+        sample: 'The meeting notes describe what the team agreed to do next week. Each document should have a clear title and a short summary, so that anyone who opens it later can understand the context without reading everything. We keep the research papers in one folder and the project plans in another, which makes it easier to find things when they are needed.'
+    },
+    de: {
+        name: 'German',
+        stem: stemGerman,
+        stopwords: 'aber alle als also am an auch auf aus bei bin bis bist da damit dann das dass dein dem den der des die dies diese dieser doch dort du durch ein eine einem einen einer erst es für gegen hat hatte hier ich ihr im in ist ja jede kann kein man mehr mein mit muss nach nicht noch nun nur ob oder ohne schon sehr sein sich sie sind so über um und uns unter vom von vor war warum was weil wenn wer wie wieder wir wird wo zu zum zur zwischen',
+        sample: 'Die Besprechungsnotizen beschreiben, was das Team für die nächste Woche vereinbart hat. Jedes Dokument sollte einen klaren Titel und eine kurze Zusammenfassung haben, damit jeder, der es später öffnet, den Zusammenhang versteht, ohne alles lesen zu müssen. Wir bewahren die Forschungsarbeiten in einem Ordner und die Projektpläne in einem anderen auf, weil man die Dinge dann schneller findet.'
+    },
+    fr: {
+        name: 'French',
+        stem: stemFrench,
+        stopwords: 'au aux avec ce ces cette dans de des du elle en est et eux il ils je la le les leur lui ma mais me même mes moi mon ne nos notre nous on ou où par pas pour qu que qui sa se ses son sont sur ta te tes toi ton tu un une vos votre vous y été être avoir fait comme plus tout aussi',
+        sample: 'Les notes de réunion décrivent ce que l\'équipe a décidé de faire la semaine prochaine. Chaque document doit avoir un titre clair et un court résumé, afin que toute personne qui l\'ouvre plus tard puisse comprendre le contexte sans tout lire. Nous gardons les articles de recherche dans un dossier et les plans de projet dans un autre, ce qui permet de retrouver les choses plus facilement.'
+    },
+    es: {
+        name: 'Spanish',
+        stem: stemSpanish,
+        stopwords: 'a al algo como con de del desde donde el ella ellos en entre era es esta este esto estos fue ha hay la las le lo los más me mi muy nada ni no nos o otro para pero por porque que quien se ser si sin sobre son su sus también tiene todo un una uno y ya',
+        sample: 'Las notas de la reunión describen lo que el equipo acordó hacer la próxima semana. Cada documento debe tener un título claro y un breve resumen, para que cualquier persona que lo abra más tarde pueda entender el contexto sin leerlo todo. Guardamos los artículos de investigación en una carpeta y los planes del proyecto en otra, lo que facilita encontrar las cosas cuando se necesitan.'
+    },
+    it: {
+        name: 'Italian',
+        stem: stemItalian,
+        stopwords: 'a ad al alla alle anche che chi ci come con da dal dalla dei del della delle di e è ed gli ha hanno il in io la le lei lo loro lui ma mi mio ne nel nella noi non o per perché più quale quando questo qui se si sono su sua suo sul tra tu un una uno voi',
+        sample: 'Gli appunti della riunione descrivono ciò che il gruppo ha deciso di fare la settimana prossima. Ogni documento dovrebbe avere un titolo chiaro e un breve riassunto, così che chiunque lo apra più tardi possa capire il contesto senza leggere tutto. Teniamo gli articoli di ricerca in una cartella e i piani del progetto in un\'altra, il che rende più facile trovare le cose quando servono.'
+    },
+    pt: {
+        name: 'Portuguese',
+        stem: stemPortuguese,
+        stopwords: 'a ao aos as com como da das de dela dele do dos e é ela ele eles em entre era essa esse está eu foi há isso isto já lhe mais mas me mesmo meu minha muito na nas não no nos nós o os ou para pela pelo por qual quando que quem se sem ser seu sua são também te tem um uma você',
+        sample: 'As notas da reunião descrevem o que a equipe combinou fazer na próxima semana. Cada documento deve ter um título claro e um resumo curto, para que qualquer pessoa que o abra mais tarde consiga entender o contexto sem ler tudo. Guardamos os artigos de pesquisa em uma pasta e os planos do projeto em outra, o que torna mais fácil encontrar as coisas quando são necessárias.'
+    },
+    nl: {
+        name: 'Dutch',
+        stem: stemDutch,
+        stopwords: 'aan al als bij dat de den der deze die dit doch door dus een en er ge geen had heb hebben heeft het hier hij hoe hun ik in is ja je kan maar me met mij na naar niet nog nu of om omdat ons ook op over te tot u uit van veel voor want was wat we wel werd wie wij wordt zal ze zij zijn zo zonder',
+        sample: 'De vergadernotities beschrijven wat het team heeft afgesproken voor volgende week. Elk document moet een duidelijke titel en een korte samenvatting hebben, zodat iedereen die het later opent de context begrijpt zonder alles te lezen. We bewaren de onderzoeksartikelen in een map en de projectplannen in een andere, waardoor je de dingen makkelijker terugvindt wanneer je ze nodig hebt.'
+    },
+    ru: {
+        name: 'Russian',
+        script: 'Cyrillic',
+        stem: stemRussian,
+        stopwords: 'а без более бы был была были было быть в вам вас весь во вот все всего всех вы где да для до его ее если есть еще же за здесь и из или им их к как когда кто ли либо мне может мы на над надо не него нет ни них но ну о об однако он она они оно от очень по под при с со так также такой там те тем то того тоже той только том ты у уже хотя чего чей чем что чтобы чье чья эта эти это я'
+    },
+    ar: {
+        name: 'Arabic',
+        script: 'Arabic',
+        stem: stemArabic,
+        stopwords: 'في من على إلى عن مع هذا هذه ذلك تلك التي الذي الذين كان كانت يكون هو هي هم نحن أنت أنا ما لا لم لن قد ثم أو أن إن كل بعض بين عند حتى إذا كما أي غير بعد قبل منذ حيث هناك هنا'
+    },
+    el: { name: 'Greek', script: 'Greek' },
+    he: { name: 'Hebrew', script: 'Hebrew' },
+    ko: { name: 'Korean', script: 'Hangul' },
+    ja: { name: 'Japanese', script: 'Kana' },
+    zh: { name: 'Chinese', script: 'Han' }
+};
+
+const SCRIPT_PATTERNS = {
+    Latin: /\p{Script=Latin}/u,
+    Cyrillic: /\p{Script=Cyrillic}/u,
+    Arabic: /\p{Script=Arabic}/u,
+    Greek: /\p{Script=Greek}/u,
+    Hebrew: /\p{Script=Hebrew}/u,
+    Hangul: /\p{Script=Hangul}/u,
+    Kana: /[\p{Script=Hiragana}\p{Script=Katakana}]/u,
+    Han: /\p{Script=Han}/u
+};
+
+const PROFILE_SIZE = 300;
+const MIN_LETTERS = 20;
+const stopwordSets = new Map();
+let profiles = null;
+
+/**
+ * Character trigram counts of a text, with word boundaries marked by spaces
+ */
+function trigramCounts(text) {
+    const counts = new Map();
+    for (const word of text.toLowerCase().match(/\p{L}+/gu) || []) {
+        const padded = ` ${word} `;
+        for (let i = 0; i + 3 <= padded.length; i++) {
+            const gram = padded.slice(i, i + 3);
+            counts.set(gram, (counts.get(gram) || 0) + 1);
+        }
+    }
+    return counts;
+}
+
+/**
+ * Unit-length vector over the most frequent trigrams
+ */
+function toProfile(counts, size = PROFILE_SIZE) {
+    const top = Array.from(counts.entries()).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).slice(0, size);
+    const norm = Math.sqrt(top.reduce((sum, [, count]) => sum + count * count, 0)) || 1;
+    return new Map(top.map(([gram, count]) => [gram, count / norm]));
+}
+
+function getProfiles() {
+    if (!profiles) {
+        profiles = new Map();
+        for (const [code, language] of Object.entries(LANGUAGES)) {
+            if (language.sample) {
+                profiles.set(code, toProfile(trigramCounts(`${language.sample} ${language.stopwords}`)));
+            }
+        }
+    }
+    return profiles;
+}
+
+/**
+ * Prose only: code, URLs and markdown link targets say nothing about the language
+ */
+function proseOf(text) {
+    return (text || '')
+        .replace(/```[\s\S]*?```|~~~[\s\S]*?~~~/g, ' ')
+        .replace(/`[^`\n]*`/g, ' ')
+        .replace(/\]\([^)]*\)/g, '] ')
+        .replace(/https?:\/\/\S+/g, ' ')
+        .slice(0, 10000);
+}
+
+/**
+ * Identify the language of a text
+ * Returns { code, name, confidence } or null when there is too little text to tell.
+ */
+export function detectLanguage(text) {
+    const prose = proseOf(text);
+    const letters = prose.match(/\p{L}/gu) || [];
+    if (letters.length < MIN_LETTERS) {
+        return null;
+    }
+
+    const scripts = {};
+    for (const letter of letters) {
+        const script = Object.keys(SCRIPT_PATTERNS).find(name => SCRIPT_PATTERNS[name].test(letter));
+        if (script) {
+            scripts[script] = (scripts[script] || 0) + 1;
+        }
+    }
+
+    // Any kana means Japanese, even though most of the text may be Han
+    if (scripts.Kana && scripts.Kana / letters.length > 0.1) {
+        return { code: 'ja', name: LANGUAGES.ja.name, confidence: 1 };
+    }
+
+    const [dominant, count] = Object.entries(scripts).sort((a, b) => b[1] - a[1])[0] || [null, 0];
+    if (dominant && dominant !== 'Latin') {
+        const code = Object.keys(LANGUAGES).find(key => LANGUAGES[key].script === dominant);
+        return { code, name: LANGUAGES[code].name, confidence: Number((count / letters.length).toFixed(2)) };
+    }
+
+    const textProfile = toProfile(trigramCounts(prose), 1000);
+    const scores = [];
+    for (const [code, profile] of getProfiles()) {
+        let score = 0;
+        for (const [gram, weight] of profile) {
+            score += weight * (textProfile.get(gram) || 0);
+        }
+        scores.push({ code, score });
+    }
+    scores.sort((a, b) => b.score - a.score);
+
+    const [best, second] = scores;
+    if (!best || best.score === 0) {
+        return null;
+    }
+
+    return {
+        code: best.code,
+        name: LANGUAGES[best.code].name,
+        confidence: Number(Math.min(1, (best.score - (second ? second.score : 0)) / best.score * 2).toFixed(2))
+    };
+}
+
+/**
+ * Language code for a code or English name ("de", "German"), or null if unsupported
+ */
+export function normalizeLanguage(value) {
+    if (!value) {
+        return null;
+    }
+    const key = String(value).trim().toLowerCase().split(/[-_]/)[0];
+    if (LANGUAGES[key]) {
+        return key;
+    }
+    return Object.keys(LANGUAGES).find(code => LANGUAGES[code].name.toLowerCase() === key) || null;
+}
+
+export function getStopwords(code) {
+    if (!stopwordSets.has(code)) {
+        const language = LANGUAGES[code];
+        stopwordSets.set(code, new Set(language && language.stopwords ? language.stopwords.split(' ') : []));
+    }
+    return stopwordSets.get(code);
+}
+
+export function isStopword(word, code) {
+    return getStopwords(code).has(word.toLowerCase());
+}
+
+/**
+ * Stem of a lowercase word; languages without a stemmer return the word unchanged
+ */
+export function stemWord(word, code) {
+    const language = LANGUAGES[code];
+    const lower = word.toLowerCase();
+    return language && language.stem ? language.stem(lower) : lower;
+}
+
+/**
+ * Language settings from organize_config.conf (detect_language, default_language)
+ */
+export function loadLanguageSettings(configPath) {
+    const settings = { detectLanguage: true, defaultLanguage: 'en' };
+    if (!configPath || !existsSync(configPath)) {
+        return settings;
+    }
+
+    for (const line of readFileSync(configPath, 'utf8').split('\n')) {
+        const match = line.trim().match(/^(detect_language|default_language)\s*=\s*"?([^"]*)"?$/);
+        if (match && match[1] === 'detect_language') {
+            settings.detectLanguage = match[2].trim().toLowerCase() !== 'false';
+        } else if (match) {
+            settings.defaultLanguage = normalizeLanguage(match[2]) || settings.defaultLanguage;
+        }
+    }
+    return settings;
+}
+
+export default detectLanguage;
@@ -0,0 +1,285 @@
+#!/usr/bin/env node
+
+/**
+ * Link Checker
+ * Finds broken internal links, missing images and case-mismatched paths across the sync hub
+ *
+ * Every markdown file of each document folder is parsed with parseLinks (attachments
+ * included), and each local reference is checked against a listing of the hub taken
+ * once per run. Comparing against the listing rather than the filesystem catches
+ * paths whose case only matches on case-insensitive disks. Broken references get
+ * suggested replacements from files with a similar name anywhere in the hub.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { createErrorHandler } from './error_handler.js';
+import { parseLinks, normalizeLinkName } from './link_graph.js';
+import { editDistance, defaultMaxDistance } from './fuzzy_matcher.js';
+
+export const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.bmp', '.svg', '.webp'];
+
+const NOTE_EXTENSIONS = ['.md', '.markdown'];
+
+export const ISSUE_TYPES = ['broken_link', 'missing_image', 'case_mismatch'];
+
+/**
+ * Every file and directory under a root as posix paths relative to it; dot entries are skipped
+ */
+async function listTree(root, relative = '') {
+    const entries = [];
+    for (const dirent of await fs.readdir(path.join(root, relative), { withFileTypes: true })) {
+        if (dirent.name.startsWith('.')) {
+            continue;
+        }
+        const entryPath = relative ? `${relative}/${dirent.name}` : dirent.name;
+        if (dirent.isDirectory()) {
+            entries.push({ path: entryPath, directory: true });
+            entries.push(...await listTree(root, entryPath));
+        } else if (dirent.isFile()) {
+            entries.push({ path: entryPath, directory: false });
+        }
+    }
+    return entries;
+}
+
+/**
+ * What a reference points at: a note, an image or another file
+ */
+function kindOf(link) {
+    if (!link.attachment) {
+        return 'note';
+    }
+    return IMAGE_EXTENSIONS.includes(path.posix.extname(link.target).toLowerCase()) ? 'image' : 'file';
+}
+
+function stemOf(filePath) {
+    const name = path.posix.basename(filePath);
+    return name.slice(0, name.length - path.posix.extname(name).length).toLowerCase();
+}
+
+/**
+ * Link target for a hub path as written in a note in `sourceDir`, URL-encoded like `original`
+ */
+function linkTarget(sourceDir, hubPath, original) {
+    const relative = path.posix.relative(sourceDir, hubPath) || path.posix.basename(hubPath);
+    return /%[0-9a-f]{2}/i.test(original) || /\s/.test(relative)
+        ? relative.split('/').map(part => encodeURIComponent(part)).join('/')
+        : relative;
+}
+
+/**
+ * Link Checker Class
+ * Validates the local links and images of every document under a directory
+ */
+export class LinkChecker {
+    constructor(documentFolderManager, options = {}) {
+        this.documentFolderManager = documentFolderManager;
+        this.syncHubPath = documentFolderManager.syncHubPath;
+        this.searchIndex = options.searchIndex || null;
+        this.maxSuggestions = options.maxSuggestions ?? 3;
+
+        // Initialize error handler
+        this.errorHandler = createErrorHandler('LinkChecker', {
+            enableConsoleLogging: process.env.NODE_ENV !== 'production'
+        });
+
+        // Bind logging methods
+        this.logInfo = this.errorHandler.logInfo.bind(this.errorHandler);
+    }
+
+    /**
+     * Snapshot of the hub used to resolve references: exact paths, paths by lowercase
+     * spelling, and the names wiki links may use
+     */
+    async loadHub() {
+        const entries = await listTree(this.syncHubPath);
+        const hub = {
+            paths: new Set(entries.map(entry => entry.path)),
+            byLowerPath: new Map(),
+            files: entries.filter(entry => !entry.directory).map(entry => entry.path),
+            noteNames: new Map()
+        };
+
+        for (const entry of entries) {
+            hub.byLowerPath.set(entry.path.toLowerCase(), entry.path);
+        }
+
+        const addNoteName = (name, notePath) => {
+            const normalized = normalizeLinkName(name);
+            if (normalized && !hub.noteNames.has(normalized)) {
+                hub.noteNames.set(normalized, notePath);
+            }
+        };
+        for (const file of hub.files) {
+            if (NOTE_EXTENSIONS.includes(path.posix.extname(file).toLowerCase())) {
+                addNoteName(path.posix.basename(file), file);
+                addNoteName(path.posix.basename(path.posix.dirname(file)), file);
+            }
+        }
+
+        // Titles and aliases resolve wiki links too, as in the link graph
+        if (this.searchIndex) {
+            await this.searchIndex.refresh();
+            for (const entry of Object.values(this.searchIndex.documents)) {
+                const mainFile = entry.mainFile.split(path.sep).join('/');
+                addNoteName(entry.title, mainFile);
+                (entry.aliases || []).forEach(alias => addNoteName(alias, mainFile));
+            }
+        }
+
+        return hub;
+    }
+
+    /**
+     * Broken links, missing images and case mismatches under a directory (the whole hub by default)
+     * Returns { documentsScanned, filesScanned, referencesChecked, issues, counts }, where each issue
+     * is { type, kind, file, line, target, raw, actual?, suggestions: [{ path, link }] }.
+     */
+    async checkLinks(directory = this.syncHubPath) {
+        return await this.errorHandler.wrapAsync(async () => {
+            const hub = await this.loadHub();
+            const folders = await this.documentFolderManager.findDocumentFolders(directory, true);
+            const issues = [];
+            let filesScanned = 0;
+            let referencesChecked = 0;
+
+            for (const folderPath of folders) {
+                const notes = (await fs.readdir(folderPath))
+                    .filter(name => NOTE_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+                    .sort();
+
+                for (const name of notes) {
+                    const source = path.relative(this.syncHubPath, path.join(folderPath, name)).split(path.sep).join('/');
+                    const content = await fs.readFile(path.join(folderPath, name), 'utf8');
+                    filesScanned++;
+
+                    for (const link of parseLinks(content, { attachments: true })) {
+                        const issue = this.checkReference(link, source, hub);
+                        if (issue !== undefined) {
+                            referencesChecked++;
+                        }
+                        if (issue) {
+                            issues.push(issue);
+                        }
+                    }
+                }
+            }
+
+            const counts = Object.fromEntries(ISSUE_TYPES.map(type => [type, issues.filter(issue => issue.type === type).length]));
+            await this.logInfo('Link check complete', { directory, filesScanned, referencesChecked, ...counts });
+
+            return { documentsScanned: folders.length, filesScanned, referencesChecked, issues, counts };
+        }, {
+            operation: 'checkLinks',
+            directory
+        });
+    }
+
+    /**
+     * Issue for one reference, null when it resolves, or undefined when it cannot be checked
+     */
+    checkReference(link, source, hub) {
+        const kind = kindOf(link);
+        const sourceDir = path.posix.dirname(source);
+        const issue = (type, extra = {}) => ({
+            type,
+            kind,
+            file: source,
+            line: link.line,
+            target: link.target,
+            raw: link.raw,
+            ...extra
+        });
+        const missingType = kind === 'image' ? 'missing_image' : 'broken_link';
+
+        if (link.type === 'wiki') {
+            if (kind === 'note') {
+                const parts = link.target.split('/');
+                if (hub.noteNames.has(normalizeLinkName(parts[parts.length - 1]))) {
+                    return null;
+                }
+                return issue(missingType, {
+                    suggestions: this.suggest(parts[parts.length - 1], kind, sourceDir, hub)
+                        .map(match => ({ path: match.path, link: path.posix.basename(match.path, path.posix.extname(match.path)) }))
+                });
+            }
+
+            // Attachments named in wiki embeds are found anywhere by their trailing path
+            const wanted = link.target.replace(/^\/+/, '');
+            const matches = target => target === wanted || target.endsWith(`/${wanted}`);
+            if (hub.files.some(matches)) {
+                return null;
+            }
+            const lower = wanted.toLowerCase();
+            const caseMatch = hub.files.find(file => file.toLowerCase() === lower || file.toLowerCase().endsWith(`/${lower}`));
+            if (caseMatch) {
+                const actual = caseMatch.slice(caseMatch.length - wanted.length);
+                return issue('case_mismatch', { actual: caseMatch, suggestions: [{ path: caseMatch, link: actual }] });
+            }
+            return issue(missingType, {
+                suggestions: this.suggest(wanted, kind, sourceDir, hub).map(match => ({ path: match.path, link: path.posix.basename(match.path) }))
+            });
+        }
+
+        const resolved = (link.target.startsWith('/')
+            ? path.posix.normalize(link.target.slice(1))
+            : path.posix.normalize(path.posix.join(sourceDir, link.target))).replace(/\/$/, '');
+        if (resolved === '..' || resolved.startsWith('../')) {
+            return undefined; // Outside the hub
+        }
+        if (resolved === '.' || hub.paths.has(resolved)) {
+            return null;
+        }
+
+        const actual = hub.byLowerPath.get(resolved.toLowerCase());
+        if (actual) {
+            return issue('case_mismatch', { actual, suggestions: [{ path: actual, link: linkTarget(sourceDir, actual, link.raw) }] });
+        }
+        return issue(missingType, {
+            suggestions: this.suggest(resolved, kind, sourceDir, hub).map(match => ({ path: match.path, link: linkTarget(sourceDir, match.path, link.raw) }))
+        });
+    }
+
+    /**
+     * Hub files of the same kind whose names are close to a missing target
+     * A file with the same name elsewhere (distance 0) usually means the target moved.
+     */
+    suggest(target, kind, sourceDir, hub) {
+        if (this.maxSuggestions <= 0) {
+            return [];
+        }
+
+        const stem = stemOf(target);
+        const maxDistance = Math.max(defaultMaxDistance(stem), Math.ceil(stem.length / 4));
+        const expectedDir = path.posix.dirname(path.posix.join(sourceDir, target));
+        const sameKind = file => {
+            const extension = path.posix.extname(file).toLowerCase();
+            if (kind === 'note') {
+                return NOTE_EXTENSIONS.includes(extension);
+            }
+            return kind === 'image' ? IMAGE_EXTENSIONS.includes(extension) : !NOTE_EXTENSIONS.includes(extension) && !IMAGE_EXTENSIONS.includes(extension);
+        };
+
+        return hub.files
+            .filter(sameKind)
+            .map(file => ({ path: file, distance: editDistance(stem, stemOf(file), maxDistance) }))
+            .filter(match => match.distance <= maxDistance)
+            .sort((a, b) =>
+                a.distance - b.distance ||
+                (path.posix.dirname(b.path) === expectedDir) - (path.posix.dirname(a.path) === expectedDir) ||
+                (path.posix.dirname(b.path) === sourceDir) - (path.posix.dirname(a.path) === sourceDir) ||
+                a.path.length - b.path.length ||
+                a.path.localeCompare(b.path))
+            .slice(0, this.maxSuggestions);
+    }
+}
+
+/**
+ * Factory function to create LinkChecker instance
+ */
+export function createLinkChecker(documentFolderManager, options = {}) {
+    return new LinkChecker(documentFolderManager, options);
+}
+
+export default LinkChecker;
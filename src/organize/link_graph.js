@@ -0,0 +1,645 @@
+#!/usr/bin/env node
+
+/**
+ * Link Graph
+ * Forward links and backlinks between document folders
+ *
+ * Both Obsidian `[[wiki links]]` (with `#heading` anchors, `|aliases` and `![[embeds]]`)
+ * and relative markdown links to other notes are understood. Links are parsed once per
+ * document when the search index re-reads it; resolving them to document folders needs
+ * the whole hub, so the graph is rebuilt from the index whenever its generation changes.
+ */
+
+import path from 'path';
+import { splitFrontmatter } from './frontmatter.js';
+
+const NOTE_EXTENSIONS = ['', '.md', '.markdown'];
+
+/**
+ * Comparable form of a note name: case, separators and the .md extension do not matter
+ */
+export function normalizeLinkName(name) {
+    return String(name || '')
+        .replace(/\.(md|markdown)$/i, '')
+        .toLowerCase()
+        .replace(/[\s_-]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Whether a wiki link names a file such as image.png rather than a note
+ * Dotted note names ("Release 2.1", "2024.01.05") do not count as extensions.
+ */
+function isAttachment(name) {
+    const extension = path.extname(name).toLowerCase();
+    return /^\.[a-z][a-z0-9]{0,4}$/.test(extension) && !NOTE_EXTENSIONS.includes(extension);
+}
+
+const MARKDOWN_LINK = /(!?)\[([^\]\n]*)\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g;
+// Image embeds whose path has unescaped spaces, as editors write them: ![shot](images/my shot.png)
+const SPACED_IMAGE = /(!)\[([^\]\n]*)\]\(\s*<?([^)\n]*?)>?(?:\s+"[^"]*")?\s*\)/g;
+// [label]: path "title", the target of reference-style images such as ![alt][label]
+const REFERENCE_DEFINITION = /^ {0,3}\[([^\]\n]+)\]:\s*(?:<([^>\n]+)>|(\S+))(?:\s+(?:"[^"]*"|'[^']*'|\([^)]*\)))?\s*$/;
+const REFERENCE_IMAGE = /!\[([^\]\n]*)\](?:\[([^\]\n]*)\])?(?![(:])/g;
+
+function decodeTarget(target) {
+    try {
+        return decodeURIComponent(target);
+    } catch {
+        return target;
+    }
+}
+
+function referenceLabel(label) {
+    return label.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Links to other notes in a markdown document
+ * Code blocks, inline code, frontmatter, external URLs and same-document anchors are
+ * skipped, as are links to non-note files (images, PDFs) unless `attachments` is set;
+ * then those links, HTML `<img>` tags, image paths with unescaped spaces and
+ * reference-style images are included and flagged `attachment: true`. A reference-style
+ * image is reported once per definition it uses, with the definition's line and text.
+ * Returns [{ type: 'wiki'|'markdown'|'html', target, anchor, text, embed, line, raw, context }].
+ */
+export function parseLinks(content, options = {}) {
+    const { attachments = false } = options;
+    const flag = isFile => attachments ? { attachment: isFile } : {};
+    const text = content || '';
+    const lines = text.split('\n');
+    const frontmatterLines = text.slice(0, text.length - splitFrontmatter(text).body.length).split('\n').length - 1;
+    const links = [];
+    const definitions = new Map();
+    const referenced = new Map();
+    let fence = null;
+
+    lines.forEach((rawLine, index) => {
+        if (index < frontmatterLines) {
+            return;
+        }
+
+        const fenceMatch = rawLine.match(/^\s*(```+|~~~+)/);
+        if (fence) {
+            if (fenceMatch && rawLine.trim().startsWith(fence)) {
+                fence = null;
+            }
+            return;
+        }
+        if (fenceMatch) {
+            fence = fenceMatch[1];
+            return;
+        }
+
+        const line = rawLine.replace(/\r$/, '').replace(/`[^`]*`/g, code => ' '.repeat(code.length));
+        const context = rawLine.trim().slice(0, 200);
+
+        for (const match of line.matchAll(/(!?)\[\[([^\]\n]+?)\]\]/g)) {
+            const [target, alias] = match[2].split('|');
+            const [name, anchor] = target.split('#');
+            const isFile = isAttachment(name.trim());
+            if (!name.trim() || (isFile && !attachments)) {
+                continue;
+            }
+            links.push({
+                type: 'wiki',
+                target: name.trim(),
+                anchor: anchor ? anchor.trim() : null,
+                text: (alias || name).trim(),
+                embed: match[1] === '!',
+                line: index + 1,
+                raw: match[0],
+                context,
+                ...flag(isFile)
+            });
+        }
+
+        const matched = new Set();
+        for (const match of line.matchAll(MARKDOWN_LINK)) {
+            matched.add(match.index);
+            const url = match[3];
+            if (url.startsWith('#') || /^[a-z][a-z0-9+.-]*:/i.test(url)) {
+                continue;
+            }
+            const [target, anchor] = decodeTarget(url).split('#');
+            const isFile = !NOTE_EXTENSIONS.includes(path.posix.extname(target).toLowerCase());
+            if (isFile && !attachments) {
+                continue;
+            }
+            links.push({
+                type: 'markdown',
+                target,
+                anchor: anchor || null,
+                text: match[2].trim(),
+                embed: match[1] === '!',
+                line: index + 1,
+                raw: match[0],
+                context,
+                ...flag(isFile)
+            });
+        }
+
+        if (!attachments) {
+            return;
+        }
+        for (const match of line.matchAll(SPACED_IMAGE)) {
+            const url = match[3].trim();
+            if (matched.has(match.index) || !url || /^[a-z][a-z0-9+.-]*:/i.test(url)) {
+                continue;
+            }
+            const [target, anchor] = decodeTarget(url).split('#');
+            links.push({
+                type: 'markdown',
+                target,
+                anchor: anchor || null,
+                text: match[2].trim(),
+                embed: true,
+                line: index + 1,
+                raw: match[0],
+                context,
+                attachment: true
+            });
+        }
+        const definition = line.match(REFERENCE_DEFINITION);
+        if (definition) {
+            const label = referenceLabel(definition[1]);
+            if (!definitions.has(label)) {
+                definitions.set(label, { url: definition[2] || definition[3], line: index + 1, raw: line.trim(), context });
+            }
+            return;
+        }
+        for (const match of line.matchAll(REFERENCE_IMAGE)) {
+            const label = referenceLabel(match[2] || match[1]);
+            if (label && !referenced.has(label)) {
+                referenced.set(label, match[1].trim());
+            }
+        }
+        for (const match of line.matchAll(/<img\b[^>]*?\ssrc=["']([^"']+)["'][^>]*>/gi)) {
+            if (/^[a-z][a-z0-9+.-]*:/i.test(match[1])) {
+                continue;
+            }
+            links.push({
+                type: 'html',
+                target: decodeTarget(match[1]).split(/[?#]/)[0],
+                anchor: null,
+                text: (match[0].match(/\salt=["']([^"']*)["']/i) || [])[1] || '',
+                embed: true,
+                line: index + 1,
+                raw: match[0],
+                context,
+                attachment: true
+            });
+        }
+    });
+
+    for (const [label, text] of referenced) {
+        const definition = definitions.get(label);
+        if (!definition || /^[a-z][a-z0-9+.-]*:/i.test(definition.url) || definition.url.startsWith('#')) {
+            continue;
+        }
+        const [target, anchor] = decodeTarget(definition.url).split('#');
+        links.push({
+            type: 'markdown',
+            target,
+            anchor: anchor || null,
+            text,
+            embed: true,
+            line: definition.line,
+            raw: definition.raw,
+            context: definition.context,
+            attachment: true
+        });
+    }
+
+    return links;
+}
+
+/**
+ * Hub-relative posix path a markdown link points to, seen from a note in `sourceDir`
+ */
+function resolveMarkdownTarget(target, sourceDir) {
+    return target.startsWith('/')
+        ? path.posix.normalize(target.slice(1))
+        : path.posix.normalize(path.posix.join(sourceDir, target));
+}
+
+/**
+ * Rewrite the target of a markdown link, keeping its text, title, anchor and URL encoding
+ */
+function replaceMarkdownTarget(raw, target) {
+    const retarget = (match, url, bracketed) => {
+        const anchor = url.includes('#') ? url.slice(url.indexOf('#')) : '';
+        // Paths written with raw spaces stay that way; otherwise spaces are percent-encoded
+        const encode = decodeTarget(url) !== url || (/\s/.test(target) && !bracketed && !/\s/.test(url));
+        const encoded = encode ? target.split('/').map(part => encodeURIComponent(part)).join('/') : target;
+        return match.replace(url, encoded + anchor);
+    };
+
+    if (REFERENCE_DEFINITION.test(raw)) {
+        return raw.replace(REFERENCE_DEFINITION, (match, label, bracketed, bare) => retarget(match, bracketed || bare, Boolean(bracketed)));
+    }
+    const pattern = new RegExp(MARKDOWN_LINK.source).test(raw) ? MARKDOWN_LINK : SPACED_IMAGE;
+    return raw.replace(new RegExp(pattern.source), (match, embed, text, url) => retarget(match, url.trim(), match.includes('<')));
+}
+
+/**
+ * Raw text of a parsed link pointed at a new target, keeping its text, anchor, alias and embed marker
+ */
+export function retargetLink(link, target) {
+    if (link.type === 'wiki') {
+        const inner = link.raw.replace(/^!?\[\[|\]\]$/g, '');
+        const rest = inner.slice(inner.indexOf(link.target) + link.target.length);
+        return `${link.embed ? '!' : ''}[[${target}${rest}]]`;
+    }
+    if (link.type === 'html') {
+        const encoded = /\s/.test(target) ? target.split('/').map(part => encodeURIComponent(part)).join('/') : target;
+        return link.raw.replace(/(\ssrc=["'])[^"']+/i, (match, prefix) => prefix + encoded);
+    }
+    return replaceMarkdownTarget(link.raw, target);
+}
+
+/**
+ * Apply line edits to a note
+ * Each edit replaces the link `from` with `to` on its 1-based `line`.
+ * Returns { content, changes: [{ line, before, after }], applied } listing every changed
+ * line; `applied` counts the edits whose link was found.
+ */
+export function applyLinkEdits(content, edits) {
+    const lines = (content || '').split('\n');
+    const changed = new Map();
+    let applied = 0;
+
+    for (const edit of edits) {
+        const index = edit.line - 1;
+        if (index < 0 || index >= lines.length || !lines[index].includes(edit.from)) {
+            continue;
+        }
+        if (!changed.has(index)) {
+            changed.set(index, lines[index]);
+        }
+        lines[index] = lines[index].split(edit.from).join(edit.to);
+        applied++;
+    }
+
+    return {
+        content: lines.join('\n'),
+        changes: Array.from(changed.entries())
+            .sort((a, b) => a[0] - b[0])
+            .map(([index, before]) => ({ line: index + 1, before: before.replace(/\r$/, ''), after: lines[index].replace(/\r$/, '') })),
+        applied
+    };
+}
+
+/**
+ * Link Graph Class
+ * Resolves the links stored in a SearchIndex and answers link and backlink queries
+ */
+export class LinkGraph {
+    constructor(searchIndex) {
+        this.searchIndex = searchIndex;
+        this.generation = null;
+        this.forward = new Map();
+        this.backward = new Map();
+    }
+
+    /**
+     * Rebuild the resolved graph if the index changed since the last build
+     */
+    ensureFresh() {
+        if (this.generation === this.searchIndex.generation && this.forward.size === Object.keys(this.searchIndex.documents).length) {
+            return;
+        }
+        this.build();
+    }
+
+    /**
+     * Resolve every document's links against the current set of document folders
+     */
+    build() {
+        const documents = this.searchIndex.documents;
+        this.byName = new Map();
+        this.byMainFile = new Map();
+
+        const addName = (name, key) => {
+            const normalized = normalizeLinkName(name);
+            if (!normalized) {
+                return;
+            }
+            if (!this.byName.has(normalized)) {
+                this.byName.set(normalized, []);
+            }
+            if (!this.byName.get(normalized).includes(key)) {
+                this.byName.get(normalized).push(key);
+            }
+        };
+
+        for (const [key, entry] of Object.entries(documents)) {
+            this.byMainFile.set(entry.mainFile.split(path.sep).join('/'), key);
+            addName(entry.name, key);
+            addName(path.basename(entry.mainFile), key);
+            addName(entry.title, key);
+            (entry.aliases || []).forEach(alias => addName(alias, key));
+        }
+
+        this.forward = new Map();
+        this.backward = new Map();
+        for (const key of Object.keys(documents)) {
+            this.forward.set(key, []);
+            this.backward.set(key, []);
+        }
+
+        for (const [key, entry] of Object.entries(documents)) {
+            for (const link of entry.links || []) {
+                const target = this.resolveLink(link, key);
+                this.forward.get(key).push({ ...link, targetKey: target });
+                if (target && target !== key) {
+                    this.backward.get(target).push({ ...link, sourceKey: key });
+                }
+            }
+        }
+
+        this.generation = this.searchIndex.generation;
+    }
+
+    /**
+     * Document folder a link points to, or null when it does not resolve
+     */
+    resolveLink(link, sourceKey) {
+        const documents = this.searchIndex.documents;
+        const source = documents[sourceKey];
+
+        if (link.type === 'markdown') {
+            const sourceDir = path.posix.dirname(source.mainFile.split(path.sep).join('/'));
+            const folder = resolveMarkdownTarget(link.target, sourceDir).replace(/\/$/, '');
+
+            if (this.byMainFile.has(folder)) {
+                return this.byMainFile.get(folder);
+            }
+            const key = folder.split('/').join(path.sep);
+            if (documents[key]) {
+                return key;
+            }
+            // A secondary note inside a document folder belongs to that folder
+            const parent = path.dirname(key);
+            return /\.(md|markdown)$/i.test(folder) && documents[parent] ? parent : null;
+        }
+
+        // Wiki links name a note; a path prefix narrows the match to folders ending with it
+        const parts = link.target.split('/').map(normalizeLinkName).filter(Boolean);
+        const candidates = this.byName.get(parts[parts.length - 1]) || [];
+        const matching = parts.length === 1 ? candidates : candidates.filter(key => {
+            const keyParts = key.split(path.sep).map(normalizeLinkName);
+            return parts.slice(0, -1).every((part, i) => keyParts[keyParts.length - parts.length + i] === part);
+        });
+
+        if (matching.length <= 1) {
+            return matching[0] || null;
+        }
+
+        // Like Obsidian, prefer the note closest to the linking one
+        const sourceParent = path.dirname(sourceKey);
+        return [...matching].sort((a, b) =>
+            (path.dirname(b) === sourceParent) - (path.dirname(a) === sourceParent) ||
+            a.split(path.sep).length - b.split(path.sep).length ||
+            a.localeCompare(b))[0];
+    }
+
+    describe(key) {
+        const entry = this.searchIndex.documents[key];
+        return {
+            path: entry.folder,
+            name: entry.name,
+            category: entry.category,
+            title: entry.title,
+            mainFile: entry.mainFile
+        };
+    }
+
+    /**
+     * Links from a document, resolved where possible
+     */
+    getOutgoingLinks(key, options = {}) {
+        const { includeUnresolved = true } = options;
+        this.ensureFresh();
+
+        const links = (this.forward.get(key) || [])
+            .filter(link => includeUnresolved || link.targetKey)
+            .map(link => ({
+                target: link.targetKey,
+                targetName: link.targetKey ? this.searchIndex.documents[link.targetKey].name : null,
+                resolved: Boolean(link.targetKey),
+                type: link.type,
+                raw: link.raw,
+                text: link.text,
+                anchor: link.anchor,
+                embed: link.embed,
+                line: link.line
+            }));
+
+        return {
+            document: this.describe(key),
+            links,
+            count: links.length,
+            unresolvedCount: links.filter(link => !link.resolved).length
+        };
+    }
+
+    /**
+     * Documents linking to a document, with the line that holds each link
+     */
+    getBacklinks(key) {
+        this.ensureFresh();
+
+        const backlinks = (this.backward.get(key) || [])
+            .map(link => ({
+                source: this.describe(link.sourceKey),
+                type: link.type,
+                text: link.text,
+                anchor: link.anchor,
+                embed: link.embed,
+                line: link.line,
+                context: link.context
+            }))
+            .sort((a, b) => a.source.path.localeCompare(b.source.path) || a.line - b.line);
+
+        return {
+            document: this.describe(key),
+            backlinks,
+            count: backlinks.length,
+            linkingDocuments: new Set(backlinks.map(link => link.source.path)).size
+        };
+    }
+
+    /**
+     * Link edits that keep a document reachable after its folder moves to `newKey`
+     * Inbound wiki links naming the old folder are renamed (a path prefix is rewritten to
+     * the new location), inbound relative markdown links are recomputed, and the moved
+     * note's own relative links are re-based on its new directory. The main file is
+     * expected to follow the folder name, as the folder manager keeps it.
+     * Returns [{ file, currentFile, moved, edits: [{ line, from, to }] }], with hub-relative paths.
+     */
+    planRelocation(key, newKey) {
+        this.ensureFresh();
+
+        const documents = this.searchIndex.documents;
+        const entry = documents[key];
+        const toPosix = value => value.split(path.sep).join('/');
+        const oldFolder = toPosix(key);
+        const newFolder = toPosix(newKey);
+        const oldMain = toPosix(entry.mainFile);
+        const mainName = path.basename(entry.mainFile) === `${entry.name}.md` ? `${path.basename(newKey)}.md` : path.basename(entry.mainFile);
+        const newMain = `${newFolder}/${mainName}`;
+        const oldNames = new Set([normalizeLinkName(entry.name), normalizeLinkName(path.basename(entry.mainFile))]);
+
+        // Where a hub path ends up once the folder has moved
+        const relocate = target => {
+            if (target === oldMain) {
+                return newMain;
+            }
+            if (target === oldFolder || target.startsWith(oldFolder + '/')) {
+                return newFolder + target.slice(oldFolder.length);
+            }
+            return target;
+        };
+        const relative = (from, to, absolute) => absolute ? `/${to}` : (path.posix.relative(from, to) || path.posix.basename(to));
+
+        const plans = new Map();
+        const addEdit = (sourceKey, edit) => {
+            if (edit.from === edit.to) {
+                return;
+            }
+            if (!plans.has(sourceKey)) {
+                const currentFile = documents[sourceKey].mainFile;
+                const file = sourceKey === key ? newMain.split('/').join(path.sep) : currentFile;
+                plans.set(sourceKey, { file, currentFile, moved: sourceKey === key, edits: [] });
+            }
+            const edits = plans.get(sourceKey).edits;
+            if (!edits.some(existing => existing.line === edit.line && existing.from === edit.from)) {
+                edits.push(edit);
+            }
+        };
+
+        for (const link of this.backward.get(key) || []) {
+            if (link.sourceKey === key) {
+                continue;
+            }
+
+            if (link.type === 'wiki') {
+                const parts = link.target.split('/');
+                if (!oldNames.has(normalizeLinkName(parts[parts.length - 1]))) {
+                    continue; // Titles and aliases still resolve
+                }
+                const newParts = newFolder.split('/');
+                const renamed = parts.length === 1
+                    ? path.basename(newKey)
+                    : newParts.slice(Math.max(0, newParts.length - parts.length)).join('/');
+                if (renamed.split('/').map(normalizeLinkName).join('/') === parts.map(normalizeLinkName).join('/')) {
+                    continue; // Still names the folder, however it is spelled
+                }
+                addEdit(link.sourceKey, { line: link.line, from: link.raw, to: retargetLink(link, renamed) });
+                continue;
+            }
+
+            const sourceDir = path.posix.dirname(toPosix(documents[link.sourceKey].mainFile));
+            const target = relocate(resolveMarkdownTarget(link.target, sourceDir).replace(/\/$/, ''));
+            addEdit(link.sourceKey, {
+                line: link.line,
+                from: link.raw,
+                to: retargetLink(link, relative(sourceDir, target, link.target.startsWith('/')))
+            });
+        }
+
+        // Images and files of the moved folder embedded by path from other notes
+        for (const [sourceKey, source] of Object.entries(documents)) {
+            if (sourceKey === key) {
+                continue;
+            }
+            const sourceDir = path.posix.dirname(toPosix(source.mainFile));
+            for (const link of source.attachments || []) {
+                const target = resolveMarkdownTarget(link.target, sourceDir);
+                if (!target.startsWith(oldFolder + '/')) {
+                    continue;
+                }
+                addEdit(sourceKey, {
+                    line: link.line,
+                    from: link.raw,
+                    to: retargetLink(link, relative(sourceDir, relocate(target), link.target.startsWith('/')))
+                });
+            }
+        }
+
+        const oldDir = path.posix.dirname(oldMain);
+        const newDir = path.posix.dirname(newMain);
+        if (oldDir !== newDir) {
+            for (const link of [...(this.forward.get(key) || []), ...(entry.attachments || [])]) {
+                if (link.type === 'wiki' || link.target.startsWith('/')) {
+                    continue;
+                }
+                const target = resolveMarkdownTarget(link.target, oldDir);
+                if (target === oldFolder || target.startsWith(oldFolder + '/')) {
+                    continue; // Links inside the folder move with it
+                }
+                addEdit(key, { line: link.line, from: link.raw, to: retargetLink(link, relative(newDir, target, false)) });
+            }
+        }
+
+        return Array.from(plans.values()).sort((a, b) => a.file.localeCompare(b.file));
+    }
+
+    /**
+     * Nodes and weighted edges of the graph, optionally limited to a directory
+     * Edges are kept when both ends are inside the scope; orphans have no edges at all.
+     */
+    getGraph(options = {}) {
+        const { scope = null, includeUnresolved = false } = options;
+        this.ensureFresh();
+
+        const inScope = key => !scope || key === scope || key.startsWith(scope + path.sep);
+        const keys = Object.keys(this.searchIndex.documents).filter(inScope).sort();
+        const edges = new Map();
+        const unresolved = [];
+        const degree = new Map(keys.map(key => [key, { outgoing: 0, incoming: 0 }]));
+
+        for (const source of keys) {
+            for (const link of this.forward.get(source) || []) {
+                if (!link.targetKey) {
+                    unresolved.push({ source, target: link.target, type: link.type, line: link.line });
+                    continue;
+                }
+                if (link.targetKey === source || !inScope(link.targetKey)) {
+                    continue;
+                }
+                const id = `${source}\u0000${link.targetKey}`;
+                if (!edges.has(id)) {
+                    edges.set(id, { source, target: link.targetKey, count: 0 });
+                    degree.get(source).outgoing++;
+                    degree.get(link.targetKey).incoming++;
+                }
+                edges.get(id).count++;
+            }
+        }
+
+        const nodes = keys.map(key => ({ id: key, ...this.describe(key), ...degree.get(key) }));
+        return {
+            nodes,
+            edges: Array.from(edges.values()),
+            orphans: nodes.filter(node => node.outgoing === 0 && node.incoming === 0).map(node => node.id),
+            ...(includeUnresolved && { unresolved }),
+            stats: {
+                documents: nodes.length,
+                edges: edges.size,
+                links: Array.from(edges.values()).reduce((sum, edge) => sum + edge.count, 0),
+                unresolved: unresolved.length
+            }
+        };
+    }
+}
+
+/**
+ * Factory function to create LinkGraph instance
+ */
+export function createLinkGraph(searchIndex) {
+    return new LinkGraph(searchIndex);
+}
+
+export default LinkGraph;
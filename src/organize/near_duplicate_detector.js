@@ -0,0 +1,291 @@
+#!/usr/bin/env node
+
+/**
+ * Near-Duplicate Detector
+ * Finds documents that share real text using shingled MinHash signatures and LSH banding
+ *
+ * Each document is reduced to the set of its word k-shingles. A MinHash signature
+ * estimates the Jaccard similarity of two shingle sets, and LSH banding buckets the
+ * signatures so only documents that collide in at least one band are compared.
+ * Candidates are then verified against their exact shingle sets, and the shared
+ * shingles are stitched back into the overlapping passages used as evidence.
+ */
+
+import { parseFrontmatter } from './frontmatter.js';
+
+/**
+ * Banding layouts for 128 hash functions, as [bands, rows]
+ * A pair with Jaccard similarity s becomes a candidate with probability 1 - (1 - s^rows)^bands.
+ */
+const BANDINGS = [[64, 2], [32, 4], [16, 8], [8, 16]];
+
+/**
+ * 32-bit FNV-1a hash of a string
+ */
+function hashString(text) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Murmur3 finalizer, used as the family of MinHash permutations
+ */
+function mix(value) {
+    let h = value >>> 0;
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85EBCA6B);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xC2B2AE35);
+    h ^= h >>> 16;
+    return h >>> 0;
+}
+
+/**
+ * Lowercased word tokens of a document body with their character offsets
+ */
+export function tokenizeWithOffsets(text) {
+    const tokens = [];
+    const pattern = /[\p{L}\p{N}]+/gu;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        tokens.push({ word: match[0].toLowerCase(), start: match.index, end: match.index + match[0].length });
+    }
+    return tokens;
+}
+
+/**
+ * Word k-shingles of a text
+ * Returns the tokens, the hash of the shingle starting at each token, and the
+ * distinct shingle hashes. Texts shorter than k words form a single shingle.
+ */
+export function shingleText(text, shingleSize = 5) {
+    const tokens = tokenizeWithOffsets(text);
+    const size = Math.max(1, Math.min(shingleSize, tokens.length));
+    const starts = [];
+
+    for (let i = 0; i + size <= tokens.length; i++) {
+        let shingle = tokens[i].word;
+        for (let j = 1; j < size; j++) {
+            shingle += ' ' + tokens[i + j].word;
+        }
+        starts.push(hashString(shingle));
+    }
+
+    return { tokens, size, starts, set: new Set(starts) };
+}
+
+/**
+ * Jaccard similarity and containment of two shingle sets
+ */
+export function compareShingleSets(setA, setB) {
+    const [small, large] = setA.size <= setB.size ? [setA, setB] : [setB, setA];
+    let shared = 0;
+    for (const value of small) {
+        if (large.has(value)) {
+            shared++;
+        }
+    }
+
+    const union = setA.size + setB.size - shared;
+    return {
+        shared,
+        jaccard: union === 0 ? 0 : shared / union,
+        containment: small.size === 0 ? 0 : shared / small.size
+    };
+}
+
+/**
+ * Near-Duplicate Detector Class
+ * Add documents, then ask for the pairs whose shingle overlap meets the threshold
+ */
+export class NearDuplicateDetector {
+    constructor(options = {}) {
+        this.threshold = options.threshold ?? 0.8;
+        this.shingleSize = options.shingleSize || 5;
+        this.numHashes = 128;
+        this.maxPassages = options.maxPassages || 3;
+        this.maxPassageLength = options.maxPassageLength || 300;
+
+        const [bands, rows] = options.bands && options.rows
+            ? [options.bands, options.rows]
+            : NearDuplicateDetector.chooseBanding(this.threshold);
+        this.bands = bands;
+        this.rows = rows;
+
+        // Fixed seeds keep signatures comparable between runs
+        this.seeds = Array.from({ length: this.numHashes }, (_, i) => mix(0x9E3779B9 ^ Math.imul(i + 1, 0x27D4EB2F)));
+        this.documents = new Map();
+    }
+
+    /**
+     * Most selective banding whose candidate threshold stays well below the similarity threshold
+     */
+    static chooseBanding(threshold) {
+        let chosen = BANDINGS[0];
+        for (const [bands, rows] of BANDINGS) {
+            if (Math.pow(1 / bands, 1 / rows) <= threshold - 0.1) {
+                chosen = [bands, rows];
+            }
+        }
+        return chosen;
+    }
+
+    /**
+     * Register a document; frontmatter is ignored so shared metadata does not count as overlap
+     */
+    addDocument(id, content) {
+        const { body } = parseFrontmatter(content || '');
+        const shingles = shingleText(body, this.shingleSize);
+        if (shingles.set.size === 0) {
+            return false;
+        }
+
+        this.documents.set(id, { id, body, shingles, signature: this.computeSignature(shingles.set) });
+        return true;
+    }
+
+    /**
+     * MinHash signature: the minimum of each permutation over the shingle set
+     */
+    computeSignature(shingleSet) {
+        const signature = new Uint32Array(this.numHashes).fill(0xFFFFFFFF);
+        for (const shingle of shingleSet) {
+            for (let i = 0; i < this.numHashes; i++) {
+                const value = mix(shingle ^ this.seeds[i]);
+                if (value < signature[i]) {
+                    signature[i] = value;
+                }
+            }
+        }
+        return signature;
+    }
+
+    /**
+     * Signature estimate of Jaccard similarity
+     */
+    estimateSimilarity(idA, idB) {
+        const a = this.documents.get(idA).signature;
+        const b = this.documents.get(idB).signature;
+        let equal = 0;
+        for (let i = 0; i < this.numHashes; i++) {
+            if (a[i] === b[i]) {
+                equal++;
+            }
+        }
+        return equal / this.numHashes;
+    }
+
+    /**
+     * Candidate pairs that collide in at least one LSH band
+     */
+    getCandidatePairs() {
+        const pairs = new Map();
+
+        for (let band = 0; band < this.bands; band++) {
+            const buckets = new Map();
+            for (const document of this.documents.values()) {
+                const key = Array.from(document.signature.subarray(band * this.rows, (band + 1) * this.rows)).join(',');
+                if (!buckets.has(key)) {
+                    buckets.set(key, []);
+                }
+                buckets.get(key).push(document.id);
+            }
+
+            for (const ids of buckets.values()) {
+                for (let i = 0; i < ids.length; i++) {
+                    for (let j = i + 1; j < ids.length; j++) {
+                        const pair = ids[i] < ids[j] ? [ids[i], ids[j]] : [ids[j], ids[i]];
+                        pairs.set(pair.join('\u0000'), pair);
+                    }
+                }
+            }
+        }
+
+        return Array.from(pairs.values());
+    }
+
+    /**
+     * Verified near-duplicate pairs, most similar first
+     */
+    findNearDuplicates() {
+        const matches = [];
+
+        for (const [idA, idB] of this.getCandidatePairs()) {
+            const a = this.documents.get(idA);
+            const b = this.documents.get(idB);
+            const overlap = compareShingleSets(a.shingles.set, b.shingles.set);
+
+            if (overlap.jaccard >= this.threshold) {
+                matches.push({
+                    ids: [idA, idB],
+                    similarity: overlap.jaccard,
+                    estimatedSimilarity: this.estimateSimilarity(idA, idB),
+                    containment: overlap.containment,
+                    sharedShingles: overlap.shared,
+                    passages: this.findOverlappingPassages(a, b)
+                });
+            }
+        }
+
+        return matches.sort((x, y) => y.similarity - x.similarity || x.ids[0].localeCompare(y.ids[0]));
+    }
+
+    /**
+     * Longest runs of shingles the two documents share, as text excerpts with offsets into each body
+     */
+    findOverlappingPassages(a, b) {
+        const firstInB = new Map();
+        b.shingles.starts.forEach((hash, index) => {
+            if (!firstInB.has(hash)) {
+                firstInB.set(hash, index);
+            }
+        });
+
+        const runs = [];
+        let runStart = -1;
+        const starts = a.shingles.starts;
+        for (let i = 0; i <= starts.length; i++) {
+            const shared = i < starts.length && firstInB.has(starts[i]);
+            if (shared && runStart === -1) {
+                runStart = i;
+            } else if (!shared && runStart !== -1) {
+                runs.push([runStart, i - 1]);
+                runStart = -1;
+            }
+        }
+
+        return runs
+            .sort((x, y) => (y[1] - y[0]) - (x[1] - x[0]) || x[0] - y[0])
+            .slice(0, this.maxPassages)
+            .map(([first, last]) => {
+                const tokensA = a.shingles.tokens;
+                const tokensB = b.shingles.tokens;
+                const lastToken = last + a.shingles.size - 1;
+                const bFirst = firstInB.get(starts[first]);
+                const words = lastToken - first + 1;
+                const text = a.body.slice(tokensA[first].start, tokensA[lastToken].end).replace(/\s+/g, ' ');
+
+                return {
+                    text: text.length > this.maxPassageLength ? `${text.slice(0, this.maxPassageLength)}…` : text,
+                    words,
+                    offsets: [
+                        { start: tokensA[first].start, end: tokensA[lastToken].end },
+                        { start: tokensB[bFirst].start, end: tokensB[Math.min(bFirst + words - 1, tokensB.length - 1)].end }
+                    ]
+                };
+            });
+    }
+}
+
+/**
+ * Factory function to create NearDuplicateDetector instance
+ */
+export function createNearDuplicateDetector(options = {}) {
+    return new NearDuplicateDetector(options);
+}
+
+export default NearDuplicateDetector;
@@ -0,0 +1,310 @@
+#!/usr/bin/env node
+
+/**
+ * Orphaned Asset Manager
+ * Finds images no longer referenced by their document and quarantines them reversibly
+ *
+ * Edits and consolidations leave files behind in document `images/` folders. An asset
+ * is orphaned when no markdown file of its own document folder links to, embeds or
+ * `<img>`-references it. Orphans are never deleted: they are moved into a quarantine
+ * batch that mirrors their hub paths and records them in a manifest, from which any
+ * or all of them can be restored to where they were.
+ */
+
+import { promises as fs, existsSync } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { createErrorHandler, ErrorTypes, EnhancedError } from './error_handler.js';
+import { parseLinks } from './link_graph.js';
+
+const NOTE_EXTENSIONS = ['.md', '.markdown'];
+const MANIFEST_FILE = 'manifest.json';
+
+/**
+ * Files under a directory as posix paths relative to it; dot entries are skipped
+ */
+async function listFiles(root, relative = '') {
+    const files = [];
+    for (const dirent of await fs.readdir(path.join(root, relative), { withFileTypes: true })) {
+        if (dirent.name.startsWith('.')) {
+            continue;
+        }
+        const entryPath = relative ? `${relative}/${dirent.name}` : dirent.name;
+        if (dirent.isDirectory()) {
+            files.push(...await listFiles(root, entryPath));
+        } else if (dirent.isFile()) {
+            files.push(entryPath);
+        }
+    }
+    return files;
+}
+
+/**
+ * Orphaned Asset Manager Class
+ * Scans document folders for unreferenced assets and manages the quarantine area
+ */
+export class OrphanedAssetManager {
+    constructor(documentFolderManager, options = {}) {
+        this.documentFolderManager = documentFolderManager;
+        this.syncHubPath = documentFolderManager.syncHubPath;
+        this.imagesFolder = documentFolderManager.options.imagesSubfolderName || 'images';
+        this.quarantinePath = options.quarantinePath || path.join(this.syncHubPath, '.quarantine');
+
+        // Initialize error handler
+        this.errorHandler = createErrorHandler('OrphanedAssetManager', {
+            enableConsoleLogging: process.env.NODE_ENV !== 'production'
+        });
+
+        // Bind logging methods
+        this.logInfo = this.errorHandler.logInfo.bind(this.errorHandler);
+    }
+
+    /**
+     * Folder-relative paths of the files in a document folder's images folder
+     */
+    async listAssets(folderPath) {
+        const imagesPath = path.join(folderPath, this.imagesFolder);
+        if (!existsSync(imagesPath)) {
+            return [];
+        }
+        return (await listFiles(imagesPath)).map(file => `${this.imagesFolder}/${file}`);
+    }
+
+    /**
+     * Folder-relative asset a parsed link of one of the folder's notes points at, or null
+     */
+    resolveAssetReference(link, folderPath, assets) {
+        if (link.type === 'wiki') {
+            // Embeds name a file anywhere below the folder by its trailing path
+            const wanted = link.target.replace(/^\/+/, '');
+            return assets.find(asset => asset === wanted) || assets.find(asset => asset.endsWith(`/${wanted}`)) || null;
+        }
+
+        let target = path.posix.normalize(link.target);
+        if (link.target.startsWith('/')) {
+            const folder = path.relative(this.syncHubPath, folderPath).split(path.sep).join('/');
+            target = path.posix.normalize(link.target.slice(1));
+            target = target.startsWith(`${folder}/`) ? target.slice(folder.length + 1) : null;
+        }
+        return target && assets.includes(target) ? target : null;
+    }
+
+    /**
+     * Folder-relative paths of the assets a document folder's markdown refers to
+     */
+    async getReferencedAssets(folderPath, assets) {
+        const referenced = new Set();
+        const notes = (await fs.readdir(folderPath)).filter(name => NOTE_EXTENSIONS.includes(path.extname(name).toLowerCase()));
+
+        for (const name of notes) {
+            const content = await fs.readFile(path.join(folderPath, name), 'utf8');
+            for (const link of parseLinks(content, { attachments: true })) {
+                const asset = this.resolveAssetReference(link, folderPath, assets);
+                if (asset) {
+                    referenced.add(asset);
+                }
+            }
+        }
+
+        return referenced;
+    }
+
+    /**
+     * Unreferenced assets under a directory (the whole sync hub by default)
+     * Returns { documentsScanned, assetsScanned, orphans: [{ document, path, size, modified }], totalSize },
+     * with hub-relative paths.
+     */
+    async findOrphanedAssets(directory = this.syncHubPath) {
+        return await this.errorHandler.wrapAsync(async () => {
+            const folders = await this.documentFolderManager.findDocumentFolders(directory, true);
+            const orphans = [];
+            let assetsScanned = 0;
+
+            for (const folderPath of folders) {
+                const assets = await this.listAssets(folderPath);
+                if (assets.length === 0) {
+                    continue;
+                }
+
+                assetsScanned += assets.length;
+                const referenced = await this.getReferencedAssets(folderPath, assets);
+
+                for (const asset of assets.filter(asset => !referenced.has(asset)).sort()) {
+                    const assetPath = path.join(folderPath, ...asset.split('/'));
+                    const stats = await fs.stat(assetPath);
+                    orphans.push({
+                        document: path.relative(this.syncHubPath, folderPath),
+                        path: path.relative(this.syncHubPath, assetPath),
+                        size: stats.size,
+                        modified: stats.mtime.toISOString()
+                    });
+                }
+            }
+
+            return {
+                documentsScanned: folders.length,
+                assetsScanned,
+                orphans,
+                totalSize: orphans.reduce((sum, orphan) => sum + orphan.size, 0)
+            };
+        }, {
+            operation: 'findOrphanedAssets',
+            directory
+        });
+    }
+
+    /**
+     * Move assets into a new quarantine batch
+     * `assets` are hub-relative paths, e.g. the `path` of each orphan found above.
+     * Returns { batchId, items: [{ path, size }], totalSize, dryRun }.
+     */
+    async quarantineAssets(assets, options = {}) {
+        const { dryRun = false } = options;
+
+        return await this.errorHandler.wrapAsync(async () => {
+            const items = [];
+            for (const asset of assets) {
+                const assetPath = this.resolveHubPath(asset, 'quarantineAssets');
+                if (!existsSync(assetPath)) {
+                    throw new EnhancedError(`Asset not found: ${asset}`, ErrorTypes.FILE_NOT_FOUND, {
+                        operation: 'quarantineAssets',
+                        asset
+                    });
+                }
+                items.push({ path: path.relative(this.syncHubPath, assetPath), size: (await fs.stat(assetPath)).size });
+            }
+
+            const batchId = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(3).toString('hex')}`;
+            const totalSize = items.reduce((sum, item) => sum + item.size, 0);
+            if (dryRun || items.length === 0) {
+                return { batchId: null, items, totalSize, dryRun };
+            }
+
+            const batchPath = path.join(this.quarantinePath, batchId);
+            await fs.mkdir(batchPath, { recursive: true });
+            const manifest = { id: batchId, createdAt: new Date().toISOString(), items: [] };
+
+            for (const item of items) {
+                const target = path.join(batchPath, 'files', item.path);
+                await fs.mkdir(path.dirname(target), { recursive: true });
+                await fs.rename(path.join(this.syncHubPath, item.path), target);
+                manifest.items.push(item);
+                // Written after every move so an interrupted run can still be restored
+                await fs.writeFile(path.join(batchPath, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+            }
+
+            await this.logInfo('Quarantined orphaned assets', { batchId, count: items.length, totalSize });
+            return { batchId, items, totalSize, dryRun };
+        }, {
+            operation: 'quarantineAssets',
+            count: assets.length,
+            dryRun
+        });
+    }
+
+    /**
+     * Quarantine batches, newest first
+     */
+    async listQuarantine() {
+        return await this.errorHandler.wrapAsync(async () => {
+            if (!existsSync(this.quarantinePath)) {
+                return [];
+            }
+
+            const batches = [];
+            for (const batchId of await fs.readdir(this.quarantinePath)) {
+                const manifestPath = path.join(this.quarantinePath, batchId, MANIFEST_FILE);
+                if (!existsSync(manifestPath)) {
+                    continue;
+                }
+                const manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+                batches.push({
+                    ...manifest,
+                    count: manifest.items.length,
+                    totalSize: manifest.items.reduce((sum, item) => sum + item.size, 0)
+                });
+            }
+
+            return batches.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        }, {
+            operation: 'listQuarantine'
+        });
+    }
+
+    /**
+     * Move quarantined assets back to their original paths
+     * Restores the whole batch, or only `paths` from it. Assets whose original path is
+     * taken again are left in quarantine and reported as skipped. An emptied batch is removed.
+     * Returns { batchId, restored: [path], skipped: [{ path, reason }] }.
+     */
+    async restoreAssets(batchId, options = {}) {
+        const { paths = null } = options;
+
+        return await this.errorHandler.wrapAsync(async () => {
+            const batchPath = path.join(this.quarantinePath, path.basename(String(batchId || '')));
+            const manifestPath = path.join(batchPath, MANIFEST_FILE);
+            if (!batchId || !existsSync(manifestPath)) {
+                throw new EnhancedError(`Quarantine batch not found: ${batchId}`, ErrorTypes.FILE_NOT_FOUND, {
+                    operation: 'restoreAssets',
+                    batchId
+                });
+            }
+
+            const manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+            const wanted = paths ? new Set(paths.map(item => path.normalize(item))) : null;
+            const restored = [];
+            const skipped = [];
+
+            for (const item of manifest.items) {
+                if (wanted && !wanted.has(path.normalize(item.path))) {
+                    continue;
+                }
+                const original = this.resolveHubPath(item.path, 'restoreAssets');
+                if (existsSync(original)) {
+                    skipped.push({ path: item.path, reason: 'A file already exists at the original path' });
+                    continue;
+                }
+                await fs.mkdir(path.dirname(original), { recursive: true });
+                await fs.rename(path.join(batchPath, 'files', item.path), original);
+                restored.push(item.path);
+            }
+
+            manifest.items = manifest.items.filter(item => !restored.includes(item.path));
+            if (manifest.items.length === 0) {
+                await fs.rm(batchPath, { recursive: true, force: true });
+            } else {
+                await fs.writeFile(manifestPath, JSON.stringify(manifest, null, 2));
+            }
+
+            await this.logInfo('Restored quarantined assets', { batchId, restored: restored.length, skipped: skipped.length });
+            return { batchId, restored, skipped };
+        }, {
+            operation: 'restoreAssets',
+            batchId
+        });
+    }
+
+    /**
+     * Absolute path for a hub-relative asset path, refusing paths outside the hub
+     */
+    resolveHubPath(assetPath, operation) {
+        const absolute = path.resolve(this.syncHubPath, assetPath);
+        const relative = path.relative(this.syncHubPath, absolute);
+        if (!relative || relative.startsWith('..') || path.isAbsolute(relative) || absolute.startsWith(this.quarantinePath + path.sep)) {
+            throw new EnhancedError(`Asset path is outside the sync hub: ${assetPath}`, ErrorTypes.VALIDATION_ERROR, {
+                operation,
+                assetPath
+            });
+        }
+        return absolute;
+    }
+}
+
+/**
+ * Factory function to create OrphanedAssetManager instance
+ */
+export function createOrphanedAssetManager(documentFolderManager, options = {}) {
+    return new OrphanedAssetManager(documentFolderManager, options);
+}
+
+export default OrphanedAssetManager;
@@ -0,0 +1,325 @@
+#!/usr/bin/env node
+
+/**
+ * Passage Deduplicator
+ * Finds paragraphs and code blocks that are repeated across document folders
+ *
+ * Whole-document hashing misses a section pasted into several notes, so each
+ * main document is split into blocks (paragraphs and fenced code blocks), every
+ * block is fingerprinted after normalization, and fingerprints seen in more than
+ * one document are reported with all of their locations. Copies can optionally be
+ * replaced with a link to a canonical occurrence.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { createErrorHandler, ErrorTypes, EnhancedError } from './error_handler.js';
+import { splitFrontmatter, parseFrontmatter, parseMetadataDate } from './frontmatter.js';
+
+/**
+ * Split markdown into paragraph and fenced code blocks with offsets and line numbers
+ * Headings, blank lines and frontmatter never form blocks.
+ */
+export function splitPassages(content) {
+    const text = content || '';
+    const bodyStart = text.length - splitFrontmatter(text).body.length;
+    const passages = [];
+
+    const lines = [];
+    const linePattern = /[^\n]*(\n|$)/g;
+    let match;
+    while ((match = linePattern.exec(text)) !== null && match.index < text.length) {
+        const lineText = match[0].replace(/\r?\n$/, '');
+        lines.push({ text: lineText, start: match.index, end: match.index + lineText.length });
+    }
+
+    let current = null;
+    let fence = null;
+    const close = () => {
+        if (current) {
+            current.text = text.slice(current.start, current.end);
+            passages.push(current);
+            current = null;
+        }
+    };
+
+    lines.forEach((line, index) => {
+        if (line.start < bodyStart) {
+            return;
+        }
+
+        if (fence) {
+            current.end = line.end;
+            current.lineEnd = index + 1;
+            if (line.text.trim().startsWith(fence)) {
+                fence = null;
+                close();
+            }
+            return;
+        }
+
+        const fenceMatch = line.text.match(/^\s*(```+|~~~+)/);
+        if (fenceMatch) {
+            close();
+            fence = fenceMatch[1];
+            current = { kind: 'code', start: line.start, end: line.end, lineStart: index + 1, lineEnd: index + 1 };
+            return;
+        }
+
+        if (line.text.trim() === '' || /^\s{0,3}#{1,6}\s/.test(line.text)) {
+            close();
+            return;
+        }
+
+        if (!current) {
+            current = { kind: 'paragraph', start: line.start, end: line.end, lineStart: index + 1, lineEnd: index + 1 };
+        } else {
+            current.end = line.end;
+            current.lineEnd = index + 1;
+        }
+    });
+
+    // An unterminated fence runs to the end of the document
+    close();
+    return passages;
+}
+
+/**
+ * Normalized form of a block: prose ignores case, markup and wrapping; code only trailing whitespace
+ */
+export function normalizePassage(passage) {
+    if (passage.kind === 'code') {
+        const lines = passage.text.split(/\r?\n/).slice(1);
+        if (lines.length > 0 && /^\s*(```|~~~)/.test(lines[lines.length - 1])) {
+            lines.pop();
+        }
+        return lines
+            .map(line => line.replace(/\s+$/, ''))
+            .join('\n')
+            .trim();
+    }
+
+    return passage.text
+        .toLowerCase()
+        .replace(/^\s*(?:[-*+>]|\d+[.)])\s+/gm, '')
+        .replace(/[*_`~]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+export function fingerprintPassage(passage) {
+    return crypto.createHash('sha256').update(`${passage.kind}\n${normalizePassage(passage)}`).digest('hex').slice(0, 16);
+}
+
+/**
+ * Passage Deduplicator Class
+ * Scans document folders for repeated blocks and replaces copies with links
+ */
+export class PassageDeduplicator {
+    constructor(documentFolderManager, options = {}) {
+        this.documentFolderManager = documentFolderManager;
+        this.syncHubPath = documentFolderManager.syncHubPath;
+        this.minWords = options.minWords || 20;
+        this.minCodeLines = options.minCodeLines || 3;
+        this.includeCode = options.includeCode !== false;
+
+        // Initialize error handler
+        this.errorHandler = createErrorHandler('PassageDeduplicator', {
+            enableConsoleLogging: process.env.NODE_ENV !== 'production'
+        });
+
+        // Bind logging methods
+        this.logInfo = this.errorHandler.logInfo.bind(this.errorHandler);
+    }
+
+    /**
+     * Whether a block is substantial enough to count as a shared passage
+     */
+    isSignificant(passage) {
+        const normalized = normalizePassage(passage);
+        if (passage.kind === 'code') {
+            return this.includeCode && normalized.split('\n').filter(line => line.trim()).length >= this.minCodeLines;
+        }
+        return normalized.split(' ').filter(Boolean).length >= this.minWords;
+    }
+
+    /**
+     * Repeated passages under a directory (the whole sync hub by default)
+     * Returns { documentsScanned, passagesScanned, groups } with groups ordered by how widely they are copied.
+     */
+    async findDuplicatePassages(directory = this.syncHubPath) {
+        return await this.errorHandler.wrapAsync(async () => {
+            const folders = await this.documentFolderManager.findDocumentFolders(directory, true);
+            const groups = new Map();
+            let passagesScanned = 0;
+
+            for (const folderPath of folders) {
+                const mainFile = await this.documentFolderManager.getMainDocumentFile(folderPath);
+                if (!mainFile) {
+                    continue;
+                }
+
+                const content = await fs.readFile(mainFile, 'utf-8');
+                const { data } = parseFrontmatter(content);
+                const created = parseMetadataDate(data.created) || (await fs.stat(mainFile)).mtime;
+
+                for (const passage of splitPassages(content)) {
+                    if (!this.isSignificant(passage)) {
+                        continue;
+                    }
+                    passagesScanned++;
+
+                    const fingerprint = fingerprintPassage(passage);
+                    if (!groups.has(fingerprint)) {
+                        groups.set(fingerprint, {
+                            fingerprint,
+                            kind: passage.kind,
+                            words: normalizePassage(passage).split(/\s+/).filter(Boolean).length,
+                            preview: passage.text.replace(/\s+/g, ' ').slice(0, 160),
+                            locations: []
+                        });
+                    }
+                    groups.get(fingerprint).locations.push({
+                        folderPath,
+                        mainFile,
+                        created: created.getTime(),
+                        lineStart: passage.lineStart,
+                        lineEnd: passage.lineEnd,
+                        start: passage.start,
+                        end: passage.end
+                    });
+                }
+            }
+
+            const duplicates = Array.from(groups.values())
+                .filter(group => new Set(group.locations.map(location => location.folderPath)).size > 1)
+                .map(group => ({
+                    ...group,
+                    documentCount: new Set(group.locations.map(location => location.folderPath)).size
+                }))
+                .sort((a, b) => b.documentCount - a.documentCount || b.words - a.words || a.fingerprint.localeCompare(b.fingerprint));
+
+            return { documentsScanned: folders.length, passagesScanned, groups: duplicates };
+        }, {
+            operation: 'findDuplicatePassages',
+            directory
+        });
+    }
+
+    /**
+     * Occurrence kept as the source: the requested document if it holds the passage, else the oldest document
+     */
+    selectCanonical(group, canonicalFolder = null) {
+        if (canonicalFolder) {
+            const requested = group.locations.find(location => location.folderPath === canonicalFolder);
+            if (requested) {
+                return requested;
+            }
+        }
+
+        return [...group.locations].sort((a, b) =>
+            a.created - b.created || a.folderPath.localeCompare(b.folderPath) || a.start - b.start)[0];
+    }
+
+    /**
+     * Markdown that stands in for a removed copy, linking to the canonical document
+     */
+    buildLink(fromFolder, canonical) {
+        const relative = path.relative(fromFolder, canonical.mainFile).split(path.sep).map(encodeURIComponent).join('/');
+        const title = path.basename(canonical.folderPath);
+        return `> Shared passage, see [${title}](${relative}) (lines ${canonical.lineStart}-${canonical.lineEnd})`;
+    }
+
+    /**
+     * Replace every copy of the given groups with a link to its canonical occurrence
+     * Copies inside the canonical document itself are left alone. Each block is
+     * re-fingerprinted before it is replaced, so files edited since the scan are skipped.
+     */
+    async replaceWithLinks(groups, options = {}) {
+        return await this.errorHandler.wrapAsync(async () => {
+            const { canonicalFolder = null, dryRun = false } = options;
+            const edits = new Map();
+            const replacements = [];
+
+            for (const group of groups) {
+                const canonical = this.selectCanonical(group, canonicalFolder);
+                for (const location of group.locations) {
+                    if (location.folderPath === canonical.folderPath) {
+                        continue;
+                    }
+                    if (!edits.has(location.mainFile)) {
+                        edits.set(location.mainFile, []);
+                    }
+                    edits.get(location.mainFile).push({ group, location, canonical });
+                }
+            }
+
+            for (const [mainFile, fileEdits] of edits) {
+                let content = await fs.readFile(mainFile, 'utf-8');
+
+                // Apply from the end of the file so earlier offsets stay valid
+                fileEdits.sort((a, b) => b.location.start - a.location.start);
+                for (const { group, location, canonical } of fileEdits) {
+                    const current = { kind: group.kind, text: content.slice(location.start, location.end) };
+                    const replacement = {
+                        fingerprint: group.fingerprint,
+                        folderPath: location.folderPath,
+                        lineStart: location.lineStart,
+                        canonicalFolder: canonical.folderPath
+                    };
+
+                    if (fingerprintPassage(current) !== group.fingerprint) {
+                        replacements.push({ ...replacement, replaced: false, reason: 'changed_since_scan' });
+                        continue;
+                    }
+
+                    content = content.slice(0, location.start) + this.buildLink(location.folderPath, canonical) + content.slice(location.end);
+                    replacements.push({ ...replacement, replaced: !dryRun });
+                }
+
+                if (!dryRun) {
+                    await fs.writeFile(mainFile, content, 'utf-8');
+                }
+            }
+
+            await this.logInfo('Duplicate passages replaced with links', {
+                groups: groups.length,
+                replaced: replacements.filter(r => r.replaced).length,
+                dryRun
+            });
+
+            return replacements;
+        }, {
+            operation: 'replaceDuplicatePassages',
+            groupCount: groups.length
+        });
+    }
+
+    /**
+     * Groups matching the requested fingerprints; unknown fingerprints are an error
+     */
+    selectGroups(groups, fingerprints = null) {
+        if (!fingerprints || fingerprints.length === 0) {
+            return groups;
+        }
+
+        const unknown = fingerprints.filter(fingerprint => !groups.some(group => group.fingerprint === fingerprint));
+        if (unknown.length > 0) {
+            throw new EnhancedError(`Unknown passage fingerprint(s): ${unknown.join(', ')}`, ErrorTypes.VALIDATION_ERROR, {
+                operation: 'replaceDuplicatePassages',
+                fingerprints: unknown
+            });
+        }
+        return groups.filter(group => fingerprints.includes(group.fingerprint));
+    }
+}
+
+/**
+ * Factory function to create PassageDeduplicator instance
+ */
+export function createPassageDeduplicator(documentFolderManager, options = {}) {
+    return new PassageDeduplicator(documentFolderManager, options);
+}
+
+export default PassageDeduplicator;
@@ -0,0 +1,255 @@
+#!/usr/bin/env node
+
+/**
+ * Review Inbox
+ * Files whose category could not be decided with confidence, waiting for a person
+ *
+ * A file sent for review becomes a document folder in the inbox folder of the sync
+ * hub (Inbox/ by default), exactly as it would have been filed, so accepting or
+ * overriding the suggestion is a folder move. The inbox keeps its queue in a
+ * hidden `.review.json` next to the documents, with each item's top suggestions and
+ * the reasons behind them. Decided documents become training examples for the
+ * category classifier.
+ */
+
+import { promises as fs, existsSync, readFileSync } from 'fs';
+import path from 'path';
+import { createErrorHandler, ErrorTypes, EnhancedError } from './error_handler.js';
+import { normalizeCategoryPath } from './category_manager.js';
+
+export const DEFAULT_REVIEW_THRESHOLD = 0.6;
+export const DEFAULT_INBOX_FOLDER = 'Inbox';
+
+const QUEUE_FILE = '.review.json';
+const MAX_DECISIONS = 500;
+
+/**
+ * Review settings from organize_config.conf (review_confidence_threshold, review_inbox_folder)
+ */
+export function loadReviewSettings(configPath) {
+    const settings = { threshold: DEFAULT_REVIEW_THRESHOLD, folder: DEFAULT_INBOX_FOLDER };
+    if (!configPath || !existsSync(configPath)) {
+        return settings;
+    }
+
+    for (const line of readFileSync(configPath, 'utf8').split('\n')) {
+        const match = line.trim().match(/^(review_confidence_threshold|review_inbox_folder)\s*=\s*"?([^"]*?)"?$/);
+        if (!match) {
+            continue;
+        }
+        if (match[1] === 'review_confidence_threshold') {
+            const threshold = parseFloat(match[2]);
+            if (threshold >= 0 && threshold <= 1) {
+                settings.threshold = threshold;
+            }
+        } else if (normalizeCategoryPath(match[2]) && !match[2].includes('/')) {
+            settings.folder = match[2].trim();
+        }
+    }
+    return settings;
+}
+
+/**
+ * Review Inbox Class
+ * Queues unsure files and files them once a suggestion is accepted or overridden
+ */
+export class ReviewInbox {
+    constructor(documentFolderManager, options = {}) {
+        this.documentFolderManager = documentFolderManager;
+        this.syncHubPath = documentFolderManager.syncHubPath;
+        this.folder = options.folder || DEFAULT_INBOX_FOLDER;
+        this.inboxPath = path.join(this.syncHubPath, this.folder);
+        this.classifier = options.classifier || null;
+        // The caller's move, so that filing an item rewrites links to it like any other move
+        this.relocate = options.relocate ||
+            ((folderPath, newFolderPath) => documentFolderManager.moveDocumentFolder(folderPath, newFolderPath));
+
+        // Initialize error handler
+        this.errorHandler = createErrorHandler('ReviewInbox', {
+            enableConsoleLogging: process.env.NODE_ENV !== 'production'
+        });
+
+        // Bind logging methods
+        this.logInfo = this.errorHandler.logInfo.bind(this.errorHandler);
+    }
+
+    async readQueue() {
+        const queuePath = path.join(this.inboxPath, QUEUE_FILE);
+        if (!existsSync(queuePath)) {
+            return { items: [], decisions: [] };
+        }
+        const queue = JSON.parse(await fs.readFile(queuePath, 'utf8'));
+        return { items: queue.items || [], decisions: queue.decisions || [] };
+    }
+
+    async writeQueue(queue) {
+        await fs.mkdir(this.inboxPath, { recursive: true });
+        await fs.writeFile(path.join(this.inboxPath, QUEUE_FILE), JSON.stringify({
+            items: queue.items,
+            decisions: queue.decisions.slice(-MAX_DECISIONS)
+        }, null, 2));
+    }
+
+    /**
+     * Send a file's content to the inbox as a document folder
+     * `suggestions` are the top categories as [{ category, confidence, reasons }].
+     * Returns the queued item.
+     */
+    async add(name, content, options = {}) {
+        const { suggestions = [], source = null, originalPath = null, metadata = null } = options;
+
+        return await this.errorHandler.wrapAsync(async () => {
+            const folderPath = await this.documentFolderManager.createDocumentFolder(name, this.folder, content, metadata);
+            const item = {
+                id: path.basename(folderPath),
+                document: path.relative(this.syncHubPath, folderPath),
+                originalPath,
+                source,
+                suggestions: suggestions.slice(0, 3),
+                addedAt: new Date().toISOString()
+            };
+
+            const queue = await this.readQueue();
+            queue.items = queue.items.filter(existing => existing.id !== item.id).concat(item);
+            await this.writeQueue(queue);
+
+            await this.logInfo('File sent to review inbox', { id: item.id, suggestions: item.suggestions.map(entry => entry.category) });
+            return item;
+        }, {
+            operation: 'addToReviewInbox',
+            name
+        });
+    }
+
+    /**
+     * Items waiting for review, oldest first
+     * Documents someone has already moved out of the inbox by hand drop out of the queue.
+     */
+    async list() {
+        const queue = await this.readQueue();
+        const present = queue.items.filter(item => existsSync(path.join(this.syncHubPath, item.document)));
+        if (present.length !== queue.items.length) {
+            queue.items = present;
+            await this.writeQueue(queue);
+        }
+        return present;
+    }
+
+    /**
+     * Apply review decisions: [{ id, category }] files an item under `category`, and an
+     * item without a category takes its top suggestion
+     * Returns { filed: [{ id, category, document, decision, suggested }], errors: [{ id, error }] }.
+     */
+    async decide(decisions) {
+        return await this.errorHandler.wrapAsync(async () => {
+            const queue = await this.readQueue();
+            const filed = [];
+            const errors = [];
+
+            for (const { id, category } of decisions) {
+                const item = queue.items.find(entry => entry.id === id);
+                if (!item) {
+                    errors.push({ id, error: 'Not in the review inbox' });
+                    continue;
+                }
+
+                const suggested = item.suggestions.length > 0 ? item.suggestions[0].category : null;
+                const target = normalizeCategoryPath(category || suggested);
+                if (!target || target.split('/')[0] === this.folder) {
+                    errors.push({ id, error: category ? `Invalid category: ${category}` : 'No suggestion to accept' });
+                    continue;
+                }
+
+                const targetPath = path.join(this.syncHubPath, ...target.split('/'), item.id);
+                if (existsSync(targetPath)) {
+                    errors.push({ id, error: `A document named ${item.id} already exists in ${target}` });
+                    continue;
+                }
+
+                try {
+                    await this.relocate(path.join(this.syncHubPath, item.document), targetPath);
+                } catch (error) {
+                    errors.push({ id, error: error.message });
+                    continue;
+                }
+
+                const decision = {
+                    id,
+                    category: target,
+                    document: path.relative(this.syncHubPath, targetPath),
+                    decision: target === suggested ? 'accepted' : 'overridden',
+                    suggested,
+                    decidedAt: new Date().toISOString()
+                };
+                queue.items = queue.items.filter(entry => entry.id !== id);
+                queue.decisions.push(decision);
+                filed.push(decision);
+            }
+
+            await this.writeQueue(queue);
+
+            // Every decision is a labelled example for the classifier
+            if (filed.length > 0 && this.classifier) {
+                await this.classifier.train();
+            }
+
+            await this.logInfo('Review decisions applied', { filed: filed.length, errors: errors.length });
+            return { filed, errors };
+        }, {
+            operation: 'decideReviewItems',
+            count: decisions.length
+        });
+    }
+
+    /**
+     * Accept the top suggestion of every item (or the listed ones) at or above a confidence
+     */
+    async acceptSuggestions(ids = null, minConfidence = 0) {
+        const items = await this.list();
+        const selected = items.filter(item => (!ids || ids.includes(item.id)) &&
+            item.suggestions.length > 0 && (item.suggestions[0].confidence ?? 0) >= minConfidence);
+        return await this.decide(selected.map(item => ({ id: item.id })));
+    }
+
+    /**
+     * File the listed items under one category, whatever was suggested
+     */
+    async override(ids, category) {
+        if (!normalizeCategoryPath(category)) {
+            throw new EnhancedError(`Invalid category: ${category}`, ErrorTypes.VALIDATION_ERROR, {
+                operation: 'overrideReviewItems',
+                category
+            });
+        }
+        return await this.decide(ids.map(id => ({ id, category })));
+    }
+
+    /**
+     * How often reviewers agreed with the suggestion, overall and per suggested category
+     */
+    async getDecisionStats() {
+        const { decisions } = await this.readQueue();
+        const byCategory = {};
+        for (const decision of decisions) {
+            const key = decision.suggested || 'none';
+            byCategory[key] = byCategory[key] || { accepted: 0, overridden: 0 };
+            byCategory[key][decision.decision]++;
+        }
+        const accepted = decisions.filter(decision => decision.decision === 'accepted').length;
+        return {
+            decisions: decisions.length,
+            accepted,
+            overridden: decisions.length - accepted,
+            byCategory
+        };
+    }
+}
+
+/**
+ * Factory function to create ReviewInbox instance
+ */
+export function createReviewInbox(documentFolderManager, options = {}) {
+    return new ReviewInbox(documentFolderManager, options);
+}
+
+export default ReviewInbox;
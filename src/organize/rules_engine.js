@@ -0,0 +1,528 @@
+#!/usr/bin/env node
+
+/**
+ * Rules Engine
+ * Declarative organization rules read from custom_rules.json
+ *
+ * A rule is a list of conditions checked in order (all must pass, or any with
+ * `"match": "any"`) and a list of actions applied when it fires. Rules are tried in
+ * file order and the first one that fires wins, unless it sets `"stop": false`, in
+ * which case later rules may still add tags or fill in actions it left unset.
+ *
+ * {
+ *   "rules": [{
+ *     "id": "invoices",
+ *     "conditions": [
+ *       { "type": "filename", "pattern": "*invoice*" },
+ *       { "type": "content", "pattern": "amount due", "flags": "i" },
+ *       { "type": "frontmatter", "field": "tags", "contains": "finance" },
+ *       { "type": "size", "max": "2MB" },
+ *       { "type": "age", "min_days": 30 },
+ *       { "type": "source", "equals": ["gdrive", "drive.google.com"] }
+ *     ],
+ *     "actions": [
+ *       { "type": "set_category", "category": "Finance/Invoices" },
+ *       { "type": "add_tag", "tag": "invoice" },
+ *       { "type": "rename", "pattern": "{date}-{name}" }
+ *     ]
+ *   }]
+ * }
+ *
+ * The other actions are `skip` (leave the file where it is) and `archive` (file it
+ * under the archive category, "Archive" unless the action names another).
+ * Content `flags` default to "i"; the stateful `g` and `y` flags are rejected.
+ */
+
+import { promises as fs, existsSync, readFileSync } from 'fs';
+import path from 'path';
+import { createErrorHandler, ErrorTypes, EnhancedError } from './error_handler.js';
+import { parseFrontmatter, parseMetadataDate } from './frontmatter.js';
+import { normalizeCategoryPath } from './category_manager.js';
+
+export const CONDITION_TYPES = ['filename', 'content', 'frontmatter', 'size', 'age', 'source'];
+export const ACTION_TYPES = ['set_category', 'add_tag', 'rename', 'skip', 'archive'];
+
+const DEFAULT_ARCHIVE_CATEGORY = 'Archive';
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Path of the rules file: `custom_rules_file` from organize_config.conf, else <sync hub>/custom_rules.json
+ */
+export function loadRulesFilePath(configPath, syncHub) {
+    const fallback = path.join(syncHub, 'custom_rules.json');
+    if (!configPath || !existsSync(configPath)) {
+        return fallback;
+    }
+
+    for (const line of readFileSync(configPath, 'utf8').split('\n')) {
+        const match = line.trim().match(/^custom_rules_file\s*=\s*"?([^"]+?)"?$/);
+        if (match) {
+            return path.resolve(match[1].replace(/\$\{?sync_hub\}?/gi, syncHub));
+        }
+    }
+    return fallback;
+}
+
+/**
+ * Byte count from a number or a string such as "512KB" or "2 MB"
+ */
+export function parseSize(value) {
+    if (typeof value === 'number') {
+        return value >= 0 ? value : null;
+    }
+    const match = String(value || '').trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/);
+    return match ? Math.round(parseFloat(match[1]) * SIZE_UNITS[match[2] || 'b']) : null;
+}
+
+/**
+ * Case-insensitive regex for a glob: `*` and `?` stay within one path segment, `**` crosses them
+ */
+export function globToRegExp(glob) {
+    let source = '';
+    const pattern = String(glob);
+    for (let index = 0; index < pattern.length; index++) {
+        const char = pattern[index];
+        if (char === '*' && pattern[index + 1] === '*') {
+            source += '.*';
+            index++;
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Service a file came from, per its `source` frontmatter: the value itself, or a URL's host
+ */
+function sourceOf(frontmatter) {
+    const source = frontmatter.source;
+    if (source === null || source === undefined || source === '') {
+        return null;
+    }
+    try {
+        return new URL(String(source)).hostname.replace(/^www\./, '').toLowerCase();
+    } catch {
+        return String(source).trim().toLowerCase();
+    }
+}
+
+function asList(value) {
+    return Array.isArray(value) ? value : [value];
+}
+
+function sameText(a, b) {
+    return String(a).toLowerCase() === String(b).toLowerCase();
+}
+
+function formatDate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Rules Engine Class
+ * Loads, validates and saves the rules file and evaluates rules against loose files
+ */
+export class RulesEngine {
+    constructor(options = {}) {
+        this.syncHub = options.syncHub;
+        this.rulesPath = options.rulesPath || loadRulesFilePath(options.configPath, this.syncHub);
+        this.archiveCategory = options.archiveCategory || DEFAULT_ARCHIVE_CATEGORY;
+        this.rules = [];
+
+        // Initialize error handler
+        this.errorHandler = createErrorHandler('RulesEngine', {
+            enableConsoleLogging: process.env.NODE_ENV !== 'production'
+        });
+
+        // Bind logging methods
+        this.logInfo = this.errorHandler.logInfo.bind(this.errorHandler);
+    }
+
+    /**
+     * Re-read the rules file; a missing file means no rules
+     * Throws a VALIDATION_ERROR listing every problem when the file is not valid.
+     */
+    async load() {
+        this.rules = [];
+        if (!existsSync(this.rulesPath)) {
+            return this.rules;
+        }
+
+        let data;
+        try {
+            data = JSON.parse(await fs.readFile(this.rulesPath, 'utf8'));
+        } catch (error) {
+            throw new EnhancedError(`Rules file is not valid JSON: ${error.message}`, ErrorTypes.VALIDATION_ERROR, {
+                operation: 'loadRules',
+                rulesPath: this.rulesPath
+            });
+        }
+
+        this.rules = this.compile(Array.isArray(data) ? data : data.rules);
+        return this.rules;
+    }
+
+    /**
+     * The rules as stored, for display and editing
+     */
+    async getRules() {
+        await this.load();
+        return this.rules.map(rule => rule.definition);
+    }
+
+    /**
+     * Validate and write a new rule list, replacing the file
+     */
+    async save(rules) {
+        const compiled = this.compile(rules);
+        await fs.mkdir(path.dirname(this.rulesPath), { recursive: true });
+        await fs.writeFile(this.rulesPath, JSON.stringify({ version: 1, rules }, null, 2) + '\n', 'utf8');
+        this.rules = compiled;
+
+        await this.logInfo('Organization rules saved', { rulesPath: this.rulesPath, count: rules.length });
+        return this.rules.map(rule => rule.definition);
+    }
+
+    /**
+     * Problems with a rule list, as "rules[i].conditions[j]: ..." messages (empty when valid)
+     */
+    validateRules(rules) {
+        if (!Array.isArray(rules)) {
+            return ['rules must be an array'];
+        }
+
+        const errors = [];
+        const ids = new Set();
+        rules.forEach((rule, index) => {
+            const where = `rules[${index}]`;
+            if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+                errors.push(`${where}: must be an object`);
+                return;
+            }
+            const id = String(rule.id || rule.name || '');
+            if (!id) {
+                errors.push(`${where}: id or name is required`);
+            } else if (ids.has(id)) {
+                errors.push(`${where}: duplicate id '${id}'`);
+            }
+            ids.add(id);
+            if (rule.match !== undefined && !['all', 'any'].includes(rule.match)) {
+                errors.push(`${where}.match: must be 'all' or 'any'`);
+            }
+
+            if (!Array.isArray(rule.conditions) || rule.conditions.length === 0) {
+                errors.push(`${where}.conditions: at least one condition is required`);
+            } else {
+                rule.conditions.forEach((condition, position) => {
+                    const problem = this.validateCondition(condition || {});
+                    if (problem) {
+                        errors.push(`${where}.conditions[${position}]: ${problem}`);
+                    }
+                });
+            }
+
+            if (!Array.isArray(rule.actions) || rule.actions.length === 0) {
+                errors.push(`${where}.actions: at least one action is required`);
+            } else {
+                rule.actions.forEach((action, position) => {
+                    const problem = this.validateAction(action || {});
+                    if (problem) {
+                        errors.push(`${where}.actions[${position}]: ${problem}`);
+                    }
+                });
+            }
+        });
+        return errors;
+    }
+
+    validateCondition(condition) {
+        const regexProblem = (source, flags) => {
+            // A stateful regex keeps its lastIndex between files and skips matches
+            if (/[gy]/.test(flags)) {
+                return `regex flags must not include g or y: ${flags}`;
+            }
+            try {
+                new RegExp(source, flags);
+                return null;
+            } catch (error) {
+                return `invalid regex: ${error.message}`;
+            }
+        };
+
+        switch (condition.type) {
+            case 'filename':
+                return condition.pattern ? null : 'pattern is required';
+            case 'content':
+                return condition.pattern ? regexProblem(condition.pattern, condition.flags ?? 'i') : 'pattern is required';
+            case 'frontmatter':
+                if (!condition.field) {
+                    return 'field is required';
+                }
+                if (['equals', 'contains', 'matches', 'exists'].every(key => condition[key] === undefined)) {
+                    return 'one of equals, contains, matches or exists is required';
+                }
+                return condition.matches !== undefined ? regexProblem(condition.matches, 'i') : null;
+            case 'size':
+                if (condition.min === undefined && condition.max === undefined) {
+                    return 'min or max is required';
+                }
+                return [condition.min, condition.max].some(value => value !== undefined && parseSize(value) === null)
+                    ? 'min and max must be byte counts or sizes like "10KB"'
+                    : null;
+            case 'age':
+                if (condition.min_days === undefined && condition.max_days === undefined) {
+                    return 'min_days or max_days is required';
+                }
+                if ([condition.min_days, condition.max_days].some(value => value !== undefined && !(Number(value) >= 0))) {
+                    return 'min_days and max_days must be non-negative numbers';
+                }
+                return condition.field === undefined || ['modified', 'created'].includes(condition.field)
+                    ? null
+                    : "field must be 'modified' or 'created'";
+            case 'source':
+                return condition.equals !== undefined || condition.pattern ? null : 'equals or pattern is required';
+            default:
+                return `unknown condition type '${condition.type}' (expected ${CONDITION_TYPES.join(', ')})`;
+        }
+    }
+
+    validateAction(action) {
+        switch (action.type) {
+            case 'set_category':
+                return normalizeCategoryPath(action.category) ? null : 'category must be a path inside the sync hub';
+            case 'add_tag':
+                return asList(action.tags ?? action.tag).some(tag => typeof tag === 'string' && tag.trim())
+                    ? null
+                    : 'tag or tags is required';
+            case 'rename':
+                return typeof action.pattern === 'string' && action.pattern.trim() ? null : 'pattern is required';
+            case 'skip':
+                return null;
+            case 'archive':
+                return action.category === undefined || normalizeCategoryPath(action.category)
+                    ? null
+                    : 'category must be a path inside the sync hub';
+            default:
+                return `unknown action type '${action.type}' (expected ${ACTION_TYPES.join(', ')})`;
+        }
+    }
+
+    /**
+     * Validated rules with their regexes built once
+     */
+    compile(rules) {
+        const errors = this.validateRules(rules);
+        if (errors.length > 0) {
+            throw new EnhancedError(`Invalid organization rules: ${errors.join('; ')}`, ErrorTypes.VALIDATION_ERROR, {
+                operation: 'validateRules',
+                rulesPath: this.rulesPath,
+                errors
+            });
+        }
+
+        return rules.map(rule => ({
+            id: String(rule.id || rule.name),
+            name: rule.name || String(rule.id),
+            enabled: rule.enabled !== false,
+            match: rule.match || 'all',
+            stop: rule.stop !== false,
+            conditions: rule.conditions.map(condition => ({
+                ...condition,
+                regex: condition.type === 'content' ? new RegExp(condition.pattern, condition.flags ?? 'i')
+                    : condition.type === 'frontmatter' && condition.matches !== undefined ? new RegExp(condition.matches, 'i')
+                        : ['filename', 'source'].includes(condition.type) && condition.pattern ? globToRegExp(condition.pattern)
+                            : null
+            })),
+            actions: rule.actions,
+            definition: rule
+        }));
+    }
+
+    /**
+     * What the rules see of a file: name, hub-relative path, content, frontmatter, size, dates and source
+     */
+    async describeFile(filePath, content) {
+        const stats = await fs.stat(filePath);
+        const { data: frontmatter } = parseFrontmatter(content);
+
+        return {
+            path: filePath,
+            relativePath: path.relative(this.syncHub, filePath).split(path.sep).join('/'),
+            name: path.basename(filePath),
+            content,
+            frontmatter,
+            size: stats.size,
+            modified: stats.mtime,
+            created: parseMetadataDate(frontmatter.created) || stats.birthtime,
+            source: sourceOf(frontmatter)
+        };
+    }
+
+    /**
+     * Evaluate the loaded rules against a described file
+     * Returns { rule, fired, actions: { category, tags, rename, skip, archive }, trace } where
+     * `rule` is the id of the first rule that fired and `trace` records every condition checked.
+     */
+    evaluate(file, now = new Date()) {
+        const actions = { category: null, tags: [], rename: null, skip: false, archive: false };
+        const fired = [];
+        const trace = [];
+
+        for (const rule of this.rules) {
+            if (!rule.enabled) {
+                trace.push({ rule: rule.id, matched: false, disabled: true, conditions: [] });
+                continue;
+            }
+
+            const conditions = [];
+            let matched = rule.match === 'all';
+            for (const condition of rule.conditions) {
+                const result = this.checkCondition(condition, file, now);
+                conditions.push({ type: condition.type, passed: result.passed, detail: result.detail });
+                if (rule.match === 'all' && !result.passed) {
+                    matched = false;
+                    break;
+                }
+                if (rule.match === 'any' && result.passed) {
+                    matched = true;
+                    break;
+                }
+            }
+            trace.push({ rule: rule.id, matched, conditions });
+
+            if (!matched) {
+                continue;
+            }
+
+            fired.push(rule.id);
+            this.applyActions(rule, actions);
+            if (rule.stop || actions.skip) {
+                break;
+            }
+        }
+
+        return { rule: fired[0] || null, fired, actions, trace };
+    }
+
+    checkCondition(condition, file, now) {
+        const outcome = (passed, detail) => ({ passed: condition.negate ? !passed : passed, detail: condition.negate ? `not (${detail})` : detail });
+
+        switch (condition.type) {
+            case 'filename': {
+                const subject = condition.pattern.includes('/') ? file.relativePath : file.name;
+                return outcome(condition.regex.test(subject), `'${subject}' ~ '${condition.pattern}'`);
+            }
+            case 'content':
+                return outcome(condition.regex.test(file.content), `content ~ /${condition.pattern}/`);
+            case 'frontmatter': {
+                const value = file.frontmatter[condition.field];
+                const present = value !== undefined && value !== null && value !== '';
+                const detail = `${condition.field}: ${present ? JSON.stringify(value) : 'missing'}`;
+                if (condition.exists !== undefined) {
+                    return outcome(present === Boolean(condition.exists), detail);
+                }
+                if (!present) {
+                    return outcome(false, detail);
+                }
+                if (condition.equals !== undefined) {
+                    return outcome(asList(condition.equals).some(expected => sameText(value, expected)), detail);
+                }
+                if (condition.contains !== undefined) {
+                    return outcome(asList(value).some(item => String(item).toLowerCase().includes(String(condition.contains).toLowerCase())), detail);
+                }
+                return outcome(asList(value).some(item => condition.regex.test(String(item))), detail);
+            }
+            case 'size': {
+                const min = condition.min !== undefined ? parseSize(condition.min) : 0;
+                const max = condition.max !== undefined ? parseSize(condition.max) : Infinity;
+                return outcome(file.size >= min && file.size <= max, `${file.size} bytes`);
+            }
+            case 'age': {
+                const field = condition.field || 'modified';
+                const days = (now - file[field]) / DAY_MS;
+                const min = condition.min_days !== undefined ? Number(condition.min_days) : 0;
+                const max = condition.max_days !== undefined ? Number(condition.max_days) : Infinity;
+                return outcome(days >= min && days <= max, `${field} ${Math.floor(days)} days ago`);
+            }
+            case 'source': {
+                const detail = `source: ${file.source || 'unknown'}`;
+                if (!file.source) {
+                    return outcome(false, detail);
+                }
+                const passed = condition.equals !== undefined
+                    ? asList(condition.equals).some(expected => sameText(file.source, expected))
+                    : condition.regex.test(file.source);
+                return outcome(passed, detail);
+            }
+            default:
+                return outcome(false, `unknown condition type '${condition.type}'`);
+        }
+    }
+
+    /**
+     * Merge a fired rule's actions; earlier rules keep the category and name they set
+     */
+    applyActions(rule, actions) {
+        for (const action of rule.actions) {
+            switch (action.type) {
+                case 'set_category':
+                    actions.category = actions.category || normalizeCategoryPath(action.category);
+                    break;
+                case 'add_tag':
+                    for (const tag of asList(action.tags ?? action.tag)) {
+                        const clean = String(tag).trim().replace(/^#/, '');
+                        if (clean && !actions.tags.some(existing => sameText(existing, clean))) {
+                            actions.tags.push(clean);
+                        }
+                    }
+                    break;
+                case 'rename':
+                    actions.rename = actions.rename || action.pattern;
+                    break;
+                case 'skip':
+                    actions.skip = true;
+                    break;
+                case 'archive':
+                    if (!actions.category) {
+                        actions.category = normalizeCategoryPath(action.category || this.archiveCategory);
+                        actions.archive = true;
+                    }
+                    break;
+            }
+        }
+        return actions;
+    }
+
+    /**
+     * Fill a rename pattern: {name}, {ext}, {title}, {date} (created), {modified}, {today}, {category}
+     */
+    renderName(pattern, file, category) {
+        const parsed = path.parse(file.name);
+        const heading = file.content.match(/^#\s+(.+)$/m);
+        const values = {
+            name: parsed.name,
+            ext: parsed.ext.replace(/^\./, ''),
+            title: file.frontmatter.title || (heading ? heading[1].trim() : parsed.name),
+            date: formatDate(file.created),
+            modified: formatDate(file.modified),
+            today: formatDate(new Date()),
+            category: String(category || '').split('/').pop()
+        };
+        return pattern.replace(/\{(\w+)\}/g, (token, key) => (key in values ? String(values[key]) : token));
+    }
+}
+
+/**
+ * Factory function to create RulesEngine instance
+ */
+export function createRulesEngine(options = {}) {
+    return new RulesEngine(options);
+}
+
+export default RulesEngine;
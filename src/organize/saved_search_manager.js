@@ -0,0 +1,349 @@
+#!/usr/bin/env node
+
+/**
+ * Saved Search Manager
+ * Named search queries stored in the project config, optionally exposed as
+ * read-only virtual categories ("smart folders") whose contents are the live
+ * results of the query.
+ *
+ * Saved searches live in a "# Saved Searches" section of organize_config.conf,
+ * next to the custom categories written by CategoryManager.
+ */
+
+import { promises as fs } from 'fs';
+import { existsSync } from 'fs';
+import path from 'path';
+import { createErrorHandler, ErrorTypes, EnhancedError } from './error_handler.js';
+import { SimplePathResolver } from './simple_path_resolver.js';
+import { parseSearchQuery } from './search_query_parser.js';
+
+const SECTION_HEADER = '# Saved Searches';
+
+/**
+ * Saved Search Manager Class
+ * CRUD for saved searches plus virtual category resolution
+ */
+export class SavedSearchManager {
+    constructor(options = {}) {
+        this.configPath = options.configPath ||
+            path.join(new SimplePathResolver().projectRoot, 'config', 'organize_config.conf');
+        this.searchEngine = options.searchEngine || null;
+        this.searches = new Map();
+
+        // Initialize error handler
+        this.errorHandler = createErrorHandler('SavedSearchManager', {
+            enableConsoleLogging: process.env.NODE_ENV !== 'production'
+        });
+
+        // Bind logging methods
+        this.logInfo = this.errorHandler.logInfo.bind(this.errorHandler);
+    }
+
+    /**
+     * Re-read saved searches from the config (it may be edited by hand or by another process)
+     */
+    async load() {
+        this.searches.clear();
+
+        if (!existsSync(this.configPath)) {
+            return;
+        }
+
+        const configContent = await fs.readFile(this.configPath, 'utf-8');
+        const sectionPattern = /\[saved_search\.(\w+)\]([\s\S]*?)(?=\n\[|\n#|$)/g;
+        let match;
+
+        while ((match = sectionPattern.exec(configContent)) !== null) {
+            const search = this.parseSavedSearch(match[1], match[2]);
+            if (search) {
+                this.searches.set(search.id, search);
+            }
+        }
+    }
+
+    /**
+     * Parse one [saved_search.<id>] block; string values are JSON-encoded
+     */
+    parseSavedSearch(id, content) {
+        const search = { id, description: '', category: null, virtualCategory: false };
+
+        for (const line of content.trim().split('\n')) {
+            const [key, ...valueParts] = line.split(' = ');
+            const raw = valueParts.join(' = ').trim();
+            if (!raw) {
+                continue;
+            }
+
+            let value;
+            try {
+                value = JSON.parse(raw);
+            } catch {
+                value = raw.replace(/^"|"$/g, '');
+            }
+
+            switch (key.trim()) {
+                case 'name':
+                    search.name = value;
+                    break;
+                case 'query':
+                    search.query = value;
+                    break;
+                case 'description':
+                    search.description = value;
+                    break;
+                case 'category':
+                    search.category = value || null;
+                    break;
+                case 'virtual_category':
+                    search.virtualCategory = value === true;
+                    break;
+                case 'created_at':
+                    search.createdAt = value;
+                    break;
+                case 'updated_at':
+                    search.updatedAt = value;
+                    break;
+            }
+        }
+
+        return search.name && search.query ? search : null;
+    }
+
+    /**
+     * Rewrite the saved searches section, leaving the rest of the config untouched
+     */
+    async save() {
+        let configContent = '';
+        try {
+            configContent = await fs.readFile(this.configPath, 'utf-8');
+        } catch (error) {
+            // File doesn't exist, create new
+        }
+
+        configContent = configContent.replace(/\n*# Saved Searches[\s\S]*?(?=\n#|$)/g, '');
+
+        if (this.searches.size > 0) {
+            configContent += `\n\n${SECTION_HEADER}\n`;
+
+            for (const search of this.searches.values()) {
+                configContent += `\n[saved_search.${search.id}]\n`;
+                configContent += `name = ${JSON.stringify(search.name)}\n`;
+                configContent += `query = ${JSON.stringify(search.query)}\n`;
+                configContent += `description = ${JSON.stringify(search.description)}\n`;
+                configContent += `category = ${JSON.stringify(search.category || '')}\n`;
+                configContent += `virtual_category = ${search.virtualCategory}\n`;
+                configContent += `created_at = ${JSON.stringify(search.createdAt)}\n`;
+                configContent += `updated_at = ${JSON.stringify(search.updatedAt)}\n`;
+            }
+        }
+
+        await fs.mkdir(path.dirname(this.configPath), { recursive: true });
+        await fs.writeFile(this.configPath, configContent, 'utf-8');
+    }
+
+    async list() {
+        await this.load();
+        return Array.from(this.searches.values());
+    }
+
+    /**
+     * Look up a saved search by id or (case-insensitive) name
+     */
+    async get(idOrName) {
+        await this.load();
+        const search = this.findLoaded(idOrName);
+        if (!search) {
+            throw new EnhancedError(`Saved search '${idOrName}' not found`, ErrorTypes.VALIDATION_ERROR, {
+                operation: 'getSavedSearch',
+                idOrName,
+                reason: 'not_found'
+            });
+        }
+        return search;
+    }
+
+    findLoaded(idOrName) {
+        const key = String(idOrName || '');
+        return this.searches.get(key) ||
+            Array.from(this.searches.values()).find(search => search.name.toLowerCase() === key.toLowerCase()) ||
+            null;
+    }
+
+    async create(data) {
+        await this.load();
+
+        const id = this.generateId(data.name || '');
+        if (this.searches.has(id) || this.findLoaded(data.name)) {
+            throw new EnhancedError(`A saved search named '${data.name}' already exists`, ErrorTypes.VALIDATION_ERROR, {
+                operation: 'createSavedSearch',
+                name: data.name
+            });
+        }
+
+        const now = new Date().toISOString();
+        const search = this.validate({
+            id,
+            name: data.name,
+            query: data.query,
+            description: data.description || '',
+            category: data.category || null,
+            virtualCategory: data.virtualCategory === true,
+            createdAt: now,
+            updatedAt: now
+        });
+
+        this.searches.set(id, search);
+        await this.save();
+
+        await this.logInfo('Saved search created', { id, query: search.query });
+        return search;
+    }
+
+    /**
+     * Update fields of a saved search; the id is kept even if the name changes
+     */
+    async update(idOrName, changes) {
+        const existing = await this.get(idOrName);
+
+        if (changes.name !== undefined) {
+            const clash = this.findLoaded(changes.name);
+            if (clash && clash.id !== existing.id) {
+                throw new EnhancedError(`A saved search named '${changes.name}' already exists`, ErrorTypes.VALIDATION_ERROR, {
+                    operation: 'updateSavedSearch',
+                    name: changes.name
+                });
+            }
+        }
+
+        const updated = this.validate({
+            ...existing,
+            ...Object.fromEntries(Object.entries({
+                name: changes.name,
+                query: changes.query,
+                description: changes.description,
+                category: changes.category,
+                virtualCategory: changes.virtualCategory
+            }).filter(([, value]) => value !== undefined)),
+            updatedAt: new Date().toISOString()
+        });
+
+        this.searches.set(existing.id, updated);
+        await this.save();
+        return updated;
+    }
+
+    async delete(idOrName) {
+        const existing = await this.get(idOrName);
+        this.searches.delete(existing.id);
+        await this.save();
+        return existing;
+    }
+
+    /**
+     * Check a saved search before it is written; invalid queries throw SearchQueryError
+     */
+    validate(search) {
+        if (!search.name || typeof search.name !== 'string' || !this.generateId(search.name)) {
+            throw new EnhancedError('Saved search name is required', ErrorTypes.VALIDATION_ERROR, {
+                operation: 'validateSavedSearch'
+            });
+        }
+        if (!search.query || typeof search.query !== 'string') {
+            throw new EnhancedError('Saved search query is required', ErrorTypes.VALIDATION_ERROR, {
+                operation: 'validateSavedSearch',
+                name: search.name
+            });
+        }
+
+        parseSearchQuery(search.query);
+
+        // A smart folder must not shadow a real category folder
+        const syncHub = this.searchEngine && this.searchEngine.documentFolderManager.syncHubPath;
+        if (search.virtualCategory && syncHub && existsSync(path.join(syncHub, search.name))) {
+            throw new EnhancedError(
+                `Cannot create virtual category '${search.name}': a category folder with that name exists`,
+                ErrorTypes.VALIDATION_ERROR,
+                { operation: 'validateSavedSearch', name: search.name }
+            );
+        }
+
+        return { ...search, category: search.category || null, virtualCategory: search.virtualCategory === true };
+    }
+
+    /**
+     * Run a saved search through the search engine (supports limit/offset/cursor)
+     */
+    async run(idOrName, options = {}) {
+        const search = await this.get(idOrName);
+        const results = await this.requireSearchEngine().searchDocuments(search.query, {
+            ...options,
+            category: search.category
+        });
+        return { saved_search: search, ...results };
+    }
+
+    /**
+     * Saved searches materialized as virtual categories, with live result counts
+     */
+    async getVirtualCategories() {
+        const searches = (await this.list()).filter(search => search.virtualCategory);
+        const categories = [];
+
+        for (const search of searches) {
+            const results = await this.requireSearchEngine().searchDocuments(search.query, {
+                category: search.category,
+                limit: 1
+            });
+            categories.push({
+                name: search.name,
+                description: search.description || `Saved search: ${search.query}`,
+                saved_search_id: search.id,
+                query: search.query,
+                scope: search.category,
+                document_folder_count: results.total_results,
+                virtual: true,
+                read_only: true
+            });
+        }
+
+        return categories;
+    }
+
+    /**
+     * The saved search behind a virtual category name, or null
+     */
+    async findVirtualCategory(name) {
+        await this.load();
+        const search = this.findLoaded(name);
+        return search && search.virtualCategory && search.name.toLowerCase() === String(name).toLowerCase()
+            ? search
+            : null;
+    }
+
+    requireSearchEngine() {
+        if (!this.searchEngine) {
+            throw new EnhancedError('Saved searches need a search engine to run', ErrorTypes.CONFIGURATION_ERROR, {
+                operation: 'runSavedSearch'
+            });
+        }
+        return this.searchEngine;
+    }
+
+    generateId(name) {
+        return String(name)
+            .toLowerCase()
+            .replace(/[^\w\s-]/g, '')
+            .replace(/[\s-]+/g, '_')
+            .replace(/_+/g, '_')
+            .replace(/^_|_$/g, '');
+    }
+}
+
+/**
+ * Factory function to create SavedSearchManager instance
+ */
+export function createSavedSearchManager(options = {}) {
+    return new SavedSearchManager(options);
+}
+
+export default SavedSearchManager;
@@ -0,0 +1,876 @@
+#!/usr/bin/env node
+
+/**
+ * Search Index
+ * Persistent, incrementally updated inverted index over document folders
+ *
+ * The index lives under the project data directory (never inside the sync hub)
+ * and is refreshed from file mtimes and content hashes, so only documents that
+ * actually changed since the last refresh are re-read and re-tokenized.
+ */
+
+import { promises as fs } from 'fs';
+import { existsSync, readFileSync, statSync } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { createErrorHandler } from './error_handler.js';
+import { SimplePathResolver } from './simple_path_resolver.js';
+import { ContentAnalyzer } from './content_analyzer.js';
+import { FuzzyMatcher } from './fuzzy_matcher.js';
+import { parseFrontmatter, parseMetadataDate } from './frontmatter.js';
+import { stemWord } from './language_detector.js';
+import { extractPhraseCandidates, inverseDocumentFrequency, scoreKeyphrases } from './keyphrase_extractor.js';
+import { parseLinks } from './link_graph.js';
+import { extractCodeBlocks } from './code_snippets.js';
+import { CategoryManager, loadCategoryDepth } from './category_manager.js';
+
+export const INDEX_VERSION = 11;
+
+/**
+ * Per-folder sidecar holding tags kept out of the document itself
+ */
+export const TAG_SIDECAR_FILE = '.tags.json';
+
+/**
+ * Document fields tracked separately so ranking can boost them independently
+ */
+export const INDEX_FIELDS = ['title', 'headings', 'folder', 'body'];
+
+/**
+ * How long a refresh stays current before the hub is walked again (milliseconds)
+ * Writes made through the DocumentFolderManager are picked up right away.
+ */
+export const DEFAULT_REFRESH_INTERVAL = 30000;
+
+/**
+ * Object without a prototype, so words like "constructor" or "__proto__" are plain keys
+ */
+export function dictionary(entries = {}) {
+    const result = Object.create(null);
+    for (const [key, value] of Object.entries(entries)) {
+        result[key] = value;
+    }
+    return result;
+}
+
+/**
+ * Split text into lowercase index terms
+ */
+export function tokenize(text) {
+    if (!text) {
+        return [];
+    }
+
+    return text
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}_]+/u)
+        .filter(term => term.length > 0);
+}
+
+/**
+ * Split a markdown document into the indexed fields
+ * The first level-1 heading is the title; other headings are kept apart from body text.
+ */
+export function extractFields(content, folderName) {
+    const fields = { title: '', headings: [], folder: folderName || '', body: [] };
+
+    for (const line of content.split('\n')) {
+        const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*)$/);
+
+        if (!heading) {
+            fields.body.push(line);
+        } else if (heading[1].length === 1 && !fields.title) {
+            fields.title = heading[2].trim();
+        } else {
+            fields.headings.push(heading[2].trim());
+        }
+    }
+
+    return {
+        title: fields.title,
+        headings: fields.headings.join('\n'),
+        folder: fields.folder,
+        body: fields.body.join('\n')
+    };
+}
+
+/**
+ * Collect tags from the frontmatter `tags` entry and inline #hashtags
+ */
+export function extractTags(content) {
+    const { data: frontmatter, body } = parseFrontmatter(content);
+    const tags = new Set();
+
+    const declared = frontmatter.tags;
+    if (declared !== null && declared !== undefined) {
+        (Array.isArray(declared) ? declared : String(declared).split(',')).forEach(tag => tags.add(String(tag).trim()));
+    }
+
+    for (const match of body.matchAll(/(?:^|\s)#([\p{L}_][\p{L}\p{N}_/-]*)/gu)) {
+        tags.add(match[1]);
+    }
+
+    return Array.from(new Set(Array.from(tags)
+        .map(tag => tag.replace(/^#/, '').toLowerCase())
+        .filter(tag => tag.length > 0)));
+}
+
+/**
+ * Tags stored in a document folder's sidecar file (empty when there is none or it is unreadable)
+ */
+export function readSidecarTags(folderPath) {
+    try {
+        const { tags } = JSON.parse(readFileSync(path.join(folderPath, TAG_SIDECAR_FILE), 'utf8'));
+        return Array.isArray(tags) ? tags.map(tag => String(tag).toLowerCase()) : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Modification time of a document folder's tag sidecar (0 when absent)
+ */
+export function getSidecarMtime(folderPath) {
+    try {
+        return statSync(path.join(folderPath, TAG_SIDECAR_FILE)).mtimeMs;
+    } catch (error) {
+        return 0;
+    }
+}
+
+/**
+ * Search Index Class
+ * Maintains forward (document -> terms) and inverted (term -> documents) maps
+ */
+export class SearchIndex {
+    constructor(documentFolderManager, options = {}) {
+        this.documentFolderManager = documentFolderManager;
+        this.options = {
+            indexDirectory: null,
+            configPath: null,
+            refreshInterval: DEFAULT_REFRESH_INTERVAL,
+            ...options
+        };
+
+        const syncHubPath = path.resolve(documentFolderManager.syncHubPath);
+        const hubKey = crypto.createHash('sha256').update(syncHubPath).digest('hex').substring(0, 12);
+
+        this.syncHubPath = syncHubPath;
+        this.indexDirectory = this.options.indexDirectory ||
+            path.join(new SimplePathResolver().projectRoot, 'data', 'search_index');
+        this.indexFilePath = path.join(this.indexDirectory, `index_${hubKey}.json`);
+
+        this.contentAnalyzer = new ContentAnalyzer({ configPath: this.options.configPath });
+        this.loaded = false;
+        this.lastRefresh = 0;
+        this.refreshedRevision = null;
+        this.resetState();
+
+        // Tells category folders from document folders, so only documents are indexed
+        this.categoryManager = new CategoryManager({
+            syncHub: syncHubPath,
+            categoryDepth: loadCategoryDepth(this.options.configPath),
+            imagesFolder: documentFolderManager.options.imagesSubfolderName
+        });
+
+        // Initialize error handler
+        this.errorHandler = createErrorHandler('SearchIndex', {
+            enableConsoleLogging: process.env.NODE_ENV !== 'production'
+        });
+
+        // Bind logging methods
+        this.logError = this.errorHandler.logError.bind(this.errorHandler);
+        this.logWarn = this.errorHandler.logWarn.bind(this.errorHandler);
+        this.logInfo = this.errorHandler.logInfo.bind(this.errorHandler);
+        this.logDebug = this.errorHandler.logDebug.bind(this.errorHandler);
+    }
+
+    /**
+     * Reset in-memory index state
+     */
+    resetState() {
+        this.documents = dictionary();
+        this.postings = dictionary();
+        this.generation = 0;
+        this.updatedAt = null;
+        this.corpusStats = null;
+        this.fuzzyMatcher = null;
+        this.stemIndex = null;
+    }
+
+    /**
+     * Load the index from disk (once per instance)
+     */
+    async load() {
+        if (this.loaded) {
+            return;
+        }
+
+        this.loaded = true;
+
+        if (!existsSync(this.indexFilePath)) {
+            return;
+        }
+
+        try {
+            const raw = JSON.parse(await fs.readFile(this.indexFilePath, 'utf8'));
+
+            if (raw.version !== INDEX_VERSION || raw.syncHubPath !== this.syncHubPath) {
+                await this.logInfo('Search index format or sync hub changed, index will be rebuilt', {
+                    indexFilePath: this.indexFilePath,
+                    storedVersion: raw.version,
+                    currentVersion: INDEX_VERSION
+                });
+                return;
+            }
+
+            this.documents = dictionary(raw.documents);
+            this.postings = dictionary();
+            for (const [term, docs] of Object.entries(raw.postings || {})) {
+                this.postings[term] = dictionary(docs);
+            }
+            this.generation = raw.generation || 0;
+            this.updatedAt = raw.updatedAt || null;
+        } catch (error) {
+            await this.logWarn('Failed to load search index, index will be rebuilt', {
+                indexFilePath: this.indexFilePath,
+                error: error.message
+            });
+            this.resetState();
+        }
+    }
+
+    /**
+     * Persist the index to disk atomically
+     */
+    async save() {
+        return await this.errorHandler.wrapAsync(async () => {
+            await fs.mkdir(this.indexDirectory, { recursive: true });
+
+            const payload = JSON.stringify({
+                version: INDEX_VERSION,
+                syncHubPath: this.syncHubPath,
+                generation: this.generation,
+                updatedAt: this.updatedAt,
+                documents: this.documents,
+                postings: this.postings
+            });
+
+            const tempPath = `${this.indexFilePath}.${process.pid}.tmp`;
+            await fs.writeFile(tempPath, payload, 'utf8');
+            await fs.rename(tempPath, this.indexFilePath);
+        }, {
+            operation: 'saveSearchIndex',
+            indexFilePath: this.indexFilePath
+        });
+    }
+
+    /**
+     * Bring the index up to date with the sync hub
+     * Only documents whose mtime/size changed are re-read; only those whose
+     * content hash changed are re-tokenized.
+     */
+    async refresh(options = {}) {
+        const { force = false } = options;
+
+        return await this.errorHandler.wrapAsync(async () => {
+            await this.load();
+
+            const summary = { added: 0, updated: 0, removed: 0, unchanged: 0, errors: [] };
+
+            const revision = this.documentFolderManager.revision;
+            if (!force && this.lastRefresh && revision === this.refreshedRevision &&
+                Date.now() - this.lastRefresh < this.options.refreshInterval) {
+                summary.skipped = true;
+                return summary;
+            }
+            this.refreshedRevision = revision;
+
+            const documentFolders = await this.findDocumentFolders(this.syncHubPath, 0);
+            const seen = new Set();
+            let touched = false;
+
+            for (const folderPath of documentFolders) {
+                const key = this.getDocumentKey(folderPath);
+                seen.add(key);
+
+                try {
+                    const mainFilePath = await this.documentFolderManager.findMainDocumentFile(folderPath);
+                    if (!mainFilePath) {
+                        continue;
+                    }
+
+                    const stats = await fs.stat(mainFilePath);
+                    const mainFile = path.relative(this.syncHubPath, mainFilePath);
+                    const imagesMtimeMs = await this.getImagesMtime(folderPath);
+                    const tagsMtimeMs = getSidecarMtime(folderPath);
+                    const existing = this.documents[key];
+
+                    if (existing && existing.mainFile === mainFile && existing.tagsMtimeMs === tagsMtimeMs &&
+                        existing.mtimeMs === stats.mtimeMs && existing.size === stats.size) {
+                        if (await this.refreshImageCount(existing, folderPath, imagesMtimeMs)) {
+                            summary.updated++;
+                        } else {
+                            summary.unchanged++;
+                        }
+                        continue;
+                    }
+
+                    const content = await fs.readFile(mainFilePath, 'utf8');
+                    const hash = this.hashContent(content);
+
+                    if (existing && existing.hash === hash && existing.mainFile === mainFile && existing.tagsMtimeMs === tagsMtimeMs) {
+                        // Touched but not modified - just record the new stat
+                        existing.mtimeMs = stats.mtimeMs;
+                        existing.size = stats.size;
+                        touched = true;
+                        if (await this.refreshImageCount(existing, folderPath, imagesMtimeMs)) {
+                            summary.updated++;
+                        } else {
+                            summary.unchanged++;
+                        }
+                        continue;
+                    }
+
+                    const metadata = await this.documentFolderManager.getDocumentFolderMetadata(folderPath);
+
+                    this.indexDocument(key, {
+                        folderPath,
+                        mainFile,
+                        content,
+                        hash,
+                        stats,
+                        imageCount: metadata.metadata.imageCount,
+                        imagesMtimeMs,
+                        tagsMtimeMs
+                    });
+
+                    if (existing) {
+                        summary.updated++;
+                    } else {
+                        summary.added++;
+                    }
+                } catch (error) {
+                    summary.errors.push({ folder: key, error: error.message });
+                    await this.logWarn(`Failed to index document folder ${key}`, { error: error.message });
+                }
+            }
+
+            for (const key of Object.keys(this.documents)) {
+                if (!seen.has(key)) {
+                    this.removeDocument(key);
+                    summary.removed++;
+                }
+            }
+
+            const changed = summary.added + summary.updated + summary.removed > 0;
+            if (changed) {
+                this.generation++;
+                this.updateKeyphrases();
+            }
+
+            if (changed || touched) {
+                this.updatedAt = new Date().toISOString();
+                await this.save();
+            }
+
+            this.lastRefresh = Date.now();
+
+            if (changed) {
+                await this.logInfo('Search index refreshed', {
+                    added: summary.added,
+                    updated: summary.updated,
+                    removed: summary.removed,
+                    documents: Object.keys(this.documents).length
+                });
+            }
+
+            return summary;
+        }, {
+            operation: 'refreshSearchIndex',
+            force
+        });
+    }
+
+    /**
+     * Document folders below the categories of a hub folder
+     * The hub root and category folders are never documents, whatever loose files they hold.
+     */
+    async findDocumentFolders(folderPath, depth) {
+        const folders = [];
+        const entries = await fs.readdir(folderPath, { withFileTypes: true }).catch(() => []);
+
+        for (const entry of entries) {
+            if (!entry.isDirectory() || entry.name.startsWith('.') || entry.name.startsWith('_')) {
+                continue;
+            }
+
+            const entryPath = path.join(folderPath, entry.name);
+            if (await this.categoryManager.isCategoryFolder(entryPath, depth + 1)) {
+                folders.push(...await this.findDocumentFolders(entryPath, depth + 1));
+            } else if (await this.documentFolderManager.isDocumentFolder(entryPath)) {
+                folders.push(entryPath);
+            }
+        }
+
+        return folders;
+    }
+
+    /**
+     * Discard the index and re-read every document
+     */
+    async rebuild() {
+        await this.load();
+
+        const previousGeneration = this.generation;
+        this.resetState();
+        this.generation = previousGeneration;
+        this.lastRefresh = 0;
+
+        const summary = await this.refresh({ force: true });
+
+        // A rebuild always invalidates anything derived from the old index
+        if (summary.added + summary.updated + summary.removed === 0) {
+            this.generation++;
+            this.updatedAt = new Date().toISOString();
+            await this.save();
+        }
+
+        return summary;
+    }
+
+    /**
+     * Check the index against the files on disk and its own internal consistency
+     */
+    async verify(options = {}) {
+        const { repair = false } = options;
+
+        return await this.errorHandler.wrapAsync(async () => {
+            await this.load();
+
+            const report = {
+                documents_checked: 0,
+                stale: [],
+                missing: [],
+                inconsistent_postings: 0
+            };
+
+            for (const [key, entry] of Object.entries(this.documents)) {
+                report.documents_checked++;
+                const mainFilePath = path.join(this.syncHubPath, entry.mainFile);
+
+                if (!existsSync(mainFilePath)) {
+                    report.missing.push(key);
+                    continue;
+                }
+
+                const content = await fs.readFile(mainFilePath, 'utf8');
+                if (this.hashContent(content) !== entry.hash) {
+                    report.stale.push(key);
+                }
+
+                for (const term of entry.terms) {
+                    if (!Object.hasOwn(this.getPostings(term) || {}, key)) {
+                        report.inconsistent_postings++;
+                    }
+                }
+            }
+
+            for (const [term, docs] of Object.entries(this.postings)) {
+                for (const key of Object.keys(docs)) {
+                    if (!this.documents[key] || !this.documents[key].terms.includes(term)) {
+                        report.inconsistent_postings++;
+                    }
+                }
+            }
+
+            report.valid = report.stale.length === 0 &&
+                report.missing.length === 0 &&
+                report.inconsistent_postings === 0;
+
+            if (repair && !report.valid) {
+                report.repair = report.inconsistent_postings > 0
+                    ? await this.rebuild()
+                    : await this.refresh({ force: true });
+            }
+
+            return report;
+        }, {
+            operation: 'verifySearchIndex',
+            repair
+        });
+    }
+
+    /**
+     * Delete the persisted index and clear memory
+     */
+    async clear() {
+        this.resetState();
+        this.lastRefresh = 0;
+        this.loaded = true;
+
+        if (existsSync(this.indexFilePath)) {
+            await fs.unlink(this.indexFilePath);
+        }
+    }
+
+    /**
+     * Modification time of a folder's images directory (0 when absent)
+     */
+    async getImagesMtime(folderPath) {
+        const imagesPath = path.join(folderPath, this.documentFolderManager.options.imagesSubfolderName);
+
+        try {
+            return (await fs.stat(imagesPath)).mtimeMs;
+        } catch (error) {
+            return 0;
+        }
+    }
+
+    /**
+     * Recount images when the images directory changed; returns true if it did
+     */
+    async refreshImageCount(entry, folderPath, imagesMtimeMs) {
+        if (entry.imagesMtimeMs === imagesMtimeMs) {
+            return false;
+        }
+
+        const metadata = await this.documentFolderManager.getDocumentFolderMetadata(folderPath);
+        entry.imageCount = metadata.metadata.imageCount;
+        entry.imagesMtimeMs = imagesMtimeMs;
+        return true;
+    }
+
+    /**
+     * Add or replace a document in the index
+     */
+    indexDocument(key, { folderPath, mainFile, content, hash, stats, imageCount = 0, imagesMtimeMs = 0, tagsMtimeMs = 0 }) {
+        if (this.documents[key]) {
+            this.removeDocument(key);
+        }
+
+        const name = path.basename(folderPath);
+        const { data: frontmatter, body } = parseFrontmatter(content);
+        const fields = extractFields(body, name);
+        const aliases = [].concat(frontmatter.aliases || []).map(String);
+
+        // Frontmatter title and aliases are authoritative; a body H1 then counts as a heading
+        if (frontmatter.title) {
+            if (fields.title) {
+                fields.headings = [fields.title, fields.headings].filter(Boolean).join('\n');
+            }
+            fields.title = String(frontmatter.title);
+        }
+        const displayTitle = fields.title;
+        const language = this.contentAnalyzer.identifyLanguage(content).code;
+        if (aliases.length > 0) {
+            fields.title = [fields.title, ...aliases].filter(Boolean).join('\n');
+        }
+        const termFields = new Map();
+        const fieldLengths = {};
+
+        for (const field of INDEX_FIELDS) {
+            const tokens = tokenize(fields[field]);
+            fieldLengths[field] = tokens.length;
+
+            for (const token of tokens) {
+                if (!termFields.has(token)) {
+                    termFields.set(token, {});
+                }
+                const frequencies = termFields.get(token);
+                frequencies[field] = (frequencies[field] || 0) + 1;
+            }
+        }
+
+        for (const [term, frequencies] of termFields) {
+            if (!this.getPostings(term)) {
+                this.postings[term] = dictionary();
+            }
+            this.postings[term][key] = frequencies;
+        }
+
+        this.documents[key] = {
+            folder: key,
+            name,
+            category: frontmatter.category ? String(frontmatter.category) : path.basename(path.dirname(folderPath)),
+            mainFile,
+            hash,
+            mtimeMs: stats.mtimeMs,
+            updatedMs: parseMetadataDate(frontmatter.updated)?.getTime() ?? null,
+            size: stats.size,
+            title: displayTitle || name,
+            aliases,
+            headings: fields.headings ? fields.headings.split('\n') : [],
+            tags: Array.from(new Set([...extractTags(content), ...(tagsMtimeMs ? readSidecarTags(folderPath) : [])])),
+            tagsMtimeMs,
+            contentType: this.contentAnalyzer.detectContentType(content),
+            language,
+            phraseCandidates: extractPhraseCandidates(content, language),
+            keyphrases: [],
+            links: parseLinks(content),
+            // Path links to images and other files, rewritten when the folder they point into moves
+            attachments: parseLinks(content, { attachments: true }).filter(link => link.attachment && link.type !== 'wiki'),
+            codeBlocks: extractCodeBlocks(content),
+            wordCount: this.contentAnalyzer.getWordCount(content),
+            imageCount,
+            imagesMtimeMs,
+            fieldLengths,
+            terms: Array.from(termFields.keys()),
+            indexedAt: new Date().toISOString()
+        };
+
+        this.corpusStats = null;
+        this.fuzzyMatcher = null;
+        this.stemIndex = null;
+    }
+
+    /**
+     * Remove a document and its postings from the index
+     */
+    removeDocument(key) {
+        const entry = this.documents[key];
+        if (!entry) {
+            return;
+        }
+
+        for (const term of entry.terms) {
+            const docs = this.getPostings(term);
+            if (!docs) {
+                continue;
+            }
+
+            delete docs[key];
+            if (Object.keys(docs).length === 0) {
+                delete this.postings[term];
+            }
+        }
+
+        delete this.documents[key];
+        this.corpusStats = null;
+        this.fuzzyMatcher = null;
+        this.stemIndex = null;
+    }
+
+    /**
+     * Find indexed documents that may contain the literal query
+     * Each query token must appear as a substring of some term in the document,
+     * which is a necessary condition for the query itself to appear.
+     */
+    findCandidates(query, options = {}) {
+        const { useRegex = false, scopePath = null } = options;
+
+        let keys = Object.keys(this.documents);
+
+        if (!useRegex) {
+            const queryTokens = Array.from(new Set(tokenize(query)));
+
+            for (const token of queryTokens) {
+                const matching = new Set();
+                for (const term of this.getMatchingTerms(token)) {
+                    for (const key of Object.keys(this.postings[term])) {
+                        matching.add(key);
+                    }
+                }
+                keys = keys.filter(key => matching.has(key));
+
+                if (keys.length === 0) {
+                    break;
+                }
+            }
+        }
+
+        if (scopePath) {
+            const scope = path.relative(this.syncHubPath, path.resolve(scopePath));
+            if (scope && scope !== '.') {
+                keys = keys.filter(key => key === scope || key.startsWith(scope + path.sep));
+            }
+        }
+
+        return keys.map(key => this.documents[key]);
+    }
+
+    /**
+     * Vocabulary terms containing the given token
+     */
+    getMatchingTerms(token) {
+        if (this.getPostings(token) && token.length > 12) {
+            // Long exact terms are very unlikely to be substrings of others
+            return [token];
+        }
+
+        return Object.keys(this.postings).filter(term => term.includes(token));
+    }
+
+    /**
+     * Per-field postings for a query token
+     * Falls back to every vocabulary term containing the token when it is not
+     * a whole term, so partial words still contribute to ranking.
+     */
+    getTermPostings(token) {
+        const exact = this.getPostings(token);
+        if (exact) {
+            return exact;
+        }
+
+        const merged = dictionary();
+        for (const term of this.getMatchingTerms(token)) {
+            for (const [key, frequencies] of Object.entries(this.postings[term])) {
+                const target = merged[key] || (merged[key] = dictionary());
+                for (const [field, frequency] of Object.entries(frequencies)) {
+                    target[field] = (target[field] || 0) + frequency;
+                }
+            }
+        }
+
+        return merged;
+    }
+
+    /**
+     * Corpus-wide statistics used by BM25 (cached until the index changes)
+     */
+    getCorpusStats() {
+        if (this.corpusStats) {
+            return this.corpusStats;
+        }
+
+        const entries = Object.values(this.documents);
+        const averageFieldLengths = {};
+
+        for (const field of INDEX_FIELDS) {
+            const total = entries.reduce((sum, entry) => sum + (entry.fieldLengths[field] || 0), 0);
+            averageFieldLengths[field] = entries.length > 0 ? total / entries.length : 0;
+        }
+
+        this.corpusStats = {
+            documentCount: entries.length,
+            averageFieldLengths
+        };
+
+        return this.corpusStats;
+    }
+
+    /**
+     * Vocabulary terms sharing a stem with the token, in the language of the documents that use them
+     */
+    getStemVariants(token) {
+        if (!this.stemIndex) {
+            this.stemIndex = new Map();
+            for (const entry of Object.values(this.documents)) {
+                for (const term of entry.terms) {
+                    const key = `${entry.language}:${stemWord(term, entry.language)}`;
+                    if (!this.stemIndex.has(key)) {
+                        this.stemIndex.set(key, new Set());
+                    }
+                    this.stemIndex.get(key).add(term);
+                }
+            }
+        }
+
+        const variants = new Set();
+        for (const language of new Set(Object.values(this.documents).map(entry => entry.language))) {
+            for (const term of this.stemIndex.get(`${language}:${stemWord(token, language)}`) || []) {
+                variants.add(term);
+            }
+        }
+        return Array.from(variants);
+    }
+
+    /**
+     * Typo-tolerant matcher over the current vocabulary (cached until the index changes)
+     */
+    getFuzzyMatcher() {
+        if (!this.fuzzyMatcher) {
+            const vocabulary = new Map();
+            for (const [term, docs] of Object.entries(this.postings)) {
+                vocabulary.set(term, Object.keys(docs).length);
+            }
+            this.fuzzyMatcher = new FuzzyMatcher(vocabulary);
+        }
+
+        return this.fuzzyMatcher;
+    }
+
+    /**
+     * Number of indexed documents containing a term
+     */
+    getDocumentFrequency(term) {
+        const docs = this.getPostings(term);
+        return docs ? Object.keys(docs).length : 0;
+    }
+
+    /**
+     * Documents containing exactly this term, as { key: { field: frequency } }, or null
+     */
+    getPostings(term) {
+        return Object.hasOwn(this.postings, term) ? this.postings[term] : null;
+    }
+
+    /**
+     * Re-rank every document's keyphrase candidates against the current document frequencies
+     * A word's weight depends on the whole hub, so all documents are re-scored whenever any changed.
+     */
+    updateKeyphrases() {
+        const documentCount = Object.keys(this.documents).length;
+        const idf = term => inverseDocumentFrequency(this.getDocumentFrequency(term), documentCount);
+
+        for (const entry of Object.values(this.documents)) {
+            entry.keyphrases = scoreKeyphrases(entry.phraseCandidates, idf);
+        }
+    }
+
+    /**
+     * Index entry whose main file is the given absolute path, or null
+     */
+    findEntryByMainFile(filePath) {
+        const mainFile = path.relative(this.syncHubPath, path.resolve(filePath));
+        return Object.values(this.documents).find(entry => entry.mainFile === mainFile) || null;
+    }
+
+    /**
+     * Count indexed documents under a scope path
+     */
+    countDocuments(scopePath = null) {
+        return this.findCandidates('', { useRegex: true, scopePath }).length;
+    }
+
+    /**
+     * Absolute folder path for an index entry
+     */
+    resolveFolderPath(entry) {
+        return path.join(this.syncHubPath, entry.folder);
+    }
+
+    getDocumentKey(folderPath) {
+        return path.relative(this.syncHubPath, path.resolve(folderPath));
+    }
+
+    hashContent(content) {
+        return crypto.createHash('sha256').update(content).digest('hex');
+    }
+
+    /**
+     * Summary of the current index state
+     */
+    async getStatus() {
+        await this.load();
+
+        return {
+            index_file: this.indexFilePath,
+            exists: existsSync(this.indexFilePath),
+            version: INDEX_VERSION,
+            generation: this.generation,
+            documents: Object.keys(this.documents).length,
+            terms: Object.keys(this.postings).length,
+            updated_at: this.updatedAt
+        };
+    }
+}
+
+/**
+ * Factory function to create SearchIndex instance
+ */
+export function createSearchIndex(documentFolderManager, options = {}) {
+    return new SearchIndex(documentFolderManager, options);
+}
+
+export default SearchIndex;
@@ -0,0 +1,318 @@
+#!/usr/bin/env node
+
+/**
+ * Search Query Parser
+ * Parses the structured search language used by search_documents
+ *
+ * Grammar (AND binds tighter than OR, adjacent terms are implicitly ANDed):
+ *   query   := or
+ *   or      := and ( "OR" and )*
+ *   and     := unary ( "AND"? unary )*
+ *   unary   := ( "NOT" | "-" ) unary | primary
+ *   primary := "(" or ")" | "*" | "phrase" | field:value | term
+ *
+ * A bare "*" matches every document, so filters can be browsed on their own.
+ */
+
+import { ErrorTypes, EnhancedError } from './error_handler.js';
+import { normalizeLanguage } from './language_detector.js';
+
+/**
+ * Field filters understood by the parser and their allowed comparison operators
+ */
+export const QUERY_FIELDS = {
+    category: { operators: ['='] },
+    title: { operators: ['='] },
+    heading: { operators: ['='] },
+    tag: { operators: ['='] },
+    type: { operators: ['='] },
+    lang: { operators: ['='] },
+    has: { operators: ['='], values: ['images'] },
+    modified: { operators: ['=', '>', '>=', '<', '<='] },
+    words: { operators: ['=', '>', '>=', '<', '<='], numeric: true }
+};
+
+/**
+ * Error raised for malformed queries
+ * Carries the offending position and a caret pointer for display.
+ */
+export class SearchQueryError extends EnhancedError {
+    constructor(message, query, position) {
+        const pointer = `${query}\n${' '.repeat(Math.max(0, position))}^`;
+        super(`${message} at position ${position}\n${pointer}`, ErrorTypes.VALIDATION_ERROR, {
+            component: 'SearchQueryParser',
+            operation: 'parseSearchQuery',
+            query,
+            position
+        });
+        this.name = 'SearchQueryError';
+        this.reason = message;
+        this.query = query;
+        this.position = position;
+        this.pointer = pointer;
+    }
+}
+
+/**
+ * Split a query string into tokens with their source positions
+ */
+function lex(query) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < query.length) {
+        const char = query[i];
+
+        if (/\s/.test(char)) {
+            i++;
+            continue;
+        }
+
+        if (char === '(' || char === ')') {
+            tokens.push({ kind: char, position: i });
+            i++;
+            continue;
+        }
+
+        if (char === '"') {
+            const end = query.indexOf('"', i + 1);
+            if (end === -1) {
+                throw new SearchQueryError('Unterminated quoted phrase', query, i);
+            }
+            tokens.push({ kind: 'phrase', value: query.slice(i + 1, end), position: i });
+            i = end + 1;
+            continue;
+        }
+
+        if (char === '-' && i + 1 < query.length && !/[\s()]/.test(query[i + 1]) &&
+            (i === 0 || /[\s(]/.test(query[i - 1]))) {
+            tokens.push({ kind: 'NOT', position: i });
+            i++;
+            continue;
+        }
+
+        // Bare word, possibly a field filter whose value may be quoted
+        const start = i;
+        const fieldMatch = query.slice(i).match(/^([a-z]+):/i);
+        if (fieldMatch && QUERY_FIELDS[fieldMatch[1].toLowerCase()]) {
+            i += fieldMatch[0].length;
+            let raw;
+            if (query[i] === '"') {
+                const end = query.indexOf('"', i + 1);
+                if (end === -1) {
+                    throw new SearchQueryError('Unterminated quoted phrase', query, i);
+                }
+                raw = query.slice(i + 1, end);
+                i = end + 1;
+            } else {
+                const valueStart = i;
+                while (i < query.length && !/[\s()]/.test(query[i])) {
+                    i++;
+                }
+                raw = query.slice(valueStart, i);
+            }
+            tokens.push({ kind: 'field', field: fieldMatch[1].toLowerCase(), raw, position: start });
+            continue;
+        }
+
+        while (i < query.length && !/[\s()"]/.test(query[i])) {
+            i++;
+        }
+        const word = query.slice(start, i);
+
+        if (word === 'AND' || word === 'OR' || word === 'NOT') {
+            tokens.push({ kind: word, position: start });
+        } else {
+            tokens.push({ kind: 'term', value: word, position: start });
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Parse a date filter value (YYYY, YYYY-MM or YYYY-MM-DD) into a [start, end) range
+ */
+function parseDateRange(value, query, position) {
+    const match = value.match(/^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/);
+    if (!match) {
+        throw new SearchQueryError(`Invalid date '${value}', expected YYYY, YYYY-MM or YYYY-MM-DD`, query, position);
+    }
+
+    const year = parseInt(match[1], 10);
+    const month = match[2] ? parseInt(match[2], 10) - 1 : null;
+    const day = match[3] ? parseInt(match[3], 10) : null;
+
+    if ((month !== null && (month < 0 || month > 11)) || (day !== null && (day < 1 || day > 31))) {
+        throw new SearchQueryError(`Invalid date '${value}'`, query, position);
+    }
+
+    let start;
+    let end;
+    if (day !== null) {
+        start = new Date(year, month, day);
+        end = new Date(year, month, day + 1);
+    } else if (month !== null) {
+        start = new Date(year, month, 1);
+        end = new Date(year, month + 1, 1);
+    } else {
+        start = new Date(year, 0, 1);
+        end = new Date(year + 1, 0, 1);
+    }
+
+    return { start: start.getTime(), end: end.getTime() };
+}
+
+/**
+ * Build a filter node from a field token, validating its value
+ */
+function buildFilter(token, query) {
+    const { field, raw, position } = token;
+    const valuePosition = position + field.length + 1;
+    const spec = QUERY_FIELDS[field];
+
+    const operatorMatch = raw.match(/^(>=|<=|>|<|=)?(.*)$/);
+    const operator = operatorMatch[1] || '=';
+    const value = operatorMatch[2];
+
+    if (!value) {
+        throw new SearchQueryError(`Missing value for '${field}:' filter`, query, valuePosition);
+    }
+    if (!spec.operators.includes(operator)) {
+        throw new SearchQueryError(`Operator '${operator}' is not supported for '${field}:'`, query, valuePosition);
+    }
+    if (spec.values && !spec.values.includes(value.toLowerCase())) {
+        throw new SearchQueryError(
+            `Unknown value '${value}' for '${field}:', expected one of: ${spec.values.join(', ')}`,
+            query,
+            valuePosition
+        );
+    }
+
+    const node = { type: 'filter', field, operator, value };
+    if (spec.numeric) {
+        if (!/^\d+$/.test(value)) {
+            throw new SearchQueryError(`Expected a whole number for '${field}:'`, query, valuePosition + (operatorMatch[1] || '').length);
+        }
+        node.number = parseInt(value, 10);
+    }
+    if (field === 'lang' && !normalizeLanguage(value)) {
+        throw new SearchQueryError(`Unknown language '${value}', expected a code such as en, de, fr or ar`, query, valuePosition);
+    }
+    if (field === 'modified') {
+        node.range = parseDateRange(value, query, valuePosition + (operatorMatch[1] || '').length);
+    }
+
+    return node;
+}
+
+/**
+ * Parse a structured search query into an AST
+ */
+export function parseSearchQuery(query) {
+    if (typeof query !== 'string' || query.trim().length === 0) {
+        throw new SearchQueryError('Search query is empty', String(query || ''), 0);
+    }
+
+    const tokens = lex(query);
+    let current = 0;
+
+    const peek = () => tokens[current];
+    const describe = token => token.kind === 'term' ? `'${token.value}'` : `'${token.kind}'`;
+
+    function parseOr() {
+        const children = [parseAnd()];
+        while (peek() && peek().kind === 'OR') {
+            current++;
+            children.push(parseAnd());
+        }
+        return children.length === 1 ? children[0] : { type: 'or', children };
+    }
+
+    function parseAnd() {
+        const children = [parseUnary()];
+        while (peek() && peek().kind !== 'OR' && peek().kind !== ')') {
+            if (peek().kind === 'AND') {
+                current++;
+            }
+            children.push(parseUnary());
+        }
+        return children.length === 1 ? children[0] : { type: 'and', children };
+    }
+
+    function parseUnary() {
+        const token = peek();
+        if (token && token.kind === 'NOT') {
+            current++;
+            return { type: 'not', child: parseUnary() };
+        }
+        return parsePrimary();
+    }
+
+    function parsePrimary() {
+        const token = peek();
+
+        if (!token) {
+            const previous = tokens[current - 1];
+            throw new SearchQueryError(
+                previous ? `Expected a search term after ${describe(previous)}` : 'Expected a search term',
+                query,
+                query.length
+            );
+        }
+
+        current++;
+
+        switch (token.kind) {
+            case 'term':
+                return token.value === '*' ? { type: 'all' } : { type: 'term', value: token.value };
+            case 'phrase':
+                if (!token.value.trim()) {
+                    throw new SearchQueryError('Empty quoted phrase', query, token.position);
+                }
+                return { type: 'phrase', value: token.value };
+            case 'field':
+                return buildFilter(token, query);
+            case '(': {
+                const node = parseOr();
+                const closing = peek();
+                if (!closing || closing.kind !== ')') {
+                    throw new SearchQueryError('Missing closing parenthesis', query, closing ? closing.position : query.length);
+                }
+                current++;
+                return node;
+            }
+            default:
+                throw new SearchQueryError(`Unexpected ${describe(token)}`, query, token.position);
+        }
+    }
+
+    const ast = parseOr();
+
+    if (current < tokens.length) {
+        throw new SearchQueryError(`Unexpected ${describe(tokens[current])}`, query, tokens[current].position);
+    }
+
+    return ast;
+}
+
+/**
+ * Terms and phrases that must be present (i.e. not under a NOT)
+ * Used for ranking and highlighting.
+ */
+export function collectPositiveTexts(node, negated = false) {
+    switch (node.type) {
+        case 'term':
+        case 'phrase':
+            return negated ? [] : [node.value];
+        case 'not':
+            return collectPositiveTexts(node.child, !negated);
+        case 'and':
+        case 'or':
+            return node.children.flatMap(child => collectPositiveTexts(child, negated));
+        default:
+            return [];
+    }
+}
+
+export default parseSearchQuery;
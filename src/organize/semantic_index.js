@@ -0,0 +1,383 @@
+#!/usr/bin/env node
+
+/**
+ * Semantic Index
+ * Offline "more like this" vectors for document folders (TF-IDF + truncated SVD / LSA)
+ *
+ * Built entirely from the full-text search index, so no document is re-read.
+ * The latent basis is found with seeded subspace iteration; documents changed
+ * since the last build are folded into the existing basis until enough of the
+ * corpus has changed to warrant a full rebuild.
+ */
+
+import { promises as fs } from 'fs';
+import { existsSync } from 'fs';
+import path from 'path';
+import { createErrorHandler } from './error_handler.js';
+
+export const SEMANTIC_INDEX_VERSION = 1;
+
+/**
+ * Deterministic PRNG (mulberry32) so rebuilds of the same corpus are identical
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Orthonormalize the columns of a row-major matrix in place (modified Gram-Schmidt)
+ */
+function orthonormalize(matrix, rows, columns) {
+    for (let c = 0; c < columns; c++) {
+        for (let p = 0; p < c; p++) {
+            let dot = 0;
+            for (let r = 0; r < rows; r++) {
+                dot += matrix[r * columns + c] * matrix[r * columns + p];
+            }
+            for (let r = 0; r < rows; r++) {
+                matrix[r * columns + c] -= dot * matrix[r * columns + p];
+            }
+        }
+
+        let norm = 0;
+        for (let r = 0; r < rows; r++) {
+            norm += matrix[r * columns + c] ** 2;
+        }
+        norm = Math.sqrt(norm) || 1;
+        for (let r = 0; r < rows; r++) {
+            matrix[r * columns + c] /= norm;
+        }
+    }
+}
+
+/**
+ * Cosine similarity of two dense vectors
+ */
+export function cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Semantic Index Class
+ * Latent document vectors stored next to the search index
+ */
+export class SemanticIndex {
+    constructor(searchIndex, options = {}) {
+        this.searchIndex = searchIndex;
+        this.options = {
+            dimensions: 64,
+            maxVocabulary: 5000,
+            iterations: 8,
+            rebuildRatio: 0.2,
+            ...options
+        };
+
+        this.indexFilePath = searchIndex.indexFilePath.replace(/index_([^/\\]+)\.json$/, 'semantic_$1.json');
+        this.loaded = false;
+        this.resetState();
+
+        // Initialize error handler
+        this.errorHandler = createErrorHandler('SemanticIndex', {
+            enableConsoleLogging: process.env.NODE_ENV !== 'production'
+        });
+
+        // Bind logging methods
+        this.logWarn = this.errorHandler.logWarn.bind(this.errorHandler);
+        this.logInfo = this.errorHandler.logInfo.bind(this.errorHandler);
+    }
+
+    /**
+     * Reset in-memory state
+     */
+    resetState() {
+        this.generation = -1;
+        this.dimensions = 0;
+        this.vocabulary = [];
+        this.termIds = new Map();
+        this.idf = [];
+        this.basis = [];
+        this.vectors = {};
+        this.hashes = {};
+    }
+
+    /**
+     * Load the persisted vectors (once per instance)
+     */
+    async load() {
+        if (this.loaded) {
+            return;
+        }
+
+        this.loaded = true;
+
+        if (!existsSync(this.indexFilePath)) {
+            return;
+        }
+
+        try {
+            const raw = JSON.parse(await fs.readFile(this.indexFilePath, 'utf8'));
+            if (raw.version !== SEMANTIC_INDEX_VERSION) {
+                return;
+            }
+
+            this.generation = raw.generation;
+            this.dimensions = raw.dimensions;
+            this.vocabulary = raw.vocabulary;
+            this.termIds = new Map(raw.vocabulary.map((term, id) => [term, id]));
+            this.idf = raw.idf;
+            this.basis = raw.basis;
+            this.vectors = raw.vectors;
+            this.hashes = raw.hashes;
+        } catch (error) {
+            await this.logWarn('Failed to load semantic index, it will be rebuilt', {
+                indexFilePath: this.indexFilePath,
+                error: error.message
+            });
+            this.resetState();
+        }
+    }
+
+    /**
+     * Persist vectors atomically
+     */
+    async save() {
+        const round = value => Math.round(value * 1e5) / 1e5;
+        const payload = JSON.stringify({
+            version: SEMANTIC_INDEX_VERSION,
+            generation: this.generation,
+            dimensions: this.dimensions,
+            vocabulary: this.vocabulary,
+            idf: this.idf.map(round),
+            basis: this.basis.map(round),
+            vectors: Object.fromEntries(Object.entries(this.vectors).map(([key, vector]) => [key, vector.map(round)])),
+            hashes: this.hashes
+        });
+
+        await fs.mkdir(path.dirname(this.indexFilePath), { recursive: true });
+        const tempPath = `${this.indexFilePath}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, payload, 'utf8');
+        await fs.rename(tempPath, this.indexFilePath);
+    }
+
+    /**
+     * Bring vectors in line with the current search index generation
+     */
+    async ensureFresh() {
+        await this.load();
+
+        if (this.generation === this.searchIndex.generation && this.vocabulary.length > 0) {
+            return { rebuilt: false, folded: 0, removed: 0 };
+        }
+
+        const documents = this.searchIndex.documents;
+        const keys = Object.keys(documents);
+        const changed = keys.filter(key => this.hashes[key] !== documents[key].hash);
+        const removed = Object.keys(this.vectors).filter(key => !documents[key]);
+
+        if (this.vocabulary.length === 0 || changed.length + removed.length > keys.length * this.options.rebuildRatio) {
+            await this.rebuild();
+            return { rebuilt: true, folded: 0, removed: 0 };
+        }
+
+        for (const key of removed) {
+            delete this.vectors[key];
+            delete this.hashes[key];
+        }
+        for (const key of changed) {
+            this.vectors[key] = this.project(this.getDocumentTermWeights(key));
+            this.hashes[key] = documents[key].hash;
+        }
+
+        this.generation = this.searchIndex.generation;
+        await this.save();
+
+        return { rebuilt: false, folded: changed.length, removed: removed.length };
+    }
+
+    /**
+     * Rebuild vocabulary, latent basis and every document vector
+     */
+    async rebuild() {
+        const documents = this.searchIndex.documents;
+        const keys = Object.keys(documents);
+        const documentCount = keys.length;
+
+        // Vocabulary: the most widespread non-numeric terms, skipping those found everywhere
+        const candidates = Object.entries(this.searchIndex.postings)
+            .map(([term, docs]) => [term, Object.keys(docs).length])
+            .filter(([term, df]) => !/^\d+$/.test(term) && term.length > 1 &&
+                (documentCount < 3 || df < documentCount))
+            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+            .slice(0, this.options.maxVocabulary);
+
+        this.vocabulary = candidates.map(([term]) => term);
+        this.termIds = new Map(this.vocabulary.map((term, id) => [term, id]));
+        this.idf = candidates.map(([, df]) => Math.log((documentCount + 1) / (df + 1)) + 1);
+
+        // Sparse, L2-normalized TF-IDF rows
+        const rows = keys.map(key => this.getDocumentTermWeights(key));
+        const vocabularySize = this.vocabulary.length;
+        const k = Math.max(1, Math.min(this.options.dimensions, vocabularySize, documentCount));
+        this.dimensions = k;
+
+        // Subspace iteration on AᵀA: basis (V x k) converges to the top right singular vectors
+        const random = createRandom(documentCount * 31 + vocabularySize);
+        let basis = new Float64Array(vocabularySize * k).map(() => random() - 0.5);
+        orthonormalize(basis, vocabularySize, k);
+
+        for (let iteration = 0; iteration < this.options.iterations; iteration++) {
+            const next = new Float64Array(vocabularySize * k);
+            for (const row of rows) {
+                // projection = row · basis (length k), then accumulate rowᵀ · projection
+                const projection = new Float64Array(k);
+                for (const [termId, weight] of row) {
+                    for (let c = 0; c < k; c++) {
+                        projection[c] += weight * basis[termId * k + c];
+                    }
+                }
+                for (const [termId, weight] of row) {
+                    for (let c = 0; c < k; c++) {
+                        next[termId * k + c] += weight * projection[c];
+                    }
+                }
+            }
+            orthonormalize(next, vocabularySize, k);
+            basis = next;
+        }
+
+        this.basis = Array.from(basis);
+        this.vectors = {};
+        this.hashes = {};
+        keys.forEach((key, i) => {
+            this.vectors[key] = this.project(rows[i]);
+            this.hashes[key] = documents[key].hash;
+        });
+
+        this.generation = this.searchIndex.generation;
+        await this.save();
+
+        await this.logInfo('Semantic index rebuilt', {
+            documents: documentCount,
+            vocabulary: vocabularySize,
+            dimensions: k
+        });
+    }
+
+    /**
+     * Sparse TF-IDF weights ([termId, weight] pairs) for an indexed document
+     */
+    getDocumentTermWeights(key) {
+        const weights = [];
+        for (const term of this.searchIndex.documents[key].terms) {
+            const termId = this.termIds.get(term);
+            if (termId === undefined) {
+                continue;
+            }
+            const frequencies = this.searchIndex.postings[term][key];
+            const tf = Object.values(frequencies).reduce((sum, value) => sum + value, 0);
+            weights.push([termId, (1 + Math.log(tf)) * this.idf[termId]]);
+        }
+        return this.normalizeSparse(weights);
+    }
+
+    /**
+     * Sparse TF-IDF weights for free text (used for query vectors)
+     */
+    getTextTermWeights(tokens) {
+        const counts = new Map();
+        for (const token of tokens) {
+            const termId = this.termIds.get(token);
+            if (termId !== undefined) {
+                counts.set(termId, (counts.get(termId) || 0) + 1);
+            }
+        }
+        return this.normalizeSparse(Array.from(counts, ([termId, tf]) => [termId, (1 + Math.log(tf)) * this.idf[termId]]));
+    }
+
+    normalizeSparse(weights) {
+        const norm = Math.sqrt(weights.reduce((sum, [, weight]) => sum + weight * weight, 0)) || 1;
+        return weights.map(([termId, weight]) => [termId, weight / norm]);
+    }
+
+    /**
+     * Project sparse weights into the latent space
+     */
+    project(weights) {
+        const k = this.dimensions;
+        const vector = new Array(k).fill(0);
+        for (const [termId, weight] of weights) {
+            for (let c = 0; c < k; c++) {
+                vector[c] += weight * this.basis[termId * k + c];
+            }
+        }
+        return vector;
+    }
+
+    /**
+     * Latent vector for free text
+     */
+    embedText(tokens) {
+        return this.project(this.getTextTermWeights(tokens));
+    }
+
+    /**
+     * Documents most similar to an indexed document
+     */
+    findSimilar(key, options = {}) {
+        const { limit = 10, minSimilarity = 0 } = options;
+        const target = this.vectors[key];
+        if (!target) {
+            return [];
+        }
+
+        return Object.entries(this.vectors)
+            .filter(([other]) => other !== key)
+            .map(([other, vector]) => ({ key: other, similarity: cosineSimilarity(target, vector) }))
+            .filter(match => match.similarity >= minSimilarity)
+            .sort((a, b) => b.similarity - a.similarity)
+            .slice(0, limit);
+    }
+
+    /**
+     * Similarity between free text and an indexed document
+     */
+    similarityToText(queryVector, key) {
+        const vector = this.vectors[key];
+        return vector ? cosineSimilarity(queryVector, vector) : 0;
+    }
+
+    async getStatus() {
+        await this.load();
+        return {
+            index_file: this.indexFilePath,
+            generation: this.generation,
+            documents: Object.keys(this.vectors).length,
+            vocabulary: this.vocabulary.length,
+            dimensions: this.dimensions
+        };
+    }
+}
+
+/**
+ * Factory function to create SemanticIndex instance
+ */
+export function createSemanticIndex(searchIndex, options = {}) {
+    return new SemanticIndex(searchIndex, options);
+}
+
+export default SemanticIndex;
@@ -0,0 +1,322 @@
+#!/usr/bin/env node
+
+/**
+ * Summarizer
+ * Offline extractive summaries of markdown documents using TextRank over sentences
+ *
+ * Sentences are nodes of a graph whose edges weigh how many (stemmed, non-stopword)
+ * words two sentences share, normalized by their lengths as in Mihalcea & Tarau.
+ * PageRank over that graph scores how central each sentence is; the best-scoring
+ * sentences are returned in document order. Summaries can be written back into the
+ * frontmatter (`summary`) or a "Summary" section, where search previews pick them up.
+ */
+
+import { ErrorTypes, EnhancedError } from './error_handler.js';
+import { parseFrontmatter, updateFrontmatter } from './frontmatter.js';
+import { detectLanguage, normalizeLanguage, isStopword, stemWord } from './language_detector.js';
+
+const DAMPING = 0.85;
+const MAX_ITERATIONS = 100;
+const TOLERANCE = 1e-6;
+const MAX_SENTENCES = 500;
+
+// A period after these does not end a sentence
+const ABBREVIATIONS = new Set(['e.g', 'i.e', 'etc', 'vs', 'cf', 'al', 'dr', 'mr', 'mrs', 'ms', 'prof', 'fig', 'eq', 'no', 'approx', 'z.b', 'bzw', 'usw']);
+
+const SUMMARY_HEADING = /^(#{1,6})\s+Summary\s*#*\s*$/i;
+
+/**
+ * Range of an existing "Summary" section, or null
+ * The section is its heading plus the paragraph below it, so a summary placed
+ * above the rest of the text without a following heading does not swallow it.
+ */
+function findSummarySection(lines) {
+    const start = lines.findIndex(line => SUMMARY_HEADING.test(line));
+    if (start === -1) {
+        return null;
+    }
+
+    let end = start + 1;
+    while (end < lines.length && lines[end].trim() === '') {
+        end++;
+    }
+    while (end < lines.length && lines[end].trim() !== '' && !/^\s{0,3}#{1,6}\s/.test(lines[end])) {
+        end++;
+    }
+    return { start, end };
+}
+
+/**
+ * Prose sentences of a document body, in order
+ * Frontmatter, headings, code, tables and an existing Summary section are skipped.
+ */
+export function splitSentences(content) {
+    const { body } = parseFrontmatter(content || '');
+    const lines = body.split(/\r?\n/);
+    const section = findSummarySection(lines);
+    if (section) {
+        lines.splice(section.start, section.end - section.start);
+    }
+
+    const paragraphs = [];
+    let current = [];
+    let fence = null;
+    for (const line of lines) {
+        const fenceMatch = line.match(/^\s*(```+|~~~+)/);
+        if (fence) {
+            if (fenceMatch && line.trim().startsWith(fence)) {
+                fence = null;
+            }
+            continue;
+        }
+        if (fenceMatch) {
+            fence = fenceMatch[1];
+            continue;
+        }
+
+        const isBreak = line.trim() === '' || /^\s{0,3}#{1,6}\s/.test(line) || /^\s*\|/.test(line) || /^\s*([-*_])(\s*\1){2,}\s*$/.test(line);
+        const isItem = /^\s*(?:[-*+]|\d+[.)])\s+/.test(line);
+        if (isBreak || isItem) {
+            if (current.length > 0) {
+                paragraphs.push(current.join(' '));
+            }
+            current = isBreak ? [] : [line.replace(/^\s*(?:[-*+]|\d+[.)])\s+/, '')];
+            continue;
+        }
+        current.push(line.replace(/^\s*>\s?/, '').trim());
+    }
+    if (current.length > 0) {
+        paragraphs.push(current.join(' '));
+    }
+
+    const sentences = [];
+    for (const paragraph of paragraphs) {
+        const text = paragraph
+            .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+            .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+            .replace(/\[\[([^\]|]*)(?:\|([^\]]*))?\]\]/g, (_, target, label) => label || target)
+            .replace(/(\*\*|__|\*|_|`)(\S(?:.*?\S)?)\1/g, '$2')
+            .replace(/\s+/g, ' ')
+            .trim();
+
+        let start = 0;
+        const boundary = /[.!?…]+["'”’)\]]*\s+(?=["'“‘(]?[\p{Lu}\p{N}])/gu;
+        let match;
+        while ((match = boundary.exec(text)) !== null) {
+            const before = text.slice(start, match.index).split(' ').pop().toLowerCase().replace(/^[("'“‘]+/, '');
+            if (ABBREVIATIONS.has(before) || /^\p{L}$/u.test(before)) {
+                continue;
+            }
+            sentences.push(text.slice(start, match.index + match[0].trimEnd().length));
+            start = match.index + match[0].length;
+        }
+        if (start < text.length) {
+            sentences.push(text.slice(start));
+        }
+    }
+
+    return sentences.map(sentence => sentence.trim()).filter(sentence => sentence.split(' ').length >= 4);
+}
+
+/**
+ * Summarizer Class
+ * Ranks the sentences of a document and assembles summaries of a requested length
+ */
+export class Summarizer {
+    constructor(options = {}) {
+        this.defaultSentences = options.defaultSentences || 3;
+        this.defaultLanguage = normalizeLanguage(options.defaultLanguage) || 'en';
+    }
+
+    /**
+     * Language used for stopwords and stems: frontmatter `lang`, else detected, else the default
+     */
+    resolveLanguage(content) {
+        const { data, body } = parseFrontmatter(content || '');
+        return normalizeLanguage(data.lang || data.language) ||
+            (detectLanguage(body) || {}).code ||
+            this.defaultLanguage;
+    }
+
+    /**
+     * TextRank scores for a list of sentences
+     */
+    rankSentences(sentences, language = 'en') {
+        const words = sentences.map(sentence => {
+            const tokens = (sentence.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+                .filter(word => !isStopword(word, language) && !/^\p{N}+$/u.test(word));
+            return new Set(tokens.map(word => stemWord(word, language)));
+        });
+
+        const count = sentences.length;
+        const weights = Array.from({ length: count }, () => new Float64Array(count));
+        const totals = new Float64Array(count);
+        for (let i = 0; i < count; i++) {
+            for (let j = i + 1; j < count; j++) {
+                if (words[i].size < 2 || words[j].size < 2) {
+                    continue;
+                }
+                let shared = 0;
+                for (const word of words[i]) {
+                    if (words[j].has(word)) {
+                        shared++;
+                    }
+                }
+                if (shared > 0) {
+                    const weight = shared / (Math.log(words[i].size) + Math.log(words[j].size));
+                    weights[i][j] = weight;
+                    weights[j][i] = weight;
+                    totals[i] += weight;
+                    totals[j] += weight;
+                }
+            }
+        }
+
+        let scores = new Float64Array(count).fill(1 / Math.max(count, 1));
+        for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+            const next = new Float64Array(count).fill((1 - DAMPING) / count);
+            for (let j = 0; j < count; j++) {
+                if (totals[j] === 0) {
+                    // Sentences sharing nothing spread their score evenly
+                    for (let i = 0; i < count; i++) {
+                        next[i] += DAMPING * scores[j] / count;
+                    }
+                    continue;
+                }
+                for (let i = 0; i < count; i++) {
+                    if (weights[j][i] > 0) {
+                        next[i] += DAMPING * scores[j] * weights[j][i] / totals[j];
+                    }
+                }
+            }
+
+            let delta = 0;
+            for (let i = 0; i < count; i++) {
+                delta += Math.abs(next[i] - scores[i]);
+            }
+            scores = next;
+            if (delta < TOLERANCE) {
+                break;
+            }
+        }
+
+        return Array.from(scores);
+    }
+
+    /**
+     * Extractive summary of a document
+     * Length is set by `sentences`, by `ratio` of the document's sentences, or by a
+     * `maxWords` budget (at least one sentence is always returned).
+     * Returns { summary, sentences: [{ text, index, score }], language, totalSentences }.
+     */
+    summarize(content, options = {}) {
+        const { ratio = null, maxWords = null } = options;
+        const sentenceCount = options.sentences ?? (ratio === null && maxWords === null ? this.defaultSentences : null);
+
+        if (sentenceCount !== null && (!Number.isInteger(sentenceCount) || sentenceCount < 1)) {
+            throw new EnhancedError('sentences must be a positive integer', ErrorTypes.VALIDATION_ERROR, { operation: 'summarize', sentences: sentenceCount });
+        }
+        if (ratio !== null && !(ratio > 0 && ratio <= 1)) {
+            throw new EnhancedError('ratio must be greater than 0 and at most 1', ErrorTypes.VALIDATION_ERROR, { operation: 'summarize', ratio });
+        }
+        if (maxWords !== null && (!Number.isInteger(maxWords) || maxWords < 1)) {
+            throw new EnhancedError('max_words must be a positive integer', ErrorTypes.VALIDATION_ERROR, { operation: 'summarize', maxWords });
+        }
+
+        const language = normalizeLanguage(options.language) || this.resolveLanguage(content);
+        const sentences = splitSentences(content).slice(0, MAX_SENTENCES);
+        const scores = this.rankSentences(sentences, language);
+        const ranked = sentences
+            .map((text, index) => ({ text, index, score: Math.round(scores[index] * 10000) / 10000 }))
+            .sort((a, b) => b.score - a.score || a.index - b.index);
+
+        let selected;
+        if (maxWords !== null) {
+            selected = [];
+            let words = 0;
+            for (const sentence of ranked) {
+                const length = sentence.text.split(' ').length;
+                if (selected.length > 0 && words + length > maxWords) {
+                    continue;
+                }
+                selected.push(sentence);
+                words += length;
+            }
+        } else {
+            const limit = sentenceCount ?? Math.max(1, Math.ceil(sentences.length * ratio));
+            selected = ranked.slice(0, limit);
+        }
+
+        selected.sort((a, b) => a.index - b.index);
+        return {
+            summary: selected.map(sentence => sentence.text).join(' '),
+            sentences: selected,
+            language,
+            totalSentences: sentences.length
+        };
+    }
+}
+
+/**
+ * Summary stored in a document: the frontmatter `summary`, else the text of its Summary section
+ */
+export function extractSummary(content) {
+    const { data, body } = parseFrontmatter(content || '');
+    if (typeof data.summary === 'string' && data.summary.trim()) {
+        return data.summary.trim();
+    }
+
+    const lines = body.split(/\r?\n/);
+    const section = findSummarySection(lines);
+    if (!section) {
+        return null;
+    }
+    const text = lines.slice(section.start + 1, section.end).join(' ').replace(/\s+/g, ' ').trim();
+    return text || null;
+}
+
+/**
+ * Write a summary into a document, replacing any previous one
+ * `target` is 'frontmatter' (the `summary` key) or 'section' (a "## Summary" section
+ * placed after the title heading).
+ */
+export function applySummary(content, summary, target = 'frontmatter') {
+    if (target === 'frontmatter') {
+        return updateFrontmatter(content, { summary });
+    }
+    if (target !== 'section') {
+        throw new EnhancedError(`Unknown summary target '${target}', expected frontmatter or section`, ErrorTypes.VALIDATION_ERROR, {
+            operation: 'applySummary',
+            target
+        });
+    }
+
+    const text = content || '';
+    const prefix = text.slice(0, text.length - parseFrontmatter(text).body.length);
+    const eol = text.includes('\r\n') ? '\r\n' : '\n';
+    const lines = parseFrontmatter(text).body.split(/\r?\n/);
+    const section = findSummarySection(lines);
+
+    if (section) {
+        lines.splice(section.start, section.end - section.start, lines[section.start], '', summary);
+    } else {
+        const title = lines.findIndex(line => /^#\s/.test(line));
+        const at = title === -1 ? 0 : title + 1;
+        const block = title === -1 ? ['## Summary', '', summary, ''] : ['', '## Summary', '', summary];
+        if (title !== -1 && lines[at] !== undefined && lines[at].trim() !== '') {
+            block.push('');
+        }
+        lines.splice(at, 0, ...block);
+    }
+
+    return prefix + lines.join(eol);
+}
+
+/**
+ * Factory function to create Summarizer instance
+ */
+export function createSummarizer(options = {}) {
+    return new Summarizer(options);
+}
+
+export default Summarizer;
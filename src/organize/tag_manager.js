@@ -0,0 +1,247 @@
+#!/usr/bin/env node
+
+/**
+ * Tag Manager
+ * Tags let a document belong to several topics while living in one category folder
+ *
+ * A document's tags are the union of its frontmatter `tags`, inline #hashtags in
+ * the body and the optional `.tags.json` sidecar in its folder. New tags go to the
+ * frontmatter by default; the sidecar keeps them out of documents that should not
+ * be edited. Tags are lowercase, with spaces turned into hyphens, so "Machine
+ * Learning", "machine-learning" and #machine-learning are the same tag.
+ */
+
+import { promises as fs, existsSync, readFileSync } from 'fs';
+import path from 'path';
+import { createErrorHandler, ErrorTypes, EnhancedError } from './error_handler.js';
+import { parseFrontmatter } from './frontmatter.js';
+import { extractTags, readSidecarTags, TAG_SIDECAR_FILE } from './search_index.js';
+
+export const TAG_STORAGES = ['frontmatter', 'sidecar'];
+export const DEFAULT_TAG_STORAGE = 'frontmatter';
+
+/**
+ * Canonical form of a tag, or null when nothing usable is left
+ */
+export function normalizeTag(tag) {
+    const normalized = String(tag ?? '').trim().replace(/^#/, '').toLowerCase().replace(/\s+/g, '-');
+    return /^[\p{L}\p{N}_][\p{L}\p{N}_/-]*$/u.test(normalized) ? normalized : null;
+}
+
+/**
+ * Tag storage from organize_config.conf (tag_storage)
+ */
+export function loadTagStorage(configPath) {
+    if (!configPath || !existsSync(configPath)) {
+        return DEFAULT_TAG_STORAGE;
+    }
+
+    const match = readFileSync(configPath, 'utf8').match(/^\s*tag_storage\s*=\s*"?(\w+)"?\s*$/m);
+    return match && TAG_STORAGES.includes(match[1]) ? match[1] : DEFAULT_TAG_STORAGE;
+}
+
+/**
+ * Count how many documents carry each tag, most used first
+ */
+export function countTags(tagLists) {
+    const counts = new Map();
+    for (const tags of tagLists) {
+        for (const tag of new Set(tags)) {
+            counts.set(tag, (counts.get(tag) || 0) + 1);
+        }
+    }
+    return Array.from(counts, ([tag, count]) => ({ tag, count }))
+        .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+/**
+ * Tag Manager Class
+ * Reads, adds, removes and suggests the tags of document folders
+ */
+export class TagManager {
+    constructor(documentFolderManager, options = {}) {
+        this.documentFolderManager = documentFolderManager;
+        this.storage = options.storage || DEFAULT_TAG_STORAGE;
+        this.categoryManager = options.categoryManager || null;
+
+        // Initialize error handler
+        this.errorHandler = createErrorHandler('TagManager', {
+            enableConsoleLogging: process.env.NODE_ENV !== 'production'
+        });
+
+        // Bind logging methods
+        this.logInfo = this.errorHandler.logInfo.bind(this.errorHandler);
+    }
+
+    /**
+     * Tags of a document folder, combined and by where they are stored
+     */
+    async getTags(folderPath) {
+        const content = await this.documentFolderManager.getDocumentContent(folderPath);
+        const { data: frontmatter } = parseFrontmatter(content);
+        const declared = this.frontmatterTags(frontmatter).map(normalizeTag).filter(Boolean);
+        const sidecar = readSidecarTags(folderPath);
+        const inline = extractTags(content).filter(tag => !declared.includes(tag));
+
+        return {
+            tags: Array.from(new Set([...declared, ...inline, ...sidecar])).sort(),
+            frontmatter: declared,
+            inline,
+            sidecar
+        };
+    }
+
+    /**
+     * Add tags to a document in the frontmatter or the sidecar (`storage` overrides the default)
+     */
+    async addTags(folderPath, tags, options = {}) {
+        const { storage = this.storage } = options;
+
+        return await this.errorHandler.wrapAsync(async () => {
+            const normalized = this.validateTags(tags, 'addTags');
+            if (!TAG_STORAGES.includes(storage)) {
+                throw new EnhancedError(`Invalid tag storage '${storage}', expected ${TAG_STORAGES.join(' or ')}`, ErrorTypes.VALIDATION_ERROR, {
+                    operation: 'addTags',
+                    storage
+                });
+            }
+
+            const current = await this.getTags(folderPath);
+            const added = normalized.filter(tag => !current.tags.includes(tag));
+
+            if (added.length > 0) {
+                if (storage === 'sidecar') {
+                    await this.writeSidecar(folderPath, [...current.sidecar, ...added]);
+                } else {
+                    const { data: frontmatter } = parseFrontmatter(await this.documentFolderManager.getDocumentContent(folderPath));
+                    await this.documentFolderManager.setDocumentMetadata(folderPath, {
+                        tags: [...this.frontmatterTags(frontmatter), ...added]
+                    });
+                }
+                await this.logInfo('Tags added', { folderPath, added, storage });
+            }
+
+            return { added, storage, ...await this.getTags(folderPath) };
+        }, {
+            operation: 'addTags',
+            folderPath
+        });
+    }
+
+    /**
+     * Remove tags from the frontmatter and the sidecar
+     * Inline #hashtags are part of the text and stay; they are reported as `kept_inline`.
+     */
+    async removeTags(folderPath, tags) {
+        return await this.errorHandler.wrapAsync(async () => {
+            const normalized = this.validateTags(tags, 'removeTags');
+            const current = await this.getTags(folderPath);
+
+            if (current.frontmatter.some(tag => normalized.includes(tag))) {
+                const { data: frontmatter } = parseFrontmatter(await this.documentFolderManager.getDocumentContent(folderPath));
+                const remaining = this.frontmatterTags(frontmatter).filter(tag => !normalized.includes(normalizeTag(tag)));
+                await this.documentFolderManager.setDocumentMetadata(folderPath, { tags: remaining.length > 0 ? remaining : null });
+            }
+            if (current.sidecar.some(tag => normalized.includes(tag))) {
+                await this.writeSidecar(folderPath, current.sidecar.filter(tag => !normalized.includes(tag)));
+            }
+
+            const removed = normalized.filter(tag => current.frontmatter.includes(tag) || current.sidecar.includes(tag));
+            if (removed.length > 0) {
+                await this.logInfo('Tags removed', { folderPath, removed });
+            }
+
+            return {
+                removed,
+                kept_inline: normalized.filter(tag => current.inline.includes(tag)),
+                ...await this.getTags(folderPath)
+            };
+        }, {
+            operation: 'removeTags',
+            folderPath
+        });
+    }
+
+    /**
+     * Suggest tags for content from its keyphrases and the keywords of known categories
+     * `keyphrases` are [{ phrase, score }] (ideally weighed against the hub), `knownTags`
+     * are tags already in use, which rank first so the vocabulary stays consistent.
+     * Returns [{ tag, source: 'category'|'keyphrase', reason, in_use }].
+     */
+    suggestTags(content, options = {}) {
+        const { keyphrases = [], knownTags = [], exclude = [], limit = 8 } = options;
+        const { body } = parseFrontmatter(content || '');
+        const text = body.toLowerCase();
+        const suggestions = new Map();
+
+        const categories = this.categoryManager ? this.categoryManager.getAllCategories() : [];
+        for (const category of categories) {
+            for (const keyword of category.keywords || []) {
+                const escaped = String(keyword).toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                const mentions = (text.match(new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'gu')) || []).length;
+                const tag = normalizeTag(keyword);
+                // One passing mention of a broad keyword is not enough to tag a document
+                if (tag && mentions >= 2 && !suggestions.has(tag)) {
+                    suggestions.set(tag, { tag, source: 'category', reason: `Keyword of ${category.path || category.name}, mentioned ${mentions} times`, weight: mentions });
+                }
+            }
+        }
+
+        // Single words make vague tags unless the hub already uses them as one
+        const known = new Set(knownTags);
+        for (const [index, { phrase }] of keyphrases.entries()) {
+            const tag = normalizeTag(phrase);
+            if (tag && !suggestions.has(tag) && (tag.includes('-') || known.has(tag))) {
+                suggestions.set(tag, { tag, source: 'keyphrase', reason: `Keyphrase "${phrase}"`, weight: 1 / (index + 1) });
+            }
+        }
+
+        const excluded = new Set(exclude.map(normalizeTag));
+        return Array.from(suggestions.values())
+            .filter(suggestion => !excluded.has(suggestion.tag))
+            .map(suggestion => ({ ...suggestion, in_use: known.has(suggestion.tag) }))
+            .sort((a, b) => b.in_use - a.in_use || (a.source === b.source ? b.weight - a.weight : a.source === 'category' ? -1 : 1))
+            .slice(0, limit)
+            .map(({ weight, ...suggestion }) => suggestion);
+    }
+
+    frontmatterTags(frontmatter) {
+        const declared = frontmatter.tags;
+        if (declared === null || declared === undefined) {
+            return [];
+        }
+        return (Array.isArray(declared) ? declared : String(declared).split(',')).map(tag => String(tag).trim()).filter(Boolean);
+    }
+
+    validateTags(tags, operation) {
+        if (!Array.isArray(tags) || tags.length === 0) {
+            throw new EnhancedError('tags must be a non-empty array of strings', ErrorTypes.VALIDATION_ERROR, { operation });
+        }
+
+        const invalid = tags.filter(tag => !normalizeTag(tag));
+        if (invalid.length > 0) {
+            throw new EnhancedError(`Invalid tags: ${invalid.join(', ')}`, ErrorTypes.VALIDATION_ERROR, { operation, invalid });
+        }
+        return Array.from(new Set(tags.map(normalizeTag)));
+    }
+
+    async writeSidecar(folderPath, tags) {
+        const sidecarPath = path.join(folderPath, TAG_SIDECAR_FILE);
+        if (tags.length === 0) {
+            await fs.rm(sidecarPath, { force: true });
+            this.documentFolderManager.markChanged();
+            return;
+        }
+        await fs.writeFile(sidecarPath, JSON.stringify({ tags: Array.from(new Set(tags)).sort() }, null, 2) + '\n');
+        this.documentFolderManager.markChanged();
+    }
+}
+
+/**
+ * Factory function to create TagManager instance
+ */
+export function createTagManager(documentFolderManager, options = {}) {
+    return new TagManager(documentFolderManager, options);
+}
+
+export default TagManager;
@@ -8,6 +8,7 @@ import Login from './pages/Login'
 import Dashboard from './pages/Dashboard'
 import Documents from './pages/Documents'
 import Organization from './pages/Organization'
+import Review from './pages/Review'
 import Sync from './pages/Sync'
 import System from './pages/System'
 import ProtectedRoute from './components/ProtectedRoute'
@@ -53,6 +54,7 @@ function App() {
                 <Route index element={<Dashboard />} />
                 <Route path="documents" element={<Documents />} />
                 <Route path="organization" element={<Organization />} />
+                <Route path="review" element={<Review />} />
                 <Route path="sync" element={<Sync />} />
                 <Route path="system" element={<System />} />
               </Route>
@@ -4,6 +4,7 @@ import {
   Home, 
   FileText, 
   FolderOpen, 
+  Inbox,
   RefreshCw, 
   Settings, 
   Wifi,
@@ -38,6 +39,7 @@ const Layout = () => {
     { name: 'Dashboard', href: '/', icon: Home },
     { name: 'Documents', href: '/documents', icon: FileText },
     { name: 'Organization', href: '/organization', icon: FolderOpen },
+    { name: 'Review', href: '/review', icon: Inbox },
     { name: 'Sync', href: '/sync', icon: RefreshCw },
     { name: 'System', href: '/system', icon: Settings },
   ]
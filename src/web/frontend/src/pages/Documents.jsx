@@ -10,7 +10,8 @@ import {
   Plus,
   Eye,
   Download,
-  MoreVertical
+  MoreVertical,
+  X
 } from 'lucide-react'
 import { useWebSocket } from '../contexts/WebSocketContext'
 import axios from 'axios'
@@ -22,12 +23,39 @@ import Dropdown from '../components/ui/Dropdown'
 import Badge from '../components/ui/Badge'
 import LoadingSpinner from '../components/ui/LoadingSpinner'
 
+// Search responses arrive as MCP tool results: the payload is JSON in the first text block
+const parseToolResponse = (data) => {
+  const text = data?.content?.[0]?.text
+  return text ? JSON.parse(text) : data
+}
+
+const FACET_LABELS = {
+  category: 'Category',
+  content_type: 'Content Type',
+  language: 'Language',
+  tags: 'Tags',
+  modified_year: 'Modified Year',
+  modified_month: 'Modified Month',
+  has_images: 'Images',
+  word_count: 'Word Count'
+}
+
+const formatFacetValue = (facet, value) => {
+  if (facet === 'has_images') return value ? 'With images' : 'Without images'
+  if (facet === 'word_count') return `${value} words`
+  return String(value)
+}
+
 const Documents = () => {
   const [documents, setDocuments] = useState([])
   const [categories, setCategories] = useState([])
   const [loading, setLoading] = useState(true)
   const [searchQuery, setSearchQuery] = useState('')
   const [selectedCategory, setSelectedCategory] = useState('')
+  const [activeFilters, setActiveFilters] = useState([])
+  const [tags, setTags] = useState([])
+  const [selectedTags, setSelectedTags] = useState([])
+  const [facets, setFacets] = useState({})
   const [showUpload, setShowUpload] = useState(false)
   const { subscribe, unsubscribe } = useWebSocket()
 
@@ -35,26 +63,55 @@ const Documents = () => {
     // Subscribe to real-time updates
     subscribe('document_operations')
     
-    // Fetch initial data
-    fetchDocuments()
+    // Fetch initial data (documents are loaded by the filter effect below)
     fetchCategories()
+    fetchTags()
 
     return () => {
       unsubscribe('document_operations')
     }
   }, [])
 
+  // Re-run the search whenever a facet or tag filter is added or removed
+  useEffect(() => {
+    setLoading(true)
+    fetchDocuments()
+  }, [activeFilters, selectedTags])
+
   const fetchDocuments = async () => {
+    // A smart folder is its saved query, optionally scoped to a real category
+    const smartFolder = categories.find(cat => cat.virtual && cat.name === selectedCategory)
+    const q = smartFolder
+      ? (searchQuery ? `(${smartFolder.query}) (${searchQuery})` : smartFolder.query)
+      : searchQuery || '*'
+
     try {
       const response = await axios.get('/api/documents/search', {
         params: {
-          query: searchQuery,
-          category: selectedCategory,
+          q,
+          category: smartFolder ? smartFolder.scope || undefined : selectedCategory || undefined,
+          filter: activeFilters.map(f => f.filter),
+          tag: selectedTags,
           limit: 50
         }
       })
-      setDocuments(response.data.data || [])
+      const result = parseToolResponse(response.data.data) || {}
+      setDocuments((result.results || []).map(r => ({
+        name: r.documentFolder.name,
+        path: r.documentFolder.path,
+        filename: r.documentFolder.mainFile,
+        category: r.documentFolder.category,
+        tags: r.documentFolder.tags || [],
+        size: r.documentFolder.size,
+        lastModified: new Date(r.documentFolder.modified).toLocaleDateString(),
+        preview: r.preview
+      })))
+      setFacets(result.facets || {})
     } catch (error) {
+      if (error.response?.status === 400) {
+        toast.error(error.response.data.message)
+        return
+      }
       console.error('Failed to fetch documents:', error)
       toast.error('Failed to load documents')
     } finally {
@@ -65,18 +122,43 @@ const Documents = () => {
   const fetchCategories = async () => {
     try {
       const response = await axios.get('/api/organization/categories')
-      setCategories(response.data.data || [])
+      setCategories(parseToolResponse(response.data.data) || [])
     } catch (error) {
       console.error('Failed to fetch categories:', error)
     }
   }
 
+  const fetchTags = async () => {
+    try {
+      const response = await axios.get('/api/documents/tags')
+      setTags(response.data.data.tags || [])
+    } catch (error) {
+      console.error('Failed to fetch tags:', error)
+    }
+  }
+
+  const toggleTag = (tag) => {
+    setSelectedTags(selectedTags.includes(tag) ? selectedTags.filter(t => t !== tag) : [...selectedTags, tag])
+  }
+
   const handleSearch = (e) => {
     e.preventDefault()
     setLoading(true)
     fetchDocuments()
   }
 
+  const addFacetFilter = (facet, bucket) => {
+    if (activeFilters.some(f => f.filter === bucket.filter)) return
+    setActiveFilters([...activeFilters, {
+      filter: bucket.filter,
+      label: `${FACET_LABELS[facet]}: ${formatFacetValue(facet, bucket.value)}`
+    }])
+  }
+
+  const removeFacetFilter = (filter) => {
+    setActiveFilters(activeFilters.filter(f => f.filter !== filter))
+  }
+
   const handleDeleteDocument = async (filePath) => {
     if (!confirm('Are you sure you want to delete this document?')) return
 
@@ -118,6 +200,20 @@ const Documents = () => {
         </Badge>
       )
     },
+    {
+      key: 'tags',
+      title: 'Tags',
+      sortable: false,
+      render: (value) => (
+        <div className="flex flex-wrap gap-1">
+          {value.map(tag => (
+            <button key={tag} onClick={() => toggleTag(tag)} title={`Filter by #${tag}`}>
+              <Badge variant={selectedTags.includes(tag) ? 'primary' : 'default'} size="sm">#{tag}</Badge>
+            </button>
+          ))}
+        </div>
+      )
+    },
     {
       key: 'size',
       title: 'Size',
@@ -208,10 +304,15 @@ const Documents = () => {
   // Category options for dropdown
   const categoryOptions = categories.map(cat => ({
     value: cat.name,
-    label: `${cat.name} (${cat.count})`
+    label: `${cat.virtual ? '🔍 ' : ''}${cat.name} (${cat.fileCount})`
   }))
   categoryOptions.unshift({ value: '', label: 'All Categories' })
 
+  const tagOptions = tags.map(({ tag, count }) => ({
+    value: tag,
+    label: `#${tag} (${count})`
+  }))
+
   return (
     <div className="space-y-6">
       {/* Header */}
@@ -256,6 +357,16 @@ const Documents = () => {
                 searchable
               />
             </div>
+            <div className="w-full sm:w-48">
+              <Dropdown
+                options={tagOptions}
+                value={selectedTags}
+                onChange={setSelectedTags}
+                placeholder="Filter by tags"
+                searchable
+                multiple
+              />
+            </div>
             <button type="submit" className="btn btn-primary flex items-center space-x-2">
               <Filter className="w-4 h-4" />
               <span className="hidden sm:inline">Search</span>
@@ -264,39 +375,96 @@ const Documents = () => {
         </form>
       </div>
 
-      {/* Documents Table */}
-      <div className="space-y-4">
-        {loading ? (
-          <div className="flex items-center justify-center h-32">
-            <LoadingSpinner size="lg" text="Loading documents..." />
-          </div>
-        ) : documents.length > 0 ? (
-          <Table
-            data={documents}
-            columns={documentColumns}
-            searchable={false} // We have our own search
-            sortable={true}
-            pagination={true}
-            pageSize={20}
-          />
-        ) : (
-          <div className="text-center py-12">
-            <FileText className="w-12 h-12 text-gray-400 mx-auto mb-4" />
-            <h3 className="text-lg font-medium text-gray-900 mb-2">No documents found</h3>
-            <p className="text-gray-500 mb-4">
-              {searchQuery || selectedCategory 
-                ? 'Try adjusting your search criteria'
-                : 'Upload some documents to get started'
-              }
-            </p>
+      {/* Active facet and tag filters */}
+      {(activeFilters.length > 0 || selectedTags.length > 0) && (
+        <div className="flex flex-wrap items-center gap-2">
+          {selectedTags.map(tag => (
             <button
-              onClick={() => setShowUpload(true)}
-              className="btn btn-primary"
+              key={tag}
+              onClick={() => toggleTag(tag)}
+              className="inline-flex items-center space-x-1 px-2.5 py-0.5 text-sm rounded-full bg-primary-100 text-primary-800 hover:bg-primary-200"
+              title="Remove tag filter"
             >
-              Upload Documents
+              <span>#{tag}</span>
+              <X className="w-3 h-3" />
             </button>
-          </div>
-        )}
+          ))}
+          {activeFilters.map(f => (
+            <button
+              key={f.filter}
+              onClick={() => removeFacetFilter(f.filter)}
+              className="inline-flex items-center space-x-1 px-2.5 py-0.5 text-sm rounded-full bg-primary-100 text-primary-800 hover:bg-primary-200"
+              title="Remove filter"
+            >
+              <span>{f.label}</span>
+              <X className="w-3 h-3" />
+            </button>
+          ))}
+          <button onClick={() => { setActiveFilters([]); setSelectedTags([]) }} className="text-sm text-gray-500 hover:text-gray-700">
+            Clear all
+          </button>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+        {/* Facets */}
+        <div className="card space-y-4 lg:col-span-1">
+          {Object.entries(FACET_LABELS).map(([facet, label]) => (
+            facets[facet]?.length > 0 && (
+              <div key={facet}>
+                <h3 className="text-sm font-medium text-gray-900 mb-2">{label}</h3>
+                <ul className="space-y-1">
+                  {facets[facet].map(bucket => (
+                    <li key={String(bucket.value)}>
+                      <button
+                        onClick={() => addFacetFilter(facet, bucket)}
+                        className="w-full flex justify-between text-sm text-gray-600 hover:text-primary-600"
+                      >
+                        <span className="truncate">{formatFacetValue(facet, bucket.value)}</span>
+                        <span className="text-gray-400">{bucket.count}</span>
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )
+          ))}
+        </div>
+
+        {/* Documents Table */}
+        <div className="space-y-4 lg:col-span-3">
+          {loading ? (
+            <div className="flex items-center justify-center h-32">
+              <LoadingSpinner size="lg" text="Loading documents..." />
+            </div>
+          ) : documents.length > 0 ? (
+            <Table
+              data={documents}
+              columns={documentColumns}
+              searchable={false} // We have our own search
+              sortable={true}
+              pagination={true}
+              pageSize={20}
+            />
+          ) : (
+            <div className="text-center py-12">
+              <FileText className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+              <h3 className="text-lg font-medium text-gray-900 mb-2">No documents found</h3>
+              <p className="text-gray-500 mb-4">
+                {searchQuery || selectedCategory || activeFilters.length > 0 || selectedTags.length > 0
+                  ? 'Try adjusting your search criteria'
+                  : 'Upload some documents to get started'
+                }
+              </p>
+              <button
+                onClick={() => setShowUpload(true)}
+                className="btn btn-primary"
+              >
+                Upload Documents
+              </button>
+            </div>
+          )}
+        </div>
       </div>
 
       {/* Upload Modal */}
@@ -6,7 +6,10 @@ import {
   Settings, 
   Plus,
   Eye,
-  Trash2
+  Trash2,
+  ImageOff,
+  Archive,
+  RotateCcw
 } from 'lucide-react'
 import { useWebSocket } from '../contexts/WebSocketContext'
 import axios from 'axios'
@@ -17,6 +20,9 @@ const Organization = () => {
   const [categories, setCategories] = useState([])
   const [loading, setLoading] = useState(true)
   const [organizing, setOrganizing] = useState(false)
+  const [orphanScan, setOrphanScan] = useState(null)
+  const [scanningAssets, setScanningAssets] = useState(false)
+  const [quarantine, setQuarantine] = useState([])
   const { subscribe, unsubscribe } = useWebSocket()
 
   useEffect(() => {
@@ -33,13 +39,17 @@ const Organization = () => {
 
   const fetchOrganizationData = async () => {
     try {
-      const [statsResponse, categoriesResponse] = await Promise.all([
+      const [statsResponse, categoriesResponse, quarantineResponse] = await Promise.all([
         axios.get('/api/organization/stats'),
-        axios.get('/api/organization/categories')
+        axios.get('/api/organization/categories'),
+        axios.get('/api/organization/quarantine')
       ])
       
       setStats(statsResponse.data.data)
-      setCategories(categoriesResponse.data.data || [])
+      setQuarantine(quarantineResponse.data.data || [])
+      // Categories arrive as an MCP tool result; smart folders are listed after real categories
+      const categoriesText = categoriesResponse.data.data?.content?.[0]?.text
+      setCategories(categoriesText ? JSON.parse(categoriesText) : categoriesResponse.data.data || [])
     } catch (error) {
       console.error('Failed to fetch organization data:', error)
       toast.error('Failed to load organization data')
@@ -74,6 +84,56 @@ const Organization = () => {
     }
   }
 
+  const formatFileSize = (bytes) => {
+    if (!bytes) return '0 Bytes'
+    const k = 1024
+    const sizes = ['Bytes', 'KB', 'MB', 'GB']
+    const i = Math.floor(Math.log(bytes) / Math.log(k))
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i]
+  }
+
+  const handleScanAssets = async () => {
+    setScanningAssets(true)
+    try {
+      const response = await axios.get('/api/organization/orphaned-assets')
+      setOrphanScan(response.data.data)
+    } catch (error) {
+      console.error('Failed to scan for orphaned assets:', error)
+      toast.error('Failed to scan for orphaned assets')
+    } finally {
+      setScanningAssets(false)
+    }
+  }
+
+  const handleQuarantineAssets = async () => {
+    try {
+      const response = await axios.post('/api/organization/orphaned-assets/quarantine', {
+        paths: orphanScan.orphans.map(orphan => orphan.path)
+      })
+      const { items, totalSize } = response.data.data
+      toast.success(`Moved ${items.length} assets (${formatFileSize(totalSize)}) to quarantine`)
+      setOrphanScan(null)
+      const quarantineResponse = await axios.get('/api/organization/quarantine')
+      setQuarantine(quarantineResponse.data.data || [])
+    } catch (error) {
+      console.error('Failed to quarantine assets:', error)
+      toast.error('Failed to quarantine assets')
+    }
+  }
+
+  const handleRestoreBatch = async (batchId) => {
+    try {
+      const response = await axios.post(`/api/organization/quarantine/${encodeURIComponent(batchId)}/restore`)
+      const { restored, skipped } = response.data.data
+      toast.success(`Restored ${restored.length} assets${skipped.length ? `, ${skipped.length} skipped` : ''}`)
+      const quarantineResponse = await axios.get('/api/organization/quarantine')
+      setQuarantine(quarantineResponse.data.data || [])
+    } catch (error) {
+      console.error('Failed to restore assets:', error)
+      toast.error('Failed to restore assets')
+    }
+  }
+
   const CategoryCard = ({ category }) => (
     <div className="card">
       <div className="flex items-start justify-between">
@@ -85,10 +145,14 @@ const Organization = () => {
           </div>
           <div className="flex-1 min-w-0">
             <h3 className="text-sm font-medium text-gray-900">{category.name}</h3>
-            <p className="text-sm text-gray-500 mt-1">{category.description}</p>
+            <p className="text-sm text-gray-500 mt-1">
+              {category.virtual ? `Smart folder: ${category.query}` : category.description}
+            </p>
             <div className="mt-2 flex items-center space-x-4 text-xs text-gray-500">
-              <span>{category.count} documents</span>
-              <span>Priority: {category.priority}</span>
+              <span>{category.count ?? category.fileCount} documents</span>
+              {category.virtual
+                ? <span>Read-only</span>
+                : category.priority !== undefined && <span>Priority: {category.priority}</span>}
             </div>
           </div>
         </div>
@@ -99,12 +163,14 @@ const Organization = () => {
           >
             <Eye className="w-4 h-4" />
           </button>
-          <button
-            className="p-1 text-gray-400 hover:text-red-600"
-            title="Delete category"
-          >
-            <Trash2 className="w-4 h-4" />
-          </button>
+          {!category.readOnly && (
+            <button
+              className="p-1 text-gray-400 hover:text-red-600"
+              title="Delete category"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          )}
         </div>
       </div>
     </div>
@@ -219,6 +285,77 @@ const Organization = () => {
         )}
       </div>
 
+      {/* Orphaned Assets */}
+      <div className="card">
+        <div className="flex justify-between items-center mb-4">
+          <div>
+            <h3 className="text-lg font-medium text-gray-900">Orphaned Assets</h3>
+            <p className="text-xs text-gray-500">
+              Images no longer referenced by their document are moved to a quarantine area and can be restored
+            </p>
+          </div>
+          <button
+            onClick={handleScanAssets}
+            disabled={scanningAssets}
+            className="btn btn-secondary flex items-center space-x-2"
+          >
+            <ImageOff className="w-4 h-4" />
+            <span>{scanningAssets ? 'Scanning...' : 'Find Orphaned Assets'}</span>
+          </button>
+        </div>
+
+        {orphanScan && (
+          <div className="p-3 bg-gray-50 rounded-lg mb-3">
+            <div className="flex items-center justify-between">
+              <div className="text-sm text-gray-900">
+                {orphanScan.orphans.length} orphaned of {orphanScan.assetsScanned} assets ({formatFileSize(orphanScan.totalSize)})
+              </div>
+              {orphanScan.orphans.length > 0 && (
+                <button
+                  onClick={handleQuarantineAssets}
+                  className="btn btn-primary flex items-center space-x-2"
+                >
+                  <Archive className="w-4 h-4" />
+                  <span>Move to Quarantine</span>
+                </button>
+              )}
+            </div>
+            <ul className="mt-2 space-y-1 max-h-48 overflow-y-auto">
+              {orphanScan.orphans.map(orphan => (
+                <li key={orphan.path} className="flex justify-between text-xs text-gray-500">
+                  <span className="truncate">{orphan.path}</span>
+                  <span className="ml-2 flex-shrink-0">{formatFileSize(orphan.size)}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {quarantine.length > 0 && (
+          <div className="space-y-2">
+            {quarantine.map(batch => (
+              <div key={batch.id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                <div>
+                  <div className="text-sm font-medium text-gray-900">
+                    Quarantined {new Date(batch.createdAt).toLocaleString()}
+                  </div>
+                  <div className="text-xs text-gray-500">
+                    {batch.count} assets, {formatFileSize(batch.totalSize)}
+                  </div>
+                </div>
+                <button
+                  onClick={() => handleRestoreBatch(batch.id)}
+                  className="btn btn-secondary flex items-center space-x-2"
+                >
+                  <RotateCcw className="w-4 h-4" />
+                  <span>Restore</span>
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
       {/* Organization Rules */}
       <div className="card">
         <h3 className="text-lg font-medium text-gray-900 mb-4">Organization Rules</h3>
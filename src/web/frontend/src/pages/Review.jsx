@@ -0,0 +1,219 @@
+import React, { useState, useEffect } from 'react'
+import { Inbox, Check, CheckCheck, FolderInput, RefreshCw } from 'lucide-react'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+
+const Review = () => {
+  const [inbox, setInbox] = useState(null)
+  const [categories, setCategories] = useState([])
+  const [selected, setSelected] = useState([])
+  const [overrideCategory, setOverrideCategory] = useState('')
+  const [loading, setLoading] = useState(true)
+  const [working, setWorking] = useState(false)
+
+  useEffect(() => {
+    fetchReviewData()
+  }, [])
+
+  const fetchReviewData = async () => {
+    try {
+      const [inboxResponse, categoriesResponse] = await Promise.all([
+        axios.get('/api/organization/inbox'),
+        axios.get('/api/organization/categories')
+      ])
+
+      setInbox(inboxResponse.data.data)
+      setSelected([])
+      // Categories arrive as an MCP tool result
+      const categoriesText = categoriesResponse.data.data?.content?.[0]?.text
+      const listing = categoriesText ? JSON.parse(categoriesText) : categoriesResponse.data.data
+      setCategories((listing?.categories || [])
+        .map(category => category.path || category.name)
+        .filter(category => category && category !== inboxResponse.data.data.folder))
+    } catch (error) {
+      console.error('Failed to fetch review inbox:', error)
+      toast.error('Failed to load review inbox')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const reportDecisions = ({ filed, errors }) => {
+    if (filed.length > 0) {
+      toast.success(`Filed ${filed.length} document${filed.length === 1 ? '' : 's'}`)
+    }
+    errors.forEach(({ id, error }) => toast.error(`${id}: ${error}`))
+  }
+
+  const handleAccept = async (ids = null) => {
+    setWorking(true)
+    try {
+      const response = await axios.post('/api/organization/inbox/accept', { ids })
+      reportDecisions(response.data.data)
+      fetchReviewData()
+    } catch (error) {
+      console.error('Failed to accept suggestions:', error)
+      toast.error('Failed to accept suggestions')
+    } finally {
+      setWorking(false)
+    }
+  }
+
+  const handleOverride = async (ids, category) => {
+    if (!category) {
+      toast.error('Choose a category first')
+      return
+    }
+    setWorking(true)
+    try {
+      const response = await axios.post('/api/organization/inbox/override', { ids, category })
+      reportDecisions(response.data.data)
+      fetchReviewData()
+    } catch (error) {
+      console.error('Failed to file documents:', error)
+      toast.error('Failed to file documents')
+    } finally {
+      setWorking(false)
+    }
+  }
+
+  const toggleSelected = (id) => {
+    setSelected(current => current.includes(id) ? current.filter(item => item !== id) : [...current, id])
+  }
+
+  const formatConfidence = (confidence) => {
+    return confidence === null || confidence === undefined ? 'keyword match' : `${Math.round(confidence * 100)}%`
+  }
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    )
+  }
+
+  const items = inbox?.items || []
+  const decisions = inbox?.decisions
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Review</h1>
+          <p className="mt-1 text-sm text-gray-500">
+            Files categorized with less than {Math.round((inbox?.threshold || 0) * 100)}% confidence wait here in {inbox?.folder}
+          </p>
+        </div>
+        <div className="flex space-x-2">
+          <button
+            onClick={fetchReviewData}
+            className="btn btn-secondary flex items-center space-x-2"
+          >
+            <RefreshCw className="w-4 h-4" />
+            <span>Refresh</span>
+          </button>
+          <button
+            onClick={() => handleAccept(selected.length > 0 ? selected : null)}
+            disabled={working || items.length === 0}
+            className="btn btn-primary flex items-center space-x-2"
+          >
+            <CheckCheck className="w-4 h-4" />
+            <span>{selected.length > 0 ? `Accept ${selected.length} Selected` : 'Accept All Suggestions'}</span>
+          </button>
+        </div>
+      </div>
+
+      {decisions && decisions.decisions > 0 && (
+        <div className="text-sm text-gray-500">
+          {decisions.accepted} of {decisions.decisions} past suggestions accepted as they were
+        </div>
+      )}
+
+      {selected.length > 0 && (
+        <div className="card flex items-center space-x-2">
+          <span className="text-sm text-gray-900">File {selected.length} selected under</span>
+          <select
+            value={overrideCategory}
+            onChange={(e) => setOverrideCategory(e.target.value)}
+            className="input flex-1"
+          >
+            <option value="">Choose a category...</option>
+            {categories.map(category => (
+              <option key={category} value={category}>{category}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => handleOverride(selected, overrideCategory)}
+            disabled={working}
+            className="btn btn-secondary flex items-center space-x-2"
+          >
+            <FolderInput className="w-4 h-4" />
+            <span>Move</span>
+          </button>
+        </div>
+      )}
+
+      {items.length === 0 ? (
+        <div className="card text-center py-12">
+          <Inbox className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+          <p className="text-gray-500">Nothing to review</p>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {items.map(item => (
+            <div key={item.id} className="card">
+              <div className="flex items-start space-x-3">
+                <input
+                  type="checkbox"
+                  checked={selected.includes(item.id)}
+                  onChange={() => toggleSelected(item.id)}
+                  className="mt-1"
+                />
+                <div className="flex-1 min-w-0">
+                  <div className="flex justify-between items-center">
+                    <div>
+                      <div className="text-sm font-medium text-gray-900 truncate">{item.id}</div>
+                      <div className="text-xs text-gray-500">
+                        {item.originalPath} · added {new Date(item.addedAt).toLocaleString()}
+                      </div>
+                    </div>
+                  </div>
+
+                  <div className="mt-3 space-y-2">
+                    {item.suggestions.map((suggestion, index) => (
+                      <div key={suggestion.category} className="flex items-start justify-between p-3 bg-gray-50 rounded-lg">
+                        <div>
+                          <div className="text-sm text-gray-900">
+                            {index + 1}. {suggestion.category}
+                            <span className="ml-2 text-xs text-gray-500">{formatConfidence(suggestion.confidence)}</span>
+                          </div>
+                          <ul className="mt-1 space-y-0.5">
+                            {(suggestion.reasons || []).map(reason => (
+                              <li key={reason} className="text-xs text-gray-500">{reason}</li>
+                            ))}
+                          </ul>
+                        </div>
+                        <button
+                          onClick={() => index === 0 ? handleAccept([item.id]) : handleOverride([item.id], suggestion.category)}
+                          disabled={working}
+                          className="btn btn-secondary flex items-center space-x-1 flex-shrink-0 ml-2"
+                        >
+                          <Check className="w-4 h-4" />
+                          <span>File here</span>
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default Review
@@ -13,6 +13,7 @@ export class MCPBridge {
   constructor() {
     this.mcpServer = null;
     this.initialized = false;
+    this.searchEngine = null;
   }
 
   async initialize() {
@@ -54,6 +55,36 @@ export class MCPBridge {
           return this.searchDocumentsSimplified(args);
         case 'get_document_content':
           return this.getDocumentContentSimplified(args);
+        case 'manage_search_index':
+          return this.manageSearchIndexSimplified(args);
+        case 'find_similar_documents':
+          return this.findSimilarDocumentsSimplified(args);
+        case 'search_code_snippets':
+          return this.searchCodeSnippetsSimplified(args);
+        case 'get_backlinks':
+          return this.getBacklinksSimplified(args);
+        case 'get_outgoing_links':
+          return this.getOutgoingLinksSimplified(args);
+        case 'get_link_graph':
+          return this.getLinkGraphSimplified(args);
+        case 'check_links':
+          return this.checkLinksSimplified(args);
+        case 'manage_orphaned_assets':
+          return this.manageOrphanedAssetsSimplified(args);
+        case 'list_files_in_category':
+          return this.listFilesInCategorySimplified(args);
+        case 'manage_saved_searches':
+          return this.manageSavedSearchesSimplified(args);
+        case 'run_saved_search':
+          return this.runSavedSearchSimplified(args);
+        case 'manage_organization_rules':
+          return this.manageOrganizationRulesSimplified(args);
+        case 'manage_review_inbox':
+          return this.manageReviewInboxSimplified(args);
+        case 'add_tags':
+        case 'remove_tags':
+        case 'list_tags':
+          return this.manageTagsSimplified(toolName, args);
         default:
           throw new Error(`Tool ${toolName} not implemented in simplified mode`);
       }
@@ -76,8 +107,61 @@ export class MCPBridge {
     return await this.callTool('list_categories');
   }
 
-  async searchDocuments(query, category = null, limit = 10) {
-    return await this.callTool('search_documents', { query, category, limit });
+  async searchDocuments(query, category = null, limit = 10, options = {}) {
+    return await this.callTool('search_documents', { query, category, limit, ...options });
+  }
+
+  async findSimilarDocuments(documentPath, limit = 10, minSimilarity = 0.1) {
+    return await this.callTool('find_similar_documents', {
+      document_path: documentPath,
+      limit,
+      min_similarity: minSimilarity
+    });
+  }
+
+  async searchCodeSnippets(query = '', language = null, limit = 20) {
+    return await this.callTool('search_code_snippets', { query, language, limit });
+  }
+
+  async getBacklinks(documentPath) {
+    return await this.callTool('get_backlinks', { document_path: documentPath });
+  }
+
+  async getOutgoingLinks(documentPath, includeUnresolved = true) {
+    return await this.callTool('get_outgoing_links', {
+      document_path: documentPath,
+      include_unresolved: includeUnresolved
+    });
+  }
+
+  async getLinkGraph(directory = null, includeUnresolved = false) {
+    return await this.callTool('get_link_graph', {
+      directory,
+      include_unresolved: includeUnresolved
+    });
+  }
+
+  async checkLinks(directory = null, maxSuggestions = 3) {
+    return await this.callTool('check_links', {
+      directory,
+      max_suggestions: maxSuggestions
+    });
+  }
+
+  async findOrphanedAssets(directory = null) {
+    return await this.callTool('manage_orphaned_assets', { action: 'find', directory });
+  }
+
+  async quarantineOrphanedAssets(directory = null, paths = null, dryRun = false) {
+    return await this.callTool('manage_orphaned_assets', { action: 'quarantine', directory, paths, dry_run: dryRun });
+  }
+
+  async listQuarantine() {
+    return await this.callTool('manage_orphaned_assets', { action: 'list_quarantine' });
+  }
+
+  async restoreQuarantinedAssets(batchId, paths = null) {
+    return await this.callTool('manage_orphaned_assets', { action: 'restore', batch_id: batchId, paths });
   }
 
   async getDocumentContent(filePath) {
@@ -107,8 +191,40 @@ export class MCPBridge {
   }
 
   // Organization Methods
-  async organizeDocuments(dryRun = false) {
-    return await this.callTool('organize_documents', { dry_run: dryRun });
+  async organizeDocuments(dryRun = false, explain = false) {
+    return await this.callTool('organize_documents', { dry_run: dryRun, explain });
+  }
+
+  async getOrganizationRules() {
+    return await this.callTool('manage_organization_rules', { action: 'get' });
+  }
+
+  async updateOrganizationRules(rules) {
+    return await this.callTool('manage_organization_rules', { action: 'update', rules });
+  }
+
+  async getReviewInbox() {
+    return await this.callTool('manage_review_inbox', { action: 'list' });
+  }
+
+  async acceptReviewSuggestions(ids = null, minConfidence = 0) {
+    return await this.callTool('manage_review_inbox', { action: 'accept', ids, min_confidence: minConfidence });
+  }
+
+  async overrideReviewSuggestions(ids, category) {
+    return await this.callTool('manage_review_inbox', { action: 'override', ids, category });
+  }
+
+  async listTags(documentPath = null, category = null) {
+    return await this.callTool('list_tags', { document_path: documentPath, category });
+  }
+
+  async addTags(documentPath, tags, storage = null) {
+    return await this.callTool('add_tags', { document_path: documentPath, tags, storage });
+  }
+
+  async removeTags(documentPath, tags) {
+    return await this.callTool('remove_tags', { document_path: documentPath, tags });
   }
 
   async findDuplicates(directory = null, similarityThreshold = 0.8) {
@@ -164,8 +280,8 @@ export class MCPBridge {
   }
 
   // Utility Methods
-  async listFilesInCategory(category) {
-    return await this.callTool('list_files_in_category', { category });
+  async listFilesInCategory(category, options = {}) {
+    return await this.callTool('list_files_in_category', { category, ...options });
   }
 
   async resolvePath(pathToResolve, basePath = null, pathType = 'any', validateExistence = true) {
@@ -181,6 +297,38 @@ export class MCPBridge {
     return await this.callTool('validate_paths', { paths });
   }
 
+  async listSavedSearches() {
+    return await this.callTool('manage_saved_searches', { action: 'list' });
+  }
+
+  async getSavedSearch(id) {
+    return await this.callTool('manage_saved_searches', { action: 'get', id });
+  }
+
+  async createSavedSearch(savedSearch) {
+    return await this.callTool('manage_saved_searches', { action: 'create', ...savedSearch });
+  }
+
+  async updateSavedSearch(id, changes) {
+    return await this.callTool('manage_saved_searches', { action: 'update', ...changes, id });
+  }
+
+  async deleteSavedSearch(id) {
+    return await this.callTool('manage_saved_searches', { action: 'delete', id });
+  }
+
+  async runSavedSearch(id, options = {}) {
+    return await this.callTool('run_saved_search', { id, ...options });
+  }
+
+  async rebuildSearchIndex() {
+    return await this.callTool('manage_search_index', { action: 'rebuild' });
+  }
+
+  async verifySearchIndex(repair = false) {
+    return await this.callTool('manage_search_index', { action: 'verify', repair });
+  }
+
   // Get available tools from MCP server
   async getAvailableTools() {
     if (!this.initialized) {
@@ -272,6 +420,12 @@ export class MCPBridge {
           }
         }
       }
+
+      // Tags cut across categories, so they are counted over every indexed document
+      const { countTags } = await import('../organize/tag_manager.js');
+      const { searchIndex } = await this.getSearchEngine();
+      await searchIndex.refresh();
+      const tags = countTags(Object.values(searchIndex.documents).map(entry => entry.tags));
       
       return {
         content: [{
@@ -279,7 +433,9 @@ export class MCPBridge {
           text: JSON.stringify({
             totalFiles,
             totalCategories: Object.keys(categories).length,
+            totalTags: tags.length,
             categories,
+            tags,
             lastUpdated: new Date().toISOString()
           }, null, 2)
         }]
@@ -313,6 +469,21 @@ export class MCPBridge {
           }
         }
       }
+
+      // Saved searches materialized as read-only smart folders with live counts
+      const savedSearchManager = await this.getSavedSearchManager();
+      for (const virtualCategory of await savedSearchManager.getVirtualCategories()) {
+        categories.push({
+          name: virtualCategory.name,
+          fileCount: virtualCategory.document_folder_count,
+          query: virtualCategory.query,
+          scope: virtualCategory.scope,
+          savedSearchId: virtualCategory.saved_search_id,
+          icon: '🔍',
+          virtual: true,
+          readOnly: true
+        });
+      }
       
       return {
         content: [{
@@ -326,51 +497,253 @@ export class MCPBridge {
   }
 
   async searchDocumentsSimplified(args) {
-    const fs = await import('fs/promises');
-    const { query, category, limit = 10 } = args;
-    
+    const { query, category, tags = null, limit = 10, offset = 0, cursor = null, fuzzy = false, semantic = false, stemming = true } = args;
+
     try {
-      const results = [];
-      const searchDir = category ? path.join(this.syncHub, category) : this.syncHub;
-      
-      if (await fs.access(searchDir).then(() => true).catch(() => false)) {
-        const items = await fs.readdir(searchDir, { withFileTypes: true });
-        
-        for (const item of items) {
-          if (item.isFile() && !item.name.startsWith('.')) {
-            if (item.name.toLowerCase().includes(query.toLowerCase())) {
-              const filePath = path.join(searchDir, item.name);
-              const stats = await fs.stat(filePath);
-              
-              results.push({
-                name: item.name,
-                path: filePath,
-                category: category || path.basename(path.dirname(filePath)),
-                size: stats.size,
-                modified: stats.mtime.toISOString()
-              });
-              
-              if (results.length >= limit) break;
-            }
-          }
-        }
+      const searchEngine = await this.getSearchEngine();
+      const results = await searchEngine.searchDocuments(query, {
+        category: category || null,
+        tags,
+        limit,
+        offset,
+        cursor,
+        fuzzy,
+        semantic,
+        stemming
+      });
+
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify(results, null, 2)
+        }]
+      };
+    } catch (error) {
+      // Query syntax, cursor and limit errors keep their details for the API layer
+      if (error.name === 'SearchQueryError' || error.name === 'SearchCursorError' || error.type === 'VALIDATION_ERROR') {
+        throw error;
       }
-      
+      throw new Error(`Search documents failed: ${error.message}`);
+    }
+  }
+
+  // A category listing is a match-all search scoped to the category, so it pages the same way
+  async listFilesInCategorySimplified(args) {
+    const { category, limit = 50, offset = 0, cursor = null } = args;
+
+    try {
+      const searchEngine = await this.getSearchEngine();
+      const savedSearchManager = await this.getSavedSearchManager();
+      const savedSearch = await savedSearchManager.findVirtualCategory(category);
+
+      // Virtual categories list the live results of their saved search
+      const results = savedSearch
+        ? await savedSearchManager.run(savedSearch.id, { limit, offset, cursor })
+        : await searchEngine.searchDocuments('*', { category, limit, offset, cursor });
+
       return {
         content: [{
           type: 'text',
           text: JSON.stringify({
-            query,
-            results,
-            totalFound: results.length
+            category,
+            total_files: results.total_results,
+            files: results.results.map(result => ({
+              name: result.documentFolder.name,
+              path: result.documentFolder.path,
+              mainFile: result.documentFolder.mainFile,
+              size: result.documentFolder.size,
+              modified: result.documentFolder.modified
+            })),
+            offset: results.offset,
+            limit: results.limit,
+            has_more: results.has_more,
+            next_cursor: results.next_cursor,
+            ...(savedSearch && { virtual: true, read_only: true, saved_search: savedSearch }),
+            ...(results.warning && { warning: results.warning })
           }, null, 2)
         }]
       };
     } catch (error) {
-      throw new Error(`Search documents failed: ${error.message}`);
+      if (error.name === 'SearchCursorError' || error.type === 'VALIDATION_ERROR') {
+        throw error;
+      }
+      throw new Error(`List files in category failed: ${error.message}`);
+    }
+  }
+
+  async findSimilarDocumentsSimplified(args) {
+    const { document_path, limit = 10, min_similarity = 0.1 } = args;
+
+    try {
+      const searchEngine = await this.getSearchEngine();
+      const result = await searchEngine.findSimilarDocuments(document_path, {
+        limit,
+        minSimilarity: min_similarity
+      });
+
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify(result, null, 2)
+        }]
+      };
+    } catch (error) {
+      throw new Error(`Find similar documents failed: ${error.message}`);
+    }
+  }
+
+  async searchCodeSnippetsSimplified(args) {
+    const { query = '', language = null, limit = 20 } = args;
+
+    try {
+      const searchEngine = await this.getSearchEngine();
+      const result = await searchEngine.searchCodeSnippets(query, { language, limit });
+
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({ query, language, ...result }, null, 2)
+        }]
+      };
+    } catch (error) {
+      throw new Error(`Search code snippets failed: ${error.message}`);
+    }
+  }
+
+  async getBacklinksSimplified(args) {
+    const { document_path } = args;
+
+    try {
+      const searchEngine = await this.getSearchEngine();
+      const result = await searchEngine.getBacklinks(document_path);
+
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify(result, null, 2)
+        }]
+      };
+    } catch (error) {
+      throw new Error(`Get backlinks failed: ${error.message}`);
+    }
+  }
+
+  async getOutgoingLinksSimplified(args) {
+    const { document_path, include_unresolved = true } = args;
+
+    try {
+      const searchEngine = await this.getSearchEngine();
+      const result = await searchEngine.getOutgoingLinks(document_path, { includeUnresolved: include_unresolved });
+
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify(result, null, 2)
+        }]
+      };
+    } catch (error) {
+      throw new Error(`Get outgoing links failed: ${error.message}`);
+    }
+  }
+
+  async getLinkGraphSimplified(args) {
+    const { directory = null, include_unresolved = false } = args;
+
+    try {
+      const searchEngine = await this.getSearchEngine();
+      const result = await searchEngine.getLinkGraph({ directory, includeUnresolved: include_unresolved });
+
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify(result, null, 2)
+        }]
+      };
+    } catch (error) {
+      throw new Error(`Get link graph failed: ${error.message}`);
+    }
+  }
+
+  async checkLinksSimplified(args) {
+    const { directory = null, max_suggestions = 3 } = args;
+
+    try {
+      const searchEngine = await this.getSearchEngine();
+      const scanPath = path.resolve(this.syncHub, directory || '.');
+      const relative = path.relative(this.syncHub, scanPath);
+      if (relative.startsWith('..') || path.isAbsolute(relative)) {
+        throw new Error(`Directory is outside the sync hub: ${directory}`);
+      }
+
+      const { LinkChecker } = await import('../organize/link_checker.js');
+      const checker = new LinkChecker(searchEngine.documentFolderManager, {
+        searchIndex: searchEngine.searchIndex,
+        maxSuggestions: max_suggestions
+      });
+      const report = await checker.checkLinks(scanPath);
+
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({
+            directory: relative || '.',
+            documents_scanned: report.documentsScanned,
+            files_scanned: report.filesScanned,
+            references_checked: report.referencesChecked,
+            issue_count: report.issues.length,
+            counts: report.counts,
+            issues: report.issues
+          }, null, 2)
+        }]
+      };
+    } catch (error) {
+      throw new Error(`Check links failed: ${error.message}`);
     }
   }
 
+  async manageOrphanedAssetsSimplified(args) {
+    const { action = 'find', directory = null, paths = null, batch_id, dry_run = false } = args;
+    const scanPath = path.resolve(this.syncHub, directory || '.');
+    const relative = path.relative(this.syncHub, scanPath);
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw new Error(`Directory is outside the sync hub: ${directory}`);
+    }
+
+    const { OrphanedAssetManager } = await import('../organize/orphaned_asset_manager.js');
+    const manager = new OrphanedAssetManager((await this.getSearchEngine()).documentFolderManager);
+    const selectedPaths = Array.isArray(paths) && paths.length > 0 ? paths : null;
+    let result;
+
+    switch (action) {
+      case 'find':
+        result = await manager.findOrphanedAssets(scanPath);
+        break;
+      case 'quarantine': {
+        const { orphans } = await manager.findOrphanedAssets(scanPath);
+        const selected = selectedPaths
+          ? orphans.filter(orphan => selectedPaths.map(item => path.normalize(item)).includes(orphan.path))
+          : orphans;
+        result = await manager.quarantineAssets(selected.map(orphan => orphan.path), { dryRun: dry_run });
+        break;
+      }
+      case 'list_quarantine':
+        result = await manager.listQuarantine();
+        break;
+      case 'restore':
+        result = await manager.restoreAssets(batch_id, { paths: selectedPaths });
+        break;
+      default:
+        throw new Error(`Unknown orphaned asset action: ${action}`);
+    }
+
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify({ action, result, timestamp: new Date().toISOString() }, null, 2)
+      }]
+    };
+  }
+
   async getDocumentContentSimplified(args) {
     const fs = await import('fs/promises');
     const { file_path } = args;
@@ -395,6 +768,277 @@ export class MCPBridge {
     }
   }
 
+  // Lazily build the organize-module search engine against the sync hub
+  async getSearchEngine() {
+    if (!this.searchEngine) {
+      const { DocumentFolderManager } = await import('../organize/document_folder_manager.js');
+      const { DocumentSearchEngine } = await import('../organize/document_search_engine.js');
+
+      this.searchEngine = new DocumentSearchEngine(new DocumentFolderManager(this.syncHub), {
+        indexDirectory: path.join(this.projectRoot, 'data', 'search_index'),
+        configPath: path.join(this.projectRoot, 'config', 'organize_config.conf')
+      });
+    }
+
+    return this.searchEngine;
+  }
+
+  async getSavedSearchManager() {
+    if (!this.savedSearchManager) {
+      const { SavedSearchManager } = await import('../organize/saved_search_manager.js');
+
+      this.savedSearchManager = new SavedSearchManager({
+        configPath: path.join(this.projectRoot, 'config', 'organize_config.conf'),
+        searchEngine: await this.getSearchEngine()
+      });
+    }
+
+    return this.savedSearchManager;
+  }
+
+  async manageSavedSearchesSimplified(args) {
+    const { action = 'list', id, name, query, description, category, virtual_category } = args;
+    const manager = await this.getSavedSearchManager();
+    let result;
+
+    switch (action) {
+      case 'list':
+        result = await manager.list();
+        break;
+      case 'get':
+        result = await manager.get(id);
+        break;
+      case 'create':
+        result = await manager.create({ name, query, description, category, virtualCategory: virtual_category });
+        break;
+      case 'update':
+        result = await manager.update(id, { name, query, description, category, virtualCategory: virtual_category });
+        break;
+      case 'delete':
+        result = await manager.delete(id);
+        break;
+      default:
+        throw new Error(`Unknown saved search action: ${action}`);
+    }
+
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify({ action, result, timestamp: new Date().toISOString() }, null, 2)
+      }]
+    };
+  }
+
+  async runSavedSearchSimplified(args) {
+    const { id, limit = 10, offset = 0, cursor = null } = args;
+    const manager = await this.getSavedSearchManager();
+    const results = await manager.run(id, { limit, offset, cursor });
+
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify(results, null, 2)
+      }]
+    };
+  }
+
+  async manageOrganizationRulesSimplified(args) {
+    const { action = 'get', rules, file_path } = args;
+    const { RulesEngine } = await import('../organize/rules_engine.js');
+    const engine = new RulesEngine({
+      syncHub: this.syncHub,
+      configPath: path.join(this.projectRoot, 'config', 'organize_config.conf')
+    });
+    let result;
+
+    switch (action) {
+      case 'get':
+        result = { rules: await engine.getRules() };
+        break;
+      case 'update':
+        result = { rules: await engine.save(rules) };
+        break;
+      case 'validate': {
+        const errors = engine.validateRules(rules);
+        result = { valid: errors.length === 0, errors };
+        break;
+      }
+      case 'explain': {
+        const filePath = path.resolve(this.syncHub, file_path || '');
+        const relative = path.relative(this.syncHub, filePath);
+        if (!file_path || !relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+          throw new Error('file_path must be a file inside the sync hub');
+        }
+        const fs = await import('fs/promises');
+        await engine.load();
+        const file = await engine.describeFile(filePath, await fs.readFile(filePath, 'utf8'));
+        const { rule, fired, actions, trace } = engine.evaluate(file);
+        result = { file: file.relativePath, rule, fired, actions, trace };
+        break;
+      }
+      default:
+        throw new Error(`Unknown rules action: ${action}`);
+    }
+
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify({ action, rules_file: engine.rulesPath, ...result, timestamp: new Date().toISOString() }, null, 2)
+      }]
+    };
+  }
+
+  async manageReviewInboxSimplified(args) {
+    const { action = 'list', ids, category, min_confidence = 0 } = args;
+    const configPath = path.join(this.projectRoot, 'config', 'organize_config.conf');
+    const { ReviewInbox, loadReviewSettings } = await import('../organize/review_inbox.js');
+    const { CategoryClassifier } = await import('../organize/category_classifier.js');
+    const { CategoryManager, normalizeCategoryPath } = await import('../organize/category_manager.js');
+    const searchEngine = await this.getSearchEngine();
+    const { documentFolderManager } = searchEngine;
+    const settings = loadReviewSettings(configPath);
+
+    // Decisions train the same classifier model the MCP server uses
+    const classifier = await new CategoryClassifier(documentFolderManager, {
+      modelPath: path.join(this.projectRoot, 'data', 'category_classifier.json'),
+      excludedFolders: [settings.folder],
+      categoryManager: new CategoryManager({ projectRoot: this.projectRoot, syncHub: this.syncHub, configPath })
+    }).load();
+
+    // Filing an item is a move like any other: links to it are rewritten and the classifier follows it
+    const relocate = async (folderPath, newFolderPath) => {
+      const plan = await searchEngine.planLinkUpdates(folderPath, newFolderPath);
+      await documentFolderManager.moveDocumentFolder(folderPath, newFolderPath);
+      const { syncHubPath } = documentFolderManager;
+      await classifier.relocateDocument(path.relative(syncHubPath, folderPath), path.relative(syncHubPath, newFolderPath));
+      return await searchEngine.applyLinkUpdates(plan);
+    };
+    const inbox = new ReviewInbox(documentFolderManager, { folder: settings.folder, classifier, relocate });
+    let result;
+
+    switch (action) {
+      case 'list': {
+        const items = await inbox.list();
+        result = { folder: inbox.folder, threshold: settings.threshold, total: items.length, items, decisions: await inbox.getDecisionStats() };
+        break;
+      }
+      case 'accept':
+        result = await inbox.acceptSuggestions(Array.isArray(ids) && ids.length > 0 ? ids : null, min_confidence);
+        break;
+      case 'override':
+        if (!Array.isArray(ids) || ids.length === 0 || !normalizeCategoryPath(category)) {
+          throw new Error('ids and a valid category are required to override suggestions');
+        }
+        result = await inbox.override(ids, normalizeCategoryPath(category));
+        break;
+      default:
+        throw new Error(`Unknown review inbox action: ${action}`);
+    }
+
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify({ action, result, timestamp: new Date().toISOString() }, null, 2)
+      }]
+    };
+  }
+
+  async manageTagsSimplified(toolName, args) {
+    const { document_path, tags, storage, category = null, suggest = true, limit = 100 } = args;
+    const { TagManager, loadTagStorage, countTags } = await import('../organize/tag_manager.js');
+    const { CategoryManager } = await import('../organize/category_manager.js');
+    const configPath = path.join(this.projectRoot, 'config', 'organize_config.conf');
+    const searchEngine = await this.getSearchEngine();
+    const { searchIndex, documentFolderManager } = searchEngine;
+
+    const categoryManager = new CategoryManager({ projectRoot: this.projectRoot, syncHub: this.syncHub, configPath });
+    await categoryManager.initialize();
+    const tagManager = new TagManager(documentFolderManager, { storage: loadTagStorage(configPath), categoryManager });
+
+    await searchIndex.refresh({ force: true });
+    const scope = category ? path.normalize(category).replace(/[\\/]+$/, '') : null;
+    const tagCounts = countTags(Object.values(searchIndex.documents)
+      .filter(entry => !scope || entry.folder === scope || entry.folder.startsWith(scope + path.sep))
+      .map(entry => entry.tags));
+
+    let result;
+    if (toolName === 'list_tags' && !document_path) {
+      result = { ...(category && { category }), total_tags: tagCounts.length, tags: tagCounts.slice(0, limit) };
+    } else {
+      const key = document_path ? searchEngine.resolveDocumentKey(document_path) : null;
+      if (!key) {
+        throw new Error(`Not a document folder: ${document_path}`);
+      }
+      const folderPath = searchIndex.resolveFolderPath(searchIndex.documents[key]);
+
+      if (toolName === 'add_tags') {
+        result = { success: true, path: key, ...await tagManager.addTags(folderPath, tags, storage ? { storage } : {}) };
+      } else if (toolName === 'remove_tags') {
+        result = { success: true, path: key, ...await tagManager.removeTags(folderPath, tags) };
+      } else {
+        const current = await tagManager.getTags(folderPath);
+        result = {
+          path: key,
+          ...current,
+          ...(suggest && {
+            suggestions: tagManager.suggestTags(await documentFolderManager.getDocumentContent(folderPath), {
+              keyphrases: searchIndex.documents[key].keyphrases,
+              knownTags: tagCounts.map(({ tag }) => tag),
+              exclude: current.tags,
+              limit: Math.min(limit, 8)
+            })
+          })
+        };
+      }
+    }
+
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify(result, null, 2)
+      }]
+    };
+  }
+
+  async manageSearchIndexSimplified(args) {
+    const { action = 'status', repair = false } = args;
+
+    try {
+      const { searchIndex, semanticIndex } = await this.getSearchEngine();
+      let result;
+
+      switch (action) {
+        case 'status':
+          result = await searchIndex.getStatus();
+          break;
+        case 'verify':
+          result = await searchIndex.verify({ repair });
+          break;
+        case 'rebuild':
+          result = await searchIndex.rebuild();
+          await semanticIndex.rebuild();
+          break;
+        default:
+          throw new Error(`Unknown search index action: ${action}`);
+      }
+
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({
+            action,
+            result,
+            index: await searchIndex.getStatus(),
+            semantic_index: await semanticIndex.getStatus(),
+            timestamp: new Date().toISOString()
+          }, null, 2)
+        }]
+      };
+    } catch (error) {
+      throw new Error(`Search index ${action} failed: ${error.message}`);
+    }
+  }
+
   async cleanup() {
     this.initialized = false;
     console.log('🔄 MCP Bridge cleaned up');
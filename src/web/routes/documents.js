@@ -46,25 +46,55 @@ export class DocumentRoutes {
   setupRoutes() {
     // Search documents
     this.router.get('/search', ErrorHandler.asyncHandler(async (req, res) => {
-      const { q: query, category, limit = 10 } = req.query;
+      const { q, category, limit = 10, offset = 0, cursor, fuzzy, semantic, stemming } = req.query;
+      const filters = [].concat(req.query.filter || []).filter(Boolean);
+      const tags = [].concat(req.query.tag || []).filter(Boolean);
 
-      if (!query) {
+      if (!q && filters.length === 0 && tags.length === 0) {
         return res.status(400).json({
           error: 'Bad Request',
-          message: 'Query parameter "q" is required',
+          message: 'Query parameter "q", "tag" or at least one "filter" is required',
           timestamp: new Date().toISOString()
         });
       }
 
+      // Facet drill-down: each filter narrows the query further; grouping keeps an OR inside one filter from widening it
+      const query = filters.length > 0
+        ? [q || '*', ...filters].map(part => `(${part})`).join(' ')
+        : q || '*';
+
       try {
-        const results = await this.mcpBridge.searchDocuments(query, category, parseInt(limit));
+        const results = await this.mcpBridge.searchDocuments(query, category, parseInt(limit), {
+          offset: parseInt(offset),
+          cursor,
+          tags: tags.length > 0 ? tags : null,
+          fuzzy: fuzzy === 'true',
+          semantic: semantic === 'true',
+          stemming: stemming !== 'false'
+        });
         res.json({
           success: true,
           data: results,
-          query: { query, category, limit },
+          query: { query, filters, tags, category, limit, offset, cursor, fuzzy: fuzzy === 'true', semantic: semantic === 'true', stemming: stemming !== 'false' },
           timestamp: new Date().toISOString()
         });
       } catch (error) {
+        if (error.name === 'SearchQueryError') {
+          return res.status(400).json({
+            error: 'Bad Request',
+            message: `Invalid search query: ${error.reason}`,
+            position: error.position,
+            pointer: error.pointer,
+            timestamp: new Date().toISOString()
+          });
+        }
+        if (error.name === 'SearchCursorError' || error.type === 'VALIDATION_ERROR') {
+          return res.status(400).json({
+            error: 'Bad Request',
+            message: error.message,
+            timestamp: new Date().toISOString()
+          });
+        }
         throw new Error(`Search failed: ${error.message}`);
       }
     }));
@@ -344,21 +374,329 @@ export class DocumentRoutes {
       }
     }));
 
+    // List saved searches
+    this.router.get('/saved-searches', ErrorHandler.asyncHandler(async (req, res) => {
+      try {
+        const result = await this.mcpBridge.listSavedSearches();
+        res.json({
+          success: true,
+          data: result,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        throw new Error(`Failed to list saved searches: ${error.message}`);
+      }
+    }));
+
+    // Create a saved search (optionally shown as a read-only virtual category)
+    this.router.post('/saved-searches', ErrorHandler.asyncHandler(async (req, res) => {
+      const { name, query, description, category, virtualCategory = false } = req.body;
+
+      if (!name || !query) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'Name and query are required',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      try {
+        const result = await this.mcpBridge.createSavedSearch({
+          name,
+          query,
+          description,
+          category,
+          virtual_category: virtualCategory
+        });
+        res.status(201).json({
+          success: true,
+          message: 'Saved search created successfully',
+          data: result,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        return this.handleSavedSearchError(res, error, 'create saved search');
+      }
+    }));
+
+    // Get a saved search
+    this.router.get('/saved-searches/:id', ErrorHandler.asyncHandler(async (req, res) => {
+      try {
+        const result = await this.mcpBridge.getSavedSearch(req.params.id);
+        res.json({
+          success: true,
+          data: result,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        return this.handleSavedSearchError(res, error, 'get saved search');
+      }
+    }));
+
+    // Run a saved search
+    this.router.get('/saved-searches/:id/results', ErrorHandler.asyncHandler(async (req, res) => {
+      const { limit = 10, offset = 0, cursor } = req.query;
+
+      try {
+        const result = await this.mcpBridge.runSavedSearch(req.params.id, {
+          limit: parseInt(limit),
+          offset: parseInt(offset),
+          cursor
+        });
+        res.json({
+          success: true,
+          data: result,
+          query: { limit, offset, cursor },
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        return this.handleSavedSearchError(res, error, 'run saved search');
+      }
+    }));
+
+    // Update a saved search
+    this.router.put('/saved-searches/:id', ErrorHandler.asyncHandler(async (req, res) => {
+      const { name, query, description, category, virtualCategory } = req.body;
+
+      try {
+        const result = await this.mcpBridge.updateSavedSearch(req.params.id, {
+          name,
+          query,
+          description,
+          category,
+          virtual_category: virtualCategory
+        });
+        res.json({
+          success: true,
+          message: 'Saved search updated successfully',
+          data: result,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        return this.handleSavedSearchError(res, error, 'update saved search');
+      }
+    }));
+
+    // Delete a saved search (documents are untouched)
+    this.router.delete('/saved-searches/:id', ErrorHandler.asyncHandler(async (req, res) => {
+      try {
+        const result = await this.mcpBridge.deleteSavedSearch(req.params.id);
+        res.json({
+          success: true,
+          message: 'Saved search deleted successfully',
+          data: result,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        return this.handleSavedSearchError(res, error, 'delete saved search');
+      }
+    }));
+
+    // Link graph between document folders, optionally limited to a directory
+    this.router.get('/link-graph', ErrorHandler.asyncHandler(async (req, res) => {
+      const { directory, includeUnresolved } = req.query;
+
+      try {
+        const result = await this.mcpBridge.getLinkGraph(directory || null, includeUnresolved === 'true');
+        res.json({
+          success: true,
+          data: result,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        throw new Error(`Failed to build link graph: ${error.message}`);
+      }
+    }));
+
+    // Every tag in use with its document count, optionally within a category
+    this.router.get('/tags', ErrorHandler.asyncHandler(async (req, res) => {
+      const { category } = req.query;
+
+      try {
+        const result = await this.mcpBridge.listTags(null, category || null);
+        res.json({
+          success: true,
+          data: JSON.parse(result.content[0].text),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        throw new Error(`Failed to list tags: ${error.message}`);
+      }
+    }));
+
+    // Documents linking to a document folder (path is URL-encoded, relative to the sync hub)
+    this.router.get('/:path/backlinks', ErrorHandler.asyncHandler(async (req, res) => {
+      const { path: documentPath } = req.params;
+
+      try {
+        const result = await this.mcpBridge.getBacklinks(documentPath);
+        res.json({
+          success: true,
+          data: result,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        throw new Error(`Failed to get backlinks: ${error.message}`);
+      }
+    }));
+
+    // Links from a document folder to other documents
+    this.router.get('/:path/links', ErrorHandler.asyncHandler(async (req, res) => {
+      const { path: documentPath } = req.params;
+      const { includeUnresolved } = req.query;
+
+      try {
+        const result = await this.mcpBridge.getOutgoingLinks(documentPath, includeUnresolved !== 'false');
+        res.json({
+          success: true,
+          data: result,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        throw new Error(`Failed to get outgoing links: ${error.message}`);
+      }
+    }));
+
+    // Find documents related to a document folder (path is URL-encoded, relative to the sync hub)
+    this.router.get('/:path/similar', ErrorHandler.asyncHandler(async (req, res) => {
+      const { path: documentPath } = req.params;
+      const { limit = 10, minSimilarity = 0.1 } = req.query;
+
+      try {
+        const result = await this.mcpBridge.findSimilarDocuments(documentPath, parseInt(limit), parseFloat(minSimilarity));
+        res.json({
+          success: true,
+          data: result,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        throw new Error(`Failed to find similar documents: ${error.message}`);
+      }
+    }));
+
+    // Tags of a document folder with suggested tags (path is URL-encoded, relative to the sync hub)
+    this.router.get('/:path/tags', ErrorHandler.asyncHandler(async (req, res) => {
+      const { path: documentPath } = req.params;
+
+      try {
+        const result = await this.mcpBridge.listTags(documentPath);
+        res.json({
+          success: true,
+          data: JSON.parse(result.content[0].text),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        throw new Error(`Failed to get document tags: ${error.message}`);
+      }
+    }));
+
+    // Tag a document folder
+    this.router.post('/:path/tags', ErrorHandler.asyncHandler(async (req, res) => {
+      const { path: documentPath } = req.params;
+      const { tags, storage } = req.body;
+
+      if (!Array.isArray(tags) || tags.length === 0) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'tags must be a non-empty array',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      try {
+        const result = await this.mcpBridge.addTags(documentPath, tags, storage || null);
+        res.json({
+          success: true,
+          data: JSON.parse(result.content[0].text),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        if (error.type === 'VALIDATION_ERROR') {
+          return res.status(400).json({
+            error: 'Bad Request',
+            message: error.message,
+            timestamp: new Date().toISOString()
+          });
+        }
+        throw new Error(`Failed to add tags: ${error.message}`);
+      }
+    }));
+
+    // Untag a document folder
+    this.router.delete('/:path/tags', ErrorHandler.asyncHandler(async (req, res) => {
+      const { path: documentPath } = req.params;
+      const { tags } = req.body;
+
+      if (!Array.isArray(tags) || tags.length === 0) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'tags must be a non-empty array',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      try {
+        const result = await this.mcpBridge.removeTags(documentPath, tags);
+        res.json({
+          success: true,
+          data: JSON.parse(result.content[0].text),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        throw new Error(`Failed to remove tags: ${error.message}`);
+      }
+    }));
+
     // List files in category
     this.router.get('/category/:category', ErrorHandler.asyncHandler(async (req, res) => {
       const { category } = req.params;
+      const { limit = 50, offset = 0, cursor } = req.query;
 
       try {
-        const result = await this.mcpBridge.listFilesInCategory(category);
+        const result = await this.mcpBridge.listFilesInCategory(category, {
+          limit: parseInt(limit),
+          offset: parseInt(offset),
+          cursor
+        });
         res.json({
           success: true,
           data: result,
           category,
+          query: { limit, offset, cursor },
           timestamp: new Date().toISOString()
         });
       } catch (error) {
+        if (error.name === 'SearchCursorError' || error.type === 'VALIDATION_ERROR') {
+          return res.status(400).json({
+            error: 'Bad Request',
+            message: error.message,
+            timestamp: new Date().toISOString()
+          });
+        }
         throw new Error(`Failed to list files in category: ${error.message}`);
       }
     }));
   }
+
+  // Map saved search validation errors to 400/404, anything else to the error middleware
+  handleSavedSearchError(res, error, action) {
+    if (error.name === 'SearchQueryError') {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Invalid search query: ${error.reason}`,
+        position: error.position,
+        pointer: error.pointer,
+        timestamp: new Date().toISOString()
+      });
+    }
+    if (error.type === 'VALIDATION_ERROR' || error.name === 'SearchCursorError') {
+      const notFound = error.context && error.context.reason === 'not_found';
+      return res.status(notFound ? 404 : 400).json({
+        error: notFound ? 'Not Found' : 'Bad Request',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+    throw new Error(`Failed to ${action}: ${error.message}`);
+  }
 }
@@ -87,10 +87,10 @@ export class OrganizationRoutes {
 
     // Start organization process
     this.router.post('/organize', ErrorHandler.asyncHandler(async (req, res) => {
-      const { dryRun = false } = req.body;
+      const { dryRun = false, explain = false } = req.body;
 
       try {
-        const result = await this.mcpBridge.organizeDocuments(dryRun);
+        const result = await this.mcpBridge.organizeDocuments(dryRun, explain);
         res.json({
           success: true,
           message: dryRun ? 'Organization preview completed' : 'Organization completed',
@@ -106,7 +106,7 @@ export class OrganizationRoutes {
     // Get organization preview (dry run)
     this.router.get('/preview', ErrorHandler.asyncHandler(async (req, res) => {
       try {
-        const result = await this.mcpBridge.organizeDocuments(true);
+        const result = await this.mcpBridge.organizeDocuments(true, req.query.explain === 'true');
         res.json({
           success: true,
           message: 'Organization preview completed',
@@ -118,40 +118,14 @@ export class OrganizationRoutes {
       }
     }));
 
-    // Get organization rules/configuration
+    // Get organization rules (custom_rules.json)
     this.router.get('/rules', ErrorHandler.asyncHandler(async (req, res) => {
       try {
-        // This would return the actual organization rules
-        // For now, we'll return a placeholder configuration
-        const rules = {
-          categories: {
-            'AI & ML': {
-              keywords: ['artificial intelligence', 'machine learning', 'neural network', 'deep learning'],
-              filePatterns: ['*ml*', '*ai*', '*neural*'],
-              priority: 9
-            },
-            'Development': {
-              keywords: ['programming', 'coding', 'software', 'development'],
-              filePatterns: ['*.js', '*.py', '*.java', '*dev*'],
-              priority: 8
-            },
-            'Research Papers': {
-              keywords: ['research', 'paper', 'study', 'analysis'],
-              filePatterns: ['*.pdf', '*research*', '*paper*'],
-              priority: 7
-            }
-          },
-          general: {
-            autoOrganize: false,
-            createMissingCategories: true,
-            preserveOriginalStructure: false,
-            duplicateHandling: 'skip'
-          }
-        };
-
+        const response = await this.mcpBridge.getOrganizationRules();
+        const { rules, rules_file } = JSON.parse(response.content[0].text);
         res.json({
           success: true,
-          data: rules,
+          data: { rules, rulesFile: rules_file },
           timestamp: new Date().toISOString()
         });
       } catch (error) {
@@ -159,28 +133,36 @@ export class OrganizationRoutes {
       }
     }));
 
-    // Update organization rules
+    // Replace organization rules
     this.router.put('/rules', ErrorHandler.asyncHandler(async (req, res) => {
       const { rules } = req.body;
 
-      if (!rules) {
+      if (!Array.isArray(rules)) {
         return res.status(400).json({
           error: 'Bad Request',
-          message: 'Rules object is required',
+          message: 'Rules array is required',
           timestamp: new Date().toISOString()
         });
       }
 
       try {
-        // This would update the actual organization rules
-        // For now, we'll just validate and return success
+        const response = await this.mcpBridge.updateOrganizationRules(rules);
+        const { rules: saved, rules_file } = JSON.parse(response.content[0].text);
         res.json({
           success: true,
           message: 'Organization rules updated successfully',
-          data: rules,
+          data: { rules: saved, rulesFile: rules_file },
           timestamp: new Date().toISOString()
         });
       } catch (error) {
+        if (error.type === 'VALIDATION_ERROR') {
+          return res.status(400).json({
+            error: 'Bad Request',
+            message: error.message,
+            errors: error.context && error.context.errors,
+            timestamp: new Date().toISOString()
+          });
+        }
         throw new Error(`Failed to update organization rules: ${error.message}`);
       }
     }));
@@ -229,21 +211,24 @@ export class OrganizationRoutes {
       }
     }));
 
-    // Validate organization setup
+    // Validate links and images across the hub
     this.router.get('/validate', ErrorHandler.asyncHandler(async (req, res) => {
+      const { directory = null, maxSuggestions = 3 } = req.query;
+
       try {
-        // This would validate the organization setup
-        // For now, we'll return a placeholder validation result
+        const response = await this.mcpBridge.checkLinks(directory, parseInt(maxSuggestions));
+        const report = JSON.parse(response.content[0].text);
+
+        // Case mismatches resolve on case-insensitive disks but break on others
         const validation = {
-          valid: true,
-          issues: [],
-          warnings: [
-            'Consider adding more keywords to "Development" category for better classification'
-          ],
-          recommendations: [
-            'Enable auto-organization for better workflow',
-            'Set up duplicate handling rules'
-          ]
+          valid: report.issues.every(issue => issue.type === 'case_mismatch'),
+          issues: report.issues.filter(issue => issue.type !== 'case_mismatch'),
+          warnings: report.issues.filter(issue => issue.type === 'case_mismatch'),
+          counts: report.counts,
+          directory: report.directory,
+          documentsScanned: report.documents_scanned,
+          filesScanned: report.files_scanned,
+          referencesChecked: report.references_checked
         };
 
         res.json({
@@ -256,16 +241,161 @@ export class OrganizationRoutes {
       }
     }));
 
+    // Find assets that their document no longer references
+    this.router.get('/orphaned-assets', ErrorHandler.asyncHandler(async (req, res) => {
+      const { directory = null } = req.query;
+
+      try {
+        const response = await this.mcpBridge.findOrphanedAssets(directory);
+        res.json({
+          success: true,
+          data: JSON.parse(response.content[0].text).result,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        throw new Error(`Failed to find orphaned assets: ${error.message}`);
+      }
+    }));
+
+    // Move orphaned assets to the quarantine area
+    this.router.post('/orphaned-assets/quarantine', ErrorHandler.asyncHandler(async (req, res) => {
+      const { directory = null, paths = null, dryRun = false } = req.body;
+
+      if (paths !== null && !Array.isArray(paths)) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'Paths must be an array of asset paths',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      try {
+        const response = await this.mcpBridge.quarantineOrphanedAssets(directory, paths, dryRun);
+        res.json({
+          success: true,
+          message: dryRun ? 'Quarantine preview generated' : 'Orphaned assets moved to quarantine',
+          data: JSON.parse(response.content[0].text).result,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        throw new Error(`Failed to quarantine orphaned assets: ${error.message}`);
+      }
+    }));
+
+    // List quarantine batches
+    this.router.get('/quarantine', ErrorHandler.asyncHandler(async (req, res) => {
+      try {
+        const response = await this.mcpBridge.listQuarantine();
+        res.json({
+          success: true,
+          data: JSON.parse(response.content[0].text).result,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        throw new Error(`Failed to list quarantine: ${error.message}`);
+      }
+    }));
+
+    // Restore a quarantine batch, or some of its assets
+    this.router.post('/quarantine/:batchId/restore', ErrorHandler.asyncHandler(async (req, res) => {
+      const { batchId } = req.params;
+      const { paths = null } = req.body || {};
+
+      try {
+        const response = await this.mcpBridge.restoreQuarantinedAssets(batchId, paths);
+        res.json({
+          success: true,
+          message: 'Assets restored from quarantine',
+          data: JSON.parse(response.content[0].text).result,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        if (error.type === 'FILE_NOT_FOUND') {
+          return res.status(404).json({
+            error: 'Not Found',
+            message: error.message,
+            timestamp: new Date().toISOString()
+          });
+        }
+        throw new Error(`Failed to restore assets: ${error.message}`);
+      }
+    }));
+
+    // Files waiting for a category decision
+    this.router.get('/inbox', ErrorHandler.asyncHandler(async (req, res) => {
+      try {
+        const response = await this.mcpBridge.getReviewInbox();
+        res.json({
+          success: true,
+          data: JSON.parse(response.content[0].text).result,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        throw new Error(`Failed to load review inbox: ${error.message}`);
+      }
+    }));
+
+    // Accept the suggested category of some inbox items, or of all of them
+    this.router.post('/inbox/accept', ErrorHandler.asyncHandler(async (req, res) => {
+      const { ids = null, minConfidence = 0 } = req.body || {};
+
+      if (ids !== null && !Array.isArray(ids)) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'Ids must be an array of inbox item ids',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      try {
+        const response = await this.mcpBridge.acceptReviewSuggestions(ids, minConfidence);
+        res.json({
+          success: true,
+          message: 'Suggestions accepted',
+          data: JSON.parse(response.content[0].text).result,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        throw new Error(`Failed to accept suggestions: ${error.message}`);
+      }
+    }));
+
+    // File inbox items under a category of the reviewer's choosing
+    this.router.post('/inbox/override', ErrorHandler.asyncHandler(async (req, res) => {
+      const { ids, category } = req.body || {};
+
+      if (!Array.isArray(ids) || ids.length === 0 || !category) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'Ids array and category are required',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      try {
+        const response = await this.mcpBridge.overrideReviewSuggestions(ids, category);
+        res.json({
+          success: true,
+          message: `Filed under ${category}`,
+          data: JSON.parse(response.content[0].text).result,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        throw new Error(`Failed to file inbox items: ${error.message}`);
+      }
+    }));
+
     // Get category details with file counts
     this.router.get('/categories/:category/details', ErrorHandler.asyncHandler(async (req, res) => {
       const { category } = req.params;
 
       try {
-        const files = await this.mcpBridge.listFilesInCategory(category);
+        const response = await this.mcpBridge.listFilesInCategory(category, { limit: 1000 });
+        const listing = JSON.parse(response.content[0].text);
         const details = {
           category,
-          fileCount: files.length || 0,
-          files: files || [],
+          fileCount: listing.total_files,
+          files: listing.files,
           lastUpdated: new Date().toISOString()
         };
 
@@ -272,11 +272,16 @@ export class SystemRoutes {
     // Clear cache (admin only)
     this.router.post('/cache/clear', AuthMiddleware.requireRole('admin'), ErrorHandler.asyncHandler(async (req, res) => {
       try {
-        // This would clear system caches
-        // For now, we'll just return a success message
+        // The search index is the only persistent cache; verify-only keeps it unless it is damaged
+        const { verify = false } = req.body || {};
+        const result = verify
+          ? await this.mcpBridge.verifySearchIndex(true)
+          : await this.mcpBridge.rebuildSearchIndex();
+
         res.json({
           success: true,
-          message: 'System cache cleared successfully',
+          message: verify ? 'Search index verified' : 'System cache cleared successfully',
+          data: result,
           timestamp: new Date().toISOString()
         });
       } catch (error) {
@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+
+/**
+ * BM25 Ranking Unit Tests
+ * Tests field-boosted BM25 scoring of search results
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import os from 'os';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, '../../..');
+
+class Bm25RankingTests {
+    constructor() {
+        this.testResults = {
+            passed: 0,
+            failed: 0,
+            errors: []
+        };
+        this.testDir = path.join(os.tmpdir(), 'bm25_ranking_test');
+        this.syncHub = path.join(this.testDir, 'sync_hub');
+        this.indexDirectory = path.join(this.testDir, 'data', 'search_index');
+    }
+
+    async setup() {
+        console.log('🔧 Setting up BM25 ranking test environment...');
+
+        await fs.rm(this.testDir, { recursive: true, force: true });
+
+        const { DocumentFolderManager } = await import(path.join(projectRoot, 'src/organize/document_folder_manager.js'));
+        const { SearchIndex } = await import(path.join(projectRoot, 'src/organize/search_index.js'));
+        const { DocumentSearchEngine } = await import(path.join(projectRoot, 'src/organize/document_search_engine.js'));
+
+        this.SearchIndex = SearchIndex;
+        this.folderManager = new DocumentFolderManager(this.syncHub);
+
+        await this.writeDocument('Research', 'Neural Networks', '# Neural Networks\n\nBackpropagation trains deep networks.');
+        await this.writeDocument('Research', 'Graph Theory', '# Graph Theory\n\nDijkstra finds shortest paths.');
+        await this.writeDocument('Notes', 'Groceries', '# Groceries\n\nMilk, eggs and bread.');
+
+        // The tests edit the hub directly, so every search looks for changes
+        this.engine = new DocumentSearchEngine(this.folderManager, { indexDirectory: this.indexDirectory, refreshInterval: 0 });
+
+        console.log('✅ Test environment setup complete');
+    }
+
+    async writeDocument(category, name, content) {
+        const folderPath = path.join(this.syncHub, category, name);
+        await fs.mkdir(folderPath, { recursive: true });
+        await fs.writeFile(path.join(folderPath, `${name}.md`), content);
+        return folderPath;
+    }
+
+    async testBm25Ranking() {
+        console.log('\n🏆 Testing BM25 ranking...');
+
+        try {
+            const filler = 'Unrelated filler sentence about many other things. '.repeat(40);
+            await this.writeDocument('Notes', 'Meeting Log', `# Meeting Log\n\n${filler}graph graph graph graph\n${filler}`);
+
+            const response = await this.engine.searchDocuments('graph');
+            const [top] = response.results;
+
+            if (top.documentFolder.name === 'Graph Theory' && top.scoreBreakdown.fields.title > 0 &&
+                top.scoreBreakdown.fields.folder > 0 && response.search_metadata.ranking.algorithm === 'bm25') {
+                this.logSuccess('Short focused note with title match outranks long repetitive one');
+            } else {
+                this.logFailure('BM25 ranking', `Unexpected order ${response.results.map(r => r.documentFolder.name).join(', ')}`);
+            }
+
+            const bodyOnly = await this.engine.searchDocuments('graph', { fieldBoosts: { title: 0, folder: 0, headings: 0 } });
+            const graphResult = bodyOnly.results.find(r => r.documentFolder.name === 'Graph Theory');
+            if (graphResult && graphResult.scoreBreakdown.total === 0 && graphResult.scoreBreakdown.fields.body === 0) {
+                this.logSuccess('Per-query field boosts are applied');
+            } else {
+                this.logFailure('Field boosts', JSON.stringify(graphResult && graphResult.scoreBreakdown));
+            }
+
+            await fs.rm(path.join(this.syncHub, 'Notes', 'Meeting Log'), { recursive: true });
+        } catch (error) {
+            this.logFailure('BM25 ranking', error.message);
+        }
+    }
+
+    logSuccess(testName) {
+        console.log(`✅ ${testName}`);
+        this.testResults.passed++;
+    }
+
+    logFailure(testName, error) {
+        console.log(`❌ ${testName}: ${error}`);
+        this.testResults.failed++;
+        this.testResults.errors.push({ test: testName, error });
+    }
+
+    async cleanup() {
+        console.log('\n🧹 Cleaning up test environment...');
+        try {
+            await fs.rm(this.testDir, { recursive: true, force: true });
+            console.log('✅ Cleanup complete');
+        } catch (error) {
+            console.log(`⚠️ Cleanup warning: ${error.message}`);
+        }
+    }
+
+    async runAllTests() {
+        console.log('🧪 BM25 Ranking Unit Tests');
+        console.log('='.repeat(50));
+
+        try {
+            await this.setup();
+            await this.testBm25Ranking();
+        } finally {
+            await this.cleanup();
+        }
+
+        // Print summary
+        console.log('\n📊 Test Results Summary:');
+        console.log('='.repeat(30));
+        console.log(`✅ Passed: ${this.testResults.passed}`);
+        console.log(`❌ Failed: ${this.testResults.failed}`);
+        console.log(`📈 Success Rate: ${((this.testResults.passed / (this.testResults.passed + this.testResults.failed)) * 100).toFixed(1)}%`);
+
+        if (this.testResults.errors.length > 0) {
+            console.log('\n🔍 Error Details:');
+            this.testResults.errors.forEach(({ test, error }) => {
+                console.log(`  • ${test}: ${error}`);
+            });
+        }
+
+        return this.testResults.failed === 0;
+    }
+}
+
+// Run tests if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const tests = new Bm25RankingTests();
+    tests.runAllTests().catch(error => {
+        console.error('Test execution failed:', error);
+        process.exit(1);
+    });
+}
+
+export default Bm25RankingTests;
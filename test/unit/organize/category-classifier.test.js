@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+
+/**
+ * Category Classifier Unit Tests
+ * Tests training on filed documents, incremental relearning and calibrated predictions
+ */
+
+import { promises as fs } from 'fs';
+import fsSync from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import os from 'os';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, '../../..');
+
+class CategoryClassifierTests {
+    constructor() {
+        this.testResults = {
+            passed: 0,
+            failed: 0,
+            errors: []
+        };
+        this.testDir = path.join(os.tmpdir(), 'category_classifier_test');
+    }
+
+    async setup() {
+        console.log('🔧 Setting up category classifier test environment...');
+
+        await fs.rm(this.testDir, { recursive: true, force: true });
+        await fs.mkdir(this.testDir, { recursive: true });
+
+        console.log('✅ Test environment setup complete');
+    }
+
+    async testCategoryClassifier() {
+        console.log('\n🧠 Testing category classifier...');
+
+        try {
+            const { CategoryClassifier } = await import(path.join(projectRoot, 'src/organize/category_classifier.js'));
+            const { CategoryManager } = await import(path.join(projectRoot, 'src/organize/category_manager.js'));
+            const { DocumentFolderManager } = await import(path.join(projectRoot, 'src/organize/document_folder_manager.js'));
+
+            const syncHub = path.join(this.testDir, 'classifier_hub');
+            const samples = {
+                Cooking: ['bake bread dough with flour and yeast in the oven', 'simmer tomato sauce with garlic and basil', 'roast chicken with lemon and garlic in the oven'],
+                Finance: ['pay the invoice by bank transfer before the due date', 'budget for tax and savings interest', 'bank statement shows the invoice payment'],
+                'Travel/Europe': ['flight to paris and a hotel near the museum', 'train from rome to florence and hotel booking', 'hotel in berlin after the flight']
+            };
+            for (const [category, texts] of Object.entries(samples)) {
+                for (const [index, text] of texts.entries()) {
+                    const folder = path.join(syncHub, category, `${path.basename(category).toLowerCase()}-${index}`);
+                    await fs.mkdir(folder, { recursive: true });
+                    await fs.writeFile(path.join(folder, `${path.basename(folder)}.md`), `# Note\n\n${text}\n`);
+                }
+            }
+            // A stray note in a category is not a training document
+            await fs.writeFile(path.join(syncHub, 'Finance', 'stray.md'), '# Stray\n');
+
+            const classifier = new CategoryClassifier(new DocumentFolderManager(syncHub), {
+                modelPath: path.join(this.testDir, 'classifier_model.json'),
+                categoryManager: new CategoryManager({ projectRoot: this.testDir, syncHub, configPath: path.join(this.testDir, 'none.conf') })
+            });
+            await classifier.load();
+            const first = await classifier.train();
+            const prediction = classifier.classify('# Dinner\n\ngarlic bread from the oven', 'dinner');
+            const total = prediction.probabilities.reduce((sum, entry) => sum + entry.confidence, 0);
+
+            await fs.rename(path.join(syncHub, 'Cooking', 'cooking-0'), path.join(syncHub, 'Finance', 'cooking-0'));
+            const moved = await classifier.relocateDocument(path.join('Cooking', 'cooking-0'), path.join('Finance', 'cooking-0'));
+            await fs.rm(path.join(syncHub, 'Finance', 'finance-1'), { recursive: true });
+            const second = await classifier.train();
+            const reloaded = await new CategoryClassifier(new DocumentFolderManager(syncHub), { modelPath: classifier.modelPath }).load();
+
+            if (first.documents === 9 && first.categories === 3 &&
+                prediction.category === 'Cooking' && prediction.confidence > 0.5 && Math.abs(total - 1) < 0.01 &&
+                moved && classifier.model.documents['Finance/cooking-0'].category === 'Finance' &&
+                second.learned === 0 && second.forgotten === 1 && second.documents === 8 &&
+                reloaded.model.categories.Finance.documents === 3 &&
+                fsSync.existsSync(path.join(syncHub, 'Finance', 'stray.md'))) {
+                this.logSuccess('Classifier trains on filed documents, relearns moves and gives calibrated probabilities');
+            } else {
+                this.logFailure('Category classifier', JSON.stringify({ first, prediction, second }));
+            }
+        } catch (error) {
+            this.logFailure('Category classifier', error.message);
+        }
+    }
+
+    async testPrototypeTerms() {
+        console.log('\n🧬 Testing terms named like object properties...');
+
+        try {
+            const { CategoryClassifier } = await import(path.join(projectRoot, 'src/organize/category_classifier.js'));
+            const { CategoryManager } = await import(path.join(projectRoot, 'src/organize/category_manager.js'));
+            const { DocumentFolderManager } = await import(path.join(projectRoot, 'src/organize/document_folder_manager.js'));
+
+            const syncHub = path.join(this.testDir, 'prototype_hub');
+            const samples = {
+                Code: ['the constructor sets __proto__ and calls toString', 'every constructor checks hasOwnProperty'],
+                Garden: ['water the tomato plants at dawn', 'prune the roses before winter']
+            };
+            for (const [category, texts] of Object.entries(samples)) {
+                for (const [index, text] of texts.entries()) {
+                    const folder = path.join(syncHub, category, `${category.toLowerCase()}-${index}`);
+                    await fs.mkdir(folder, { recursive: true });
+                    await fs.writeFile(path.join(folder, `${path.basename(folder)}.md`), `# Note\n\n${text}\n`);
+                }
+            }
+
+            const modelPath = path.join(this.testDir, 'prototype_model.json');
+            const classifier = new CategoryClassifier(new DocumentFolderManager(syncHub), {
+                modelPath,
+                categoryManager: new CategoryManager({ projectRoot: this.testDir, syncHub, configPath: path.join(this.testDir, 'none.conf') })
+            });
+            await classifier.load();
+            await classifier.train();
+            const prediction = classifier.classify('# Class\n\nconstructor and __proto__ and toString', 'class');
+            const reloaded = await new CategoryClassifier(new DocumentFolderManager(syncHub), { modelPath }).load();
+            const again = reloaded.classify('# Class\n\nconstructor and __proto__ and toString', 'class');
+            classifier.forgetDocument('Code/code-1');
+
+            if (prediction.category === 'Code' && prediction.probabilities.every(entry => Number.isFinite(entry.confidence)) &&
+                classifier.model.categories.Code.terms.constructor === 1 &&
+                !Object.hasOwn(classifier.model.categories.Code.terms, 'hasownproperty') &&
+                again.category === 'Code' && again.confidence === prediction.confidence &&
+                Object.keys(Object.prototype).length === 0) {
+                this.logSuccess('Words like constructor and __proto__ are counted as plain terms');
+            } else {
+                this.logFailure('Prototype terms', JSON.stringify({ prediction, again }));
+            }
+        } catch (error) {
+            this.logFailure('Prototype terms', error.message);
+        }
+    }
+
+    logSuccess(testName) {
+        console.log(`✅ ${testName}`);
+        this.testResults.passed++;
+    }
+
+    logFailure(testName, error) {
+        console.log(`❌ ${testName}: ${error}`);
+        this.testResults.failed++;
+        this.testResults.errors.push({ test: testName, error });
+    }
+
+    async cleanup() {
+        console.log('\n🧹 Cleaning up test environment...');
+        try {
+            await fs.rm(this.testDir, { recursive: true, force: true });
+            console.log('✅ Cleanup complete');
+        } catch (error) {
+            console.log(`⚠️ Cleanup warning: ${error.message}`);
+        }
+    }
+
+    async runAllTests() {
+        console.log('🧪 Category Classifier Unit Tests');
+        console.log('='.repeat(50));
+
+        try {
+            await this.setup();
+            await this.testCategoryClassifier();
+            await this.testPrototypeTerms();
+        } finally {
+            await this.cleanup();
+        }
+
+        // Print summary
+        console.log('\n📊 Test Results Summary:');
+        console.log('='.repeat(30));
+        console.log(`✅ Passed: ${this.testResults.passed}`);
+        console.log(`❌ Failed: ${this.testResults.failed}`);
+        console.log(`📈 Success Rate: ${((this.testResults.passed / (this.testResults.passed + this.testResults.failed)) * 100).toFixed(1)}%`);
+
+        if (this.testResults.errors.length > 0) {
+            console.log('\n🔍 Error Details:');
+            this.testResults.errors.forEach(({ test, error }) => {
+                console.log(`  • ${test}: ${error}`);
+            });
+        }
+
+        return this.testResults.failed === 0;
+    }
+}
+
+// Run tests if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const tests = new CategoryClassifierTests();
+    tests.runAllTests().catch(error => {
+        console.error('Test execution failed:', error);
+        process.exit(1);
+    });
+}
+
+export default CategoryClassifierTests;
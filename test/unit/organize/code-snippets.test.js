@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+
+/**
+ * Code Snippets Unit Tests
+ * Tests the code block index, language detection and heading links
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import os from 'os';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, '../../..');
+
+class CodeSnippetTests {
+    constructor() {
+        this.testResults = {
+            passed: 0,
+            failed: 0,
+            errors: []
+        };
+        this.testDir = path.join(os.tmpdir(), 'code_snippets_test');
+        this.syncHub = path.join(this.testDir, 'sync_hub');
+        this.indexDirectory = path.join(this.testDir, 'data', 'search_index');
+    }
+
+    async setup() {
+        console.log('🔧 Setting up code snippet test environment...');
+
+        await fs.rm(this.testDir, { recursive: true, force: true });
+
+        const { DocumentFolderManager } = await import(path.join(projectRoot, 'src/organize/document_folder_manager.js'));
+        const { SearchIndex } = await import(path.join(projectRoot, 'src/organize/search_index.js'));
+        const { DocumentSearchEngine } = await import(path.join(projectRoot, 'src/organize/document_search_engine.js'));
+
+        this.SearchIndex = SearchIndex;
+        this.folderManager = new DocumentFolderManager(this.syncHub);
+
+        await this.writeDocument('Research', 'Neural Networks', '# Neural Networks\n\nBackpropagation trains deep networks.');
+        await this.writeDocument('Research', 'Graph Theory', '# Graph Theory\n\nDijkstra finds shortest paths.');
+        await this.writeDocument('Notes', 'Groceries', '# Groceries\n\nMilk, eggs and bread.');
+
+        // The tests edit the hub directly, so every search looks for changes
+        this.engine = new DocumentSearchEngine(this.folderManager, { indexDirectory: this.indexDirectory, refreshInterval: 0 });
+
+        console.log('✅ Test environment setup complete');
+    }
+
+    async writeDocument(category, name, content) {
+        const folderPath = path.join(this.syncHub, category, name);
+        await fs.mkdir(folderPath, { recursive: true });
+        await fs.writeFile(path.join(folderPath, `${name}.md`), content);
+        return folderPath;
+    }
+
+    async testCodeSnippets() {
+        console.log('\n💻 Testing code snippet index...');
+
+        try {
+            const folderPath = await this.writeDocument('Development', 'Deploy Guide', '# Deploy Guide\n\n' +
+                '## Install Dependencies\n\n```sh\nnpm install --production\n```\n\n' +
+                '## Health Check\n\n```\ndef check(url):\n    response = requests.get(url)\n    return response.ok\n```\n\n' +
+                '## Config\n\n```yml\nport: 8080\n```\n');
+
+            const python = await this.engine.searchCodeSnippets('requests', { language: 'py' });
+            const bash = await this.engine.searchCodeSnippets('', { language: 'bash' });
+            const hit = python.results[0];
+
+            if (python.total === 1 && hit.language === 'python' && hit.languageSource === 'detected' &&
+                hit.link === 'Development/Deploy Guide/Deploy Guide.md#health-check' && hit.wikiLink === '[[Deploy Guide#Health Check]]' &&
+                hit.matchLine === 13 && bash.total === 1 && bash.results[0].heading === 'Install Dependencies' &&
+                (await this.engine.searchCodeSnippets('8080')).languages.yaml === 1) {
+                this.logSuccess('Code blocks are indexed by language and link back to their heading');
+            } else {
+                this.logFailure('Code snippets', JSON.stringify({ python, bash }));
+            }
+
+            await fs.rm(folderPath, { recursive: true });
+        } catch (error) {
+            this.logFailure('Code snippets', error.message);
+        }
+    }
+
+    logSuccess(testName) {
+        console.log(`✅ ${testName}`);
+        this.testResults.passed++;
+    }
+
+    logFailure(testName, error) {
+        console.log(`❌ ${testName}: ${error}`);
+        this.testResults.failed++;
+        this.testResults.errors.push({ test: testName, error });
+    }
+
+    async cleanup() {
+        console.log('\n🧹 Cleaning up test environment...');
+        try {
+            await fs.rm(this.testDir, { recursive: true, force: true });
+            console.log('✅ Cleanup complete');
+        } catch (error) {
+            console.log(`⚠️ Cleanup warning: ${error.message}`);
+        }
+    }
+
+    async runAllTests() {
+        console.log('🧪 Code Snippets Unit Tests');
+        console.log('='.repeat(50));
+
+        try {
+            await this.setup();
+            await this.testCodeSnippets();
+        } finally {
+            await this.cleanup();
+        }
+
+        // Print summary
+        console.log('\n📊 Test Results Summary:');
+        console.log('='.repeat(30));
+        console.log(`✅ Passed: ${this.testResults.passed}`);
+        console.log(`❌ Failed: ${this.testResults.failed}`);
+        console.log(`📈 Success Rate: ${((this.testResults.passed / (this.testResults.passed + this.testResults.failed)) * 100).toFixed(1)}%`);
+
+        if (this.testResults.errors.length > 0) {
+            console.log('\n🔍 Error Details:');
+            this.testResults.errors.forEach(({ test, error }) => {
+                console.log(`  • ${test}: ${error}`);
+            });
+        }
+
+        return this.testResults.failed === 0;
+    }
+}
+
+// Run tests if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const tests = new CodeSnippetTests();
+    tests.runAllTests().catch(error => {
+        console.error('Test execution failed:', error);
+        process.exit(1);
+    });
+}
+
+export default CodeSnippetTests;
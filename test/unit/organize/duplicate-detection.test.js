@@ -0,0 +1,267 @@
+#!/usr/bin/env node
+
+/**
+ * Duplicate Detection Unit Tests
+ * Tests exact and near-duplicate detection (MinHash/LSH) in ContentAnalyzer
+ * and passage-level duplicates across document folders
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import os from 'os';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, '../../..');
+
+const VOCABULARY = (
+    'river mountain engine garden lattice protocol harvest signal canvas orbit ' +
+    'ledger compass timber violet quantum meadow circuit anchor pixel summit ' +
+    'harbor fossil glacier thunder lantern marble velvet crystal beacon prism'
+).split(' ');
+
+/**
+ * Deterministic filler text so generated notes are unrelated but similar in length
+ */
+function fillerText(seed, words) {
+    let state = seed;
+    const output = [];
+    for (let i = 0; i < words; i++) {
+        state = (Math.imul(state, 1103515245) + 12345) >>> 0;
+        output.push(VOCABULARY[(state >>> 16) % VOCABULARY.length]);
+    }
+    return output.join(' ');
+}
+
+class DuplicateDetectionTests {
+    constructor() {
+        this.testResults = {
+            passed: 0,
+            failed: 0,
+            errors: []
+        };
+        this.testDir = path.join(os.tmpdir(), 'duplicate_detection_test');
+    }
+
+    async setup() {
+        console.log('🔧 Setting up duplicate detection test environment...');
+
+        await fs.rm(this.testDir, { recursive: true, force: true });
+        await fs.mkdir(this.testDir, { recursive: true });
+
+        const shared = 'Gradient descent updates every parameter in the direction that reduces the loss, ' +
+            'and the learning rate controls how large each of those steps is. Too large a rate makes the ' +
+            'loss oscillate or diverge, while too small a rate wastes many epochs crawling towards the minimum. ' +
+            'Momentum keeps a running average of past gradients so that updates build up speed along consistent directions.';
+
+        this.files = {
+            original: await this.writeNote('optimizer-notes.md', `# Optimizer Notes\n\n${shared}\n\nAdam adapts the rate per parameter.\n`),
+            copy: await this.writeNote('optimizer-notes-copy.md', `---\ntags: [ml]\n---\n# Optimizer Notes (copy)\n\n${shared}\n\nAdam adapts the step per weight.\n`),
+            exactA: await this.writeNote('exact-a.md', `# Exact\n\n${fillerText(7, 120)}\n`),
+            exactB: await this.writeNote('exact-b.md', `# Exact\n\n${fillerText(7, 120)}\n`),
+            unrelatedA: await this.writeNote('unrelated-a.md', `# Notes\n\n${fillerText(101, 80)}\n`),
+            unrelatedB: await this.writeNote('unrelated-b.md', `# Notes\n\n${fillerText(202, 80)}\n`)
+        };
+
+        const { ContentAnalyzer } = await import(path.join(projectRoot, 'src/organize/content_analyzer.js'));
+        this.ContentAnalyzer = ContentAnalyzer;
+
+        console.log('✅ Test environment setup complete');
+    }
+
+    async writeNote(name, content) {
+        const filePath = path.join(this.testDir, name);
+        await fs.writeFile(filePath, content);
+        return filePath;
+    }
+
+    async testNearDuplicatesWithEvidence() {
+        console.log('\n📄 Testing near-duplicate detection...');
+
+        try {
+            const analyzer = new this.ContentAnalyzer({ similarityThreshold: 0.6 });
+            const duplicates = Array.from((await analyzer.findDuplicates(Object.values(this.files))).values());
+            const similar = duplicates.filter(group => group.type === 'similar');
+            const pair = similar.find(group => group.files.some(f => f.filePath === this.files.original) &&
+                group.files.some(f => f.filePath === this.files.copy));
+
+            if (!pair) {
+                throw new Error('Edited copy was not reported as a near-duplicate');
+            }
+            if (pair.similarity < 0.6 || pair.similarity >= 1) {
+                throw new Error(`Unexpected similarity ${pair.similarity}`);
+            }
+            const passage = pair.evidence.passages[0];
+            if (!passage || !passage.text.startsWith('Gradient descent updates') || passage.words < 40) {
+                throw new Error(`Expected the shared paragraph as evidence, got ${JSON.stringify(passage)}`);
+            }
+            this.logSuccess('Edited copy reported with its overlapping passage');
+
+            // Random notes of the same length share words but not text
+            const unrelated = similar.find(group => group.files.some(f => f.filePath === this.files.unrelatedA) &&
+                group.files.some(f => f.filePath === this.files.unrelatedB));
+            if (unrelated) {
+                throw new Error(`Unrelated notes flagged at ${unrelated.similarity}`);
+            }
+            this.logSuccess('Unrelated notes of similar length are not flagged');
+
+            const exact = duplicates.filter(group => group.type === 'exact');
+            const exactAsSimilar = similar.some(group => group.files.every(f => f.filePath === this.files.exactA || f.filePath === this.files.exactB));
+            if (exact.length !== 1 || exactAsSimilar) {
+                throw new Error(`Expected one exact group and no similar copy of it, got ${exact.length} exact`);
+            }
+            this.logSuccess('Exact duplicates reported once');
+        } catch (error) {
+            this.logFailure('Near-duplicate detection', error.message);
+        }
+    }
+
+    async testBandingLimitsComparisons() {
+        console.log('\n📄 Testing LSH candidate selection...');
+
+        try {
+            const { NearDuplicateDetector } = await import(path.join(projectRoot, 'src/organize/near_duplicate_detector.js'));
+            const detector = new NearDuplicateDetector({ threshold: 0.8 });
+
+            for (let i = 0; i < 60; i++) {
+                detector.addDocument(`doc-${i}`, fillerText(1000 + i, 150));
+            }
+            detector.addDocument('doc-copy', `${fillerText(1000, 150)} one extra closing sentence`);
+
+            const candidates = detector.getCandidatePairs();
+            const matches = detector.findNearDuplicates();
+
+            if (candidates.length > 61 * 60 / 2 / 10) {
+                throw new Error(`Banding produced ${candidates.length} candidate pairs`);
+            }
+            if (matches.length !== 1 || matches[0].ids.join() !== 'doc-0,doc-copy') {
+                throw new Error(`Expected only doc-0/doc-copy, got ${JSON.stringify(matches.map(m => m.ids))}`);
+            }
+            if (Math.abs(matches[0].estimatedSimilarity - matches[0].similarity) > 0.15) {
+                throw new Error('MinHash estimate is far from the exact Jaccard similarity');
+            }
+            this.logSuccess(`Only ${candidates.length} of ${61 * 60 / 2} pairs compared`);
+        } catch (error) {
+            this.logFailure('LSH candidate selection', error.message);
+        }
+    }
+
+    async testDuplicatePassages() {
+        console.log('\n📄 Testing passage-level duplicates...');
+
+        try {
+            const { DocumentFolderManager } = await import(path.join(projectRoot, 'src/organize/document_folder_manager.js'));
+            const { PassageDeduplicator } = await import(path.join(projectRoot, 'src/organize/passage_deduplicator.js'));
+
+            const syncHub = path.join(this.testDir, 'sync_hub');
+            const folderManager = new DocumentFolderManager(syncHub);
+            const pasted = 'Every deployment must be tagged in git before it is promoted, and the release notes ' +
+                'need to list the migrations that run, who approved them, and how to roll each of them back.';
+            const code = '```bash\nnpm ci\nnpm run build\nnpm test\n```';
+
+            const source = await folderManager.createDocumentFolder('Release Process', 'Notes',
+                `# Release Process\n\n${pasted}\n\n${code}\n`, { created: '2024-01-01' });
+            const copy = await folderManager.createDocumentFolder('Hotfix Guide', 'Notes',
+                `# Hotfix Guide\n\nHotfixes skip the queue.\n\n${pasted.toUpperCase()}\n\n${code}\n`, { created: '2024-06-01' });
+            await folderManager.createDocumentFolder('Unrelated', 'Notes', `# Unrelated\n\n${fillerText(9, 60)}\n`);
+
+            const deduplicator = new PassageDeduplicator(folderManager);
+            const scan = await deduplicator.findDuplicatePassages();
+            const kinds = scan.groups.map(group => group.kind).sort().join(',');
+            if (kinds !== 'code,paragraph' || scan.groups.some(group => group.documentCount !== 2)) {
+                throw new Error(`Expected one paragraph and one code block in two documents, got ${kinds}`);
+            }
+            const paragraph = scan.groups.find(group => group.kind === 'paragraph');
+            const copyLines = (await folderManager.getDocumentContent(copy)).split('\n');
+            const expectedLine = copyLines.findIndex(line => line.startsWith('EVERY DEPLOYMENT')) + 1;
+            if (paragraph.locations.find(l => l.folderPath === copy).lineStart !== expectedLine) {
+                throw new Error('Paragraph location has the wrong line');
+            }
+            this.logSuccess('Repeated paragraph and code block found in both documents');
+
+            const replacements = await deduplicator.replaceWithLinks([paragraph]);
+            const copyContent = await folderManager.getDocumentContent(copy);
+            const sourceContent = await folderManager.getDocumentContent(source);
+            if (replacements.length !== 1 || !replacements[0].replaced ||
+                copyContent.includes('EVERY DEPLOYMENT') ||
+                !copyContent.includes('[Release-Process](../Release-Process/Release-Process.md)') ||
+                !sourceContent.includes(pasted)) {
+                throw new Error(`Copy was not replaced with a link to the oldest document: ${copyContent}`);
+            }
+            const rescan = await deduplicator.findDuplicatePassages();
+            if (rescan.groups.some(group => group.kind === 'paragraph')) {
+                throw new Error('Paragraph is still reported after replacement');
+            }
+            this.logSuccess('Copies replaced with a link to the canonical document');
+        } catch (error) {
+            this.logFailure('Passage-level duplicates', error.message);
+        }
+    }
+
+    logSuccess(testName) {
+        console.log(`✅ ${testName}`);
+        this.testResults.passed++;
+    }
+
+    logFailure(testName, error) {
+        console.log(`❌ ${testName}: ${error}`);
+        this.testResults.failed++;
+        this.testResults.errors.push({ test: testName, error });
+    }
+
+    async cleanup() {
+        console.log('\n🧹 Cleaning up test environment...');
+        try {
+            await fs.rm(this.testDir, { recursive: true, force: true });
+            console.log('✅ Cleanup complete');
+        } catch (error) {
+            console.log(`⚠️ Cleanup warning: ${error.message}`);
+        }
+    }
+
+    async runAllTests() {
+        console.log('🧪 Duplicate Detection Unit Tests');
+        console.log('='.repeat(50));
+
+        try {
+            await this.setup();
+            await this.testNearDuplicatesWithEvidence();
+            await this.testBandingLimitsComparisons();
+            await this.testDuplicatePassages();
+        } finally {
+            await this.cleanup();
+        }
+
+        // Print summary
+        console.log('\n📊 Test Results Summary:');
+        console.log('='.repeat(30));
+        console.log(`✅ Passed: ${this.testResults.passed}`);
+        console.log(`❌ Failed: ${this.testResults.failed}`);
+        console.log(`📈 Success Rate: ${((this.testResults.passed / (this.testResults.passed + this.testResults.failed)) * 100).toFixed(1)}%`);
+
+        if (this.testResults.errors.length > 0) {
+            console.log('\n🔍 Error Details:');
+            this.testResults.errors.forEach(({ test, error }) => {
+                console.log(`  • ${test}: ${error}`);
+            });
+        }
+
+        return this.testResults.failed === 0;
+    }
+}
+
+// Run tests if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const tests = new DuplicateDetectionTests();
+    tests.runAllTests().then(success => {
+        if (!success) {
+            process.exit(1);
+        }
+    }).catch(error => {
+        console.error('Test execution failed:', error);
+        process.exit(1);
+    });
+}
+
+export default DuplicateDetectionTests;
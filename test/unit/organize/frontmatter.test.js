@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+
+/**
+ * Frontmatter Unit Tests
+ * Tests frontmatter-aware search and metadata round-trips
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import os from 'os';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, '../../..');
+
+class FrontmatterTests {
+    constructor() {
+        this.testResults = {
+            passed: 0,
+            failed: 0,
+            errors: []
+        };
+        this.testDir = path.join(os.tmpdir(), 'frontmatter_test');
+        this.syncHub = path.join(this.testDir, 'sync_hub');
+        this.indexDirectory = path.join(this.testDir, 'data', 'search_index');
+    }
+
+    async setup() {
+        console.log('🔧 Setting up frontmatter test environment...');
+
+        await fs.rm(this.testDir, { recursive: true, force: true });
+
+        const { DocumentFolderManager } = await import(path.join(projectRoot, 'src/organize/document_folder_manager.js'));
+        const { SearchIndex } = await import(path.join(projectRoot, 'src/organize/search_index.js'));
+        const { DocumentSearchEngine } = await import(path.join(projectRoot, 'src/organize/document_search_engine.js'));
+
+        this.SearchIndex = SearchIndex;
+        this.folderManager = new DocumentFolderManager(this.syncHub);
+
+        await this.writeDocument('Research', 'Neural Networks', '# Neural Networks\n\nBackpropagation trains deep networks.');
+        await this.writeDocument('Research', 'Graph Theory', '# Graph Theory\n\nDijkstra finds shortest paths.');
+        await this.writeDocument('Notes', 'Groceries', '# Groceries\n\nMilk, eggs and bread.');
+
+        // The tests edit the hub directly, so every search looks for changes
+        this.engine = new DocumentSearchEngine(this.folderManager, { indexDirectory: this.indexDirectory, refreshInterval: 0 });
+
+        console.log('✅ Test environment setup complete');
+    }
+
+    async writeDocument(category, name, content) {
+        const folderPath = path.join(this.syncHub, category, name);
+        await fs.mkdir(folderPath, { recursive: true });
+        await fs.writeFile(path.join(folderPath, `${name}.md`), content);
+        return folderPath;
+    }
+
+    async testFrontmatter() {
+        console.log('\n🏷️ Testing frontmatter metadata...');
+
+        try {
+            const body = '# Draft heading\n\nSelf-attention replaces recurrence.\n---\nFooter stays.\n';
+            const folderPath = await this.folderManager.createDocumentFolder('Attention', 'Notes', body, {
+                title: 'Attention Is All You Need',
+                aliases: ['Transformer paper'],
+                tags: ['ml', 'nlp'],
+                category: 'Research',
+                updated: '2001-05-01'
+            });
+
+            const queries = ['title:"transformer paper"', 'tag:nlp', 'modified:2001 attention', 'category:research recurrence'];
+            const hits = [];
+            for (const query of queries) {
+                const response = await this.engine.searchDocuments(query);
+                hits.push(response.results.some(result => result.documentFolder.name === 'Attention'));
+            }
+            if (hits.every(Boolean)) {
+                this.logSuccess('Search treats frontmatter title, aliases, tags, dates and category as authoritative');
+            } else {
+                this.logFailure('Frontmatter search', JSON.stringify(hits));
+            }
+
+            const before = await this.folderManager.getDocumentContent(folderPath);
+            const updated = await this.folderManager.setDocumentMetadata(folderPath, { source: 'https://arxiv.org/abs/1706.03762', aliases: null });
+            const after = await this.folderManager.getDocumentContent(folderPath);
+            if (after.endsWith(body) && before.includes('tags:\n  - ml') && after.includes('tags:\n  - ml') &&
+                updated.metadata.source === 'https://arxiv.org/abs/1706.03762' && !('aliases' in updated.metadata) &&
+                updated.metadata.updated !== '2001-05-01') {
+                this.logSuccess('Metadata updates round-trip without touching the body');
+            } else {
+                this.logFailure('Frontmatter round-trip', after);
+            }
+
+            await fs.rm(folderPath, { recursive: true });
+        } catch (error) {
+            this.logFailure('Frontmatter', error.message);
+        }
+    }
+
+    async testBodyMatches() {
+        console.log('\n🔎 Testing matches outside the frontmatter...');
+
+        try {
+            const folderPath = await this.folderManager.createDocumentFolder('Zebra Notes', 'Notes', 'Plain text about stripes.\n\nStripes help with zebra camouflage.\n', {
+                source: 'https://example.com/zebra-stripes'
+            });
+            const content = await this.folderManager.getDocumentContent(folderPath);
+            const zebraLine = content.split('\n').indexOf('Stripes help with zebra camouflage.') + 1;
+            const name = path.basename(folderPath);
+
+            const response = await this.engine.searchDocuments('zebra');
+            const result = response.results.find(entry => entry.documentFolder.name === name);
+            const matched = result ? result.matchedContent : [];
+            if (result && !result.preview.includes('example.com') && !result.preview.startsWith('---') &&
+                matched.length === 1 && matched[0].lineNumber === zebraLine && matched[0].excerpt.includes('camouflage')) {
+                this.logSuccess('Matches and previews come from the body, with line numbers in the file');
+            } else {
+                this.logFailure('Body matches', JSON.stringify(result && { preview: result.preview, matched }));
+            }
+
+            const onlyFrontmatter = await this.engine.searchDocuments('example');
+            if (!onlyFrontmatter.results.some(entry => entry.documentFolder.name === name)) {
+                this.logSuccess('Words only in frontmatter values do not match');
+            } else {
+                this.logFailure('Frontmatter-only match', 'document matched on its source URL');
+            }
+
+            await fs.rm(folderPath, { recursive: true });
+        } catch (error) {
+            this.logFailure('Body matches', error.message);
+        }
+    }
+
+    logSuccess(testName) {
+        console.log(`✅ ${testName}`);
+        this.testResults.passed++;
+    }
+
+    logFailure(testName, error) {
+        console.log(`❌ ${testName}: ${error}`);
+        this.testResults.failed++;
+        this.testResults.errors.push({ test: testName, error });
+    }
+
+    async cleanup() {
+        console.log('\n🧹 Cleaning up test environment...');
+        try {
+            await fs.rm(this.testDir, { recursive: true, force: true });
+            console.log('✅ Cleanup complete');
+        } catch (error) {
+            console.log(`⚠️ Cleanup warning: ${error.message}`);
+        }
+    }
+
+    async runAllTests() {
+        console.log('🧪 Frontmatter Unit Tests');
+        console.log('='.repeat(50));
+
+        try {
+            await this.setup();
+            await this.testFrontmatter();
+            await this.testBodyMatches();
+        } finally {
+            await this.cleanup();
+        }
+
+        // Print summary
+        console.log('\n📊 Test Results Summary:');
+        console.log('='.repeat(30));
+        console.log(`✅ Passed: ${this.testResults.passed}`);
+        console.log(`❌ Failed: ${this.testResults.failed}`);
+        console.log(`📈 Success Rate: ${((this.testResults.passed / (this.testResults.passed + this.testResults.failed)) * 100).toFixed(1)}%`);
+
+        if (this.testResults.errors.length > 0) {
+            console.log('\n🔍 Error Details:');
+            this.testResults.errors.forEach(({ test, error }) => {
+                console.log(`  • ${test}: ${error}`);
+            });
+        }
+
+        return this.testResults.failed === 0;
+    }
+}
+
+// Run tests if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const tests = new FrontmatterTests();
+    tests.runAllTests().catch(error => {
+        console.error('Test execution failed:', error);
+        process.exit(1);
+    });
+}
+
+export default FrontmatterTests;
@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+
+/**
+ * Fuzzy Search Unit Tests
+ * Tests typo-tolerant matching and did-you-mean suggestions
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import os from 'os';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, '../../..');
+
+class FuzzySearchTests {
+    constructor() {
+        this.testResults = {
+            passed: 0,
+            failed: 0,
+            errors: []
+        };
+        this.testDir = path.join(os.tmpdir(), 'fuzzy_search_test');
+        this.syncHub = path.join(this.testDir, 'sync_hub');
+        this.indexDirectory = path.join(this.testDir, 'data', 'search_index');
+    }
+
+    async setup() {
+        console.log('🔧 Setting up fuzzy search test environment...');
+
+        await fs.rm(this.testDir, { recursive: true, force: true });
+
+        const { DocumentFolderManager } = await import(path.join(projectRoot, 'src/organize/document_folder_manager.js'));
+        const { SearchIndex } = await import(path.join(projectRoot, 'src/organize/search_index.js'));
+        const { DocumentSearchEngine } = await import(path.join(projectRoot, 'src/organize/document_search_engine.js'));
+
+        this.SearchIndex = SearchIndex;
+        this.folderManager = new DocumentFolderManager(this.syncHub);
+
+        await this.writeDocument('Research', 'Neural Networks', '# Neural Networks\n\nBackpropagation trains deep networks.');
+        await this.writeDocument('Research', 'Graph Theory', '# Graph Theory\n\nDijkstra finds shortest paths.');
+        await this.writeDocument('Notes', 'Groceries', '# Groceries\n\nMilk, eggs and bread.');
+
+        // The tests edit the hub directly, so every search looks for changes
+        this.engine = new DocumentSearchEngine(this.folderManager, { indexDirectory: this.indexDirectory, refreshInterval: 0 });
+
+        console.log('✅ Test environment setup complete');
+    }
+
+    async writeDocument(category, name, content) {
+        const folderPath = path.join(this.syncHub, category, name);
+        await fs.mkdir(folderPath, { recursive: true });
+        await fs.writeFile(path.join(folderPath, `${name}.md`), content);
+        return folderPath;
+    }
+
+    async testFuzzySearch() {
+        console.log('\n🔤 Testing fuzzy search and suggestions...');
+
+        try {
+            const exact = await this.engine.searchDocuments('backpropgation');
+            if (exact.total_results === 0 && exact.did_you_mean === 'backpropagation' &&
+                exact.suggestions.backpropgation[0] === 'backpropagation') {
+                this.logSuccess('Zero-hit query suggests a correction');
+            } else {
+                this.logFailure('Did you mean', JSON.stringify({ total: exact.total_results, suggestion: exact.did_you_mean }));
+            }
+
+            const fuzzy = await this.engine.searchDocuments('dijsktra', { fuzzy: true });
+            if (fuzzy.total_results === 1 && fuzzy.results[0].documentFolder.name === 'Graph Theory' &&
+                fuzzy.search_metadata.fuzzy_expansions.dijsktra.includes('dijkstra')) {
+                this.logSuccess('Fuzzy mode tolerates a transposition');
+            } else {
+                this.logFailure('Fuzzy mode', JSON.stringify(fuzzy.search_metadata.fuzzy_expansions));
+            }
+        } catch (error) {
+            this.logFailure('Fuzzy search', error.message);
+        }
+    }
+
+    logSuccess(testName) {
+        console.log(`✅ ${testName}`);
+        this.testResults.passed++;
+    }
+
+    logFailure(testName, error) {
+        console.log(`❌ ${testName}: ${error}`);
+        this.testResults.failed++;
+        this.testResults.errors.push({ test: testName, error });
+    }
+
+    async cleanup() {
+        console.log('\n🧹 Cleaning up test environment...');
+        try {
+            await fs.rm(this.testDir, { recursive: true, force: true });
+            console.log('✅ Cleanup complete');
+        } catch (error) {
+            console.log(`⚠️ Cleanup warning: ${error.message}`);
+        }
+    }
+
+    async runAllTests() {
+        console.log('🧪 Fuzzy Search Unit Tests');
+        console.log('='.repeat(50));
+
+        try {
+            await this.setup();
+            await this.testFuzzySearch();
+        } finally {
+            await this.cleanup();
+        }
+
+        // Print summary
+        console.log('\n📊 Test Results Summary:');
+        console.log('='.repeat(30));
+        console.log(`✅ Passed: ${this.testResults.passed}`);
+        console.log(`❌ Failed: ${this.testResults.failed}`);
+        console.log(`📈 Success Rate: ${((this.testResults.passed / (this.testResults.passed + this.testResults.failed)) * 100).toFixed(1)}%`);
+
+        if (this.testResults.errors.length > 0) {
+            console.log('\n🔍 Error Details:');
+            this.testResults.errors.forEach(({ test, error }) => {
+                console.log(`  • ${test}: ${error}`);
+            });
+        }
+
+        return this.testResults.failed === 0;
+    }
+}
+
+// Run tests if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const tests = new FuzzySearchTests();
+    tests.runAllTests().catch(error => {
+        console.error('Test execution failed:', error);
+        process.exit(1);
+    });
+}
+
+export default FuzzySearchTests;
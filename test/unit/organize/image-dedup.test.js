@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+
+/**
+ * Image Deduplication Unit Tests
+ * Tests grouping identical images and consolidating them within a folder
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import os from 'os';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, '../../..');
+
+class ImageDedupTests {
+    constructor() {
+        this.testResults = {
+            passed: 0,
+            failed: 0,
+            errors: []
+        };
+        this.testDir = path.join(os.tmpdir(), 'image_dedup_test');
+    }
+
+    async setup() {
+        console.log('🔧 Setting up image deduplication test environment...');
+
+        await fs.rm(this.testDir, { recursive: true, force: true });
+        await fs.mkdir(this.testDir, { recursive: true });
+
+        console.log('✅ Test environment setup complete');
+    }
+
+    async testDuplicateImages() {
+        console.log('\n📄 Testing duplicate image consolidation...');
+
+        try {
+            const { DocumentFolderManager } = await import(path.join(projectRoot, 'src/organize/document_folder_manager.js'));
+            const { ImageDeduplicator } = await import(path.join(projectRoot, 'src/organize/image_deduplicator.js'));
+
+            const syncHub = path.join(this.testDir, 'dedupe_hub');
+            const first = path.join(syncHub, 'Notes', 'Deploy');
+            const second = path.join(syncHub, 'Notes', 'Rollback');
+            await fs.mkdir(path.join(first, 'images', 'pasted'), { recursive: true });
+            await fs.mkdir(path.join(second, 'images'), { recursive: true });
+            await fs.writeFile(path.join(first, 'Deploy.md'), '# Deploy\n\n![Console](images/console.png)\n![[Pasted image 1.png]]\n');
+            await fs.writeFile(path.join(second, 'Rollback.md'), '# Rollback\n\n![Console](images/console.png)\n');
+            for (const image of [path.join(first, 'images', 'console.png'), path.join(first, 'images', 'pasted', 'Pasted image 1.png'), path.join(second, 'images', 'console.png')]) {
+                await fs.writeFile(image, 'screenshot bytes');
+            }
+            await fs.writeFile(path.join(second, 'images', 'other.png'), 'different bytes!');
+
+            const deduplicator = new ImageDeduplicator(new DocumentFolderManager(syncHub));
+            const report = await deduplicator.findDuplicateImages();
+            const result = await deduplicator.consolidateWithinFolders(report.groups);
+            const note = await fs.readFile(path.join(first, 'Deploy.md'), 'utf8');
+            const pastedGone = !(await fs.stat(path.join(first, 'images', 'pasted', 'Pasted image 1.png')).catch(() => null));
+            const otherKept = await fs.readFile(path.join(second, 'images', 'console.png'), 'utf8');
+
+            if (report.groups.length === 1 && report.groups[0].copies.length === 3 && report.reclaimableBytes === 32 &&
+                report.reclaimableWithinFolders === 16 && result.removed.length === 1 && result.bytesReclaimed === 16 &&
+                note.includes('![[console.png]]') && pastedGone && otherKept === 'screenshot bytes' && result.batchId) {
+                this.logSuccess('Duplicate images are grouped and consolidated within each folder');
+            } else {
+                this.logFailure('Duplicate images', JSON.stringify({ report, result, note }));
+            }
+        } catch (error) {
+            this.logFailure('Duplicate images', error.message);
+        }
+    }
+
+    async testUnrewrittenMentions() {
+        console.log('\n📄 Testing duplicates referenced in other forms...');
+
+        try {
+            const { DocumentFolderManager } = await import(path.join(projectRoot, 'src/organize/document_folder_manager.js'));
+            const { ImageDeduplicator } = await import(path.join(projectRoot, 'src/organize/image_deduplicator.js'));
+
+            const syncHub = path.join(this.testDir, 'mentions_hub');
+            const folder = path.join(syncHub, 'Notes', 'Release');
+            await fs.mkdir(path.join(folder, 'images'), { recursive: true });
+            await fs.writeFile(path.join(folder, 'Release.md'), '# Release\n\n![a](images/a.png)\n![b](images/shot copy.png)\n' +
+                '![f][fig]\n<img src=images/diagram.png>\n\n[fig]: images/fig.png\n');
+            for (const image of ['a.png', 'shot copy.png', 'fig.png', 'diagram.png']) {
+                await fs.writeFile(path.join(folder, 'images', image), 'same bytes');
+            }
+
+            const deduplicator = new ImageDeduplicator(new DocumentFolderManager(syncHub));
+            const report = await deduplicator.findDuplicateImages();
+            const result = await deduplicator.consolidateWithinFolders(report.groups);
+            const note = await fs.readFile(path.join(folder, 'Release.md'), 'utf8');
+            const diagramKept = await fs.stat(path.join(folder, 'images', 'diagram.png')).then(() => true, () => false);
+
+            if (result.removed.map(item => path.basename(item.path)).sort().join() === 'fig.png,shot copy.png' &&
+                result.skipped.map(item => path.basename(item.path)).join() === 'diagram.png' && diagramKept &&
+                note.includes('![b](images/a.png)') && note.includes('[fig]: images/a.png') &&
+                note.includes('<img src=images/diagram.png>')) {
+                this.logSuccess('Copies still mentioned in unrewritten forms stay in place');
+            } else {
+                this.logFailure('Unrewritten mentions', JSON.stringify({ result, note }));
+            }
+        } catch (error) {
+            this.logFailure('Unrewritten mentions', error.message);
+        }
+    }
+
+    logSuccess(testName) {
+        console.log(`✅ ${testName}`);
+        this.testResults.passed++;
+    }
+
+    logFailure(testName, error) {
+        console.log(`❌ ${testName}: ${error}`);
+        this.testResults.failed++;
+        this.testResults.errors.push({ test: testName, error });
+    }
+
+    async cleanup() {
+        console.log('\n🧹 Cleaning up test environment...');
+        try {
+            await fs.rm(this.testDir, { recursive: true, force: true });
+            console.log('✅ Cleanup complete');
+        } catch (error) {
+            console.log(`⚠️ Cleanup warning: ${error.message}`);
+        }
+    }
+
+    async runAllTests() {
+        console.log('🧪 Image Deduplication Unit Tests');
+        console.log('='.repeat(50));
+
+        try {
+            await this.setup();
+            await this.testDuplicateImages();
+            await this.testUnrewrittenMentions();
+        } finally {
+            await this.cleanup();
+        }
+
+        // Print summary
+        console.log('\n📊 Test Results Summary:');
+        console.log('='.repeat(30));
+        console.log(`✅ Passed: ${this.testResults.passed}`);
+        console.log(`❌ Failed: ${this.testResults.failed}`);
+        console.log(`📈 Success Rate: ${((this.testResults.passed / (this.testResults.passed + this.testResults.failed)) * 100).toFixed(1)}%`);
+
+        if (this.testResults.errors.length > 0) {
+            console.log('\n🔍 Error Details:');
+            this.testResults.errors.forEach(({ test, error }) => {
+                console.log(`  • ${test}: ${error}`);
+            });
+        }
+
+        return this.testResults.failed === 0;
+    }
+}
+
+// Run tests if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const tests = new ImageDedupTests();
+    tests.runAllTests().catch(error => {
+        console.error('Test execution failed:', error);
+        process.exit(1);
+    });
+}
+
+export default ImageDedupTests;
@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+
+/**
+ * Keyphrases Unit Tests
+ * Tests corpus-weighted keyphrases and their persistence in the index
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import os from 'os';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, '../../..');
+
+class KeyphraseTests {
+    constructor() {
+        this.testResults = {
+            passed: 0,
+            failed: 0,
+            errors: []
+        };
+        this.testDir = path.join(os.tmpdir(), 'keyphrases_test');
+        this.syncHub = path.join(this.testDir, 'sync_hub');
+        this.indexDirectory = path.join(this.testDir, 'data', 'search_index');
+    }
+
+    async setup() {
+        console.log('🔧 Setting up keyphrase test environment...');
+
+        await fs.rm(this.testDir, { recursive: true, force: true });
+
+        const { DocumentFolderManager } = await import(path.join(projectRoot, 'src/organize/document_folder_manager.js'));
+        const { SearchIndex } = await import(path.join(projectRoot, 'src/organize/search_index.js'));
+        const { DocumentSearchEngine } = await import(path.join(projectRoot, 'src/organize/document_search_engine.js'));
+
+        this.SearchIndex = SearchIndex;
+        this.folderManager = new DocumentFolderManager(this.syncHub);
+
+        await this.writeDocument('Research', 'Neural Networks', '# Neural Networks\n\nBackpropagation trains deep networks.');
+        await this.writeDocument('Research', 'Graph Theory', '# Graph Theory\n\nDijkstra finds shortest paths.');
+        await this.writeDocument('Notes', 'Groceries', '# Groceries\n\nMilk, eggs and bread.');
+
+        // The tests edit the hub directly, so every search looks for changes
+        this.engine = new DocumentSearchEngine(this.folderManager, { indexDirectory: this.indexDirectory, refreshInterval: 0 });
+
+        console.log('✅ Test environment setup complete');
+    }
+
+    async writeDocument(category, name, content) {
+        const folderPath = path.join(this.syncHub, category, name);
+        await fs.mkdir(folderPath, { recursive: true });
+        await fs.writeFile(path.join(folderPath, `${name}.md`), content);
+        return folderPath;
+    }
+
+    async testKeyphrases() {
+        console.log('\n🔑 Testing corpus-weighted keyphrases...');
+
+        try {
+            // Every note of this team opens with the same boilerplate
+            const boilerplate = 'Project update. ';
+            const folders = [
+                await this.writeDocument('Notes', 'Replication', '# Replication\n\n' + boilerplate.repeat(7) +
+                    'Replicas use vector clocks to order writes. Vector clocks travel with each key, ' +
+                    'and a read compares vector clocks.')
+            ];
+            for (const name of ['Standup', 'Budget', 'Hiring', 'Roadmap', 'Offsite']) {
+                folders.push(await this.writeDocument('Notes', name, `# ${name}\n\n${boilerplate.repeat(3)}`));
+            }
+
+            await this.engine.searchIndex.refresh({ force: true });
+            const entry = Object.values(this.engine.searchIndex.documents).find(doc => doc.name === 'Replication');
+
+            const { ContentAnalyzer } = await import(path.join(projectRoot, 'src/organize/content_analyzer.js'));
+            const mainFile = path.join(this.syncHub, entry.mainFile);
+            const local = await new ContentAnalyzer({ minContentLength: 10 }).analyzeContent(mainFile);
+            const weighted = await new ContentAnalyzer({ minContentLength: 10, searchIndex: this.engine.searchIndex })
+                .analyzeContent(mainFile);
+
+            const reloaded = new this.SearchIndex(this.folderManager, { indexDirectory: this.indexDirectory, refreshInterval: 0 });
+            await reloaded.load();
+
+            if (local.topics[0] === 'project update' &&
+                entry.keyphrases[0].phrase === 'vector clocks' &&
+                weighted.topics.join() === entry.keyphrases.map(k => k.phrase).join() &&
+                reloaded.documents[entry.folder].keyphrases[0].phrase === 'vector clocks') {
+                this.logSuccess('Hub-wide document frequencies demote common words and keyphrases persist');
+            } else {
+                this.logFailure('Keyphrases', JSON.stringify({ local: local.topics, indexed: entry.keyphrases }));
+            }
+
+            for (const folderPath of folders) {
+                await fs.rm(folderPath, { recursive: true });
+            }
+        } catch (error) {
+            this.logFailure('Keyphrases', error.message);
+        }
+    }
+
+    logSuccess(testName) {
+        console.log(`✅ ${testName}`);
+        this.testResults.passed++;
+    }
+
+    logFailure(testName, error) {
+        console.log(`❌ ${testName}: ${error}`);
+        this.testResults.failed++;
+        this.testResults.errors.push({ test: testName, error });
+    }
+
+    async cleanup() {
+        console.log('\n🧹 Cleaning up test environment...');
+        try {
+            await fs.rm(this.testDir, { recursive: true, force: true });
+            console.log('✅ Cleanup complete');
+        } catch (error) {
+            console.log(`⚠️ Cleanup warning: ${error.message}`);
+        }
+    }
+
+    async runAllTests() {
+        console.log('🧪 Keyphrases Unit Tests');
+        console.log('='.repeat(50));
+
+        try {
+            await this.setup();
+            await this.testKeyphrases();
+        } finally {
+            await this.cleanup();
+        }
+
+        // Print summary
+        console.log('\n📊 Test Results Summary:');
+        console.log('='.repeat(30));
+        console.log(`✅ Passed: ${this.testResults.passed}`);
+        console.log(`❌ Failed: ${this.testResults.failed}`);
+        console.log(`📈 Success Rate: ${((this.testResults.passed / (this.testResults.passed + this.testResults.failed)) * 100).toFixed(1)}%`);
+
+        if (this.testResults.errors.length > 0) {
+            console.log('\n🔍 Error Details:');
+            this.testResults.errors.forEach(({ test, error }) => {
+                console.log(`  • ${test}: ${error}`);
+            });
+        }
+
+        return this.testResults.failed === 0;
+    }
+}
+
+// Run tests if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const tests = new KeyphraseTests();
+    tests.runAllTests().catch(error => {
+        console.error('Test execution failed:', error);
+        process.exit(1);
+    });
+}
+
+export default KeyphraseTests;
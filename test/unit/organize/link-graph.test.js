@@ -0,0 +1,304 @@
+#!/usr/bin/env node
+
+/**
+ * Link Graph Unit Tests
+ * Tests wiki-link and markdown link parsing, resolution to document folders, backlinks
+ * the link rewrites that follow a renamed or moved document folder, and the link checker
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import os from 'os';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, '../../..');
+
+class LinkGraphTests {
+    constructor() {
+        this.testResults = {
+            passed: 0,
+            failed: 0,
+            errors: []
+        };
+        this.testDir = path.join(os.tmpdir(), 'link_graph_test');
+        this.syncHub = path.join(this.testDir, 'sync_hub');
+        this.indexDirectory = path.join(this.testDir, 'data', 'search_index');
+    }
+
+    async setup() {
+        console.log('🔧 Setting up link graph test environment...');
+
+        await fs.rm(this.testDir, { recursive: true, force: true });
+
+        const { DocumentFolderManager } = await import(path.join(projectRoot, 'src/organize/document_folder_manager.js'));
+        const { DocumentSearchEngine } = await import(path.join(projectRoot, 'src/organize/document_search_engine.js'));
+
+        await this.writeDocument('Research', 'Raft Consensus', '---\naliases: [Raft]\n---\n# Raft Consensus\n\nSee [[Paxos]] for the older protocol.\n');
+        await this.writeDocument('Research', 'Paxos', '# Paxos\n\nSimpler explained in [Raft](../Raft%20Consensus/Raft%20Consensus.md#leader-election).\n');
+        await this.writeDocument('Notes', 'Reading List', '# Reading List\n\n' +
+            '- [[Raft|the Raft paper]] and [[Research/Paxos#History]]\n' +
+            '- ![[diagram.png]] is an image, [site](https://raft.github.io) is external\n' +
+            '- [[Missing Note]] does not exist yet\n\n' +
+            '```\n[[Paxos]] inside code is ignored\n```\n');
+        await this.writeDocument('Notes', 'Groceries', '# Groceries\n\nMilk and eggs.\n');
+
+        // The tests edit the hub directly, so every search looks for changes
+        this.engine = new DocumentSearchEngine(new DocumentFolderManager(this.syncHub), { indexDirectory: this.indexDirectory, refreshInterval: 0 });
+
+        console.log('✅ Test environment setup complete');
+    }
+
+    async writeDocument(category, name, content) {
+        const folderPath = path.join(this.syncHub, category, name);
+        await fs.mkdir(folderPath, { recursive: true });
+        await fs.writeFile(path.join(folderPath, `${name}.md`), content);
+        return folderPath;
+    }
+
+    async testOutgoingLinks() {
+        console.log('\n🔗 Testing link parsing and resolution...');
+
+        try {
+            const outgoing = await this.engine.getOutgoingLinks('Notes/Reading List');
+            const targets = outgoing.links.map(link => link.target);
+
+            if (targets.length === 3 &&
+                targets[0] === path.join('Research', 'Raft Consensus') &&
+                targets[1] === path.join('Research', 'Paxos') &&
+                targets[2] === null && outgoing.unresolvedCount === 1 &&
+                outgoing.links[0].text === 'the Raft paper' && outgoing.links[1].anchor === 'History') {
+                this.logSuccess('Wiki links resolve by name, alias and path; images, URLs and code are skipped');
+            } else {
+                this.logFailure('Outgoing links', JSON.stringify(outgoing.links));
+            }
+
+            const markdown = await this.engine.getOutgoingLinks('Research/Paxos/Paxos.md', { includeUnresolved: false });
+            if (markdown.links.length === 1 && markdown.links[0].type === 'markdown' &&
+                markdown.links[0].target === path.join('Research', 'Raft Consensus') &&
+                markdown.links[0].anchor === 'leader-election') {
+                this.logSuccess('Relative markdown links resolve to document folders');
+            } else {
+                this.logFailure('Markdown links', JSON.stringify(markdown.links));
+            }
+        } catch (error) {
+            this.logFailure('Outgoing links', error.message);
+        }
+    }
+
+    async testBacklinksAndGraph() {
+        console.log('\n🕸️ Testing backlinks and the graph...');
+
+        try {
+            const backlinks = await this.engine.getBacklinks('Research/Paxos');
+            const sources = backlinks.backlinks.map(link => link.source.name);
+            if (sources.join() === 'Reading List,Raft Consensus' && backlinks.backlinks[0].line === 3 &&
+                backlinks.backlinks[0].context.includes('[[Research/Paxos#History]]')) {
+                this.logSuccess('Backlinks list each linking document with line and context');
+            } else {
+                this.logFailure('Backlinks', JSON.stringify(backlinks.backlinks));
+            }
+
+            const graph = await this.engine.getLinkGraph({ includeUnresolved: true });
+            const research = await this.engine.getLinkGraph({ directory: 'Research' });
+            if (graph.stats.edges === 4 && graph.orphans.join() === path.join('Notes', 'Groceries') &&
+                graph.unresolved.length === 1 && graph.unresolved[0].target === 'Missing Note' &&
+                research.nodes.length === 2 && research.stats.edges === 2) {
+                this.logSuccess('Graph reports edges, orphans and unresolved links, optionally per directory');
+            } else {
+                this.logFailure('Link graph', JSON.stringify({ stats: graph.stats, orphans: graph.orphans, research: research.stats }));
+            }
+
+            // A new note naming an existing one becomes a backlink after the next refresh
+            await this.writeDocument('Notes', 'Groceries', '# Groceries\n\nMilk, eggs and a copy of [[paxos]].\n');
+            await this.engine.searchIndex.refresh({ force: true });
+            const updated = await this.engine.getBacklinks('Research/Paxos');
+            if (updated.count === 3 && updated.linkingDocuments === 3) {
+                this.logSuccess('Backlinks follow document edits');
+            } else {
+                this.logFailure('Backlink updates', JSON.stringify(updated.backlinks.map(link => link.source.name)));
+            }
+        } catch (error) {
+            this.logFailure('Backlinks and graph', error.message);
+        }
+    }
+
+    async testLinkChecker() {
+        console.log('\n🩺 Testing the broken link checker...');
+
+        try {
+            const { LinkChecker } = await import(path.join(projectRoot, 'src/organize/link_checker.js'));
+            const folder = await this.writeDocument('Notes', 'Photos', '# Photos\n\n' +
+                '![Eggs](images/egg.png) and ![Milk](Images/milk.png)\n' +
+                '<img src="images/milk.png" alt="Milk"> is fine, [list](../groceries/Groceries.md) is not\n' +
+                '[gone](../Old%20Trip/Old%20Trip.md) and `![](images/in-code.png)`\n');
+            await fs.mkdir(path.join(folder, 'images'));
+            await fs.writeFile(path.join(folder, 'images', 'eggs.png'), 'png');
+            await fs.writeFile(path.join(folder, 'images', 'milk.png'), 'png');
+
+            const checker = new LinkChecker(this.engine.documentFolderManager, { searchIndex: this.engine.searchIndex });
+            const report = await checker.checkLinks();
+            const byTarget = Object.fromEntries(report.issues.map(issue => [issue.target, issue]));
+
+            if (report.counts.missing_image === 2 && report.counts.broken_link === 2 && report.counts.case_mismatch === 2 &&
+                byTarget['images/egg.png'].suggestions[0].link === 'images/eggs.png' &&
+                byTarget['diagram.png'].suggestions.length === 0 &&
+                byTarget['Images/milk.png'].type === 'case_mismatch' && byTarget['Images/milk.png'].suggestions[0].link === 'images/milk.png' &&
+                byTarget['../groceries/Groceries.md'].actual === 'Notes/Groceries/Groceries.md' &&
+                byTarget['Missing Note'].type === 'broken_link' && byTarget['Missing Note'].line === 5 &&
+                byTarget['../Old Trip/Old Trip.md'].kind === 'note' && !byTarget['images/in-code.png']) {
+                this.logSuccess('Checker reports missing images, broken links and case mismatches with suggestions');
+            } else {
+                this.logFailure('Link checker', JSON.stringify(report.issues));
+            }
+        } catch (error) {
+            this.logFailure('Link checker', error.message);
+        }
+    }
+
+    async testLinkUpdates() {
+        console.log('\n✏️ Testing link updates for renamed and moved folders...');
+
+        try {
+            const readingList = path.join(this.syncHub, 'Notes', 'Reading List', 'Reading List.md');
+            const before = await fs.readFile(readingList, 'utf8');
+
+            const renamePlan = await this.engine.planLinkUpdates('Research/Paxos', 'Research/Paxos Made Simple');
+            const preview = await this.engine.applyLinkUpdates(renamePlan, { dryRun: true });
+            const previewed = preview.changes.map(change => `${change.file}:${change.line}:${change.after.trim()}`);
+            if (preview.filesChanged === 3 && preview.linksUpdated === 3 &&
+                previewed[0] === `${path.join('Notes', 'Groceries', 'Groceries.md')}:3:Milk, eggs and a copy of [[Paxos Made Simple]].` &&
+                previewed[1].endsWith(':3:- [[Raft|the Raft paper]] and [[Research/Paxos Made Simple#History]]') &&
+                previewed[2].endsWith(':6:See [[Paxos Made Simple]] for the older protocol.') &&
+                await fs.readFile(readingList, 'utf8') === before) {
+                this.logSuccess('Dry run lists each file and line a rename would change without writing');
+            } else {
+                this.logFailure('Rename preview', JSON.stringify(preview.changes));
+            }
+
+            const movePlan = await this.engine.planLinkUpdates('Research/Paxos', 'Archive/Paxos');
+            await this.engine.documentFolderManager.moveDocumentFolder(path.join(this.syncHub, 'Research', 'Paxos'), path.join(this.syncHub, 'Archive', 'Paxos'));
+            const moved = await this.engine.applyLinkUpdates(movePlan);
+
+            const paxos = await fs.readFile(path.join(this.syncHub, 'Archive', 'Paxos', 'Paxos.md'), 'utf8');
+            const backlinks = await this.engine.getBacklinks('Archive/Paxos');
+            const outgoing = await this.engine.getOutgoingLinks('Archive/Paxos');
+            if (moved.filesChanged === 2 && moved.linksUpdated === 2 &&
+                (await fs.readFile(readingList, 'utf8')).includes('[[Archive/Paxos#History]]') &&
+                paxos.includes('[Raft](../../Research/Raft%20Consensus/Raft%20Consensus.md#leader-election)') &&
+                backlinks.count === 3 && outgoing.links[0].target === path.join('Research', 'Raft Consensus')) {
+                this.logSuccess('Moving a folder rewrites path-qualified wiki links and relative markdown links');
+            } else {
+                this.logFailure('Move link updates', JSON.stringify({ changes: moved.changes, backlinks: backlinks.count, outgoing: outgoing.links }));
+            }
+        } catch (error) {
+            this.logFailure('Link updates', error.message);
+        }
+    }
+
+    async testAssetLinkUpdates() {
+        console.log('\n🖼️ Testing link updates for images of a moved folder...');
+
+        try {
+            const launch = await this.writeDocument('Projects', 'Launch', '# Launch\n\n![plan](images/plan.png)\n');
+            await fs.mkdir(path.join(launch, 'images'));
+            await fs.writeFile(path.join(launch, 'images', 'plan.png'), 'image data');
+            const status = await this.writeDocument('Notes', 'Status', '# Status\n\n![plan](../../Projects/Launch/images/plan.png)\n' +
+                '<img src="/Projects/Launch/images/plan.png" alt="Plan">\n');
+            const statusFile = path.join(status, 'Status.md');
+
+            const plan = await this.engine.planLinkUpdates('Projects/Launch', 'Archive/Launch');
+            const preview = await this.engine.applyLinkUpdates(plan, { dryRun: true });
+            const previewed = preview.changes.map(change => change.after);
+            if (preview.linksUpdated === 2 && previewed.join('\n') ===
+                '![plan](../../Archive/Launch/images/plan.png)\n<img src="/Archive/Launch/images/plan.png" alt="Plan">') {
+                this.logSuccess('Dry run lists the image links into a moved folder');
+            } else {
+                this.logFailure('Asset link preview', JSON.stringify(preview.changes));
+            }
+
+            // The note changes between planning and applying; only the link still there is rewritten
+            await fs.writeFile(statusFile, '# Status\n\n![plan](../../Projects/Launch/images/plan.png)\nThe diagram moved.\n');
+            await this.engine.documentFolderManager.moveDocumentFolder(launch, path.join(this.syncHub, 'Archive', 'Launch'));
+            const moved = await this.engine.applyLinkUpdates(plan);
+
+            if (moved.filesChanged === 1 && moved.linksUpdated === 1 &&
+                (await fs.readFile(statusFile, 'utf8')).includes('![plan](../../Archive/Launch/images/plan.png)')) {
+                this.logSuccess('Image links are rewritten and only applied edits are counted');
+            } else {
+                this.logFailure('Asset link updates', JSON.stringify(moved));
+            }
+        } catch (error) {
+            this.logFailure('Asset link updates', error.message);
+        }
+    }
+
+    logSuccess(testName) {
+        console.log(`✅ ${testName}`);
+        this.testResults.passed++;
+    }
+
+    logFailure(testName, error) {
+        console.log(`❌ ${testName}: ${error}`);
+        this.testResults.failed++;
+        this.testResults.errors.push({ test: testName, error });
+    }
+
+    async cleanup() {
+        console.log('\n🧹 Cleaning up test environment...');
+        try {
+            await fs.rm(this.testDir, { recursive: true, force: true });
+            console.log('✅ Cleanup complete');
+        } catch (error) {
+            console.log(`⚠️ Cleanup warning: ${error.message}`);
+        }
+    }
+
+    async runAllTests() {
+        console.log('🧪 Link Graph Unit Tests');
+        console.log('='.repeat(50));
+
+        try {
+            await this.setup();
+            await this.testOutgoingLinks();
+            await this.testBacklinksAndGraph();
+            await this.testLinkChecker();
+            await this.testLinkUpdates();
+            await this.testAssetLinkUpdates();
+        } finally {
+            await this.cleanup();
+        }
+
+        // Print summary
+        console.log('\n📊 Test Results Summary:');
+        console.log('='.repeat(30));
+        console.log(`✅ Passed: ${this.testResults.passed}`);
+        console.log(`❌ Failed: ${this.testResults.failed}`);
+        console.log(`📈 Success Rate: ${((this.testResults.passed / (this.testResults.passed + this.testResults.failed)) * 100).toFixed(1)}%`);
+
+        if (this.testResults.errors.length > 0) {
+            console.log('\n🔍 Error Details:');
+            this.testResults.errors.forEach(({ test, error }) => {
+                console.log(`  • ${test}: ${error}`);
+            });
+        }
+
+        return this.testResults.failed === 0;
+    }
+}
+
+// Run tests if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const tests = new LinkGraphTests();
+    tests.runAllTests().then(success => {
+        if (!success) {
+            process.exit(1);
+        }
+    }).catch(error => {
+        console.error('Test execution failed:', error);
+        process.exit(1);
+    });
+}
+
+export default LinkGraphTests;
@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+
+/**
+ * Nested Categories Unit Tests
+ * Tests category paths, rolled-up stats and the category tree
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import os from 'os';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, '../../..');
+
+class NestedCategoryTests {
+    constructor() {
+        this.testResults = {
+            passed: 0,
+            failed: 0,
+            errors: []
+        };
+        this.testDir = path.join(os.tmpdir(), 'nested_categories_test');
+    }
+
+    async setup() {
+        console.log('🔧 Setting up nested category test environment...');
+
+        await fs.rm(this.testDir, { recursive: true, force: true });
+        await fs.mkdir(this.testDir, { recursive: true });
+
+        console.log('✅ Test environment setup complete');
+    }
+
+    async testNestedCategories() {
+        console.log('\n📁 Testing nested category paths...');
+
+        try {
+            const { CategoryManager } = await import(path.join(projectRoot, 'src/organize/category_manager.js'));
+
+            const syncHub = path.join(this.testDir, 'category_hub');
+            const configPath = path.join(this.testDir, 'organize_config.conf');
+            await fs.writeFile(configPath, 'category_depth=3\n');
+            for (const [folder, name] of [['Development/Frontend/React/Hooks', 'Hooks'], ['Development/Frontend/Routing', 'Routing'], ['Development/Backend/Queues', 'Queues']]) {
+                await fs.mkdir(path.join(syncHub, folder, 'images'), { recursive: true });
+                await fs.writeFile(path.join(syncHub, folder, `${name}.md`), `# ${name}\n`);
+            }
+
+            const manager = new CategoryManager({ projectRoot: this.testDir, syncHub, configPath });
+            await manager.initialize();
+            const added = await manager.addCustomCategory({ name: 'Vue', parent: 'Development/Frontend' });
+            await manager.updateCategoryStats();
+
+            const development = manager.categoryStats.get('Development');
+            const frontend = manager.categoryStats.get('Development/Frontend');
+            const tree = manager.getCategoryTree();
+            const frontendNode = tree.find(node => node.path === 'Development').children.find(node => node.path === 'Development/Frontend');
+            let tooDeep = false;
+            await manager.addCustomCategory({ name: 'Too Deep', parent: 'Development/Frontend/React' }).catch(() => { tooDeep = true; });
+
+            if (development.documentFolderCount === 3 && development.directDocumentFolderCount === 0 &&
+                frontend.documentFolderCount === 2 && frontend.directDocumentFolderCount === 1 &&
+                added.path === 'Development/Frontend/Vue' && added.parent === 'development_frontend' &&
+                frontendNode.children.map(node => node.name).join() === 'React,Vue' &&
+                manager.resolveCategoryPath('react') === 'Development/Frontend/React' &&
+                manager.resolveCategoryPath('Vue') === 'Development/Frontend/Vue' &&
+                manager.resolveCategoryPath('../escape') === null && tooDeep) {
+                this.logSuccess('Nested categories roll up stats, form a tree and resolve by path or name');
+            } else {
+                this.logFailure('Nested categories', JSON.stringify({ development, frontend, added }));
+            }
+        } catch (error) {
+            this.logFailure('Nested categories', error.message);
+        }
+    }
+
+    logSuccess(testName) {
+        console.log(`✅ ${testName}`);
+        this.testResults.passed++;
+    }
+
+    logFailure(testName, error) {
+        console.log(`❌ ${testName}: ${error}`);
+        this.testResults.failed++;
+        this.testResults.errors.push({ test: testName, error });
+    }
+
+    async cleanup() {
+        console.log('\n🧹 Cleaning up test environment...');
+        try {
+            await fs.rm(this.testDir, { recursive: true, force: true });
+            console.log('✅ Cleanup complete');
+        } catch (error) {
+            console.log(`⚠️ Cleanup warning: ${error.message}`);
+        }
+    }
+
+    async runAllTests() {
+        console.log('🧪 Nested Categories Unit Tests');
+        console.log('='.repeat(50));
+
+        try {
+            await this.setup();
+            await this.testNestedCategories();
+        } finally {
+            await this.cleanup();
+        }
+
+        // Print summary
+        console.log('\n📊 Test Results Summary:');
+        console.log('='.repeat(30));
+        console.log(`✅ Passed: ${this.testResults.passed}`);
+        console.log(`❌ Failed: ${this.testResults.failed}`);
+        console.log(`📈 Success Rate: ${((this.testResults.passed / (this.testResults.passed + this.testResults.failed)) * 100).toFixed(1)}%`);
+
+        if (this.testResults.errors.length > 0) {
+            console.log('\n🔍 Error Details:');
+            this.testResults.errors.forEach(({ test, error }) => {
+                console.log(`  • ${test}: ${error}`);
+            });
+        }
+
+        return this.testResults.failed === 0;
+    }
+}
+
+// Run tests if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const tests = new NestedCategoryTests();
+    tests.runAllTests().catch(error => {
+        console.error('Test execution failed:', error);
+        process.exit(1);
+    });
+}
+
+export default NestedCategoryTests;
@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+
+/**
+ * Orphaned Assets Unit Tests
+ * Tests finding unreferenced assets, quarantining and restoring them
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import os from 'os';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, '../../..');
+
+class OrphanedAssetTests {
+    constructor() {
+        this.testResults = {
+            passed: 0,
+            failed: 0,
+            errors: []
+        };
+        this.testDir = path.join(os.tmpdir(), 'orphaned_assets_test');
+    }
+
+    async setup() {
+        console.log('🔧 Setting up orphaned asset test environment...');
+
+        await fs.rm(this.testDir, { recursive: true, force: true });
+        await fs.mkdir(this.testDir, { recursive: true });
+
+        console.log('✅ Test environment setup complete');
+    }
+
+    async testOrphanedAssets() {
+        console.log('\n📄 Testing orphaned asset quarantine and restore...');
+
+        try {
+            const { DocumentFolderManager } = await import(path.join(projectRoot, 'src/organize/document_folder_manager.js'));
+            const { OrphanedAssetManager } = await import(path.join(projectRoot, 'src/organize/orphaned_asset_manager.js'));
+
+            const syncHub = path.join(this.testDir, 'sync_hub');
+            const folder = path.join(syncHub, 'Notes', 'Trip');
+            await fs.mkdir(path.join(folder, 'images', 'old'), { recursive: true });
+            await fs.writeFile(path.join(folder, 'Trip.md'), '# Trip\n\n![Map](./images/map.png) ![[beach.jpg]]\n<img src="images/old/../sunset.png">\n');
+            for (const image of ['map.png', 'beach.jpg', 'sunset.png', 'unused.png', 'old/draft.png']) {
+                await fs.writeFile(path.join(folder, 'images', image), 'image data');
+            }
+
+            const manager = new OrphanedAssetManager(new DocumentFolderManager(syncHub));
+            const scan = await manager.findOrphanedAssets();
+            const orphanPaths = scan.orphans.map(orphan => orphan.path);
+            const expected = [path.join('Notes', 'Trip', 'images', 'old', 'draft.png'), path.join('Notes', 'Trip', 'images', 'unused.png')];
+
+            const quarantined = await manager.quarantineAssets(orphanPaths);
+            const batches = await manager.listQuarantine();
+            const movedAway = !(await fs.stat(path.join(folder, 'images', 'unused.png')).catch(() => null));
+
+            const restored = await manager.restoreAssets(quarantined.batchId);
+            const back = await fs.readFile(path.join(folder, 'images', 'old', 'draft.png'), 'utf8');
+
+            if (orphanPaths.join() === expected.join() && scan.assetsScanned === 5 && scan.totalSize === 20 &&
+                movedAway && batches.length === 1 && batches[0].count === 2 &&
+                restored.restored.length === 2 && back === 'image data' && (await manager.listQuarantine()).length === 0) {
+                this.logSuccess('Orphaned assets are found, quarantined and restored');
+            } else {
+                this.logFailure('Orphaned assets', JSON.stringify({ orphanPaths, scan: scan.totalSize, batches, restored }));
+            }
+        } catch (error) {
+            this.logFailure('Orphaned assets', error.message);
+        }
+    }
+
+    async testReferenceForms() {
+        console.log('\n📄 Testing image references with spaces and reference-style images...');
+
+        try {
+            const { DocumentFolderManager } = await import(path.join(projectRoot, 'src/organize/document_folder_manager.js'));
+            const { OrphanedAssetManager } = await import(path.join(projectRoot, 'src/organize/orphaned_asset_manager.js'));
+
+            const syncHub = path.join(this.testDir, 'forms_hub');
+            const folder = path.join(syncHub, 'Notes', 'Setup');
+            await fs.mkdir(path.join(folder, 'images'), { recursive: true });
+            await fs.writeFile(path.join(folder, 'Setup.md'), '# Setup\n\n![shot](images/my shot.png)\n![r][fig] and ![Logo]\n\n' +
+                '[fig]: images/x.png "Figure"\n[logo]: <images/the logo.png>\n[spare]: images/spare.png\n');
+            for (const image of ['my shot.png', 'x.png', 'the logo.png', 'spare.png']) {
+                await fs.writeFile(path.join(folder, 'images', image), 'image data');
+            }
+
+            const manager = new OrphanedAssetManager(new DocumentFolderManager(syncHub));
+            const scan = await manager.findOrphanedAssets();
+
+            if (scan.orphans.map(orphan => orphan.path).join() === path.join('Notes', 'Setup', 'images', 'spare.png')) {
+                this.logSuccess('Paths with spaces and reference-style images count as references');
+            } else {
+                this.logFailure('Reference forms', JSON.stringify(scan.orphans));
+            }
+        } catch (error) {
+            this.logFailure('Reference forms', error.message);
+        }
+    }
+
+    logSuccess(testName) {
+        console.log(`✅ ${testName}`);
+        this.testResults.passed++;
+    }
+
+    logFailure(testName, error) {
+        console.log(`❌ ${testName}: ${error}`);
+        this.testResults.failed++;
+        this.testResults.errors.push({ test: testName, error });
+    }
+
+    async cleanup() {
+        console.log('\n🧹 Cleaning up test environment...');
+        try {
+            await fs.rm(this.testDir, { recursive: true, force: true });
+            console.log('✅ Cleanup complete');
+        } catch (error) {
+            console.log(`⚠️ Cleanup warning: ${error.message}`);
+        }
+    }
+
+    async runAllTests() {
+        console.log('🧪 Orphaned Assets Unit Tests');
+        console.log('='.repeat(50));
+
+        try {
+            await this.setup();
+            await this.testOrphanedAssets();
+            await this.testReferenceForms();
+        } finally {
+            await this.cleanup();
+        }
+
+        // Print summary
+        console.log('\n📊 Test Results Summary:');
+        console.log('='.repeat(30));
+        console.log(`✅ Passed: ${this.testResults.passed}`);
+        console.log(`❌ Failed: ${this.testResults.failed}`);
+        console.log(`📈 Success Rate: ${((this.testResults.passed / (this.testResults.passed + this.testResults.failed)) * 100).toFixed(1)}%`);
+
+        if (this.testResults.errors.length > 0) {
+            console.log('\n🔍 Error Details:');
+            this.testResults.errors.forEach(({ test, error }) => {
+                console.log(`  • ${test}: ${error}`);
+            });
+        }
+
+        return this.testResults.failed === 0;
+    }
+}
+
+// Run tests if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const tests = new OrphanedAssetTests();
+    tests.runAllTests().catch(error => {
+        console.error('Test execution failed:', error);
+        process.exit(1);
+    });
+}
+
+export default OrphanedAssetTests;
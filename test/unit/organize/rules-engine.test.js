@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+
+/**
+ * Rules Engine Unit Tests
+ * Tests custom_rules.json conditions, actions and explanations
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import os from 'os';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, '../../..');
+
+class RulesEngineTests {
+    constructor() {
+        this.testResults = {
+            passed: 0,
+            failed: 0,
+            errors: []
+        };
+        this.testDir = path.join(os.tmpdir(), 'rules_engine_test');
+    }
+
+    async setup() {
+        console.log('🔧 Setting up rules engine test environment...');
+
+        await fs.rm(this.testDir, { recursive: true, force: true });
+        await fs.mkdir(this.testDir, { recursive: true });
+
+        console.log('✅ Test environment setup complete');
+    }
+
+    async testOrganizationRules() {
+        console.log('\n📏 Testing organization rules...');
+
+        try {
+            const { RulesEngine } = await import(path.join(projectRoot, 'src/organize/rules_engine.js'));
+
+            const syncHub = path.join(this.testDir, 'rules_hub');
+            const configPath = path.join(this.testDir, 'rules_config.conf');
+            await fs.mkdir(syncHub, { recursive: true });
+            await fs.writeFile(configPath, 'custom_rules_file=${sync_hub}/rules/custom_rules.json\n');
+            const invoicePath = path.join(syncHub, 'march-invoice.md');
+            const invoice = '---\ncreated: 2024-03-01\nsource: https://drive.google.com/file\n---\n# March\nAmount due: 5\n';
+            await fs.writeFile(invoicePath, invoice);
+
+            const engine = new RulesEngine({ syncHub, configPath });
+            await engine.save([
+                { id: 'drafts', conditions: [{ type: 'filename', pattern: 'draft-*' }], actions: [{ type: 'skip' }] },
+                {
+                    id: 'invoices',
+                    stop: false,
+                    conditions: [{ type: 'filename', pattern: '*invoice*' }, { type: 'content', pattern: 'amount due' }, { type: 'size', max: '1KB' }],
+                    actions: [{ type: 'set_category', category: 'Finance/Invoices' }, { type: 'rename', pattern: '{date}-{name}' }]
+                },
+                { id: 'drive', conditions: [{ type: 'source', equals: 'drive.google.com' }, { type: 'age', min_days: 30, field: 'created' }], actions: [{ type: 'add_tag', tag: 'gdrive' }, { type: 'archive' }] }
+            ]);
+
+            await engine.load();
+            const file = await engine.describeFile(invoicePath, invoice);
+            const result = engine.evaluate(file);
+            const errors = engine.validateRules([{ id: 'bad', conditions: [{ type: 'content', pattern: '(' }], actions: [{ type: 'zap' }] }]);
+
+            if (engine.rulesPath === path.join(syncHub, 'rules', 'custom_rules.json') &&
+                result.rule === 'invoices' && result.fired.join() === 'invoices,drive' &&
+                result.actions.category === 'Finance/Invoices' && !result.actions.archive &&
+                result.actions.tags.join() === 'gdrive' &&
+                engine.renderName(result.actions.rename, file, result.actions.category) === '2024-03-01-march-invoice' &&
+                result.trace[0].conditions[0].passed === false && result.trace[1].conditions.length === 3 &&
+                errors.length === 2) {
+                this.logSuccess('Rules fire in order, merge actions and explain every condition checked');
+            } else {
+                this.logFailure('Organization rules', JSON.stringify({ result, errors }));
+            }
+        } catch (error) {
+            this.logFailure('Organization rules', error.message);
+        }
+    }
+
+    async testStatefulRegexFlags() {
+        console.log('\n🚩 Testing content regex flags...');
+
+        try {
+            const { RulesEngine } = await import(path.join(projectRoot, 'src/organize/rules_engine.js'));
+
+            const engine = new RulesEngine({ syncHub: path.join(this.testDir, 'rules_hub'), configPath: null });
+            const rule = flags => ({ id: flags, conditions: [{ type: 'content', pattern: 'amount due', flags }], actions: [{ type: 'skip' }] });
+            const errors = engine.validateRules([rule('gi'), rule('y'), rule('im')]);
+
+            if (errors.length === 2 && errors.every(error => error.includes('g or y'))) {
+                this.logSuccess('Content conditions reject the stateful g and y flags');
+            } else {
+                this.logFailure('Regex flags', JSON.stringify(errors));
+            }
+        } catch (error) {
+            this.logFailure('Regex flags', error.message);
+        }
+    }
+
+    logSuccess(testName) {
+        console.log(`✅ ${testName}`);
+        this.testResults.passed++;
+    }
+
+    logFailure(testName, error) {
+        console.log(`❌ ${testName}: ${error}`);
+        this.testResults.failed++;
+        this.testResults.errors.push({ test: testName, error });
+    }
+
+    async cleanup() {
+        console.log('\n🧹 Cleaning up test environment...');
+        try {
+            await fs.rm(this.testDir, { recursive: true, force: true });
+            console.log('✅ Cleanup complete');
+        } catch (error) {
+            console.log(`⚠️ Cleanup warning: ${error.message}`);
+        }
+    }
+
+    async runAllTests() {
+        console.log('🧪 Rules Engine Unit Tests');
+        console.log('='.repeat(50));
+
+        try {
+            await this.setup();
+            await this.testOrganizationRules();
+            await this.testStatefulRegexFlags();
+        } finally {
+            await this.cleanup();
+        }
+
+        // Print summary
+        console.log('\n📊 Test Results Summary:');
+        console.log('='.repeat(30));
+        console.log(`✅ Passed: ${this.testResults.passed}`);
+        console.log(`❌ Failed: ${this.testResults.failed}`);
+        console.log(`📈 Success Rate: ${((this.testResults.passed / (this.testResults.passed + this.testResults.failed)) * 100).toFixed(1)}%`);
+
+        if (this.testResults.errors.length > 0) {
+            console.log('\n🔍 Error Details:');
+            this.testResults.errors.forEach(({ test, error }) => {
+                console.log(`  • ${test}: ${error}`);
+            });
+        }
+
+        return this.testResults.failed === 0;
+    }
+}
+
+// Run tests if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const tests = new RulesEngineTests();
+    tests.runAllTests().catch(error => {
+        console.error('Test execution failed:', error);
+        process.exit(1);
+    });
+}
+
+export default RulesEngineTests;
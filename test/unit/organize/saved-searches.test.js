@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+
+/**
+ * Saved Searches Unit Tests
+ * Tests saved search persistence, validation and virtual categories
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import os from 'os';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, '../../..');
+
+class SavedSearchTests {
+    constructor() {
+        this.testResults = {
+            passed: 0,
+            failed: 0,
+            errors: []
+        };
+        this.testDir = path.join(os.tmpdir(), 'saved_searches_test');
+        this.syncHub = path.join(this.testDir, 'sync_hub');
+        this.indexDirectory = path.join(this.testDir, 'data', 'search_index');
+    }
+
+    async setup() {
+        console.log('🔧 Setting up saved search test environment...');
+
+        await fs.rm(this.testDir, { recursive: true, force: true });
+
+        const { DocumentFolderManager } = await import(path.join(projectRoot, 'src/organize/document_folder_manager.js'));
+        const { SearchIndex } = await import(path.join(projectRoot, 'src/organize/search_index.js'));
+        const { DocumentSearchEngine } = await import(path.join(projectRoot, 'src/organize/document_search_engine.js'));
+
+        this.SearchIndex = SearchIndex;
+        this.folderManager = new DocumentFolderManager(this.syncHub);
+
+        await this.writeDocument('Research', 'Neural Networks', '# Neural Networks\n\nBackpropagation trains deep networks.');
+        await this.writeDocument('Research', 'Graph Theory', '# Graph Theory\n\nDijkstra finds shortest paths.');
+        await this.writeDocument('Notes', 'Groceries', '# Groceries\n\nMilk, eggs and bread.');
+
+        // The tests edit the hub directly, so every search looks for changes
+        this.engine = new DocumentSearchEngine(this.folderManager, { indexDirectory: this.indexDirectory, refreshInterval: 0 });
+
+        console.log('✅ Test environment setup complete');
+    }
+
+    async writeDocument(category, name, content) {
+        const folderPath = path.join(this.syncHub, category, name);
+        await fs.mkdir(folderPath, { recursive: true });
+        await fs.writeFile(path.join(folderPath, `${name}.md`), content);
+        return folderPath;
+    }
+
+    async testSavedSearches() {
+        console.log('\n🔖 Testing saved searches...');
+
+        try {
+            const { SavedSearchManager } = await import(path.join(projectRoot, 'src/organize/saved_search_manager.js'));
+            const configPath = path.join(this.testDir, 'organize_config.conf');
+            await fs.writeFile(configPath, 'search_bm25_k1 = 1.2\n');
+
+            const manager = new SavedSearchManager({ configPath, searchEngine: this.engine });
+            await manager.create({ name: 'Path Finding', query: '"shortest paths" OR dijkstra', virtualCategory: true });
+
+            const reloaded = new SavedSearchManager({ configPath, searchEngine: this.engine });
+            const [virtualCategory] = await reloaded.getVirtualCategories();
+            const config = await fs.readFile(configPath, 'utf8');
+            if ((await reloaded.list()).length === 1 && virtualCategory.document_folder_count === 1 &&
+                virtualCategory.read_only && config.startsWith('search_bm25_k1 = 1.2')) {
+                this.logSuccess('Saved search persists in the config and counts its virtual category live');
+            } else {
+                this.logFailure('Saved search persistence', JSON.stringify({ virtualCategory, config }));
+            }
+
+            const rejections = [];
+            await manager.create({ name: 'Broken', query: 'title:(' }).catch(error => rejections.push(error.name));
+            await manager.create({ name: 'Research', query: 'graph', virtualCategory: true }).catch(error => rejections.push(error.message));
+            await manager.get('missing').catch(error => rejections.push(error.context.reason));
+
+            const updated = await manager.update('path finding', { query: 'milk' });
+            const run = await manager.run(updated.id);
+            await manager.delete(updated.id);
+
+            if (rejections[0] === 'SearchQueryError' && /category folder/.test(rejections[1]) && rejections[2] === 'not_found' &&
+                run.total_results === 1 && run.results[0].documentFolder.name === 'Groceries' &&
+                (await manager.list()).length === 0) {
+                this.logSuccess('Saved searches are validated, updated, run and deleted');
+            } else {
+                this.logFailure('Saved search CRUD', JSON.stringify({ rejections, total: run.total_results }));
+            }
+        } catch (error) {
+            this.logFailure('Saved searches', error.message);
+        }
+    }
+
+    logSuccess(testName) {
+        console.log(`✅ ${testName}`);
+        this.testResults.passed++;
+    }
+
+    logFailure(testName, error) {
+        console.log(`❌ ${testName}: ${error}`);
+        this.testResults.failed++;
+        this.testResults.errors.push({ test: testName, error });
+    }
+
+    async cleanup() {
+        console.log('\n🧹 Cleaning up test environment...');
+        try {
+            await fs.rm(this.testDir, { recursive: true, force: true });
+            console.log('✅ Cleanup complete');
+        } catch (error) {
+            console.log(`⚠️ Cleanup warning: ${error.message}`);
+        }
+    }
+
+    async runAllTests() {
+        console.log('🧪 Saved Searches Unit Tests');
+        console.log('='.repeat(50));
+
+        try {
+            await this.setup();
+            await this.testSavedSearches();
+        } finally {
+            await this.cleanup();
+        }
+
+        // Print summary
+        console.log('\n📊 Test Results Summary:');
+        console.log('='.repeat(30));
+        console.log(`✅ Passed: ${this.testResults.passed}`);
+        console.log(`❌ Failed: ${this.testResults.failed}`);
+        console.log(`📈 Success Rate: ${((this.testResults.passed / (this.testResults.passed + this.testResults.failed)) * 100).toFixed(1)}%`);
+
+        if (this.testResults.errors.length > 0) {
+            console.log('\n🔍 Error Details:');
+            this.testResults.errors.forEach(({ test, error }) => {
+                console.log(`  • ${test}: ${error}`);
+            });
+        }
+
+        return this.testResults.failed === 0;
+    }
+}
+
+// Run tests if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const tests = new SavedSearchTests();
+    tests.runAllTests().catch(error => {
+        console.error('Test execution failed:', error);
+        process.exit(1);
+    });
+}
+
+export default SavedSearchTests;
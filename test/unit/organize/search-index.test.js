@@ -0,0 +1,358 @@
+#!/usr/bin/env node
+
+/**
+ * Search Index Unit Tests
+ * Tests the persistent incremental index used by DocumentSearchEngine
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import os from 'os';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, '../../..');
+
+class SearchIndexTests {
+    constructor() {
+        this.testResults = {
+            passed: 0,
+            failed: 0,
+            errors: []
+        };
+        this.testDir = path.join(os.tmpdir(), 'search_index_test');
+        this.syncHub = path.join(this.testDir, 'sync_hub');
+        this.indexDirectory = path.join(this.testDir, 'data', 'search_index');
+    }
+
+    async setup() {
+        console.log('🔧 Setting up search index test environment...');
+
+        await fs.rm(this.testDir, { recursive: true, force: true });
+
+        const { DocumentFolderManager } = await import(path.join(projectRoot, 'src/organize/document_folder_manager.js'));
+        const { SearchIndex } = await import(path.join(projectRoot, 'src/organize/search_index.js'));
+        const { DocumentSearchEngine } = await import(path.join(projectRoot, 'src/organize/document_search_engine.js'));
+
+        this.SearchIndex = SearchIndex;
+        this.folderManager = new DocumentFolderManager(this.syncHub);
+
+        await this.writeDocument('Research', 'Neural Networks', '# Neural Networks\n\nBackpropagation trains deep networks.');
+        await this.writeDocument('Research', 'Graph Theory', '# Graph Theory\n\nDijkstra finds shortest paths.');
+        await this.writeDocument('Notes', 'Groceries', '# Groceries\n\nMilk, eggs and bread.');
+
+        // The tests edit the hub directly, so every search looks for changes
+        this.engine = new DocumentSearchEngine(this.folderManager, { indexDirectory: this.indexDirectory, refreshInterval: 0 });
+
+        console.log('✅ Test environment setup complete');
+    }
+
+    async writeDocument(category, name, content) {
+        const folderPath = path.join(this.syncHub, category, name);
+        await fs.mkdir(folderPath, { recursive: true });
+        await fs.writeFile(path.join(folderPath, `${name}.md`), content);
+        return folderPath;
+    }
+
+    async testInitialBuild() {
+        console.log('\n🏗️ Testing initial index build...');
+
+        try {
+            const summary = await this.engine.searchIndex.refresh({ force: true });
+            const status = await this.engine.searchIndex.getStatus();
+
+            if (summary.added === 3 && status.documents === 3 && status.exists) {
+                this.logSuccess('Initial build indexes every document folder and persists it');
+            } else {
+                this.logFailure('Initial build', `Unexpected summary ${JSON.stringify(summary)} / status ${JSON.stringify(status)}`);
+            }
+        } catch (error) {
+            this.logFailure('Initial build', error.message);
+        }
+    }
+
+    async testSearchUsesIndex() {
+        console.log('\n🔍 Testing indexed search...');
+
+        try {
+            const response = await this.engine.searchDocuments('shortest path');
+
+            if (response.total_results === 1 &&
+                response.results[0].documentFolder.name === 'Graph Theory' &&
+                response.search_metadata.folders_searched === 1 &&
+                response.search_metadata.folders_indexed === 3) {
+                this.logSuccess('Search only scans index candidates');
+            } else {
+                this.logFailure('Indexed search', `Unexpected response ${JSON.stringify(response.search_metadata)}`);
+            }
+
+            const scoped = await this.engine.searchDocuments('networks', { category: 'Notes' });
+            if (scoped.total_results === 0) {
+                this.logSuccess('Category scope is applied to index candidates');
+            } else {
+                this.logFailure('Category scope', `Expected no results, got ${scoped.total_results}`);
+            }
+        } catch (error) {
+            this.logFailure('Indexed search', error.message);
+        }
+    }
+
+    async testIncrementalRefresh() {
+        console.log('\n♻️ Testing incremental refresh...');
+
+        try {
+            const index = this.engine.searchIndex;
+            const unchanged = await index.refresh({ force: true });
+            if (unchanged.added === 0 && unchanged.updated === 0 && unchanged.unchanged === 3) {
+                this.logSuccess('Unchanged documents are not re-indexed');
+            } else {
+                this.logFailure('Unchanged refresh', JSON.stringify(unchanged));
+            }
+
+            const generation = index.generation;
+            const groceries = path.join(this.syncHub, 'Notes', 'Groceries', 'Groceries.md');
+            await fs.writeFile(groceries, '# Groceries\n\nMilk, eggs and sourdough.');
+            await fs.rm(path.join(this.syncHub, 'Research', 'Neural Networks'), { recursive: true });
+
+            const changed = await index.refresh({ force: true });
+            const response = await this.engine.searchDocuments('sourdough');
+
+            if (changed.updated === 1 && changed.removed === 1 &&
+                index.generation === generation + 1 && response.total_results === 1) {
+                this.logSuccess('Modified and deleted documents are picked up');
+            } else {
+                this.logFailure('Changed refresh', JSON.stringify(changed));
+            }
+        } catch (error) {
+            this.logFailure('Incremental refresh', error.message);
+        }
+    }
+
+    async testPersistenceAndVerify() {
+        console.log('\n💾 Testing persistence and verification...');
+
+        try {
+            const reloaded = new this.SearchIndex(this.folderManager, { indexDirectory: this.indexDirectory, refreshInterval: 0 });
+            const status = await reloaded.getStatus();
+
+            if (status.documents === 2) {
+                this.logSuccess('Index is reloaded from disk');
+            } else {
+                this.logFailure('Index reload', `Expected 2 documents, got ${status.documents}`);
+            }
+
+            // Change a file behind the index's back with the same size and mtime
+            const graph = path.join(this.syncHub, 'Research', 'Graph Theory', 'Graph Theory.md');
+            const stats = await fs.stat(graph);
+            await fs.writeFile(graph, '# Graph Theory\n\nDijkstra finds longest paths.');
+            await fs.utimes(graph, stats.atime, stats.mtime);
+
+            const report = await reloaded.verify({ repair: true });
+            const after = await reloaded.verify();
+
+            if (!report.valid && report.stale.length === 1 && after.valid) {
+                this.logSuccess('Verify detects stale entries and repairs them');
+            } else {
+                this.logFailure('Verify', JSON.stringify({ report, after }));
+            }
+        } catch (error) {
+            this.logFailure('Persistence and verify', error.message);
+        }
+    }
+
+    async testPrototypeTerms() {
+        console.log('\n🧬 Testing terms named like object properties...');
+
+        try {
+            await this.writeDocument('Notes', 'Prototypes', '# Prototypes\n\nEvery constructor, __proto__ and toString lookup.');
+
+            const hits = {};
+            for (const word of ['constructor', '__proto__', 'toString']) {
+                hits[word] = (await this.engine.searchDocuments(word)).total_results;
+            }
+            const reloaded = new this.SearchIndex(this.folderManager, { indexDirectory: this.indexDirectory, refreshInterval: 0 });
+            const report = await reloaded.verify();
+
+            if (Object.values(hits).every(count => count === 1) && report.valid &&
+                Object.keys(Object.prototype).length === 0) {
+                this.logSuccess('Words like constructor and __proto__ are indexed and found');
+            } else {
+                this.logFailure('Prototype terms', JSON.stringify({ hits, valid: report.valid }));
+            }
+        } catch (error) {
+            this.logFailure('Prototype terms', error.message);
+        }
+    }
+
+    async testLooseFilesNotIndexed() {
+        console.log('\n📄 Testing loose files in the hub root and categories...');
+
+        try {
+            const rootFile = path.join(this.syncHub, 'Scratch.md');
+            const categoryFile = path.join(this.syncHub, 'Notes', 'todo.md');
+            await fs.writeFile(rootFile, '# Scratch\n\nLoose quokka notes.');
+            await fs.writeFile(categoryFile, '# Todo\n\nFeed the quokka.');
+
+            await this.engine.searchIndex.refresh({ force: true });
+            const response = await this.engine.searchDocuments('quokka');
+            const keys = Object.keys(this.engine.searchIndex.documents);
+            const untouched = await fs.stat(rootFile).then(() => true, () => false) &&
+                await fs.stat(categoryFile).then(() => true, () => false);
+
+            if (response.total_results === 0 && untouched && !keys.includes('') && !keys.includes('Notes')) {
+                this.logSuccess('Hub root and category folders are not indexed or renamed');
+            } else {
+                this.logFailure('Loose files', JSON.stringify({ total: response.total_results, untouched, keys }));
+            }
+
+            await fs.rm(rootFile);
+            await fs.rm(categoryFile);
+        } catch (error) {
+            this.logFailure('Loose files', error.message);
+        }
+    }
+
+    async testRefreshInterval() {
+        console.log('\n⏱️ Testing the refresh interval...');
+
+        try {
+            const { DocumentFolderManager } = await import(path.join(projectRoot, 'src/organize/document_folder_manager.js'));
+            const folderManager = new DocumentFolderManager(this.syncHub);
+            const engine = new this.engine.constructor(folderManager, {
+                indexDirectory: path.join(this.testDir, 'data', 'interval_index')
+            });
+            await engine.searchDocuments('anything');
+
+            await this.writeDocument('Notes', 'Pelicans', '# Pelicans\n\nPelicans scoop fish.');
+            const skipped = await engine.searchIndex.refresh();
+            const stale = await engine.searchDocuments('pelicans');
+
+            if (skipped.skipped && stale.total_results === 0) {
+                this.logSuccess('Searches within the interval do not walk the hub');
+            } else {
+                this.logFailure('Refresh interval', JSON.stringify({ skipped, total: stale.total_results }));
+            }
+
+            await folderManager.createDocumentFolder('Flamingos', 'Notes', '# Flamingos\n\nFlamingos filter shrimp.');
+            const fresh = await engine.searchDocuments('flamingos');
+
+            if (fresh.total_results === 1) {
+                this.logSuccess('Writes through the folder manager are searchable right away');
+            } else {
+                this.logFailure('Folder manager writes', `Expected 1 result, got ${fresh.total_results}`);
+            }
+        } catch (error) {
+            this.logFailure('Refresh interval', error.message);
+        }
+    }
+
+    async testPageReads() {
+        console.log('\n📖 Testing that only the returned page is read...');
+
+        const { searchInDocumentFolder, matchDocumentText } = this.engine;
+        try {
+            let built = 0;
+            let checked = 0;
+            this.engine.searchInDocumentFolder = (...args) => {
+                built++;
+                return searchInDocumentFolder.apply(this.engine, args);
+            };
+            this.engine.matchDocumentText = (...args) => {
+                checked++;
+                return matchDocumentText.apply(this.engine, args);
+            };
+
+            const browse = await this.engine.searchDocuments('*', { limit: 2 });
+            const drillDown = await this.engine.searchDocuments('category:research', { limit: 1 });
+            const plain = await this.engine.searchDocuments('longest', { limit: 1 });
+
+            if (browse.total_results > 2 && browse.results.length === 2 && drillDown.results.length === 1 &&
+                plain.results.length === 1 && built === 4 && checked === 0) {
+                this.logSuccess('Ranking and filters use the index; files are read for the page only');
+            } else {
+                this.logFailure('Page reads', JSON.stringify({ total: browse.total_results, built, checked }));
+            }
+
+            checked = 0;
+            const phrase = await this.engine.searchDocuments('"longest paths"');
+            if (phrase.total_results === 1 && checked === 1) {
+                this.logSuccess('Phrases are checked against the text of their candidates');
+            } else {
+                this.logFailure('Phrase check', JSON.stringify({ total: phrase.total_results, checked }));
+            }
+        } catch (error) {
+            this.logFailure('Page reads', error.message);
+        } finally {
+            this.engine.searchInDocumentFolder = searchInDocumentFolder;
+            this.engine.matchDocumentText = matchDocumentText;
+        }
+    }
+
+    logSuccess(testName) {
+        console.log(`✅ ${testName}`);
+        this.testResults.passed++;
+    }
+
+    logFailure(testName, error) {
+        console.log(`❌ ${testName}: ${error}`);
+        this.testResults.failed++;
+        this.testResults.errors.push({ test: testName, error });
+    }
+
+    async cleanup() {
+        console.log('\n🧹 Cleaning up test environment...');
+        try {
+            await fs.rm(this.testDir, { recursive: true, force: true });
+            console.log('✅ Cleanup complete');
+        } catch (error) {
+            console.log(`⚠️ Cleanup warning: ${error.message}`);
+        }
+    }
+
+    async runAllTests() {
+        console.log('🧪 Search Index Unit Tests');
+        console.log('='.repeat(50));
+
+        try {
+            await this.setup();
+            await this.testInitialBuild();
+            await this.testSearchUsesIndex();
+            await this.testIncrementalRefresh();
+            await this.testPersistenceAndVerify();
+            await this.testPrototypeTerms();
+            await this.testLooseFilesNotIndexed();
+            await this.testRefreshInterval();
+            await this.testPageReads();
+        } finally {
+            await this.cleanup();
+        }
+
+        // Print summary
+        console.log('\n📊 Test Results Summary:');
+        console.log('='.repeat(30));
+        console.log(`✅ Passed: ${this.testResults.passed}`);
+        console.log(`❌ Failed: ${this.testResults.failed}`);
+        console.log(`📈 Success Rate: ${((this.testResults.passed / (this.testResults.passed + this.testResults.failed)) * 100).toFixed(1)}%`);
+
+        if (this.testResults.errors.length > 0) {
+            console.log('\n🔍 Error Details:');
+            this.testResults.errors.forEach(({ test, error }) => {
+                console.log(`  • ${test}: ${error}`);
+            });
+        }
+
+        return this.testResults.failed === 0;
+    }
+}
+
+// Run tests if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const tests = new SearchIndexTests();
+    tests.runAllTests().catch(error => {
+        console.error('Test execution failed:', error);
+        process.exit(1);
+    });
+}
+
+export default SearchIndexTests;
@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+
+/**
+ * Search Pagination Unit Tests
+ * Tests offset pages and stable cursors
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import os from 'os';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, '../../..');
+
+class SearchPaginationTests {
+    constructor() {
+        this.testResults = {
+            passed: 0,
+            failed: 0,
+            errors: []
+        };
+        this.testDir = path.join(os.tmpdir(), 'search_pagination_test');
+        this.syncHub = path.join(this.testDir, 'sync_hub');
+        this.indexDirectory = path.join(this.testDir, 'data', 'search_index');
+    }
+
+    async setup() {
+        console.log('🔧 Setting up search pagination test environment...');
+
+        await fs.rm(this.testDir, { recursive: true, force: true });
+
+        const { DocumentFolderManager } = await import(path.join(projectRoot, 'src/organize/document_folder_manager.js'));
+        const { SearchIndex } = await import(path.join(projectRoot, 'src/organize/search_index.js'));
+        const { DocumentSearchEngine } = await import(path.join(projectRoot, 'src/organize/document_search_engine.js'));
+
+        this.SearchIndex = SearchIndex;
+        this.folderManager = new DocumentFolderManager(this.syncHub);
+
+        await this.writeDocument('Research', 'Neural Networks', '# Neural Networks\n\nBackpropagation trains deep networks.');
+        await this.writeDocument('Research', 'Graph Theory', '# Graph Theory\n\nDijkstra finds shortest paths.');
+        await this.writeDocument('Notes', 'Groceries', '# Groceries\n\nMilk, eggs and bread.');
+
+        // The tests edit the hub directly, so every search looks for changes
+        this.engine = new DocumentSearchEngine(this.folderManager, { indexDirectory: this.indexDirectory, refreshInterval: 0 });
+
+        console.log('✅ Test environment setup complete');
+    }
+
+    async writeDocument(category, name, content) {
+        const folderPath = path.join(this.syncHub, category, name);
+        await fs.mkdir(folderPath, { recursive: true });
+        await fs.writeFile(path.join(folderPath, `${name}.md`), content);
+        return folderPath;
+    }
+
+    async testPagination() {
+        console.log('\n📄 Testing pagination cursors...');
+
+        try {
+            const first = await this.engine.searchDocuments('*', { limit: 2 });
+            const second = await this.engine.searchDocuments('*', { limit: 2, cursor: first.next_cursor });
+            const paths = [...first.results, ...second.results].map(result => result.documentFolder.path);
+
+            if (first.total_results === 3 && first.has_more && second.offset === 2 && !second.has_more &&
+                second.next_cursor === null && new Set(paths).size === 3) {
+                this.logSuccess('Cursor pages cover every result exactly once');
+            } else {
+                this.logFailure('Cursor pages', JSON.stringify({ paths, first: first.has_more, second: second.offset }));
+            }
+
+            const rejections = [];
+            for (const [query, cursor] of [['milk', first.next_cursor], ['*', 'not-a-cursor']]) {
+                await this.engine.searchDocuments(query, { limit: 2, cursor })
+                    .catch(error => rejections.push(error.name));
+            }
+
+            await this.writeDocument('Notes', 'Reading List', '# Reading List\n\nBooks to read.');
+            await this.engine.searchDocuments('*', { limit: 2, cursor: first.next_cursor })
+                .catch(error => rejections.push(error.name));
+            await fs.rm(path.join(this.syncHub, 'Notes', 'Reading List'), { recursive: true });
+
+            if (rejections.length === 3 && rejections.every(name => name === 'SearchCursorError')) {
+                this.logSuccess('Foreign, malformed and stale cursors are rejected');
+            } else {
+                this.logFailure('Cursor validation', JSON.stringify(rejections));
+            }
+        } catch (error) {
+            this.logFailure('Pagination', error.message);
+        }
+    }
+
+    async testLimitValidation() {
+        console.log('\n🔢 Testing page size validation...');
+
+        try {
+            const rejected = [];
+            for (const limit of [0, -1, NaN, 1.5, '2']) {
+                await this.engine.searchDocuments('*', { limit })
+                    .then(() => rejected.push(null), error => rejected.push(error.type));
+            }
+
+            if (rejected.every(type => type === 'VALIDATION_ERROR')) {
+                this.logSuccess('Limits that are not positive integers are rejected');
+            } else {
+                this.logFailure('Limit validation', JSON.stringify(rejected));
+            }
+        } catch (error) {
+            this.logFailure('Limit validation', error.message);
+        }
+    }
+
+    logSuccess(testName) {
+        console.log(`✅ ${testName}`);
+        this.testResults.passed++;
+    }
+
+    logFailure(testName, error) {
+        console.log(`❌ ${testName}: ${error}`);
+        this.testResults.failed++;
+        this.testResults.errors.push({ test: testName, error });
+    }
+
+    async cleanup() {
+        console.log('\n🧹 Cleaning up test environment...');
+        try {
+            await fs.rm(this.testDir, { recursive: true, force: true });
+            console.log('✅ Cleanup complete');
+        } catch (error) {
+            console.log(`⚠️ Cleanup warning: ${error.message}`);
+        }
+    }
+
+    async runAllTests() {
+        console.log('🧪 Search Pagination Unit Tests');
+        console.log('='.repeat(50));
+
+        try {
+            await this.setup();
+            await this.testPagination();
+            await this.testLimitValidation();
+        } finally {
+            await this.cleanup();
+        }
+
+        // Print summary
+        console.log('\n📊 Test Results Summary:');
+        console.log('='.repeat(30));
+        console.log(`✅ Passed: ${this.testResults.passed}`);
+        console.log(`❌ Failed: ${this.testResults.failed}`);
+        console.log(`📈 Success Rate: ${((this.testResults.passed / (this.testResults.passed + this.testResults.failed)) * 100).toFixed(1)}%`);
+
+        if (this.testResults.errors.length > 0) {
+            console.log('\n🔍 Error Details:');
+            this.testResults.errors.forEach(({ test, error }) => {
+                console.log(`  • ${test}: ${error}`);
+            });
+        }
+
+        return this.testResults.failed === 0;
+    }
+}
+
+// Run tests if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const tests = new SearchPaginationTests();
+    tests.runAllTests().catch(error => {
+        console.error('Test execution failed:', error);
+        process.exit(1);
+    });
+}
+
+export default SearchPaginationTests;
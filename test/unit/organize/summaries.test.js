@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+
+/**
+ * Summaries Unit Tests
+ * Tests extractive summaries and summary previews in search results
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import os from 'os';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, '../../..');
+
+class SummaryTests {
+    constructor() {
+        this.testResults = {
+            passed: 0,
+            failed: 0,
+            errors: []
+        };
+        this.testDir = path.join(os.tmpdir(), 'summaries_test');
+        this.syncHub = path.join(this.testDir, 'sync_hub');
+        this.indexDirectory = path.join(this.testDir, 'data', 'search_index');
+    }
+
+    async setup() {
+        console.log('🔧 Setting up summary test environment...');
+
+        await fs.rm(this.testDir, { recursive: true, force: true });
+
+        const { DocumentFolderManager } = await import(path.join(projectRoot, 'src/organize/document_folder_manager.js'));
+        const { SearchIndex } = await import(path.join(projectRoot, 'src/organize/search_index.js'));
+        const { DocumentSearchEngine } = await import(path.join(projectRoot, 'src/organize/document_search_engine.js'));
+
+        this.SearchIndex = SearchIndex;
+        this.folderManager = new DocumentFolderManager(this.syncHub);
+
+        await this.writeDocument('Research', 'Neural Networks', '# Neural Networks\n\nBackpropagation trains deep networks.');
+        await this.writeDocument('Research', 'Graph Theory', '# Graph Theory\n\nDijkstra finds shortest paths.');
+        await this.writeDocument('Notes', 'Groceries', '# Groceries\n\nMilk, eggs and bread.');
+
+        // The tests edit the hub directly, so every search looks for changes
+        this.engine = new DocumentSearchEngine(this.folderManager, { indexDirectory: this.indexDirectory, refreshInterval: 0 });
+
+        console.log('✅ Test environment setup complete');
+    }
+
+    async writeDocument(category, name, content) {
+        const folderPath = path.join(this.syncHub, category, name);
+        await fs.mkdir(folderPath, { recursive: true });
+        await fs.writeFile(path.join(folderPath, `${name}.md`), content);
+        return folderPath;
+    }
+
+    async testSummaries() {
+        console.log('\n📝 Testing extractive summaries...');
+
+        try {
+            const { Summarizer, applySummary } = await import(path.join(projectRoot, 'src/organize/summarizer.js'));
+            const folderPath = await this.writeDocument('Research', 'Raft', '# Raft\n\n' +
+                'Raft is a consensus algorithm that keeps a replicated log consistent across servers. ' +
+                'A leader accepts log entries from clients and replicates the log to the other servers. ' +
+                'I had coffee with Sam on Tuesday and we talked about the weather.\n\n' +
+                'When a majority of servers store an entry, the leader commits it to the replicated log. ' +
+                'If the leader fails, the servers elect a new leader by majority vote.\n');
+            const mainFile = path.join(folderPath, 'Raft.md');
+            const content = await fs.readFile(mainFile, 'utf8');
+
+            const summarizer = new Summarizer();
+            const short = summarizer.summarize(content, { sentences: 2 });
+            const budget = summarizer.summarize(content, { maxWords: 20 });
+            const positions = short.sentences.map(sentence => sentence.index);
+
+            if (short.sentences.length === 2 && !short.summary.includes('coffee') &&
+                positions[0] < positions[1] && budget.summary.split(' ').length <= 20) {
+                this.logSuccess('Central sentences are extracted in document order within the length limit');
+            } else {
+                this.logFailure('Summary selection', JSON.stringify({ short: short.summary, budget: budget.summary }));
+            }
+
+            const withSection = applySummary(content, short.summary, 'section');
+            await fs.writeFile(mainFile, withSection);
+            const rewritten = applySummary(withSection, 'Replaced summary.', 'section');
+            const results = await this.engine.searchDocuments('weather');
+            const hit = results.results.find(result => result.documentFolder.name === 'Raft');
+
+            if (hit && hit.previewSource === 'summary' && hit.preview === short.summary &&
+                rewritten.match(/## Summary/g).length === 1 && rewritten.includes('Replaced summary.\n\nRaft is') &&
+                summarizer.summarize(withSection, { sentences: 2 }).summary === short.summary) {
+                this.logSuccess('Stored summaries replace the match excerpt in search previews');
+            } else {
+                this.logFailure('Summary preview', JSON.stringify({ preview: hit && hit.preview, rewritten }));
+            }
+
+            await fs.rm(folderPath, { recursive: true });
+        } catch (error) {
+            this.logFailure('Summaries', error.message);
+        }
+    }
+
+    logSuccess(testName) {
+        console.log(`✅ ${testName}`);
+        this.testResults.passed++;
+    }
+
+    logFailure(testName, error) {
+        console.log(`❌ ${testName}: ${error}`);
+        this.testResults.failed++;
+        this.testResults.errors.push({ test: testName, error });
+    }
+
+    async cleanup() {
+        console.log('\n🧹 Cleaning up test environment...');
+        try {
+            await fs.rm(this.testDir, { recursive: true, force: true });
+            console.log('✅ Cleanup complete');
+        } catch (error) {
+            console.log(`⚠️ Cleanup warning: ${error.message}`);
+        }
+    }
+
+    async runAllTests() {
+        console.log('🧪 Summaries Unit Tests');
+        console.log('='.repeat(50));
+
+        try {
+            await this.setup();
+            await this.testSummaries();
+        } finally {
+            await this.cleanup();
+        }
+
+        // Print summary
+        console.log('\n📊 Test Results Summary:');
+        console.log('='.repeat(30));
+        console.log(`✅ Passed: ${this.testResults.passed}`);
+        console.log(`❌ Failed: ${this.testResults.failed}`);
+        console.log(`📈 Success Rate: ${((this.testResults.passed / (this.testResults.passed + this.testResults.failed)) * 100).toFixed(1)}%`);
+
+        if (this.testResults.errors.length > 0) {
+            console.log('\n🔍 Error Details:');
+            this.testResults.errors.forEach(({ test, error }) => {
+                console.log(`  • ${test}: ${error}`);
+            });
+        }
+
+        return this.testResults.failed === 0;
+    }
+}
+
+// Run tests if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const tests = new SummaryTests();
+    tests.runAllTests().catch(error => {
+        console.error('Test execution failed:', error);
+        process.exit(1);
+    });
+}
+
+export default SummaryTests;
@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+
+/**
+ * Tag Manager Unit Tests
+ * Tests tag storage, suggestions, counts and tag-filtered search
+ */
+
+import { promises as fs } from 'fs';
+import fsSync from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import os from 'os';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, '../../..');
+
+class TagManagerTests {
+    constructor() {
+        this.testResults = {
+            passed: 0,
+            failed: 0,
+            errors: []
+        };
+        this.testDir = path.join(os.tmpdir(), 'tag_manager_test');
+    }
+
+    async setup() {
+        console.log('🔧 Setting up tag manager test environment...');
+
+        await fs.rm(this.testDir, { recursive: true, force: true });
+        await fs.mkdir(this.testDir, { recursive: true });
+
+        console.log('✅ Test environment setup complete');
+    }
+
+    async testTagManager() {
+        console.log('\n🏷️  Testing tag manager...');
+
+        try {
+            const { TagManager, countTags } = await import(path.join(projectRoot, 'src/organize/tag_manager.js'));
+            const { DocumentFolderManager } = await import(path.join(projectRoot, 'src/organize/document_folder_manager.js'));
+            const { DocumentSearchEngine } = await import(path.join(projectRoot, 'src/organize/document_search_engine.js'));
+
+            const syncHub = path.join(this.testDir, 'tag_hub');
+            const folderManager = new DocumentFolderManager(syncHub);
+            const paper = await folderManager.createDocumentFolder('paper', 'Research', '# Paper\n\nNeural networks and more neural networks. #reading\n');
+            const recipe = await folderManager.createDocumentFolder('recipe', 'Cooking', '# Recipe\n\nBread dough.\n');
+
+            const categoryManager = { getAllCategories: () => [{ path: 'AI', keywords: ['neural', 'model'] }] };
+            const tagManager = new TagManager(folderManager, { categoryManager });
+            const added = await tagManager.addTags(paper, ['Machine Learning', '#reading']);
+            await tagManager.addTags(recipe, ['machine-learning'], { storage: 'sidecar' });
+            const removed = await tagManager.removeTags(paper, ['reading', 'machine-learning']);
+            await tagManager.addTags(paper, ['ai']);
+            const suggestions = tagManager.suggestTags(await folderManager.getDocumentContent(paper), {
+                keyphrases: [{ phrase: 'neural networks' }, { phrase: 'more' }],
+                exclude: ['ai']
+            });
+
+            const engine = new DocumentSearchEngine(folderManager, { indexDirectory: path.join(this.testDir, 'tag_index') });
+            const results = await engine.searchDocuments('*', { tags: ['#Machine-Learning'] });
+            const counts = countTags(Object.values(engine.searchIndex.documents).map(entry => entry.tags));
+
+            if (added.added.join() === 'machine-learning' && added.frontmatter.join() === 'machine-learning' &&
+                removed.removed.join() === 'machine-learning' && removed.kept_inline.join() === 'reading' &&
+                fsSync.existsSync(path.join(recipe, '.tags.json')) &&
+                suggestions.map(suggestion => suggestion.tag).join() === 'neural,neural-networks' &&
+                results.results.map(result => result.documentFolder.name).join() === 'recipe' &&
+                JSON.stringify(counts) === JSON.stringify([{ tag: 'ai', count: 1 }, { tag: 'machine-learning', count: 1 }, { tag: 'reading', count: 1 }])) {
+                this.logSuccess('Tags live in frontmatter or a sidecar, are suggested, counted and filter search');
+            } else {
+                this.logFailure('Tag manager', JSON.stringify({ added, removed, suggestions, results: results.results.length, counts }));
+            }
+        } catch (error) {
+            this.logFailure('Tag manager', error.message);
+        }
+    }
+
+    logSuccess(testName) {
+        console.log(`✅ ${testName}`);
+        this.testResults.passed++;
+    }
+
+    logFailure(testName, error) {
+        console.log(`❌ ${testName}: ${error}`);
+        this.testResults.failed++;
+        this.testResults.errors.push({ test: testName, error });
+    }
+
+    async cleanup() {
+        console.log('\n🧹 Cleaning up test environment...');
+        try {
+            await fs.rm(this.testDir, { recursive: true, force: true });
+            console.log('✅ Cleanup complete');
+        } catch (error) {
+            console.log(`⚠️ Cleanup warning: ${error.message}`);
+        }
+    }
+
+    async runAllTests() {
+        console.log('🧪 Tag Manager Unit Tests');
+        console.log('='.repeat(50));
+
+        try {
+            await this.setup();
+            await this.testTagManager();
+        } finally {
+            await this.cleanup();
+        }
+
+        // Print summary
+        console.log('\n📊 Test Results Summary:');
+        console.log('='.repeat(30));
+        console.log(`✅ Passed: ${this.testResults.passed}`);
+        console.log(`❌ Failed: ${this.testResults.failed}`);
+        console.log(`📈 Success Rate: ${((this.testResults.passed / (this.testResults.passed + this.testResults.failed)) * 100).toFixed(1)}%`);
+
+        if (this.testResults.errors.length > 0) {
+            console.log('\n🔍 Error Details:');
+            this.testResults.errors.forEach(({ test, error }) => {
+                console.log(`  • ${test}: ${error}`);
+            });
+        }
+
+        return this.testResults.failed === 0;
+    }
+}
+
+// Run tests if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const tests = new TagManagerTests();
+    tests.runAllTests().catch(error => {
+        console.error('Test execution failed:', error);
+        process.exit(1);
+    });
+}
+
+export default TagManagerTests;